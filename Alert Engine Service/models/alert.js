@@ -26,8 +26,8 @@ const { v4: uuidv4 } = require('uuid');
  *           description: The service that generated the alert
  *         alertType:
  *           type: string
- *           enum: [EWS_CRITICAL, EWS_URGENT, EWS_ELEVATED, EWS_DATA_INCONSISTENCY, SENSOR_CRITICAL, SENSOR_WARNING, SYSTEM_ERROR]
- *           description: Type of alert
+ *           enum: [EWS_CRITICAL, EWS_URGENT, EWS_RED_FLAG, EWS_DETERIORATING, EWS_ELEVATED, EWS_DATA_INCONSISTENCY, SENSOR_CRITICAL, SENSOR_WARNING, SYSTEM_ERROR, VITAL_SIGNS_MISSING]
+ *           description: Type of alert. EWS_RED_FLAG means a single EWS parameter scored 3 and needs an urgent review even though the total score is low. EWS_DETERIORATING means the score rose quickly or moved up a risk band. VITAL_SIGNS_MISSING means an EWS could not be calculated because a required vital sign is stale or missing
  *         alertSeverity:
  *           type: string
  *           enum: [HIGH, MEDIUM, LOW]
@@ -45,6 +45,12 @@ const { v4: uuidv4 } = require('uuid');
  *         ewsData:
  *           type: object
  *           description: EWS data that triggered the alert (if applicable)
+ *         consensusId:
+ *           type: string
+ *           description: EWS consensus that triggered the alert (if applicable)
+ *         deduplicationKey:
+ *           type: string
+ *           description: Consensus and alert type; an alert for the same consensus arriving over HTTP and from the event bus is stored once
  *         status:
  *           type: string
  *           enum: [NEW, ACKNOWLEDGED, RESOLVED, ESCALATED]
@@ -280,8 +286,9 @@ const alertSchema = new mongoose.Schema({
   },
   alertType: {
     type: String,
-    enum: ['EWS_CRITICAL', 'EWS_URGENT', 'EWS_ELEVATED', 'EWS_DATA_INCONSISTENCY', 
-           'SENSOR_CRITICAL', 'SENSOR_WARNING', 'SYSTEM_ERROR','BELOW_THRESHOLD', 'ABOVE_THRESHOLD','DATA_INCONSISTENCY'],
+    enum: ['EWS_CRITICAL', 'EWS_URGENT', 'EWS_RED_FLAG', 'EWS_DETERIORATING', 'EWS_ELEVATED', 'EWS_DATA_INCONSISTENCY', 
+           'SENSOR_CRITICAL', 'SENSOR_WARNING', 'SYSTEM_ERROR','BELOW_THRESHOLD', 'ABOVE_THRESHOLD','DATA_INCONSISTENCY',
+           'VITAL_SIGNS_MISSING'],
     required: true,
     index: true
   },
@@ -309,6 +316,17 @@ const alertSchema = new mongoose.Schema({
     type: Object,
     default: null
   },
+  consensusId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Left unset for alerts without a consensus, so the sparse unique index ignores them
+  deduplicationKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   status: {
     type: String,
     enum: ['NEW', 'ACKNOWLEDGED', 'RESOLVED', 'ESCALATED'],
@@ -4,6 +4,32 @@ const { Alert } = require('../models/alert');
 const alertProcessor = require('../services/alertProcessor');
 const { logger } = require('../utils/logger');
 
+/**
+ * Build ewsData from an alert in the shape older EWS Services sent
+ * They put the EWS details at the top level of the alert instead of in ewsData.
+ * 
+ * @param {Object} body - The request body
+ * @returns {Object|undefined} The EWS data, or undefined if the alert has none
+ */
+const legacyEwsData = (body) => {
+  if (body.ewsScore === undefined) {
+    return undefined;
+  }
+  
+  const consensusData = body.consensusData || {};
+  
+  return {
+    ewsScore: body.ewsScore,
+    clinicalRisk: body.clinicalRisk,
+    redFlags: body.redFlags || [],
+    scoringModel: body.scoringModel,
+    validConsensus: consensusData.validConsensus,
+    consensusMethod: consensusData.consensusMethod,
+    nodeScores: consensusData.nodeScores,
+    trend: body.trend
+  };
+};
+
 /**
  * @swagger
  * /api/alerts:
@@ -48,8 +74,13 @@ const { logger } = require('../utils/logger');
  *                 description: Sensor data that triggered the alert
  *               ewsData:
  *                 type: object
- *                 description: EWS data that triggered the alert
+ *                 description: EWS data that triggered the alert (ewsScore, clinicalRisk, redFlags, scoringModel and, depending on the alert, validConsensus, consensusMethod, nodeScores or trend). Older EWS Services sent ewsScore, clinicalRisk, redFlags, scoringModel, trend and consensusData at the top level; these are still accepted and moved into ewsData.
+ *               consensusId:
+ *                 type: string
+ *                 description: EWS consensus that triggered the alert. Alerts of the same type for the same consensus are stored once, whether they arrive here or from the event bus.
  *     responses:
+ *       200:
+ *         description: The alert was already received for this consensus; the stored alert is returned
  *       201:
  *         description: Alert created successfully
  *         content:
@@ -59,6 +90,8 @@ const { logger } = require('../utils/logger');
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 duplicate:
+ *                   type: boolean
  *                 alert:
  *                   $ref: '#/components/schemas/Alert'
  *       400:
@@ -68,7 +101,8 @@ const { logger } = require('../utils/logger');
  */
 router.post('/', async (req, res) => {
   try {
-    const { patientId, sourceService, alertType, alertSeverity, message, timestamp, sensorData, ewsData } = req.body;
+    const { patientId, sourceService, alertType, alertSeverity, message, timestamp, sensorData, consensusId } = req.body;
+    const ewsData = req.body.ewsData || legacyEwsData(req.body);
     
     // Validate required fields
     if (!patientId || !alertType || !alertSeverity || !message) {
@@ -95,15 +129,18 @@ router.post('/', async (req, res) => {
       message,
       timestamp: timestamp ? new Date(timestamp) : new Date(),
       sensorData,
-      ewsData
+      ewsData,
+      consensusId
     };
     
     // Process the alert
     const alert = await alertProcessor.processAlert(alertData);
+    const duplicate = Boolean(alert.$locals.duplicate);
     
     // Return success response
-    res.status(201).json({
+    res.status(duplicate ? 200 : 201).json({
       success: true,
+      duplicate,
       alert
     });
   } catch (error) {
@@ -3,6 +3,7 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const os = require('os');
 const { Alert, Notification } = require('../models/alert');
+const ewsEventConsumer = require('../services/ewsEventConsumer');
 const { logger } = require('../utils/logger');
 
 /**
@@ -10,6 +11,7 @@ const { logger } = require('../utils/logger');
  * /api/health:
  *   get:
  *     summary: Check service health
+ *     description: ewsEventConsumer shows the connection of the ews.consensus consumer, with the reconnection attempts and the last error.
  *     tags: [Health]
  *     responses:
  *       200:
@@ -55,6 +57,10 @@ router.get('/', async (req, res) => {
         newAlerts,
         lastAlertTime
       },
+      ewsEventConsumer: {
+        connected: ewsEventConsumer.isConnected(),
+        ...ewsEventConsumer.getState()
+      },
       timestamp: new Date()
     });
   } catch (error) {
@@ -11,6 +11,7 @@ const alertRoutes = require('./routes/alerts');
 const notificationRoutes = require('./routes/notifications');
 const subscriptionRoutes = require('./routes/subscriptions');
 const healthRoutes = require('./routes/health');
+const ewsEventConsumer = require('./services/ewsEventConsumer');
 
 // Load environment variables
 dotenv.config();
@@ -28,7 +29,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/alert-eng
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Turn ews.consensus events from the EWS Service into alerts
+  ewsEventConsumer.start().catch(err => console.error('Failed to start EWS event consumer:', err));
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Swagger definition
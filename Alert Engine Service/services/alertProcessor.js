@@ -2,26 +2,63 @@ const { Alert, AlertSubscription } = require('../models/alert');
 const notificationService = require('./notificationService');
 const { logger } = require('../utils/logger');
 
+/**
+ * Find the stored alert with the same deduplication key
+ * 
+ * @param {String} deduplicationKey - Consensus and alert type
+ * @returns {Promise<Object|null>} The stored alert, marked as a duplicate
+ */
+const findDuplicate = async (deduplicationKey) => {
+  const existing = await Alert.findOne({ deduplicationKey });
+  
+  if (existing) {
+    existing.$locals.duplicate = true;
+    logger.info(`Duplicate alert ignored: ${deduplicationKey}`, { alertId: existing.alertId });
+  }
+  
+  return existing;
+};
+
 /**
  * Process and prioritize a new alert
+ * An EWS alert for a consensus arrives both over HTTP and from the event bus;
+ * the second one is not stored or notified again, and the stored alert is
+ * returned with $locals.duplicate set.
  * 
  * @param {Object} alertData - Alert data to process
  * @returns {Promise<Object>} Processed alert
  */
 const processAlert = async (alertData) => {
   try {
+    const deduplicationKey = alertData.consensusId ? `${alertData.consensusId}:${alertData.alertType}` : undefined;
+    
+    if (deduplicationKey) {
+      const existing = await findDuplicate(deduplicationKey);
+      if (existing) return existing;
+    }
+    
     // Calculate priority based on alert type and severity
     const priority = calculatePriority(alertData);
     
     // Create alert object with priority
     const alert = new Alert({
       ...alertData,
+      deduplicationKey,
       priority,
       status: 'NEW'
     });
     
     // Save alert to database
-    await alert.save();
+    try {
+      await alert.save();
+    } catch (error) {
+      // The same alert arrived on the other path at the same time
+      if (error.code === 11000 && deduplicationKey) {
+        const existing = await findDuplicate(deduplicationKey);
+        if (existing) return existing;
+      }
+      throw error;
+    }
     
     // Find relevant subscriptions and send notifications
     await sendAlertNotifications(alert);
@@ -70,8 +107,12 @@ const calculatePriority = (alert) => {
       priority += 20;
       break;
     case 'EWS_URGENT':
+    case 'EWS_RED_FLAG':
       priority += 15;
       break;
+    case 'EWS_DETERIORATING':
+      priority += 12;
+      break;
     case 'EWS_ELEVATED':
       priority += 10;
       break;
@@ -81,6 +122,9 @@ const calculatePriority = (alert) => {
     case 'SENSOR_WARNING':
       priority += 8;
       break;
+    case 'VITAL_SIGNS_MISSING':
+      priority += 5;
+      break;
     default:
       priority += 0;
   }
@@ -0,0 +1,131 @@
+const { createEventBus } = require('ews-shared/eventBus');
+const alertProcessor = require('./alertProcessor');
+const { logger } = require('../utils/logger');
+
+// Durable queue of the Alert Engine, so consensus events are kept while it is down
+const QUEUE_NAME = process.env.EWS_CONSENSUS_QUEUE || 'alert_engine_ews_consensus';
+const ROUTING_KEY = 'ews.consensus';
+// Messages processed at the same time
+const PREFETCH = parseInt(process.env.EWS_CONSUMER_PREFETCH) || 10;
+
+// Reconnection, retries and dead-lettering are those of the EWS Service's event bus
+const eventBus = createEventBus({
+  producer: 'alert-engine-service',
+  logger,
+  prefetch: PREFETCH
+});
+
+/**
+ * Turn an EWS consensus event into alert data
+ * Mirrors determineAlertType in the EWS Service, which sends the same alerts
+ * over HTTP: an inconsistent consensus, a High or Medium clinical risk, or a
+ * red flag raises an alert; other scores do not.
+ *
+ * @param {Object} consensus - The ews.consensus event
+ * @returns {Object|null} Alert data, or null if the consensus needs no alert
+ */
+const consensusToAlert = (consensus) => {
+  const { consensusScore, clinicalRisk } = consensus;
+  const redFlags = consensus.redFlags || [];
+  let alertType;
+  let alertSeverity;
+  let message;
+
+  if (consensus.validConsensus === false) {
+    alertType = 'EWS_DATA_INCONSISTENCY';
+    alertSeverity = 'MEDIUM';
+    message = 'Inconsistent EWS scores detected, requires clinical review';
+  } else if (clinicalRisk === 'High') {
+    alertType = 'EWS_CRITICAL';
+    alertSeverity = 'HIGH';
+    message = `Critical EWS score (${consensusScore}) - Immediate medical attention required`;
+  } else if (clinicalRisk === 'Medium') {
+    alertType = 'EWS_URGENT';
+    alertSeverity = 'MEDIUM';
+    message = `Urgent EWS score (${consensusScore}) - Prompt medical attention required`;
+  } else if (redFlags.length > 0) {
+    alertType = 'EWS_RED_FLAG';
+    alertSeverity = 'MEDIUM';
+    message = `Single parameter scoring 3 (${redFlags.join(', ')}) with EWS score ${consensusScore} - Urgent clinical review required`;
+  } else {
+    return null;
+  }
+
+  return {
+    patientId: consensus.patientId,
+    sourceService: 'EWS-Calculator',
+    alertType,
+    alertSeverity,
+    message,
+    timestamp: consensus.consensusTimestamp ? new Date(consensus.consensusTimestamp) : new Date(),
+    consensusId: consensus.consensusId,
+    ewsData: {
+      ewsScore: consensusScore,
+      clinicalRisk,
+      redFlags,
+      scoringModel: consensus.scoringModel,
+      validConsensus: consensus.validConsensus,
+      consensusMethod: consensus.consensusMethod
+    }
+  };
+};
+
+/**
+ * Handle one ews.consensus event
+ * The event bus has already upcast and validated the event. If raising the
+ * alert fails, the event is retried after EVENT_RETRY_DELAY_MS, up to
+ * EVENT_MAX_RETRIES times, then dead-lettered to ews_events.dead, where the
+ * EWS Service stores it for replay.
+ *
+ * @param {Object} consensus - The ews.consensus payload
+ * @param {Object} envelope - The event envelope
+ * @returns {Promise<void>}
+ */
+const handleConsensus = async (consensus, envelope) => {
+  const alertData = consensusToAlert(consensus);
+  if (!alertData) return;
+
+  try {
+    await alertProcessor.processAlert(alertData);
+  } catch (error) {
+    logger.error(`Error handling ${ROUTING_KEY} for patient ${consensus.patientId}:`, error, {
+      eventId: envelope.id,
+      correlationId: envelope.correlationId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Consume ews.consensus events
+ * The subscription starts once the event bus is connected and is restored
+ * after every reconnection.
+ *
+ * @returns {Promise<Object>} The subscription details
+ */
+const start = async () => {
+  const subscription = await eventBus.subscribeToEvent(ROUTING_KEY, handleConsensus, { queueName: QUEUE_NAME });
+  logger.info(`Consuming ${ROUTING_KEY} events on queue ${QUEUE_NAME}`);
+  return subscription;
+};
+
+/**
+ * Check whether the consumer is connected to the broker
+ *
+ * @returns {Boolean} True while connected
+ */
+const isConnected = () => eventBus.isConnected();
+
+/**
+ * Get the connection state of the consumer's event bus
+ *
+ * @returns {Object} Transport, status and reconnection details
+ */
+const getState = () => eventBus.getState();
+
+module.exports = {
+  start,
+  isConnected,
+  getState,
+  consensusToAlert
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConsensusThreshold:
+ *       type: object
+ *       required:
+ *         - scope
+ *         - version
+ *         - timestampThreshold
+ *         - valueThreshold
+ *       properties:
+ *         scope:
+ *           type: string
+ *           enum: [global, sensorType, patient]
+ *           description: How widely the thresholds apply
+ *         sensorType:
+ *           type: string
+ *           description: Sensor type the thresholds apply to (null for all sensor types)
+ *         patientId:
+ *           type: string
+ *           description: Patient the thresholds apply to (null for all patients)
+ *         version:
+ *           type: number
+ *           description: Version number, incremented on every update of the same scope
+ *         timestampThreshold:
+ *           type: number
+ *           description: Threshold for timestamp differences in milliseconds
+ *         valueThreshold:
+ *           type: number
+ *           description: Threshold for value differences (percentage as decimal)
+ *         valueTolerance:
+ *           type: number
+ *           description: Absolute difference within which readings agree (null to use the sensor type default)
+ *         updatedBy:
+ *           type: string
+ *           description: Who made the change
+ *         reason:
+ *           type: string
+ *           description: Why the change was made
+ *       example:
+ *         scope: "sensorType"
+ *         sensorType: "heartRate"
+ *         patientId: null
+ *         version: 3
+ *         timestampThreshold: 5000
+ *         valueThreshold: 0.1
+ *         updatedBy: "dr.smith"
+ *         reason: "Tighter agreement for new HR sensors"
+ */
+
+// Every update is stored as a new version so past consensus decisions can be reproduced
+const consensusThresholdSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'sensorType', 'patient'],
+    required: true
+  },
+  // Identifies the scope a version belongs to, e.g. "P12345:heartRate" or "*:*"
+  scopeKey: {
+    type: String,
+    required: true,
+    index: true
+  },
+  sensorType: {
+    type: String,
+    default: null
+  },
+  patientId: {
+    type: String,
+    default: null
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  timestampThreshold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  valueThreshold: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  valueTolerance: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+consensusThresholdSchema.index({ scopeKey: 1, version: -1 }, { unique: true });
+
+const ConsensusThreshold = mongoose.model('ConsensusThreshold', consensusThresholdSchema);
+
+module.exports = { ConsensusThreshold };
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EdgeNode:
+ *       type: object
+ *       required:
+ *         - nodeId
+ *       properties:
+ *         nodeId:
+ *           type: string
+ *           description: ID of the edge node, as used in sensor readings
+ *         location:
+ *           type: string
+ *           description: Where the node is installed
+ *         firmwareVersion:
+ *           type: string
+ *           description: Firmware version running on the node
+ *         deviceIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the sensor devices attached to the node
+ *         metadata:
+ *           type: object
+ *           description: Additional metadata about the node
+ *         status:
+ *           type: string
+ *           enum: [online, stale, offline]
+ *           description: Status derived from the time since the last heartbeat
+ *         lastHeartbeat:
+ *           type: string
+ *           format: date-time
+ *           description: Time of the last heartbeat received from the node
+ *         statusChangedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Time the status last changed
+ *       example:
+ *         nodeId: "node-1"
+ *         location: "Ward 3, Room 302"
+ *         firmwareVersion: "2.4.1"
+ *         deviceIds: ["HR-SENSOR-442", "TEMP-SENSOR-118"]
+ *         metadata: { ip: "10.0.3.21" }
+ *         status: "online"
+ *         lastHeartbeat: "2025-05-17T16:45:00Z"
+ *         statusChangedAt: "2025-05-17T08:00:00Z"
+ */
+
+const edgeNodeSchema = new mongoose.Schema({
+  nodeId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  location: {
+    type: String,
+    default: null
+  },
+  firmwareVersion: {
+    type: String,
+    default: null
+  },
+  deviceIds: {
+    type: [String],
+    default: []
+  },
+  metadata: {
+    type: Object,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['online', 'stale', 'offline'],
+    default: 'online',
+    index: true
+  },
+  lastHeartbeat: {
+    type: Date,
+    required: true,
+    default: Date.now,
+    index: true
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+const EdgeNode = mongoose.model('EdgeNode', edgeNodeSchema);
+
+module.exports = { EdgeNode };
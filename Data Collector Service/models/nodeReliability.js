@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NodeReliability:
+ *       type: object
+ *       required:
+ *         - nodeId
+ *         - sensorType
+ *       properties:
+ *         nodeId:
+ *           type: string
+ *           description: ID of the edge node
+ *         sensorType:
+ *           type: string
+ *           description: Sensor type the score applies to
+ *         score:
+ *           type: number
+ *           description: Rolling agreement rate with the final consensus (0-1), used as the node's voting weight
+ *         rounds:
+ *           type: number
+ *           description: Number of consensus rounds the node took part in
+ *         agreements:
+ *           type: number
+ *           description: Number of rounds in which the node agreed with the consensus
+ *         quarantined:
+ *           type: boolean
+ *           description: Whether the node is currently excluded from voting
+ *         quarantinedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the node was quarantined
+ *         lastRoundAt:
+ *           type: string
+ *           format: date-time
+ *           description: Time of the last consensus round the node took part in
+ *       example:
+ *         nodeId: "node-2"
+ *         sensorType: "heartRate"
+ *         score: 0.93
+ *         rounds: 240
+ *         agreements: 226
+ *         quarantined: false
+ *         quarantinedAt: null
+ *         lastRoundAt: "2025-05-17T16:45:10Z"
+ */
+
+const nodeReliabilitySchema = new mongoose.Schema({
+  nodeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  sensorType: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  rounds: {
+    type: Number,
+    default: 0
+  },
+  agreements: {
+    type: Number,
+    default: 0
+  },
+  quarantined: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  quarantinedAt: {
+    type: Date,
+    default: null
+  },
+  lastRoundAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+nodeReliabilitySchema.index({ nodeId: 1, sensorType: 1 }, { unique: true });
+
+const NodeReliability = mongoose.model('NodeReliability', nodeReliabilitySchema);
+
+module.exports = { NodeReliability };
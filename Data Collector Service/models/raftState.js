@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Durable state of a RAFT node: its current term, its vote in that term, the
+ * snapshot of the compacted log and the log entries after it. Written before
+ * the node answers a vote request or accepts log entries (see raftStorage.js).
+ */
+const raftStateSchema = new mongoose.Schema({
+  nodeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  currentTerm: {
+    type: Number,
+    default: 0
+  },
+  votedFor: {
+    type: String,
+    default: null
+  },
+  snapshot: {
+    index: { type: Number, default: 0 },
+    term: { type: Number, default: 0 },
+    data: mongoose.Schema.Types.Mixed
+  },
+  log: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, { timestamps: true, minimize: false });
+
+const RaftState = mongoose.model('RaftState', raftStateSchema);
+
+module.exports = { RaftState };
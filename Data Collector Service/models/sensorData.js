@@ -18,13 +18,14 @@ const mongoose = require('mongoose');
  *           description: The ID of the patient
  *         sensorType:
  *           type: string
- *           description: Type of the medical sensor (e.g., heartRate, temperature)
+ *           enum: [heartRate, temperature, spo2, respRate, bpSystolic, bpDiastolic, consciousness, oxygenTherapy]
+ *           description: Type of the medical sensor, see GET /api/data/sensor-types
  *         value:
  *           type: number
- *           description: The value recorded by the sensor
+ *           description: The value recorded by the sensor, converted to the canonical unit of the sensor type
  *         unit:
  *           type: string
- *           description: Unit of measurement (e.g., bpm, °C)
+ *           description: Unit of measurement (e.g., bpm, °C). Readings in °F, K or kPa are converted; the original value and unit are kept in metadata.originalValue and metadata.originalUnit
  *         timestamp:
  *           type: string
  *           format: date-time
@@ -32,6 +33,9 @@ const mongoose = require('mongoose');
  *         nodeId:
  *           type: string
  *           description: ID of the edge node that collected the data
+ *         readingId:
+ *           type: string
+ *           description: Client-supplied ID of the reading, unique per node. A reading with an ID that was already stored is reported as a duplicate instead of being stored again, so retries are safe.
  *         metadata:
  *           type: object
  *           description: Additional metadata about the reading
@@ -42,9 +46,36 @@ const mongoose = require('mongoose');
  *         unit: "bpm"
  *         timestamp: "2025-05-17T16:45:00Z"
  *         nodeId: "node-1"
+ *         readingId: "node-1-000482"
  *         metadata: { location: "Room 302", deviceId: "HR-SENSOR-442" }
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ValidationErrorResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *       example:
+ *         success: false
+ *         message: "Invalid sensor data"
+ *         errors: [{ field: "value", message: "heartRate must be between 20 and 300 bpm" }]
+ */
+
 /**
  * @swagger
  * components:
@@ -76,6 +107,9 @@ const mongoose = require('mongoose');
  *               timestamp:
  *                 type: string
  *                 format: date-time
+ *               weight:
+ *                 type: number
+ *                 description: Voting weight of the node, taken from its reliability score
  *         consensusValue:
  *           type: number
  *           description: The agreed-upon sensor value after consensus
@@ -88,8 +122,64 @@ const mongoose = require('mongoose');
  *           description: Whether a valid consensus was reached
  *         consensusMethod:
  *           type: string
- *           enum: [majority, latest]
- *           description: Method used to reach consensus
+ *           enum: [majority, latest, average, single, none, manual]
+ *           description: Method used to reach consensus. manual records a value entered by a clinician, without multi-node consensus
+ *         rejectedReadings:
+ *           type: array
+ *           description: Readings left out of the consensus and how far off each one was
+ *           items:
+ *             type: object
+ *             properties:
+ *               nodeId:
+ *                 type: string
+ *               value:
+ *                 type: number
+ *               deviation:
+ *                 type: number
+ *                 description: Reading minus the consensus value, negative for a reading below it
+ *               reason:
+ *                 type: string
+ *                 enum: [outlier, outsideTolerance, quarantined]
+ *         thresholds:
+ *           type: object
+ *           description: The consensus thresholds that produced this record
+ *           properties:
+ *             configId:
+ *               type: string
+ *             scope:
+ *               type: string
+ *               enum: [default, global, sensorType, patient]
+ *             version:
+ *               type: number
+ *             timestampThreshold:
+ *               type: number
+ *             valueThreshold:
+ *               type: number
+ *             valueTolerance:
+ *               type: number
+ *         observation:
+ *           type: object
+ *           description: Who observed a manually entered value
+ *           properties:
+ *             observedBy:
+ *               type: string
+ *             role:
+ *               type: string
+ *             notes:
+ *               type: string
+ *             originalValue:
+ *               description: The value as entered
+ *             originalUnit:
+ *               type: string
+ *         raftEntryId:
+ *           type: string
+ *           description: ID of the RAFT log entry that committed this record
+ *         raftTerm:
+ *           type: number
+ *           description: RAFT term in which the record was committed
+ *         raftIndex:
+ *           type: number
+ *           description: Position of the record in the replicated RAFT log
  *       example:
  *         patientId: "P12345"
  *         sensorType: "temperature"
@@ -133,12 +223,21 @@ const sensorDataSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  readingId: {
+    type: String
+  },
   metadata: {
     type: Object,
     default: {}
   }
 }, { timestamps: true });
 
+// A node's reading IDs double as idempotency keys
+sensorDataSchema.index(
+  { nodeId: 1, readingId: 1 },
+  { unique: true, partialFilterExpression: { readingId: { $type: 'string' } } }
+);
+
 const consensusDataSchema = new mongoose.Schema({
   patientId: {
     type: String,
@@ -153,7 +252,8 @@ const consensusDataSchema = new mongoose.Schema({
   readings: [{
     nodeId: String,
     value: Number,
-    timestamp: Date
+    timestamp: Date,
+    weight: Number
   }],
   consensusValue: {
     type: Number,
@@ -170,8 +270,46 @@ const consensusDataSchema = new mongoose.Schema({
   },
   consensusMethod: {
     type: String,
-    enum: ['majority', 'latest', 'average', 'single'],
+    enum: ['majority', 'latest', 'average', 'single', 'none', 'manual'],
     required: true
+  },
+  rejectedReadings: [{
+    nodeId: String,
+    value: Number,
+    deviation: Number,
+    reason: {
+      type: String,
+      enum: ['outlier', 'outsideTolerance', 'quarantined']
+    }
+  }],
+  // Thresholds used to reach this consensus, so the decision can be reproduced
+  thresholds: {
+    configId: mongoose.Schema.Types.ObjectId,
+    scope: String,
+    version: Number,
+    timestampThreshold: Number,
+    valueThreshold: Number,
+    valueTolerance: Number
+  },
+  // Set for values entered by a clinician (consensusMethod manual)
+  observation: {
+    observedBy: String,
+    role: String,
+    notes: String,
+    originalValue: mongoose.Schema.Types.Mixed,
+    originalUnit: String
+  },
+  // RAFT log position - set once a quorum of Data Collector nodes accepted the record
+  raftEntryId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  raftTerm: {
+    type: Number
+  },
+  raftIndex: {
+    type: Number
   }
 }, { timestamps: true });
 
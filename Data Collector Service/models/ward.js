@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WardPolicy:
+ *       type: object
+ *       required:
+ *         - ward
+ *         - consciousnessPolicy
+ *       properties:
+ *         ward:
+ *           type: string
+ *           description: Name of the ward
+ *         consciousnessPolicy:
+ *           type: string
+ *           enum: [default, require, lastKnown]
+ *           description: What to do when no current AVPU value is available. default uses defaultConsciousness, require blocks the EWS until an AVPU value is entered, lastKnown uses the last recorded value if it is younger than lastKnownMaxAgeMs
+ *         defaultConsciousness:
+ *           type: string
+ *           enum: [Alert, Voice, Pain, Unresponsive]
+ *           description: Value used by the default policy
+ *         lastKnownMaxAgeMs:
+ *           type: number
+ *           description: Maximum age of the last recorded AVPU value for the lastKnown policy
+ *         updatedBy:
+ *           type: string
+ *           description: Who last changed the policy
+ *       example:
+ *         ward: "Ward 3"
+ *         consciousnessPolicy: "lastKnown"
+ *         defaultConsciousness: "Alert"
+ *         lastKnownMaxAgeMs: 14400000
+ *         updatedBy: "charge.nurse"
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PendingEWS:
+ *       type: object
+ *       properties:
+ *         patientId:
+ *           type: string
+ *           description: The ID of the patient
+ *         ward:
+ *           type: string
+ *           description: Ward of the patient, if assigned
+ *         reason:
+ *           type: string
+ *           enum: [awaitingConsciousness]
+ *           description: Why the EWS is blocked
+ *         consciousnessPolicy:
+ *           type: string
+ *           description: The policy that blocked the EWS
+ *         availableVitals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Vital signs that are ready for the calculation
+ *         since:
+ *           type: string
+ *           format: date-time
+ *           description: When the EWS first became blocked
+ *         lastCheckedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the EWS was last found to be blocked
+ */
+
+const AVPU_VALUES = ['Alert', 'Voice', 'Pain', 'Unresponsive'];
+
+const wardPolicySchema = new mongoose.Schema({
+  ward: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  consciousnessPolicy: {
+    type: String,
+    enum: ['default', 'require', 'lastKnown'],
+    required: true
+  },
+  defaultConsciousness: {
+    type: String,
+    enum: AVPU_VALUES,
+    default: 'Alert'
+  },
+  lastKnownMaxAgeMs: {
+    type: Number,
+    min: 0,
+    default: 4 * 60 * 60 * 1000
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// Which ward a patient is on
+const patientWardSchema = new mongoose.Schema({
+  patientId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  ward: {
+    type: String,
+    required: true,
+    index: true
+  }
+}, { timestamps: true });
+
+// Patients whose EWS cannot be calculated until a clinician enters a value
+const pendingEWSSchema = new mongoose.Schema({
+  patientId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  ward: {
+    type: String,
+    default: null,
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: ['awaitingConsciousness'],
+    required: true
+  },
+  consciousnessPolicy: {
+    type: String
+  },
+  availableVitals: {
+    type: [String],
+    default: []
+  },
+  since: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+const WardPolicy = mongoose.model('WardPolicy', wardPolicySchema);
+const PatientWard = mongoose.model('PatientWard', patientWardSchema);
+const PendingEWS = mongoose.model('PendingEWS', pendingEWSSchema);
+
+module.exports = {
+  AVPU_VALUES,
+  WardPolicy,
+  PatientWard,
+  PendingEWS
+};
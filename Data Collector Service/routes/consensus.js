@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { ConsensusData } = require('../models/sensorData');
+const thresholdService = require('../services/thresholdService');
+const reliabilityService = require('../services/reliabilityService');
 const { logger } = require('../utils/logger');
 
 /**
@@ -122,12 +124,114 @@ router.get('/invalid', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/consensus/threshold:
+ *   get:
+ *     summary: Get the consensus thresholds in effect
+ *     tags: [Consensus]
+ *     description: Resolve the thresholds applied to a patient and sensor type. The most specific configured scope wins (patient + sensor type, patient, sensor type, global, built-in defaults).
+ *     parameters:
+ *       - in: query
+ *         name: sensorType
+ *         schema:
+ *           type: string
+ *         description: Sensor type to resolve thresholds for
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         description: Patient to resolve thresholds for
+ *     responses:
+ *       200:
+ *         description: Thresholds in effect, including the scope and version they come from
+ *       500:
+ *         description: Server error
+ */
+router.get('/threshold', async (req, res) => {
+  try {
+    const { sensorType, patientId } = req.query;
+    
+    const thresholds = await thresholdService.resolveThresholds(patientId || null, sensorType || null);
+    
+    res.status(200).json({
+      success: true,
+      thresholds
+    });
+  } catch (error) {
+    logger.error('Error fetching consensus thresholds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consensus thresholds',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/consensus/threshold/versions:
+ *   get:
+ *     summary: Get all versions of the consensus thresholds for one scope
+ *     tags: [Consensus]
+ *     parameters:
+ *       - in: query
+ *         name: sensorType
+ *         schema:
+ *           type: string
+ *         description: Sensor type of the scope (omit for all sensor types)
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         description: Patient of the scope (omit for all patients)
+ *     responses:
+ *       200:
+ *         description: Threshold versions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConsensusThreshold'
+ *       500:
+ *         description: Server error
+ */
+router.get('/threshold/versions', async (req, res) => {
+  try {
+    const { sensorType, patientId } = req.query;
+    
+    const versions = await thresholdService.getVersions(patientId || null, sensorType || null);
+    
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    logger.error('Error fetching consensus threshold versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consensus threshold versions',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/consensus/threshold:
  *   put:
  *     summary: Update consensus thresholds
  *     tags: [Consensus]
+ *     description: Store a new version of the thresholds for a scope. Omit sensorType and patientId to update the global thresholds. Values that are not provided are carried over from the previous version.
  *     requestBody:
  *       required: true
  *       content:
@@ -141,30 +245,71 @@ router.get('/invalid', async (req, res) => {
  *               valueThreshold:
  *                 type: number
  *                 description: Threshold for value differences (percentage as decimal)
+ *               valueTolerance:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Absolute difference within which readings agree, e.g. 2 for heart rate (null to use the sensor type default)
+ *               sensorType:
+ *                 type: string
+ *                 description: Limit the thresholds to one sensor type
+ *               patientId:
+ *                 type: string
+ *                 description: Limit the thresholds to one patient
+ *               updatedBy:
+ *                 type: string
+ *                 description: Who made the change
+ *               reason:
+ *                 type: string
+ *                 description: Why the change was made
  *     responses:
  *       200:
  *         description: Thresholds updated successfully
  *       400:
  *         description: Invalid threshold values
+ *       409:
+ *         description: The scope was updated concurrently, retry the request
  *       500:
  *         description: Server error
  */
 router.put('/threshold', async (req, res) => {
   try {
-    const { timestampThreshold, valueThreshold } = req.body;
+    const { timestampThreshold, valueThreshold, valueTolerance, sensorType, patientId, updatedBy, reason } = req.body;
+    
+    const errors = thresholdService.validateThresholds({ timestampThreshold, valueThreshold, valueTolerance });
     
-    // Store thresholds in database or config service
-    // For simplicity, we'll just return a success message here
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid threshold values',
+        errors
+      });
+    }
+    
+    const config = await thresholdService.updateThresholds({
+      timestampThreshold,
+      valueThreshold,
+      valueTolerance,
+      sensorType: sensorType || null,
+      patientId: patientId || null,
+      updatedBy,
+      reason
+    });
     
     res.status(200).json({
       success: true,
       message: 'Consensus thresholds updated',
-      thresholds: {
-        timestampThreshold,
-        valueThreshold
-      }
+      thresholds: config
     });
   } catch (error) {
+    // Duplicate version: another update for the same scope won the race
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Consensus thresholds were updated concurrently, please retry',
+        error: error.message
+      });
+    }
+    
     logger.error('Error updating consensus thresholds:', error);
     res.status(500).json({
       success: false,
@@ -174,4 +319,79 @@ router.put('/threshold', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/consensus/nodes/{nodeId}/reliability:
+ *   get:
+ *     summary: Get the reliability scores of an edge node
+ *     tags: [Consensus]
+ *     description: Rolling agreement rate of the node with the final consensus, per sensor type. Nodes scoring below the quarantine threshold are excluded from voting until they recover.
+ *     parameters:
+ *       - in: path
+ *         name: nodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Edge node ID
+ *       - in: query
+ *         name: sensorType
+ *         schema:
+ *           type: string
+ *         description: Only return the score for this sensor type
+ *     responses:
+ *       200:
+ *         description: Reliability scores of the node
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 nodeId:
+ *                   type: string
+ *                 quarantineThreshold:
+ *                   type: number
+ *                 releaseThreshold:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NodeReliability'
+ *       404:
+ *         description: No consensus rounds recorded for the node
+ *       500:
+ *         description: Server error
+ */
+router.get('/nodes/:nodeId/reliability', async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { sensorType } = req.query;
+    
+    const records = await reliabilityService.getNodeReliability(nodeId, sensorType);
+    
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No reliability data for node ${nodeId}${sensorType ? ` and sensor type ${sensorType}` : ''}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      nodeId,
+      quarantineThreshold: reliabilityService.QUARANTINE_THRESHOLD,
+      releaseThreshold: reliabilityService.RELEASE_THRESHOLD,
+      data: records
+    });
+  } catch (error) {
+    logger.error(`Error fetching reliability for node ${req.params.nodeId}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch node reliability',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const os = require('os');
 const { ConsensusData } = require('../models/sensorData');
+const nodeRegistry = require('../services/nodeRegistry');
 
 /**
  * @swagger
@@ -65,25 +66,38 @@ router.get('/', async (req, res) => {
  *   get:
  *     summary: Get status of edge nodes
  *     tags: [Health]
+ *     description: List the registered edge nodes. A node becomes stale and then offline when it stops sending heartbeats.
  *     responses:
  *       200:
  *         description: Node status information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EdgeNode'
  *       500:
  *         description: Service error
  */
 router.get('/nodes', async (req, res) => {
   try {
-    // For a real implementation, you would check connectivity with the edge nodes
-    // Here we'll just return sample data
+    const nodeStatus = await nodeRegistry.getNodes();
     
-    const nodeStatus = [
-      { nodeId: 'node-1', status: 'online', lastHeartbeat: new Date() },
-      { nodeId: 'node-2', status: 'online', lastHeartbeat: new Date() },
-      { nodeId: 'node-3', status: 'online', lastHeartbeat: new Date() }
-    ];
+    const summary = { online: 0, stale: 0, offline: 0 };
+    nodeStatus.forEach(node => {
+      summary[node.status] += 1;
+    });
     
     res.status(200).json({
       success: true,
+      summary,
       nodes: nodeStatus
     });
   } catch (error) {
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const nodeRegistry = require('../services/nodeRegistry');
+const { logger } = require('../utils/logger');
+
+/**
+ * @swagger
+ * /api/nodes:
+ *   post:
+ *     summary: Register an edge node
+ *     tags: [Nodes]
+ *     description: Register an edge node with its metadata, or update the metadata of an already registered node. Registering also counts as a heartbeat.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nodeId
+ *             properties:
+ *               nodeId:
+ *                 type: string
+ *                 description: ID of the edge node, as used in sensor readings
+ *               location:
+ *                 type: string
+ *                 description: Where the node is installed
+ *               firmwareVersion:
+ *                 type: string
+ *                 description: Firmware version running on the node
+ *               deviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the sensor devices attached to the node
+ *               metadata:
+ *                 type: object
+ *                 description: Additional metadata about the node
+ *     responses:
+ *       201:
+ *         description: Node registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EdgeNode'
+ *       400:
+ *         description: Invalid request data
+ *       500:
+ *         description: Server error
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { nodeId, location, firmwareVersion, deviceIds, metadata } = req.body;
+
+    if (!nodeId || typeof nodeId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'nodeId is required'
+      });
+    }
+
+    if (deviceIds !== undefined && (!Array.isArray(deviceIds) || !deviceIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'deviceIds must be an array of strings'
+      });
+    }
+
+    const node = await nodeRegistry.registerNode({ nodeId, location, firmwareVersion, deviceIds, metadata });
+
+    res.status(201).json({
+      success: true,
+      message: 'Edge node registered successfully',
+      data: node
+    });
+  } catch (error) {
+    logger.error('Error registering edge node:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register edge node',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/nodes/{nodeId}/heartbeat:
+ *   post:
+ *     summary: Record a heartbeat from an edge node
+ *     tags: [Nodes]
+ *     parameters:
+ *       - in: path
+ *         name: nodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Edge node ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metadata:
+ *                 type: object
+ *                 description: Metadata to merge into the node's metadata (e.g. battery level)
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded
+ *       404:
+ *         description: Node is not registered
+ *       500:
+ *         description: Server error
+ */
+router.post('/:nodeId/heartbeat', async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { metadata } = req.body || {};
+
+    const node = await nodeRegistry.recordHeartbeat(nodeId, metadata);
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: `Edge node ${nodeId} is not registered`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      nodeId: node.nodeId,
+      status: node.status,
+      lastHeartbeat: node.lastHeartbeat
+    });
+  } catch (error) {
+    logger.error(`Error recording heartbeat for node ${req.params.nodeId}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record heartbeat',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
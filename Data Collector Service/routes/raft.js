@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const raftCluster = require('../services/raftCluster');
+const { logger } = require('../utils/logger');
+
+/**
+ * Reject RAFT messages that do not carry the cluster's RAFT_AUTH_TOKEN
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ * @returns {void}
+ */
+const authenticatePeer = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !raftCluster.isAuthorized(token)) {
+    logger.warn('Rejected unauthenticated RAFT message', { from: req.body && req.body.from, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'A valid RAFT token is required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * @swagger
+ * /api/raft/message:
+ *   post:
+ *     summary: Deliver a RAFT message from a peer Data Collector instance
+ *     tags: [RAFT]
+ *     description: Internal endpoint used for vote requests, log replication, heartbeats, snapshots and forwarded proposals. Peers authenticate with RAFT_AUTH_TOKEN as a bearer token; without RAFT_AUTH_TOKEN every message is rejected.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 description: ID of the sending node
+ *               to:
+ *                 type: string
+ *                 description: ID of the receiving node
+ *               message:
+ *                 type: object
+ *                 description: The RAFT message (RequestVote, AppendEntries, InstallSnapshot or Propose)
+ *     responses:
+ *       200:
+ *         description: The receiving node's response
+ *       400:
+ *         description: Invalid message
+ *       401:
+ *         description: Missing or wrong RAFT token
+ *       503:
+ *         description: RAFT node is not running
+ */
+router.post('/message', authenticatePeer, async (req, res) => {
+  try {
+    const { to, message } = req.body;
+
+    if (!message || !message.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'A RAFT message with a type is required'
+      });
+    }
+
+    const response = await raftCluster.handleMessage(to, message);
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error('Error handling RAFT message:', error);
+    res.status(503).json({
+      success: false,
+      message: 'Failed to handle RAFT message',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/raft/status:
+ *   get:
+ *     summary: Get the state of the local RAFT node
+ *     tags: [RAFT]
+ *     responses:
+ *       200:
+ *         description: Role, term, leader and log positions of the local node
+ *       503:
+ *         description: RAFT node is not running
+ */
+router.get('/status', (req, res) => {
+  const status = raftCluster.getStatus();
+
+  if (!status) {
+    return res.status(503).json({
+      success: false,
+      message: 'RAFT node is not running'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    node: status
+  });
+});
+
+module.exports = router;
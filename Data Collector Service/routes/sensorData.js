@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { SensorData, ConsensusData } = require('../models/sensorData');
-const consensusUtil = require('../utils/consensus');
-const alertService = require('../services/alertService');
-const { logger } = require('../utils/logger');
+const { ConsensusData } = require('../models/sensorData');
+const ingestionService = require('../services/ingestionService');
+const wardPolicyService = require('../services/wardPolicyService');
+const sensorCatalog = require('../utils/sensorCatalog');
 const ewsHelper = require('../utils/ewsHelper');
-const ewsService = require('../services/ewsService');
+const { logger } = require('../utils/logger');
 
 /**
  * @swagger
@@ -20,6 +20,8 @@ const ewsService = require('../services/ewsService');
  *           schema:
  *             $ref: '#/components/schemas/SensorData'
  *     responses:
+ *       200:
+ *         description: A reading with the same readingId was already recorded for this node; nothing was stored
  *       201:
  *         description: Sensor data recorded successfully
  *         content:
@@ -34,17 +36,30 @@ const ewsService = require('../services/ewsService');
  *                 data:
  *                   $ref: '#/components/schemas/SensorData'
  *       400:
- *         description: Invalid request data
+ *         description: Invalid sensor data, with field-level errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationErrorResponse'
  *       500:
  *         description: Server error
  */
 router.post('/sensor', async (req, res) => {
   try {
-    const sensorData = new SensorData(req.body);
-    await sensorData.save();
+    const { reading: sensorData, duplicate } = await ingestionService.recordReading(req.body);
+    
+    // A retried reading was already stored and went through consensus
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: 'Sensor data was already recorded',
+        duplicate: true,
+        data: sensorData
+      });
+    }
     
     // Attempt to create consensus with existing data
-    await attemptConsensus(sensorData);
+    await ingestionService.attemptConsensus(sensorData);
     
     res.status(201).json({
       success: true,
@@ -52,6 +67,15 @@ router.post('/sensor', async (req, res) => {
       data: sensorData
     });
   } catch (error) {
+    const errors = ingestionService.getValidationErrors(error);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sensor data',
+        errors
+      });
+    }
+    
     logger.error('Error recording sensor data:', error);
     res.status(500).json({
       success: false,
@@ -67,6 +91,7 @@ router.post('/sensor', async (req, res) => {
  *   post:
  *     summary: Submit multiple sensor data readings at once
  *     tags: [Sensor Data]
+ *     description: Each reading is stored independently and gets its own result. Readings with a readingId that was already stored for their node are reported as duplicates, so a failed batch can be retried as a whole. Consensus runs once per patient and sensor type in the batch.
  *     requestBody:
  *       required: true
  *       content:
@@ -79,10 +104,56 @@ router.post('/sensor', async (req, res) => {
  *                 items:
  *                   $ref: '#/components/schemas/SensorData'
  *     responses:
+ *       200:
+ *         description: No new readings were stored, every reading was a duplicate or rejected
  *       201:
- *         description: Batch data recorded successfully
+ *         description: At least one reading was stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     accepted:
+ *                       type: number
+ *                     duplicate:
+ *                       type: number
+ *                     rejected:
+ *                       type: number
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: number
+ *                         description: Position of the reading in the request
+ *                       readingId:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [accepted, duplicate, rejected]
+ *                       id:
+ *                         type: string
+ *                         description: ID of the stored SensorData
+ *                       reason:
+ *                         type: string
+ *                         description: Why the reading was rejected
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                             message:
+ *                               type: string
  *       400:
- *         description: Invalid request data
+ *         description: Readings is not a non-empty array
  *       500:
  *         description: Server error
  */
@@ -97,22 +168,70 @@ router.post('/batch', async (req, res) => {
       });
     }
     
-    const savedData = [];
+    const results = [];
+    // Latest new reading per patient and sensor type, to run consensus once per group
+    const groups = new Map();
     
-    // Save each reading
-    for (const reading of readings) {
-      const sensorData = new SensorData(reading);
-      await sensorData.save();
-      savedData.push(sensorData);
+    for (const [index, item] of readings.entries()) {
+      const readingId = item && item.readingId;
       
-      // Try to reach consensus for each patient-sensor combo
-      await attemptConsensus(sensorData);
+      try {
+        const { reading, duplicate } = await ingestionService.recordReading(item);
+        
+        results.push({
+          index,
+          readingId,
+          status: duplicate ? 'duplicate' : 'accepted',
+          id: reading._id
+        });
+        
+        if (!duplicate) {
+          const key = `${reading.patientId}:${reading.sensorType}`;
+          const latest = groups.get(key);
+          if (!latest || reading.timestamp > latest.timestamp) {
+            groups.set(key, reading);
+          }
+        }
+      } catch (error) {
+        const errors = ingestionService.getValidationErrors(error);
+        if (errors.length === 0) {
+          logger.error(`Error recording reading ${index} of batch:`, error);
+        }
+        
+        results.push({
+          index,
+          readingId,
+          status: 'rejected',
+          reason: errors.length > 0 ? 'Invalid sensor data' : error.message,
+          errors
+        });
+      }
     }
     
-    res.status(201).json({
-      success: true,
-      message: `Successfully recorded ${savedData.length} readings`,
-      count: savedData.length
+    // One consensus round per group, then one EWS check per patient
+    const patientsWithConsensus = new Set();
+    for (const reading of groups.values()) {
+      const consensus = await ingestionService.attemptConsensus(reading, { triggerEWS: false });
+      if (consensus) {
+        patientsWithConsensus.add(reading.patientId);
+      }
+    }
+    
+    for (const patientId of patientsWithConsensus) {
+      await ingestionService.checkAndTriggerEWSCalculation(patientId);
+    }
+    
+    const summary = {
+      accepted: results.filter(result => result.status === 'accepted').length,
+      duplicate: results.filter(result => result.status === 'duplicate').length,
+      rejected: results.filter(result => result.status === 'rejected').length
+    };
+    
+    res.status(summary.accepted > 0 ? 201 : 200).json({
+      success: summary.rejected === 0,
+      message: `Recorded ${summary.accepted} of ${readings.length} readings (${summary.duplicate} duplicate, ${summary.rejected} rejected)`,
+      summary,
+      results
     });
   } catch (error) {
     logger.error('Error recording batch sensor data:', error);
@@ -124,6 +243,135 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/data/manual:
+ *   post:
+ *     summary: Record a vital sign observed by a clinician
+ *     tags: [Sensor Data]
+ *     description: For values observed by nurses rather than measured by edge nodes, such as AVPU consciousness or a counted respiratory rate. The value is stored as consensus data with the manual consensus method and the observer, and is then used for the EWS like any other vital sign.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patientId
+ *               - sensorType
+ *               - value
+ *               - observedBy
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *               sensorType:
+ *                 type: string
+ *                 description: Sensor type of the vital sign, see GET /api/data/sensor-types
+ *               value:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Observed value. Consciousness may be given on the AVPU scale (Alert, Voice, Pain, Unresponsive), oxygenTherapy as true or false
+ *               unit:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the value was observed (defaults to now)
+ *               observedBy:
+ *                 type: string
+ *                 description: ID or name of the clinician who observed the value
+ *               role:
+ *                 type: string
+ *                 enum: [RN, RM, NA, HCA, DR]
+ *                 description: Role of the observer (registered nurse, registered midwife, nursing associate, healthcare assistant or doctor)
+ *               notes:
+ *                 type: string
+ *           example:
+ *             patientId: "P12345"
+ *             sensorType: "consciousness"
+ *             value: "Voice"
+ *             observedBy: "nurse.jones"
+ *             role: "RN"
+ *     responses:
+ *       201:
+ *         description: Observation recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ConsensusData'
+ *       400:
+ *         description: Invalid observation, with field-level errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationErrorResponse'
+ *       500:
+ *         description: Server error
+ */
+router.post('/manual', async (req, res) => {
+  try {
+    const consensusData = await ingestionService.recordManualObservation(req.body);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Observation recorded successfully',
+      data: consensusData
+    });
+  } catch (error) {
+    const errors = ingestionService.getValidationErrors(error);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid observation',
+        errors
+      });
+    }
+    
+    logger.error('Error recording manual observation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record observation',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/data/sensor-types:
+ *   get:
+ *     summary: Get the catalog of accepted sensor types
+ *     tags: [Sensor Data]
+ *     description: Each sensor type with its canonical unit, the units that are converted to it and the plausible value range. Readings are stored in the canonical unit.
+ *     responses:
+ *       200:
+ *         description: Sensor type catalog
+ */
+router.get('/sensor-types', (req, res) => {
+  const sensorTypes = Object.keys(sensorCatalog.SENSOR_CATALOG).map(sensorType => {
+    const entry = sensorCatalog.SENSOR_CATALOG[sensorType];
+    return {
+      sensorType,
+      unit: entry.unit,
+      acceptedUnits: Object.keys(entry.units),
+      min: entry.min,
+      max: entry.max
+    };
+  });
+  
+  res.status(200).json({
+    success: true,
+    count: sensorTypes.length,
+    data: sensorTypes
+  });
+});
+
 /**
  * @swagger
  * /api/data/patient/{patientId}:
@@ -203,174 +451,128 @@ router.get('/patient/:patientId', async (req, res) => {
 });
 
 /**
- * Attempt to create consensus from recent sensor readings
- * @param {Object} newReading - The newly added sensor reading
+ * @swagger
+ * /api/data/patient/{patientId}/vitals:
+ *   get:
+ *     summary: Get the freshness of a patient's vital signs
+ *     tags: [Sensor Data]
+ *     description: Latest consensus value of each vital sign with its age. An EWS is only calculated while every required vital sign is fresh; stale or missing vital signs are reported to the Alert Engine as VITAL_SIGNS_MISSING.
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Vital sign status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 readyForEWS:
+ *                   type: boolean
+ *                   description: Whether every required vital sign is fresh
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       vital:
+ *                         type: string
+ *                       value:
+ *                         type: number
+ *                       consensusTimestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       ageMs:
+ *                         type: number
+ *                       maxAgeMs:
+ *                         type: number
+ *                       status:
+ *                         type: string
+ *                         enum: [fresh, stale, missing]
+ *       500:
+ *         description: Server error
  */
-async function attemptConsensus(newReading) {
+router.get('/patient/:patientId/vitals', async (req, res) => {
   try {
-    // Find recent readings for the same patient and sensor type
-    const timeWindow = new Date(newReading.timestamp);
-    timeWindow.setSeconds(timeWindow.getSeconds() - 300000); // Look at readings in the last 30 seconds
+    const { patientId } = req.params;
     
-    const recentReadings = await SensorData.find({
-      patientId: newReading.patientId,
-      sensorType: newReading.sensorType,
-      timestamp: { 
-        $gte: timeWindow,
-        $lte: new Date(newReading.timestamp.getTime() + 500000) // Allow readings up to 5 seconds after
-      }
-    }).sort({ timestamp: 1 });
+    const vitals = await ingestionService.getVitalSignStatus(patientId);
+    const readyForEWS = vitals
+      .filter(entry => ewsHelper.REQUIRED_VITAL_SIGNS.includes(entry.vital))
+      .every(entry => entry.status === 'fresh');
     
-    // Group readings by node to get the latest from each
-    const nodeReadings = {};
-    recentReadings.forEach(reading => {
-      nodeReadings[reading.nodeId] = {
-        nodeId: reading.nodeId,
-        value: reading.value,
-        timestamp: reading.timestamp
-      };
+    res.status(200).json({
+      success: true,
+      patientId,
+      readyForEWS,
+      data: vitals
     });
-    
-    // Convert to array of readings (one latest per node)
-    const readings = Object.values(nodeReadings);
-    
-    // Only attempt consensus if we have readings from multiple nodes
-    if (readings.length >= 3) {
-      // Determine consensus
-      const consensus = consensusUtil.determineConsensus(readings);
-      
-      // Save consensus data
-      const consensusData = new ConsensusData({
-        patientId: newReading.patientId,
-        sensorType: newReading.sensorType,
-        readings: readings,
-        consensusValue: consensus.consensusValue,
-        consensusTimestamp: consensus.consensusTimestamp,
-        validConsensus: consensus.validConsensus,
-        consensusMethod: consensus.consensusMethod
-      });
-      
-      await consensusData.save();
-      
-      // Check if an alert is needed
-      const alertInfo = consensusUtil.checkForAlert(consensusData);
-      
-      // Send alert if needed
-      if (alertInfo.requiresAlert) {
-        await alertService.processAlert(consensusData, alertInfo);
-      }
-      
-      logger.info(`Consensus reached for patient ${newReading.patientId}, sensor ${newReading.sensorType}`, {
-        validConsensus: consensus.validConsensus,
-        method: consensus.consensusMethod,
-        value: consensus.consensusValue
-      });
-      
-      // After saving consensus, check if we have all vital signs needed for EWS calculation
-      await checkAndTriggerEWSCalculation(newReading.patientId);
-    }
   } catch (error) {
-    logger.error('Error creating consensus:', error);
+    logger.error('Error fetching vital sign status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vital sign status',
+      error: error.message
+    });
   }
-}
+});
 
 /**
- * Check if all required vital signs for EWS calculation are available
- * and trigger EWS calculation if they are
- * @param {String} patientId - The patient's ID 
+ * @swagger
+ * /api/data/pending-ews:
+ *   get:
+ *     summary: List patients whose EWS is waiting for a manual AVPU entry
+ *     tags: [Sensor Data]
+ *     description: Patients whose other vital signs are ready but whose ward policy does not allow the EWS to be calculated without a current consciousness assessment.
+ *     parameters:
+ *       - in: query
+ *         name: ward
+ *         schema:
+ *           type: string
+ *         description: Only list patients on this ward
+ *     responses:
+ *       200:
+ *         description: Blocked patients, longest waiting first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PendingEWS'
+ *       500:
+ *         description: Server error
  */
-async function checkAndTriggerEWSCalculation(patientId) {
+router.get('/pending-ews', async (req, res) => {
   try {
-    // Find the most recent consensus data for each vital sign type for this patient
-    const latestConsensusData = await ConsensusData.aggregate([
-      // Match documents for this patient with valid consensus
-      { $match: { 
-        patientId: patientId,
-        validConsensus: true 
-      }},
-      // Sort by timestamp descending (newest first)
-      { $sort: { consensusTimestamp: -1 }},
-      // Group by sensorType, keeping only the most recent document for each
-      { $group: {
-        _id: '$sensorType',
-        consensusId: { $first: '$_id' },
-        sensorType: { $first: '$sensorType' },
-        consensusValue: { $first: '$consensusValue' },
-        consensusTimestamp: { $first: '$consensusTimestamp' },
-        nodeId: { $first: '$readings.nodeId' } // Get the first node ID from readings array
-      }},
-      // Sort results by timestamp to get the most recent ones first
-      { $sort: { consensusTimestamp: -1 }}
-    ]);
-    
-    // Check if we have consensus data older than 5 minutes (consider them outdated)
-    const fiveMinutesAgo = new Date(Date.now() - 50000 * 60 * 1000);
-    
-    // Convert the consensus data to a vital signs object
-    const vitalSigns = {};
-    let oldestTimestamp = new Date();
-    let sourceNodeId = null;
+    const pending = await wardPolicyService.getPendingPatients(req.query.ward);
     
-    latestConsensusData.forEach(consensus => {
-      // Map the sensor type to the EWS vital sign name
-      const ewsVitalName = ewsHelper.mapSensorTypeToEWS(consensus.sensorType);
-      
-      // Skip if this timestamp is too old
-      if (new Date(consensus.consensusTimestamp) < fiveMinutesAgo) {
-        logger.info(`Skipping outdated vital sign ${ewsVitalName} for patient ${patientId}`, {
-          consensusTimestamp: consensus.consensusTimestamp,
-          currentTime: new Date()
-        });
-        return;
-      }
-      
-      // Add to vital signs object
-      vitalSigns[ewsVitalName] = consensus.consensusValue;
-      
-      // Track the oldest timestamp to use for the EWS calculation
-      if (new Date(consensus.consensusTimestamp) < oldestTimestamp) {
-        oldestTimestamp = new Date(consensus.consensusTimestamp);
-      }
-      
-      // Use the first node ID we find as the source
-      if (!sourceNodeId && consensus.nodeId) {
-        sourceNodeId = Array.isArray(consensus.nodeId) ? consensus.nodeId[0] : consensus.nodeId;
-      }
+    res.status(200).json({
+      success: true,
+      count: pending.length,
+      data: pending
     });
-
-    // After the loop that processes all vital signs:
-    if (vitalSigns.consciousness !== undefined) {
-      vitalSigns.consciousness = ewsHelper.mapConsciousnessValue(vitalSigns.consciousness);
-    }
-    
-    // If consciousness is missing but we have other vital signs, set a default of "Alert"
-    // (this is optional and depends on your requirements)
-    if (!vitalSigns.consciousness && Object.keys(vitalSigns).length > 0) {
-      vitalSigns.consciousness = "Alert";
-      logger.info(`Using default consciousness value "Alert" for patient ${patientId}`);
-    }
-    
-    // Check if we have all required vital signs
-    if (ewsHelper.hasAllRequiredVitalSigns(vitalSigns)) {
-      logger.info(`All required vital signs available for patient ${patientId}, calculating EWS`, {
-        vitalSigns: Object.keys(vitalSigns)
-      });
-      
-      // Use the first node ID we found, or a default if none is available
-      const nodeId = sourceNodeId || 'data-collector-node';
-      
-      // Call the EWS service to calculate the score
-      await ewsService.calculateEWS(vitalSigns, patientId, nodeId);
-    } else {
-      const missing = ewsHelper.REQUIRED_VITAL_SIGNS.filter(vital => !vitalSigns[vital]);
-      logger.debug(`Not all vital signs available for patient ${patientId}, missing: ${missing.join(', ')}`);
-    }
   } catch (error) {
-    logger.error(`Error checking vital signs for EWS calculation: ${error.message}`, {
-      patientId,
-      error: error.stack
+    logger.error('Error fetching patients waiting for an AVPU entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pending EWS calculations',
+      error: error.message
     });
   }
-}
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { WardPolicy } = require('../models/ward');
+const wardPolicyService = require('../services/wardPolicyService');
+const { logger } = require('../utils/logger');
+
+/**
+ * @swagger
+ * /api/wards/{ward}/policy:
+ *   get:
+ *     summary: Get the consciousness policy of a ward
+ *     tags: [Wards]
+ *     parameters:
+ *       - in: path
+ *         name: ward
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the ward
+ *     responses:
+ *       200:
+ *         description: The ward's policy, or the default policy if the ward has none
+ *       500:
+ *         description: Server error
+ */
+router.get('/:ward/policy', async (req, res) => {
+  try {
+    const { ward } = req.params;
+
+    const policy = await WardPolicy.findOne({ ward });
+
+    res.status(200).json({
+      success: true,
+      source: policy ? 'ward' : 'default',
+      policy: policy || { ...wardPolicyService.DEFAULT_POLICY, ward }
+    });
+  } catch (error) {
+    logger.error(`Error fetching policy of ward ${req.params.ward}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ward policy',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards/{ward}/policy:
+ *   put:
+ *     summary: Set the consciousness policy of a ward
+ *     tags: [Wards]
+ *     description: Decide what happens when a patient on the ward has no current AVPU value. Any EWS calculated with an imputed value is flagged as such.
+ *     parameters:
+ *       - in: path
+ *         name: ward
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the ward
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - consciousnessPolicy
+ *             properties:
+ *               consciousnessPolicy:
+ *                 type: string
+ *                 enum: [default, require, lastKnown]
+ *               defaultConsciousness:
+ *                 type: string
+ *                 enum: [Alert, Voice, Pain, Unresponsive]
+ *               lastKnownMaxAgeMs:
+ *                 type: number
+ *               updatedBy:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Policy stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 policy:
+ *                   $ref: '#/components/schemas/WardPolicy'
+ *       400:
+ *         description: Invalid policy
+ *       500:
+ *         description: Server error
+ */
+router.put('/:ward/policy', async (req, res) => {
+  try {
+    const { ward } = req.params;
+    const { consciousnessPolicy, defaultConsciousness, lastKnownMaxAgeMs, updatedBy } = req.body;
+
+    const errors = wardPolicyService.validatePolicy({ consciousnessPolicy, defaultConsciousness, lastKnownMaxAgeMs });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ward policy',
+        errors
+      });
+    }
+
+    const policy = await wardPolicyService.setWardPolicy(ward, {
+      consciousnessPolicy,
+      defaultConsciousness,
+      lastKnownMaxAgeMs,
+      updatedBy
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ward policy updated',
+      policy
+    });
+  } catch (error) {
+    logger.error(`Error updating policy of ward ${req.params.ward}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ward policy',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards/{ward}/patients/{patientId}:
+ *   put:
+ *     summary: Assign a patient to a ward
+ *     tags: [Wards]
+ *     description: The ward's policy applies to the patient from now on. A patient is on one ward at a time.
+ *     parameters:
+ *       - in: path
+ *         name: ward
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the ward
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Patient assigned
+ *       500:
+ *         description: Server error
+ */
+router.put('/:ward/patients/:patientId', async (req, res) => {
+  try {
+    const { ward, patientId } = req.params;
+
+    const assignment = await wardPolicyService.assignPatient(patientId, ward);
+
+    res.status(200).json({
+      success: true,
+      patientId: assignment.patientId,
+      ward: assignment.ward
+    });
+  } catch (error) {
+    logger.error(`Error assigning patient ${req.params.patientId} to ward ${req.params.ward}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign patient to ward',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,12 @@ const dotenv = require('dotenv');
 const sensorDataRoutes = require('./routes/sensorData');
 const consensusRoutes = require('./routes/consensus');
 const healthRoutes = require('./routes/health');
+const raftRoutes = require('./routes/raft');
+const nodeRoutes = require('./routes/nodes');
+const wardRoutes = require('./routes/wards');
+const raftCluster = require('./services/raftCluster');
+const nodeRegistry = require('./services/nodeRegistry');
+const streamingServer = require('./services/streamingServer');
 
 // Load environment variables
 dotenv.config();
@@ -56,6 +62,9 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 app.use('/api/data', sensorDataRoutes);
 app.use('/api/consensus', consensusRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/raft', raftRoutes);
+app.use('/api/nodes', nodeRoutes);
+app.use('/api/wards', wardRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -67,9 +76,18 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
+  
+  // Join the RAFT cluster once we can receive messages from peers
+  raftCluster.start();
+  
+  // Watch edge node heartbeats
+  nodeRegistry.startMonitoring();
 });
 
+// Accept streamed readings from edge nodes on the same port
+streamingServer.createStreamingServer({ server });
+
 module.exports = app;
\ No newline at end of file
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 
@@ -10,17 +11,28 @@ const EWS_SERVICE_URL = process.env.EWS_SERVICE_URL || 'http://localhost:3002/ap
  * @param {Object} vitalSigns - The vital signs data to send
  * @param {String} patientId - The patient's ID
  * @param {String} nodeId - The node that collected the data
+ * @param {Object} details - Provenance of the vital signs
+ * @param {Object} details.vitalSignAges - Age in milliseconds of each vital sign
+ * @param {Array} details.imputedVitals - Vital signs that were not measured but filled in by policy
+ * @param {String} details.ward - Ward of the patient, which may choose the scoring model
  * @returns {Promise} - Promise resolving to the EWS calculation response
  */
-const calculateEWS = async (vitalSigns, patientId, nodeId) => {
+const calculateEWS = async (vitalSigns, patientId, nodeId, details = {}) => {
+  const { vitalSignAges = {}, imputedVitals = [], ward } = details;
+  
   try {
     const payload = {
       patientId,
       nodeId,
       vitalSigns,
+      imputedVitals,
       timestamp: new Date(),
-      metadata: { source: 'data-collector-service' }
+      metadata: { source: 'data-collector-service', vitalSignAges }
     };
+    
+    if (ward) {
+      payload.ward = ward;
+    }
 
     logger.info(`Sending vital signs to EWS service for patient ${patientId}`, { 
       patientId, 
@@ -28,10 +40,15 @@ const calculateEWS = async (vitalSigns, patientId, nodeId) => {
       vitalSignTypes: Object.keys(vitalSigns)
     });
 
-    const response = await axios.post(EWS_SERVICE_URL, payload);
+    // The EWS Service puts it on the events and alerts of this calculation
+    const correlationId = crypto.randomUUID();
+    const response = await axios.post(EWS_SERVICE_URL, payload, {
+      headers: { 'X-Correlation-ID': correlationId }
+    });
     
     logger.info(`EWS calculation successful for patient ${patientId}`, {
       patientId,
+      correlationId,
       totalScore: response.data.totalScore,
       clinicalRisk: response.data.clinicalRisk
     });
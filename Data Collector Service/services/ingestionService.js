@@ -0,0 +1,652 @@
+const { SensorData, ConsensusData } = require('../models/sensorData');
+const consensusUtil = require('../utils/consensus');
+const raftCluster = require('./raftCluster');
+const thresholdService = require('./thresholdService');
+const nodeRegistry = require('./nodeRegistry');
+const reliabilityService = require('./reliabilityService');
+const alertService = require('./alertService');
+const ewsService = require('./ewsService');
+const wardPolicyService = require('./wardPolicyService');
+const { logger } = require('../utils/logger');
+const ewsHelper = require('../utils/ewsHelper');
+const sensorCatalog = require('../utils/sensorCatalog');
+
+// Readings from other nodes taken up to this long before (or after) a new
+// reading are considered measurements of the same value
+const CONSENSUS_LOOKBACK_MS = parseInt(process.env.CONSENSUS_LOOKBACK_MS) || 30000;
+const CONSENSUS_LOOKAHEAD_MS = parseInt(process.env.CONSENSUS_LOOKAHEAD_MS) || 5000;
+
+// Fewest node readings that make a consensus; a single reading never does
+const MIN_QUORUM = 2;
+
+// Node ID recorded for values entered by clinicians
+const MANUAL_NODE_ID = 'manual';
+
+// Roles of clinicians who may enter observations: registered nurse, registered
+// midwife, nursing associate, healthcare assistant and doctor
+const CLINICIAN_ROLES = ['RN', 'RM', 'NA', 'HCA', 'DR'];
+
+// Minimum time between two stale vital sign signals for the same situation
+const VITAL_SIGNAL_INTERVAL_MS = parseInt(process.env.VITAL_SIGNAL_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Patients whose last stale vital sign signal is remembered at most
+const VITAL_SIGNAL_CACHE_SIZE = parseInt(process.env.VITAL_SIGNAL_CACHE_SIZE) || 10000;
+
+// Last stale vital sign signal per patient, oldest first, see signalUnusableVitalSigns
+const lastVitalSignals = new Map();
+
+// Consensus rounds queued per patient and sensor type, see scheduleConsensus
+const pendingConsensus = new Map();
+
+/**
+ * Validate and store a sensor reading
+ * The value is converted to the canonical unit of its sensor type first.
+ * A reading whose readingId was already stored for the same node is not
+ * stored again; the existing reading is returned instead.
+ * @param {Object} data - Sensor reading as sent by an edge node
+ * @returns {Promise<Object>} The SensorData document and whether it was a duplicate
+ * @throws {Error} ValidationError with field-level errors if the reading is invalid
+ */
+const recordReading = async (data) => {
+  const { errors, reading } = sensorCatalog.normalizeReading(data);
+
+  if (errors.length > 0) {
+    const error = new Error('Invalid sensor data');
+    error.name = 'ValidationError';
+    error.errors = errors;
+    throw error;
+  }
+
+  try {
+    const sensorData = new SensorData(reading);
+    await sensorData.save();
+    return { reading: sensorData, duplicate: false };
+  } catch (error) {
+    // Duplicate readingId: the node is retrying a reading we already have
+    if (error.code === 11000 && reading.readingId) {
+      const existing = await SensorData.findOne({ nodeId: reading.nodeId, readingId: reading.readingId });
+      if (existing) {
+        return { reading: existing, duplicate: true };
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the field-level errors of a rejected reading
+ * Handles both catalog validation errors and Mongoose validation errors.
+ * @param {Error} error - Error thrown while recording the reading
+ * @returns {Array} Field errors, empty if the error is not a validation error
+ */
+const getValidationErrors = (error) => {
+  if (error.name !== 'ValidationError' || !error.errors) {
+    return [];
+  }
+
+  if (Array.isArray(error.errors)) {
+    return error.errors;
+  }
+
+  return Object.values(error.errors).map(fieldError => ({
+    field: fieldError.path,
+    message: fieldError.message
+  }));
+};
+
+/**
+ * Get the time of the latest reading of each node that an earlier consensus
+ * of the window already used
+ * Each reading takes part in one consensus only, so the nodes reporting
+ * after a consensus was reached do not produce a second one for the same
+ * window, and no node is scored twice for the same reading. Rounds that
+ * instances start at the same time are settled by the RAFT log order, see
+ * raftCluster.applyEntry.
+ * @param {String} patientId - The patient's ID
+ * @param {String} sensorType - Sensor type of the readings
+ * @param {Date} windowStart - Start of the consensus window
+ * @returns {Promise<Object>} Timestamp in milliseconds per node ID
+ */
+const getConsumedUntil = async (patientId, sensorType, windowStart) => {
+  const earlier = await ConsensusData.find({
+    patientId,
+    sensorType,
+    'readings.timestamp': { $gte: windowStart }
+  }, { readings: 1 }).lean();
+  
+  const consumedUntil = {};
+  earlier.forEach(consensus => {
+    consensus.readings.forEach(reading => {
+      const time = new Date(reading.timestamp).getTime();
+      if (consumedUntil[reading.nodeId] === undefined || time > consumedUntil[reading.nodeId]) {
+        consumedUntil[reading.nodeId] = time;
+      }
+    });
+  });
+  
+  return consumedUntil;
+};
+
+/**
+ * Attempt to create consensus from recent sensor readings
+ * @param {Object} newReading - The newly added sensor reading
+ * @param {Object} options - Consensus options
+ * @param {Boolean} options.triggerEWS - Check for an EWS calculation after consensus (default true)
+ * @returns {Promise<Object|null>} The stored consensus, or null if no consensus was reached
+ */
+const attemptConsensus = async (newReading, options = {}) => {
+  const { triggerEWS = true } = options;
+  
+  try {
+    // Find recent readings for the same patient and sensor type
+    const readingTime = new Date(newReading.timestamp).getTime();
+    const windowStart = new Date(readingTime - CONSENSUS_LOOKBACK_MS);
+    
+    const recentReadings = await SensorData.find({
+      patientId: newReading.patientId,
+      sensorType: newReading.sensorType,
+      timestamp: { 
+        $gte: windowStart,
+        $lte: new Date(readingTime + CONSENSUS_LOOKAHEAD_MS)
+      }
+    }).sort({ timestamp: 1 });
+    
+    // Readings that already took part in a consensus do not count again
+    const consumedUntil = await getConsumedUntil(newReading.patientId, newReading.sensorType, windowStart);
+    
+    // Group readings by node to get the latest from each
+    const nodeReadings = {};
+    recentReadings.forEach(reading => {
+      const consumed = consumedUntil[reading.nodeId];
+      if (consumed !== undefined && new Date(reading.timestamp).getTime() <= consumed) {
+        return;
+      }
+      
+      nodeReadings[reading.nodeId] = {
+        nodeId: reading.nodeId,
+        value: reading.value,
+        timestamp: reading.timestamp
+      };
+    });
+    
+    // Convert to array of readings (one latest per node)
+    const readings = Object.values(nodeReadings);
+    
+    // Only attempt consensus once a majority of the nodes monitoring the patient has reported
+    const expectedNodes = await nodeRegistry.getExpectedNodeCount(
+      newReading.patientId,
+      newReading.sensorType,
+      newReading.timestamp
+    );
+    const quorum = Math.max(MIN_QUORUM, Math.floor(expectedNodes / 2) + 1);
+    
+    if (readings.length >= quorum) {
+      // Weight each node's vote by its reliability; quarantined nodes do not vote
+      const { weights, quarantined } = await reliabilityService.getVotingWeights(
+        readings.map(reading => reading.nodeId),
+        newReading.sensorType
+      );
+      readings.forEach(reading => {
+        reading.weight = weights[reading.nodeId];
+      });
+      
+      let votingReadings = readings.filter(reading => !quarantined.includes(reading.nodeId));
+      if (votingReadings.length < quorum) {
+        logger.warn(`Too few trusted nodes for ${newReading.sensorType} consensus, including quarantined nodes`, {
+          patientId: newReading.patientId,
+          quarantined
+        });
+        votingReadings = readings;
+      }
+      
+      // Determine consensus using the thresholds configured for this patient and sensor
+      const thresholds = await thresholdService.resolveThresholds(newReading.patientId, newReading.sensorType);
+      const consensus = consensusUtil.determineConsensus(votingReadings, {
+        sensorType: newReading.sensorType,
+        timestampThreshold: thresholds.timestampThreshold,
+        valueThreshold: thresholds.valueThreshold,
+        valueTolerance: thresholds.valueTolerance,
+        weights
+      });
+      
+      const rejectedReadings = consensus.rejectedReadings.concat(
+        readings
+          .filter(reading => !votingReadings.includes(reading))
+          .map(reading => ({
+            nodeId: reading.nodeId,
+            value: reading.value,
+            deviation: reading.value - consensus.consensusValue,
+            reason: 'quarantined'
+          }))
+      );
+      
+      // Replicate the consensus record; it is stored once a quorum of nodes accepted it
+      const consensusData = await raftCluster.commitConsensus({
+        patientId: newReading.patientId,
+        sensorType: newReading.sensorType,
+        readings: readings,
+        consensusValue: consensus.consensusValue,
+        consensusTimestamp: consensus.consensusTimestamp,
+        validConsensus: consensus.validConsensus,
+        consensusMethod: consensus.consensusMethod,
+        rejectedReadings,
+        thresholds
+      });
+      
+      // A round of another instance over the same readings came first in the log
+      if (!consensusData) {
+        logger.info(`Consensus for patient ${newReading.patientId}, sensor ${newReading.sensorType} was already reached`);
+        return null;
+      }
+      
+      // Score every node against the result, quarantined ones included
+      await reliabilityService.recordRound({
+        sensorType: newReading.sensorType,
+        readings,
+        consensusValue: consensus.consensusValue,
+        validConsensus: consensus.validConsensus,
+        consensusMethod: consensus.consensusMethod,
+        rejectedReadings,
+        tolerance: consensusUtil.getValueTolerance({
+          sensorType: newReading.sensorType,
+          valueTolerance: thresholds.valueTolerance
+        })
+      }).catch(error => {
+        logger.error(`Error updating node reliability for ${newReading.sensorType}:`, error);
+      });
+      
+      // Check if an alert is needed
+      const alertInfo = consensusUtil.checkForAlert(consensusData);
+      
+      // Send alert if needed
+      if (alertInfo.requiresAlert) {
+        await alertService.processAlert(consensusData, alertInfo);
+      }
+      
+      logger.info(`Consensus reached for patient ${newReading.patientId}, sensor ${newReading.sensorType}`, {
+        validConsensus: consensus.validConsensus,
+        method: consensus.consensusMethod,
+        value: consensus.consensusValue,
+        thresholdVersion: thresholds.version,
+        rejectedNodes: rejectedReadings.map(reading => reading.nodeId),
+        readings: readings.length,
+        expectedNodes
+      });
+      
+      // After saving consensus, check if we have all vital signs needed for EWS calculation
+      if (triggerEWS) {
+        await checkAndTriggerEWSCalculation(newReading.patientId);
+      }
+      
+      return consensusData;
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error('Error creating consensus:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the latest consensus value of each vital sign of a patient and whether
+ * it is still fresh enough for an EWS calculation
+ * @param {String} patientId - The patient's ID
+ * @param {Date} now - Reference time for the ages
+ * @returns {Promise<Array>} One entry per vital sign, required vital signs first
+ */
+const getVitalSignStatus = async (patientId, now = new Date()) => {
+  // Find the most recent consensus data for each vital sign type for this patient
+  const latestConsensusData = await ConsensusData.aggregate([
+    // Match documents for this patient with valid consensus
+    { $match: { 
+      patientId: patientId,
+      validConsensus: true 
+    }},
+    // Sort by timestamp descending (newest first)
+    { $sort: { consensusTimestamp: -1 }},
+    // Group by sensorType, keeping only the most recent document for each
+    { $group: {
+      _id: '$sensorType',
+      consensusId: { $first: '$_id' },
+      sensorType: { $first: '$sensorType' },
+      consensusValue: { $first: '$consensusValue' },
+      consensusTimestamp: { $first: '$consensusTimestamp' },
+      nodeId: { $first: '$readings.nodeId' } // Get the first node ID from readings array
+    }}
+  ]);
+  
+  const byVital = {};
+  latestConsensusData.forEach(consensus => {
+    const vital = ewsHelper.mapSensorTypeToEWS(consensus.sensorType);
+    const ageMs = now.getTime() - new Date(consensus.consensusTimestamp).getTime();
+    const maxAgeMs = ewsHelper.getFreshnessWindow(vital);
+    
+    byVital[vital] = {
+      vital,
+      sensorType: consensus.sensorType,
+      value: consensus.consensusValue,
+      consensusTimestamp: consensus.consensusTimestamp,
+      ageMs,
+      maxAgeMs,
+      status: ageMs > maxAgeMs ? 'stale' : 'fresh',
+      nodeId: Array.isArray(consensus.nodeId) ? consensus.nodeId[0] : consensus.nodeId
+    };
+  });
+  
+  const required = ewsHelper.REQUIRED_VITAL_SIGNS.map(vital => byVital[vital] || {
+    vital,
+    value: null,
+    consensusTimestamp: null,
+    ageMs: null,
+    maxAgeMs: ewsHelper.getFreshnessWindow(vital),
+    status: 'missing'
+  });
+  const others = Object.values(byVital).filter(entry => !ewsHelper.REQUIRED_VITAL_SIGNS.includes(entry.vital));
+  
+  return required.concat(others);
+};
+
+/**
+ * Forget stale vital sign signals that no longer suppress a repeat
+ * Signals older than VITAL_SIGNAL_INTERVAL_MS are dropped, and the oldest
+ * ones once more than VITAL_SIGNAL_CACHE_SIZE patients are remembered.
+ */
+const evictVitalSignals = () => {
+  const expired = Date.now() - VITAL_SIGNAL_INTERVAL_MS;
+  
+  for (const [patientId, signal] of lastVitalSignals) {
+    if (signal.sentAt > expired && lastVitalSignals.size <= VITAL_SIGNAL_CACHE_SIZE) {
+      break;
+    }
+    lastVitalSignals.delete(patientId);
+  }
+};
+
+/**
+ * Tell clinicians that an EWS could not be calculated because vital signs are
+ * stale or missing. The same situation is reported at most once per interval.
+ * @param {String} patientId - The patient's ID
+ * @param {Array} staleVitals - Vital sign status entries that are too old
+ * @param {Array} missingVitals - Vital sign status entries that were never recorded
+ * @returns {Promise} Promise resolving when the signal is sent or skipped
+ */
+const signalUnusableVitalSigns = async (patientId, staleVitals, missingVitals) => {
+  const signature = staleVitals.concat(missingVitals).map(entry => `${entry.vital}:${entry.status}`).sort().join(',');
+  const previous = lastVitalSignals.get(patientId);
+  
+  if (previous && previous.signature === signature && Date.now() - previous.sentAt < VITAL_SIGNAL_INTERVAL_MS) {
+    return;
+  }
+  lastVitalSignals.delete(patientId);
+  lastVitalSignals.set(patientId, { signature, sentAt: Date.now() });
+  evictVitalSignals();
+  
+  const describe = entry => entry.status === 'stale'
+    ? `${entry.vital} (last recorded ${Math.round(entry.ageMs / 60000)} min ago, limit ${Math.round(entry.maxAgeMs / 60000)} min)`
+    : `${entry.vital} (never recorded)`;
+  
+  try {
+    await alertService.sendAlert({
+      patientId,
+      sourceService: 'data-collector-service',
+      alertType: 'VITAL_SIGNS_MISSING',
+      alertSeverity: 'MEDIUM',
+      message: `EWS not calculated for patient ${patientId}: stale or missing ${staleVitals.concat(missingVitals).map(describe).join(', ')}`,
+      timestamp: new Date(),
+      sensorData: {
+        staleVitals: staleVitals.map(entry => ({
+          vital: entry.vital,
+          consensusTimestamp: entry.consensusTimestamp,
+          ageMs: entry.ageMs,
+          maxAgeMs: entry.maxAgeMs
+        })),
+        missingVitals: missingVitals.map(entry => entry.vital)
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to signal stale vital signs for patient ${patientId}: ${error.message}`);
+  }
+};
+
+/**
+ * Check if all required vital signs for EWS calculation are available
+ * and trigger EWS calculation if they are
+ * @param {String} patientId - The patient's ID 
+ */
+const checkAndTriggerEWSCalculation = async (patientId) => {
+  try {
+    const vitals = await getVitalSignStatus(patientId);
+    
+    // Convert the fresh consensus data to a vital signs object
+    const vitalSigns = {};
+    const vitalSignAges = {};
+    let sourceNodeId = null;
+    
+    vitals.filter(entry => entry.status === 'fresh').forEach(entry => {
+      vitalSigns[entry.vital] = entry.value;
+      vitalSignAges[entry.vital] = entry.ageMs;
+      
+      // Use the first node ID we find as the source
+      if (!sourceNodeId && entry.nodeId) {
+        sourceNodeId = entry.nodeId;
+      }
+    });
+
+    // A consciousness value that is not on the AVPU scale counts as missing
+    if (vitalSigns.consciousness !== undefined) {
+      vitalSigns.consciousness = ewsHelper.mapConsciousnessValue(vitalSigns.consciousness);
+      if (!vitalSigns.consciousness) {
+        logger.warn(`Ignoring invalid consciousness value for patient ${patientId}`);
+        delete vitalSigns.consciousness;
+        delete vitalSignAges.consciousness;
+      }
+    }
+    
+    // Oxygen status is optional; without a current value NEWS2 scores the patient as on air
+    if (vitalSigns.supplementalOxygen !== undefined) {
+      vitalSigns.supplementalOxygen = vitalSigns.supplementalOxygen === 1;
+    }
+    
+    // Without a current AVPU value the ward policy decides: impute a value or wait for a manual entry
+    const imputedVitals = [];
+    let blockedBy = null;
+    if (vitalSigns.consciousness === undefined) {
+      const consciousnessEntry = vitals.find(entry => entry.vital === 'consciousness');
+      const resolution = await wardPolicyService.resolveConsciousness(patientId, consciousnessEntry);
+      
+      if (resolution.blocked) {
+        blockedBy = resolution.policy;
+      } else {
+        vitalSigns.consciousness = resolution.value;
+        imputedVitals.push(resolution.imputed);
+        if (resolution.imputed.ageMs !== undefined) {
+          vitalSignAges.consciousness = resolution.imputed.ageMs;
+        }
+      }
+    }
+    
+    // A stale vital sign would make the score describe a patient state that no longer exists
+    const staleVitals = vitals.filter(entry => entry.status === 'stale' &&
+      ewsHelper.REQUIRED_VITAL_SIGNS.includes(entry.vital) && vitalSigns[entry.vital] === undefined);
+    
+    if (staleVitals.some(entry => entry.vital !== 'consciousness')) {
+      const missingVitals = vitals.filter(entry => entry.status === 'missing' && vitalSigns[entry.vital] === undefined);
+      logger.warn(`Skipping EWS calculation for patient ${patientId}, stale vital signs: ${staleVitals.map(entry => entry.vital).join(', ')}`);
+      await signalUnusableVitalSigns(patientId, staleVitals, missingVitals);
+      return;
+    }
+    
+    const missing = ewsHelper.REQUIRED_VITAL_SIGNS.filter(vital => vitalSigns[vital] === undefined);
+    
+    // Everything but the AVPU value is ready: wait for a clinician to enter it
+    if (blockedBy && missing.length === 1) {
+      logger.info(`EWS for patient ${patientId} is waiting for a manual consciousness assessment`, {
+        ward: blockedBy.ward,
+        policy: blockedBy.consciousnessPolicy
+      });
+      await wardPolicyService.markPending(patientId, blockedBy, Object.keys(vitalSigns));
+      return;
+    }
+    
+    // Check if we have all required vital signs
+    if (ewsHelper.hasAllRequiredVitalSigns(vitalSigns)) {
+      logger.info(`All required vital signs available for patient ${patientId}, calculating EWS`, {
+        vitalSigns: Object.keys(vitalSigns),
+        vitalSignAges,
+        imputedVitals: imputedVitals.map(imputed => `${imputed.vital} (${imputed.method})`)
+      });
+      
+      // Use the first node ID we found, or a default if none is available
+      const nodeId = sourceNodeId || 'data-collector-node';
+      
+      // The patient's ward may use its own scoring model
+      const { ward } = await wardPolicyService.getPolicyForPatient(patientId);
+      
+      // Call the EWS service to calculate the score
+      await ewsService.calculateEWS(vitalSigns, patientId, nodeId, { vitalSignAges, imputedVitals, ward });
+      lastVitalSignals.delete(patientId);
+      await wardPolicyService.clearPending(patientId);
+    } else {
+      logger.debug(`Not all vital signs available for patient ${patientId}, missing: ${missing.join(', ')}`);
+    }
+  } catch (error) {
+    logger.error(`Error checking vital signs for EWS calculation: ${error.message}`, {
+      patientId,
+      error: error.stack
+    });
+  }
+};
+
+/**
+ * Record a vital sign observed by a clinician
+ * The value is committed directly as a ConsensusData record with the manual
+ * consensus method, since there are no node readings to agree on, and then
+ * takes part in the EWS check like any other vital sign.
+ * @param {Object} data - patientId, sensorType, value, unit, timestamp, observedBy, role, notes
+ * @returns {Promise<Object>} The stored ConsensusData document
+ * @throws {Error} ValidationError with field-level errors if the observation is invalid
+ */
+const recordManualObservation = async (data) => {
+  const { patientId, sensorType, unit, observedBy, role, notes } = data || {};
+  const timestamp = data && data.timestamp !== undefined ? data.timestamp : new Date();
+  let value = data ? data.value : undefined;
+  
+  // Clinicians record consciousness on the AVPU scale; it is stored as its numeric value
+  if (sensorType === 'consciousness' && typeof value === 'string') {
+    const numeric = ewsHelper.consciousnessToNumber(value);
+    value = numeric === null ? value : numeric;
+  }
+  
+  // Oxygen status may be entered as true/false
+  if (sensorType === 'oxygenTherapy' && typeof value === 'boolean') {
+    value = value ? 1 : 0;
+  }
+  
+  const { errors, reading } = sensorCatalog.normalizeReading({
+    patientId,
+    sensorType,
+    value,
+    unit,
+    timestamp,
+    nodeId: MANUAL_NODE_ID
+  });
+  
+  if (typeof observedBy !== 'string' || observedBy.trim() === '') {
+    errors.push({ field: 'observedBy', message: 'observedBy is required' });
+  }
+  
+  if (role !== undefined && !CLINICIAN_ROLES.includes(role)) {
+    errors.push({ field: 'role', message: `role must be one of: ${CLINICIAN_ROLES.join(', ')}` });
+  }
+  
+  if (errors.length > 0) {
+    const error = new Error('Invalid observation');
+    error.name = 'ValidationError';
+    error.errors = errors;
+    throw error;
+  }
+  
+  const observedAt = new Date(reading.timestamp);
+  
+  const consensusData = await raftCluster.commitConsensus({
+    patientId,
+    sensorType,
+    readings: [{ nodeId: MANUAL_NODE_ID, value: reading.value, timestamp: observedAt }],
+    consensusValue: reading.value,
+    consensusTimestamp: observedAt,
+    validConsensus: true,
+    consensusMethod: 'manual',
+    rejectedReadings: [],
+    observation: {
+      observedBy,
+      role,
+      notes,
+      originalValue: data.value,
+      originalUnit: reading.metadata.originalUnit
+    }
+  });
+  
+  logger.info(`Manual ${sensorType} observation recorded for patient ${patientId}`, {
+    observedBy,
+    value: reading.value
+  });
+  
+  const alertInfo = consensusUtil.checkForAlert(consensusData);
+  if (alertInfo.requiresAlert) {
+    try {
+      await alertService.processAlert(consensusData, alertInfo);
+    } catch (error) {
+      logger.error(`Error sending alert for manual observation: ${error.message}`);
+    }
+  }
+  
+  await checkAndTriggerEWSCalculation(patientId);
+  
+  return consensusData;
+};
+
+/**
+ * Run a consensus round for a reading without waiting for it
+ * Rounds for the same patient and sensor type are coalesced: while one is
+ * running, further readings only queue a single follow-up round for the
+ * latest reading, so a stream of readings does not run one round each.
+ * @param {Object} reading - The newly stored sensor reading
+ */
+const scheduleConsensus = (reading) => {
+  const key = `${reading.patientId}:${reading.sensorType}`;
+  const pending = pendingConsensus.get(key);
+
+  if (pending) {
+    pending.next = reading;
+    return;
+  }
+
+  const state = { next: null };
+  pendingConsensus.set(key, state);
+
+  const run = async (current) => {
+    await attemptConsensus(current);
+
+    if (state.next) {
+      const next = state.next;
+      state.next = null;
+      return run(next);
+    }
+
+    pendingConsensus.delete(key);
+  };
+
+  run(reading);
+};
+
+module.exports = {
+  CLINICIAN_ROLES,
+  recordReading,
+  getValidationErrors,
+  attemptConsensus,
+  recordManualObservation,
+  scheduleConsensus,
+  getVitalSignStatus,
+  checkAndTriggerEWSCalculation
+};
@@ -0,0 +1,242 @@
+const { EdgeNode } = require('../models/edgeNode');
+const { SensorData } = require('../models/sensorData');
+const alertService = require('./alertService');
+const { logger } = require('../utils/logger');
+
+// Silence (in milliseconds) after which a node is considered stale or offline
+const STALE_AFTER_MS = parseInt(process.env.NODE_STALE_AFTER_MS) || 30000;
+const OFFLINE_AFTER_MS = parseInt(process.env.NODE_OFFLINE_AFTER_MS) || 120000;
+const CHECK_INTERVAL_MS = parseInt(process.env.NODE_CHECK_INTERVAL_MS) || 10000;
+
+// A node that sent a reading for a patient within this time is monitoring that patient
+const REPORTING_WINDOW_MS = parseInt(process.env.NODE_REPORTING_WINDOW_MS) || 10 * 60 * 1000;
+
+let monitorTimer = null;
+
+/**
+ * Derive a node's status from the time since its last heartbeat
+ * @param {Date} lastHeartbeat - Time of the last heartbeat
+ * @param {Date} now - Reference time
+ * @returns {String} online, stale or offline
+ */
+const deriveStatus = (lastHeartbeat, now = new Date()) => {
+  const silence = now.getTime() - new Date(lastHeartbeat).getTime();
+
+  if (silence >= OFFLINE_AFTER_MS) return 'offline';
+  if (silence >= STALE_AFTER_MS) return 'stale';
+  return 'online';
+};
+
+/**
+ * Register an edge node, or update the metadata of an existing one
+ * Registering also counts as a heartbeat.
+ * @param {Object} nodeData - Node ID and metadata
+ * @returns {Promise<Object>} The registered EdgeNode document
+ */
+const registerNode = async (nodeData) => {
+  const { nodeId, location, firmwareVersion, deviceIds, metadata } = nodeData;
+  const now = new Date();
+
+  const update = {
+    lastHeartbeat: now,
+    status: 'online'
+  };
+  if (location !== undefined) update.location = location;
+  if (firmwareVersion !== undefined) update.firmwareVersion = firmwareVersion;
+  if (deviceIds !== undefined) update.deviceIds = deviceIds;
+  if (metadata !== undefined) update.metadata = metadata;
+
+  const previous = await EdgeNode.findOneAndUpdate(
+    { nodeId },
+    { $set: update, $setOnInsert: { statusChangedAt: now } },
+    { upsert: true, new: false, runValidators: true }
+  );
+
+  if (previous && previous.status !== 'online') {
+    await EdgeNode.updateOne({ nodeId }, { $set: { statusChangedAt: now } });
+  }
+
+  logger.info(`Edge node ${nodeId} registered`, { location, firmwareVersion });
+
+  return EdgeNode.findOne({ nodeId });
+};
+
+/**
+ * Record a heartbeat from a registered node
+ * @param {String} nodeId - ID of the node
+ * @param {Object} metadata - Optional metadata to merge into the node's metadata
+ * @returns {Promise<Object|null>} The updated node, or null if the node is not registered
+ */
+const recordHeartbeat = async (nodeId, metadata) => {
+  const now = new Date();
+
+  const update = { $set: { lastHeartbeat: now, status: 'online' } };
+  if (metadata && typeof metadata === 'object') {
+    Object.keys(metadata).forEach(key => {
+      update.$set[`metadata.${key}`] = metadata[key];
+    });
+  }
+
+  const previous = await EdgeNode.findOneAndUpdate({ nodeId }, update, { new: false });
+
+  if (!previous) {
+    return null;
+  }
+
+  if (previous.status !== 'online') {
+    await EdgeNode.updateOne({ nodeId }, { $set: { statusChangedAt: now } });
+    logger.info(`Edge node ${nodeId} is back online`, { previousStatus: previous.status });
+  }
+
+  return EdgeNode.findOne({ nodeId });
+};
+
+/**
+ * Get all registered nodes with their current status
+ * @returns {Promise<Array>} Node status information
+ */
+const getNodes = async () => {
+  const now = new Date();
+  const nodes = await EdgeNode.find().sort({ nodeId: 1 });
+
+  return nodes.map(node => ({
+    nodeId: node.nodeId,
+    status: deriveStatus(node.lastHeartbeat, now),
+    lastHeartbeat: node.lastHeartbeat,
+    statusChangedAt: node.statusChangedAt,
+    location: node.location,
+    firmwareVersion: node.firmwareVersion,
+    deviceIds: node.deviceIds,
+    metadata: node.metadata
+  }));
+};
+
+/**
+ * Count the nodes that are expected to send a reading for a consensus round
+ * These are the nodes that reported the patient's sensor type within
+ * NODE_REPORTING_WINDOW_MS before the reading; nodes the registry marks as
+ * offline are left out. Stale nodes still count.
+ * @param {String} patientId - The patient's ID
+ * @param {String} sensorType - Sensor type of the round
+ * @param {Date} at - Time of the reading that started the round
+ * @returns {Promise<Number>} Number of nodes monitoring the patient
+ */
+const getExpectedNodeCount = async (patientId, sensorType, at = new Date()) => {
+  const nodeIds = await SensorData.distinct('nodeId', {
+    patientId,
+    sensorType,
+    timestamp: { $gte: new Date(new Date(at).getTime() - REPORTING_WINDOW_MS) }
+  });
+
+  if (nodeIds.length === 0) {
+    return 0;
+  }
+
+  const offlineCutoff = new Date(Date.now() - OFFLINE_AFTER_MS);
+  const offline = await EdgeNode.countDocuments({
+    nodeId: { $in: nodeIds },
+    lastHeartbeat: { $lte: offlineCutoff }
+  });
+
+  return nodeIds.length - offline;
+};
+
+/**
+ * Send a SYSTEM_ERROR alert for a node that stopped sending heartbeats
+ * @param {Object} node - The EdgeNode that went offline
+ * @returns {Promise} Promise resolving when the alert is sent
+ */
+const sendNodeOfflineAlert = async (node) => {
+  return alertService.sendAlert({
+    patientId: 'SYSTEM',
+    sourceService: 'data-collector-service',
+    alertType: 'SYSTEM_ERROR',
+    alertSeverity: 'MEDIUM',
+    message: `Edge node ${node.nodeId}${node.location ? ` (${node.location})` : ''} has not sent a heartbeat since ${new Date(node.lastHeartbeat).toISOString()}`,
+    timestamp: new Date(),
+    sensorData: {
+      nodeId: node.nodeId,
+      location: node.location,
+      deviceIds: node.deviceIds,
+      lastHeartbeat: node.lastHeartbeat
+    }
+  });
+};
+
+/**
+ * Update stored node statuses and alert on nodes that dropped out
+ * Each transition is applied with a conditional update, so only one
+ * Data Collector instance sends the alert for a given outage.
+ * @returns {Promise<Object>} Number of nodes marked stale and offline
+ */
+const checkNodeStatuses = async () => {
+  const now = Date.now();
+  const staleCutoff = new Date(now - STALE_AFTER_MS);
+  const offlineCutoff = new Date(now - OFFLINE_AFTER_MS);
+
+  const staleResult = await EdgeNode.updateMany(
+    { status: 'online', lastHeartbeat: { $lte: staleCutoff, $gt: offlineCutoff } },
+    { $set: { status: 'stale', statusChangedAt: new Date(now) } }
+  );
+
+  let offlineCount = 0;
+  let node;
+  while ((node = await EdgeNode.findOneAndUpdate(
+    { status: { $ne: 'offline' }, lastHeartbeat: { $lte: offlineCutoff } },
+    { $set: { status: 'offline', statusChangedAt: new Date(now) } },
+    { new: true }
+  ))) {
+    offlineCount += 1;
+    logger.warn(`Edge node ${node.nodeId} is offline`, { lastHeartbeat: node.lastHeartbeat });
+
+    try {
+      await sendNodeOfflineAlert(node);
+    } catch (error) {
+      logger.error(`Failed to send offline alert for node ${node.nodeId}: ${error.message}`);
+    }
+  }
+
+  return {
+    stale: staleResult.modifiedCount || 0,
+    offline: offlineCount
+  };
+};
+
+/**
+ * Start periodically checking node heartbeats
+ */
+const startMonitoring = () => {
+  if (monitorTimer) return;
+
+  monitorTimer = setInterval(() => {
+    checkNodeStatuses().catch(error => {
+      logger.error('Error checking edge node statuses:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+
+  logger.info('Edge node heartbeat monitoring started', {
+    staleAfterMs: STALE_AFTER_MS,
+    offlineAfterMs: OFFLINE_AFTER_MS
+  });
+};
+
+/**
+ * Stop checking node heartbeats
+ */
+const stopMonitoring = () => {
+  clearInterval(monitorTimer);
+  monitorTimer = null;
+};
+
+module.exports = {
+  STALE_AFTER_MS,
+  OFFLINE_AFTER_MS,
+  deriveStatus,
+  registerNode,
+  recordHeartbeat,
+  getNodes,
+  getExpectedNodeCount,
+  checkNodeStatuses,
+  startMonitoring,
+  stopMonitoring
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { ConsensusData } = require('../models/sensorData');
+const { createRaftNode } = require('./raftNode');
+const { createHttpTransport, parsePeers } = require('./raftTransport');
+const { createMongoStorage } = require('./raftStorage');
+const { logger } = require('../utils/logger');
+
+// Cluster configuration
+const NODE_ID = process.env.RAFT_NODE_ID || `data-collector-${process.env.PORT || 3000}`;
+const PEERS = parsePeers(process.env.RAFT_PEERS);
+// Shared secret the instances of the cluster authenticate their messages with
+const RAFT_AUTH_TOKEN = process.env.RAFT_AUTH_TOKEN || '';
+// Delay before trying again to start a node whose state could not be loaded
+const START_RETRY_DELAY_MS = 5000;
+
+const COMMAND_TYPES = {
+  COMMIT_CONSENSUS: 'COMMIT_CONSENSUS'
+};
+
+let transport = null;
+let node = null;
+
+/**
+ * Check whether an earlier entry of the log already used one of a record's readings
+ * Instances start consensus rounds on their own, so two of them can propose
+ * a round over the same readings; the log order decides which one counts.
+ * @param {Object} entry - The committed RAFT log entry
+ * @returns {Promise<Boolean>} True if a reading was already used
+ */
+const usesConsumedReadings = async (entry) => {
+  const { patientId, sensorType, readings } = entry.command.record;
+
+  const earlier = await ConsensusData.exists({
+    patientId,
+    sensorType,
+    raftIndex: { $lt: entry.index },
+    $or: readings.map(reading => ({
+      readings: { $elemMatch: { nodeId: reading.nodeId, timestamp: { $gte: new Date(reading.timestamp) } } }
+    }))
+  });
+  return Boolean(earlier);
+};
+
+/**
+ * Apply a committed log entry to the local state machine
+ * Upserting on the entry ID keeps this idempotent when several instances
+ * share one database. A consensus over readings an earlier entry already
+ * used is not stored, and its proposal resolves with null.
+ * @param {Object} entry - The committed RAFT log entry
+ * @returns {Promise<Object|null>} The stored ConsensusData document
+ */
+const applyEntry = async (entry) => {
+  switch (entry.command.type) {
+    case COMMAND_TYPES.COMMIT_CONSENSUS: {
+      const applied = await ConsensusData.findOne({ raftEntryId: entry.id });
+      if (applied) return applied;
+
+      if (await usesConsumedReadings(entry)) {
+        const { patientId, sensorType } = entry.command.record;
+        logger.info(`Skipping RAFT entry ${entry.index}: its ${sensorType} readings of patient ${patientId} are already in a consensus`);
+        return null;
+      }
+
+      return ConsensusData.findOneAndUpdate(
+        { raftEntryId: entry.id },
+        {
+          $setOnInsert: {
+            ...entry.command.record,
+            raftEntryId: entry.id,
+            raftTerm: entry.term,
+            raftIndex: entry.index
+          }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+    }
+    default:
+      logger.warn(`Ignoring unknown RAFT command ${entry.command.type}`);
+      return null;
+  }
+};
+
+/**
+ * Restore the state machine from a snapshot
+ * The state machine is the ConsensusData collection, whose records are stored
+ * when their entries are applied, so snapshots carry no data: a node that
+ * restarts already has the records of its snapshot. A node that gets the
+ * leader's snapshot because it fell behind has only the records of the
+ * compacted entries if the instances share a database.
+ * @param {*} data - Snapshot data (none)
+ * @param {Object} position - index and term of the last entry in the snapshot
+ * @returns {Promise<void>}
+ */
+const restoreSnapshot = async (data, { index, term }) => {
+  logger.info(`RAFT node ${NODE_ID} continues from a snapshot up to entry ${index}`, { term });
+};
+
+/**
+ * Start a RAFT node, retrying while its state cannot be loaded from MongoDB
+ * @param {Object} raftNode - The node to start
+ * @returns {void}
+ */
+const startNode = (raftNode) => {
+  raftNode.start().catch(error => {
+    logger.error(`Failed to start RAFT node ${NODE_ID}, retrying in ${START_RETRY_DELAY_MS}ms:`, error);
+    setTimeout(() => {
+      if (node === raftNode) startNode(raftNode);
+    }, START_RETRY_DELAY_MS);
+  });
+};
+
+/**
+ * Start the local RAFT node
+ * Its term, vote and log are restored from MongoDB first.
+ * @returns {Object} The local RAFT node
+ */
+const start = () => {
+  if (node) return node;
+
+  transport = createHttpTransport({
+    peers: PEERS,
+    timeout: parseInt(process.env.RAFT_RPC_TIMEOUT_MS) || 1000,
+    authToken: RAFT_AUTH_TOKEN
+  });
+
+  if (Object.keys(PEERS).length > 0 && !RAFT_AUTH_TOKEN) {
+    logger.error('RAFT_PEERS is set without RAFT_AUTH_TOKEN; messages from peers will be rejected');
+  }
+
+  node = createRaftNode({
+    nodeId: NODE_ID,
+    peers: Object.keys(PEERS),
+    transport,
+    storage: createMongoStorage({ nodeId: NODE_ID }),
+    onApply: applyEntry,
+    restoreSnapshot,
+    electionTimeoutMin: parseInt(process.env.RAFT_ELECTION_TIMEOUT_MIN_MS) || 150,
+    electionTimeoutMax: parseInt(process.env.RAFT_ELECTION_TIMEOUT_MAX_MS) || 300,
+    heartbeatInterval: parseInt(process.env.RAFT_HEARTBEAT_INTERVAL_MS) || 50,
+    proposalTimeout: parseInt(process.env.RAFT_PROPOSAL_TIMEOUT_MS) || 5000,
+    maxEntriesPerMessage: parseInt(process.env.RAFT_MAX_ENTRIES_PER_MESSAGE) || 100,
+    snapshotThreshold: parseInt(process.env.RAFT_SNAPSHOT_THRESHOLD) || 1000
+  });
+
+  startNode(node);
+  return node;
+};
+
+/**
+ * Stop the local RAFT node
+ */
+const stop = () => {
+  if (node) {
+    node.stop();
+    node = null;
+  }
+};
+
+/**
+ * Replicate a consensus record and store it once a quorum of nodes accepted it
+ * @param {Object} record - The ConsensusData fields to commit
+ * @returns {Promise<Object|null>} The committed ConsensusData document, or null
+ * if an earlier consensus in the log already used its readings
+ */
+const commitConsensus = async (record) => {
+  if (!node) {
+    throw new Error('RAFT cluster has not been started');
+  }
+
+  return node.propose({
+    type: COMMAND_TYPES.COMMIT_CONSENSUS,
+    record
+  });
+};
+
+/**
+ * Deliver a RAFT message received from a peer to the local node
+ * @param {String} toId - The node the message is addressed to
+ * @param {Object} message - The RAFT message
+ * @returns {Promise<Object>} The local node's response
+ */
+const handleMessage = async (toId, message) => {
+  if (!transport) {
+    throw new Error('RAFT cluster has not been started');
+  }
+  return transport.receive(toId || NODE_ID, message);
+};
+
+/**
+ * Check the token a peer sent with a RAFT message
+ * Without RAFT_AUTH_TOKEN no peer is accepted.
+ * @param {String} token - The token sent by the peer
+ * @returns {Boolean} True if the token matches RAFT_AUTH_TOKEN
+ */
+const isAuthorized = (token) => {
+  if (!RAFT_AUTH_TOKEN || typeof token !== 'string') return false;
+
+  const expected = crypto.createHash('sha256').update(RAFT_AUTH_TOKEN).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Get the status of the local RAFT node
+ * @returns {Object|null} Node status, or null if the cluster is not started
+ */
+const getStatus = () => (node ? node.getStatus() : null);
+
+module.exports = {
+  COMMAND_TYPES,
+  applyEntry,
+  start,
+  stop,
+  commitConsensus,
+  handleMessage,
+  isAuthorized,
+  getStatus
+};
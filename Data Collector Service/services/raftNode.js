@@ -0,0 +1,760 @@
+const crypto = require('crypto');
+const { createInMemoryStorage } = require('./raftStorage');
+const { logger: defaultLogger } = require('../utils/logger');
+
+/**
+ * RAFT node for replicating consensus decisions between Data Collector instances
+ * Implements leader election, term tracking, log replication and log compaction
+ * as described in the RAFT paper. Messages are exchanged through a pluggable
+ * transport so a whole cluster can run inside a single process (see
+ * raftTransport.js), and the term, vote and log are kept in a pluggable
+ * storage (see raftStorage.js) that is written before the node answers a
+ * message or counts its own log towards a quorum.
+ */
+
+const ROLES = {
+  FOLLOWER: 'follower',
+  CANDIDATE: 'candidate',
+  LEADER: 'leader'
+};
+
+const MESSAGE_TYPES = {
+  REQUEST_VOTE: 'RequestVote',
+  APPEND_ENTRIES: 'AppendEntries',
+  INSTALL_SNAPSHOT: 'InstallSnapshot',
+  PROPOSE: 'Propose'
+};
+
+// Entry appended by a new leader so entries from earlier terms can be committed
+const NOOP_COMMAND = { type: 'noop' };
+
+/**
+ * Create a RAFT node
+ * @param {Object} options - Node configuration
+ * @param {String} options.nodeId - ID of this node
+ * @param {Array<String>} options.peers - IDs of the other nodes in the cluster
+ * @param {Object} options.transport - Transport used to exchange messages
+ * @param {Function} options.onApply - Called in log order with each committed entry
+ * @param {Object} options.storage - Keeps the term, vote and log across restarts (in memory by default)
+ * @param {Function} options.takeSnapshot - Returns the state machine at an applied index when the log is compacted
+ * @param {Function} options.restoreSnapshot - Replaces the state machine with a snapshot from the leader or storage
+ * @returns {Object} The RAFT node
+ */
+const createRaftNode = (options) => {
+  const config = {
+    peers: [],
+    electionTimeoutMin: 150, // Milliseconds without a heartbeat before starting an election
+    electionTimeoutMax: 300,
+    heartbeatInterval: 50,
+    proposalTimeout: 5000, // Milliseconds to wait for a proposed entry to be applied
+    maxEntriesPerMessage: 100, // Entries sent to a follower in one AppendEntries message
+    snapshotThreshold: 1000, // Applied entries kept in the log before it is compacted
+    onApply: async () => null,
+    takeSnapshot: async () => null,
+    restoreSnapshot: async () => {},
+    logger: defaultLogger,
+    ...options
+  };
+
+  const { nodeId, peers, transport, logger } = config;
+  const storage = config.storage || createInMemoryStorage();
+
+  if (!nodeId || !transport) {
+    throw new Error('RAFT node requires a nodeId and a transport');
+  }
+
+  let role = ROLES.FOLLOWER;
+  let currentTerm = 0;
+  let votedFor = null;
+  let leaderId = null;
+
+  // Entries up to snapshot.index are compacted into the snapshot
+  let snapshot = { index: 0, term: 0, data: null };
+  // Log entries are 1-indexed: entry with index i is stored at log[i - snapshot.index - 1]
+  const log = [];
+  let commitIndex = 0;
+  let lastApplied = 0;
+
+  // Leader-only replication state
+  let nextIndex = {};
+  let matchIndex = {};
+  // Peers with an AppendEntries or InstallSnapshot message awaiting its response
+  const inFlight = new Set();
+
+  // Whether the term, vote, log or snapshot changed since the last write to storage
+  let dirty = false;
+  let lastWrite = Promise.resolve();
+  let queuedWrite = null;
+  // Last log index known to be in storage; the leader only counts itself for entries up to here
+  let durableIndex = 0;
+
+  let electionTimer = null;
+  let heartbeatTimer = null;
+  let running = false;
+  let applyChain = Promise.resolve();
+
+  // Proposals waiting for their entry to be applied on this node, keyed by entry ID
+  const pendingProposals = new Map();
+
+  const quorumSize = () => Math.floor((peers.length + 1) / 2) + 1;
+  const lastLogIndex = () => snapshot.index + log.length;
+  const entryAt = (index) => log[index - snapshot.index - 1];
+  const termAt = (index) => {
+    if (index === snapshot.index) return snapshot.term;
+    const entry = entryAt(index);
+    return entry ? entry.term : 0;
+  };
+
+  /**
+   * Write the term, vote, log and snapshot to storage
+   * Writes run one after the other; calls made while a write is waiting share it.
+   * @returns {Promise<void>} Resolves once the state as of this call is stored
+   */
+  const persist = () => {
+    if (!queuedWrite) {
+      queuedWrite = lastWrite.catch(() => {}).then(async () => {
+        queuedWrite = null;
+        dirty = false;
+        const state = { currentTerm, votedFor, snapshot, log: log.slice() };
+
+        try {
+          await storage.save(state);
+        } catch (error) {
+          dirty = true;
+          throw error;
+        }
+
+        durableIndex = state.snapshot.index + state.log.length;
+        advanceCommitIndex();
+      });
+      lastWrite = queuedWrite;
+    }
+    return queuedWrite;
+  };
+
+  // Resolves once every change made so far is stored
+  const flush = () => (dirty ? persist() : lastWrite);
+
+  const persistInBackground = () => {
+    dirty = true;
+    persist().catch(error => logger.error(`RAFT node ${nodeId} failed to store its state:`, error));
+  };
+
+  const resetElectionTimer = () => {
+    clearTimeout(electionTimer);
+    if (!running) return;
+
+    const timeout = config.electionTimeoutMin +
+      Math.random() * (config.electionTimeoutMax - config.electionTimeoutMin);
+    electionTimer = setTimeout(startElection, timeout);
+  };
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  const becomeFollower = (term, newLeaderId = null) => {
+    if (term > currentTerm) {
+      currentTerm = term;
+      votedFor = null;
+      leaderId = null;
+      persistInBackground();
+    }
+
+    if (role !== ROLES.FOLLOWER) {
+      logger.info(`RAFT node ${nodeId} stepping down to follower`, { term: currentTerm });
+    }
+
+    role = ROLES.FOLLOWER;
+    if (newLeaderId) {
+      leaderId = newLeaderId;
+    }
+
+    stopHeartbeat();
+    resetElectionTimer();
+  };
+
+  const becomeLeader = () => {
+    role = ROLES.LEADER;
+    leaderId = nodeId;
+    clearTimeout(electionTimer);
+
+    nextIndex = {};
+    matchIndex = {};
+    peers.forEach(peer => {
+      nextIndex[peer] = lastLogIndex() + 1;
+      matchIndex[peer] = 0;
+    });
+
+    logger.info(`RAFT node ${nodeId} elected leader`, { term: currentTerm });
+
+    appendEntry(NOOP_COMMAND, crypto.randomUUID());
+
+    stopHeartbeat();
+    heartbeatTimer = setInterval(broadcastAppendEntries, config.heartbeatInterval);
+  };
+
+  const startElection = () => {
+    if (!running || role === ROLES.LEADER) return;
+
+    role = ROLES.CANDIDATE;
+    currentTerm += 1;
+    votedFor = nodeId;
+    leaderId = null;
+
+    const electionTerm = currentTerm;
+    let votes = 1;
+
+    logger.debug(`RAFT node ${nodeId} starting election`, { term: electionTerm });
+    resetElectionTimer();
+
+    const requestVote = (peer) => {
+      transport.send(nodeId, peer, {
+        type: MESSAGE_TYPES.REQUEST_VOTE,
+        term: electionTerm,
+        candidateId: nodeId,
+        lastLogIndex: lastLogIndex(),
+        lastLogTerm: termAt(lastLogIndex())
+      })
+      .then(response => {
+        if (response.term > currentTerm) {
+          becomeFollower(response.term);
+          return;
+        }
+
+        if (role !== ROLES.CANDIDATE || currentTerm !== electionTerm || !response.voteGranted) {
+          return;
+        }
+
+        votes += 1;
+        if (votes >= quorumSize()) {
+          becomeLeader();
+        }
+      })
+      .catch(error => {
+        logger.debug(`RAFT vote request to ${peer} failed: ${error.message}`);
+      });
+    };
+
+    // The new term and the vote for ourselves are stored before asking for votes
+    dirty = true;
+    persist()
+      .then(() => {
+        if (role !== ROLES.CANDIDATE || currentTerm !== electionTerm) return;
+
+        if (votes >= quorumSize()) {
+          becomeLeader();
+          return;
+        }
+        peers.forEach(requestVote);
+      })
+      .catch(error => logger.error(`RAFT node ${nodeId} failed to store its state:`, error));
+  };
+
+  const appendEntry = (command, id) => {
+    const entry = {
+      index: lastLogIndex() + 1,
+      term: currentTerm,
+      id,
+      command
+    };
+
+    log.push(entry);
+
+    // The leader counts towards the quorum once the entry is stored, which
+    // is all a single-node cluster waits for
+    persistInBackground();
+    broadcastAppendEntries();
+
+    return entry;
+  };
+
+  const broadcastAppendEntries = () => {
+    if (role !== ROLES.LEADER) return;
+    peers.forEach(replicateTo);
+  };
+
+  /**
+   * Send a follower the entries it is missing, or the snapshot if they were compacted
+   * Only one message per follower is outstanding; a follower that is behind
+   * gets the next batch as soon as the previous one was accepted.
+   */
+  const replicateTo = (peer) => {
+    if (inFlight.has(peer)) return;
+
+    if (nextIndex[peer] <= snapshot.index) {
+      sendSnapshot(peer);
+      return;
+    }
+
+    const term = currentTerm;
+    const prevLogIndex = nextIndex[peer] - 1;
+    const entries = log.slice(prevLogIndex - snapshot.index, prevLogIndex - snapshot.index + config.maxEntriesPerMessage);
+    let sendMore = false;
+
+    inFlight.add(peer);
+    transport.send(nodeId, peer, {
+      type: MESSAGE_TYPES.APPEND_ENTRIES,
+      term,
+      leaderId: nodeId,
+      prevLogIndex,
+      prevLogTerm: termAt(prevLogIndex),
+      entries,
+      leaderCommit: commitIndex
+    })
+    .then(response => {
+      if (response.term > currentTerm) {
+        becomeFollower(response.term);
+        return;
+      }
+
+      // Ignore responses that arrive after we lost leadership or moved to a new term
+      if (role !== ROLES.LEADER || currentTerm !== term) return;
+
+      if (response.success) {
+        const replicatedIndex = prevLogIndex + entries.length;
+        matchIndex[peer] = Math.max(matchIndex[peer], replicatedIndex);
+        nextIndex[peer] = matchIndex[peer] + 1;
+        advanceCommitIndex();
+        sendMore = nextIndex[peer] <= lastLogIndex();
+      } else {
+        // Back off to the follower's hint (or one entry) and retry straight away
+        nextIndex[peer] = Math.max(1, response.conflictIndex || nextIndex[peer] - 1);
+        sendMore = true;
+      }
+    })
+    .catch(error => {
+      logger.debug(`RAFT append entries to ${peer} failed: ${error.message}`);
+    })
+    .finally(() => {
+      inFlight.delete(peer);
+      if (sendMore) broadcastTo(peer, term);
+    });
+  };
+
+  const sendSnapshot = (peer) => {
+    const term = currentTerm;
+    const { index, term: lastIncludedTerm, data } = snapshot;
+
+    inFlight.add(peer);
+    transport.send(nodeId, peer, {
+      type: MESSAGE_TYPES.INSTALL_SNAPSHOT,
+      term,
+      leaderId: nodeId,
+      lastIncludedIndex: index,
+      lastIncludedTerm,
+      data
+    })
+    .then(response => {
+      if (response.term > currentTerm) {
+        becomeFollower(response.term);
+        return;
+      }
+      if (role !== ROLES.LEADER || currentTerm !== term || !response.success) return;
+
+      matchIndex[peer] = Math.max(matchIndex[peer], index);
+      nextIndex[peer] = matchIndex[peer] + 1;
+      advanceCommitIndex();
+    })
+    .catch(error => {
+      logger.debug(`RAFT install snapshot on ${peer} failed: ${error.message}`);
+    })
+    .finally(() => {
+      inFlight.delete(peer);
+      broadcastTo(peer, term);
+    });
+  };
+
+  const broadcastTo = (peer, term) => {
+    if (running && role === ROLES.LEADER && currentTerm === term) {
+      replicateTo(peer);
+    }
+  };
+
+  const advanceCommitIndex = () => {
+    if (role !== ROLES.LEADER) return;
+
+    for (let index = lastLogIndex(); index > commitIndex; index--) {
+      // Only entries from the current term are committed by counting replicas
+      if (termAt(index) !== currentTerm) break;
+
+      const replicas = (durableIndex >= index ? 1 : 0) + peers.filter(peer => matchIndex[peer] >= index).length;
+      if (replicas >= quorumSize()) {
+        commitIndex = index;
+        applyCommitted();
+        break;
+      }
+    }
+  };
+
+  const applyCommitted = () => {
+    applyChain = applyChain.then(async () => {
+      while (lastApplied < commitIndex) {
+        const entry = entryAt(lastApplied + 1);
+        lastApplied += 1;
+
+        const pending = pendingProposals.get(entry.id);
+
+        try {
+          const result = entry.command.type === NOOP_COMMAND.type
+            ? null
+            : await config.onApply(entry);
+
+          if (pending) pending.resolve(result);
+        } catch (error) {
+          logger.error(`RAFT node ${nodeId} failed to apply entry ${entry.index}:`, error);
+          if (pending) pending.reject(error);
+        }
+      }
+
+      if (lastApplied - snapshot.index >= config.snapshotThreshold) {
+        await compact();
+      }
+    });
+
+    return applyChain;
+  };
+
+  /**
+   * Replace the applied entries of the log with a snapshot of the state machine
+   */
+  const compact = async () => {
+    const index = lastApplied;
+    const term = termAt(index);
+
+    try {
+      const data = await config.takeSnapshot(index);
+      log.splice(0, index - snapshot.index);
+      snapshot = { index, term, data };
+      persistInBackground();
+      logger.info(`RAFT node ${nodeId} compacted its log up to entry ${index}`, { term });
+    } catch (error) {
+      logger.error(`RAFT node ${nodeId} failed to take a snapshot at entry ${index}:`, error);
+    }
+  };
+
+  /**
+   * Handle a RequestVote message from a candidate
+   * A granted vote is stored before it is sent.
+   */
+  const handleRequestVote = async (message) => {
+    if (message.term < currentTerm) {
+      return { term: currentTerm, voteGranted: false };
+    }
+
+    if (message.term > currentTerm) {
+      becomeFollower(message.term);
+    }
+
+    const myLastTerm = termAt(lastLogIndex());
+    const candidateUpToDate = message.lastLogTerm > myLastTerm ||
+      (message.lastLogTerm === myLastTerm && message.lastLogIndex >= lastLogIndex());
+    let voteGranted = false;
+
+    if ((votedFor === null || votedFor === message.candidateId) && candidateUpToDate) {
+      if (votedFor !== message.candidateId) {
+        votedFor = message.candidateId;
+        dirty = true;
+      }
+      voteGranted = true;
+      resetElectionTimer();
+    }
+
+    await flush();
+    return { term: currentTerm, voteGranted };
+  };
+
+  /**
+   * Handle an AppendEntries message (log replication or heartbeat) from the leader
+   * New entries are stored before success is reported.
+   */
+  const handleAppendEntries = async (message) => {
+    if (message.term < currentTerm) {
+      return { term: currentTerm, success: false };
+    }
+
+    becomeFollower(message.term, message.leaderId);
+
+    let { prevLogIndex, prevLogTerm, entries = [] } = message;
+
+    // Entries up to the snapshot are committed here already
+    if (prevLogIndex < snapshot.index) {
+      entries = entries.slice(snapshot.index - prevLogIndex);
+      prevLogIndex = snapshot.index;
+      prevLogTerm = snapshot.term;
+    }
+
+    if (prevLogIndex > lastLogIndex()) {
+      await flush();
+      return { term: currentTerm, success: false, conflictIndex: lastLogIndex() + 1 };
+    }
+
+    if (termAt(prevLogIndex) !== prevLogTerm) {
+      // Skip back over the whole conflicting term instead of one entry at a time
+      const conflictTerm = termAt(prevLogIndex);
+      let conflictIndex = prevLogIndex;
+      while (conflictIndex > snapshot.index + 1 && termAt(conflictIndex - 1) === conflictTerm) {
+        conflictIndex -= 1;
+      }
+      await flush();
+      return { term: currentTerm, success: false, conflictIndex };
+    }
+
+    entries.forEach((entry, offset) => {
+      const index = prevLogIndex + 1 + offset;
+
+      if (lastLogIndex() >= index && termAt(index) !== entry.term) {
+        // Conflicting entry: drop it and everything after it
+        log.splice(index - snapshot.index - 1);
+        dirty = true;
+      }
+
+      if (lastLogIndex() < index) {
+        log.push(entry);
+        dirty = true;
+      }
+    });
+
+    await flush();
+
+    const lastNewIndex = prevLogIndex + entries.length;
+    if (message.leaderCommit > commitIndex && lastNewIndex > commitIndex) {
+      commitIndex = Math.min(message.leaderCommit, lastNewIndex);
+      applyCommitted();
+    }
+
+    return { term: currentTerm, success: true };
+  };
+
+  /**
+   * Handle an InstallSnapshot message from a leader whose log no longer holds
+   * the entries this node is missing
+   */
+  const handleInstallSnapshot = async (message) => {
+    if (message.term < currentTerm) {
+      return { term: currentTerm, success: false };
+    }
+
+    becomeFollower(message.term, message.leaderId);
+
+    const { lastIncludedIndex, lastIncludedTerm, data } = message;
+
+    // Installed between applying entries, so the state machine is never half-updated
+    const install = applyChain.then(async () => {
+      if (lastIncludedIndex <= snapshot.index) return;
+
+      if (lastIncludedIndex <= lastLogIndex() && termAt(lastIncludedIndex) === lastIncludedTerm) {
+        // The log continues past the snapshot: keep the entries after it
+        log.splice(0, lastIncludedIndex - snapshot.index);
+      } else {
+        log.length = 0;
+      }
+
+      if (lastApplied < lastIncludedIndex) {
+        await config.restoreSnapshot(data, { index: lastIncludedIndex, term: lastIncludedTerm });
+        lastApplied = lastIncludedIndex;
+      }
+
+      snapshot = { index: lastIncludedIndex, term: lastIncludedTerm, data };
+      commitIndex = Math.max(commitIndex, lastIncludedIndex);
+      dirty = true;
+    });
+    applyChain = install.catch(() => {});
+
+    await install;
+    await flush();
+
+    logger.info(`RAFT node ${nodeId} installed a snapshot up to entry ${lastIncludedIndex}`, { term: currentTerm });
+    return { term: currentTerm, success: true };
+  };
+
+  /**
+   * Handle a proposal forwarded by a follower
+   */
+  const handlePropose = (message) => {
+    if (role !== ROLES.LEADER) {
+      return { term: currentTerm, success: false, leaderId };
+    }
+
+    const entry = appendEntry(message.entry.command, message.entry.id);
+    return { term: currentTerm, success: true, index: entry.index };
+  };
+
+  /**
+   * Dispatch an incoming message to the matching handler
+   * @param {Object} message - The RAFT message
+   * @returns {Promise<Object>} The response for the sender
+   */
+  const handleMessage = async (message) => {
+    switch (message.type) {
+      case MESSAGE_TYPES.REQUEST_VOTE:
+        return handleRequestVote(message);
+      case MESSAGE_TYPES.APPEND_ENTRIES:
+        return handleAppendEntries(message);
+      case MESSAGE_TYPES.INSTALL_SNAPSHOT:
+        return handleInstallSnapshot(message);
+      case MESSAGE_TYPES.PROPOSE:
+        return handlePropose(message);
+      default:
+        throw new Error(`Unknown RAFT message type: ${message.type}`);
+    }
+  };
+
+  /**
+   * Propose a command for replication
+   * Resolves with the result of onApply once the entry is committed by a quorum
+   * and applied on this node. Followers forward the proposal to the leader.
+   * @param {Object} command - The command to replicate
+   * @returns {Promise<*>} The result of applying the command on this node
+   */
+  const propose = (command) => {
+    return new Promise((resolve, reject) => {
+      if (!running) {
+        reject(new Error(`RAFT node ${nodeId} is not running`));
+        return;
+      }
+
+      const id = crypto.randomUUID();
+
+      const timer = setTimeout(() => {
+        pendingProposals.delete(id);
+        reject(new Error(`RAFT proposal ${id} was not committed within ${config.proposalTimeout}ms`));
+      }, config.proposalTimeout);
+
+      pendingProposals.set(id, {
+        resolve: (result) => {
+          clearTimeout(timer);
+          pendingProposals.delete(id);
+          resolve(result);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          pendingProposals.delete(id);
+          reject(error);
+        }
+      });
+
+      if (role === ROLES.LEADER) {
+        appendEntry(command, id);
+        return;
+      }
+
+      if (!leaderId) {
+        pendingProposals.get(id).reject(new Error('No RAFT leader is currently elected'));
+        return;
+      }
+
+      transport.send(nodeId, leaderId, {
+        type: MESSAGE_TYPES.PROPOSE,
+        term: currentTerm,
+        entry: { id, command }
+      })
+      .then(response => {
+        if (!response.success && pendingProposals.has(id)) {
+          pendingProposals.get(id).reject(new Error(`RAFT node ${leaderId} is no longer the leader`));
+        }
+      })
+      .catch(error => {
+        if (pendingProposals.has(id)) {
+          pendingProposals.get(id).reject(new Error(`Failed to forward proposal to leader: ${error.message}`));
+        }
+      });
+    });
+  };
+
+  /**
+   * Start taking part in elections and replication
+   * The term, vote, log and snapshot are first restored from storage.
+   * @returns {Promise<void>}
+   */
+  const start = async () => {
+    if (running) return;
+    running = true;
+
+    let stored;
+    try {
+      stored = await storage.load();
+    } catch (error) {
+      running = false;
+      throw error;
+    }
+
+    if (stored) {
+      currentTerm = stored.currentTerm;
+      votedFor = stored.votedFor;
+      snapshot = stored.snapshot;
+      log.splice(0, log.length, ...stored.log);
+
+      // Entries after the snapshot are applied again once the leader reports them committed
+      if (snapshot.index > 0) {
+        await config.restoreSnapshot(snapshot.data, { index: snapshot.index, term: snapshot.term });
+      }
+      commitIndex = snapshot.index;
+      lastApplied = snapshot.index;
+      durableIndex = lastLogIndex();
+    }
+
+    if (!running) return;
+    transport.register(nodeId, handleMessage);
+
+    // Without peers there is nobody to wait for
+    if (peers.length === 0) {
+      startElection();
+    } else {
+      resetElectionTimer();
+    }
+
+    logger.info(`RAFT node ${nodeId} started`, { peers });
+  };
+
+  /**
+   * Stop the node and fail any proposals still waiting to be applied
+   */
+  const stop = () => {
+    running = false;
+    clearTimeout(electionTimer);
+    stopHeartbeat();
+
+    if (transport.unregister) {
+      transport.unregister(nodeId);
+    }
+
+    pendingProposals.forEach(pending => pending.reject(new Error(`RAFT node ${nodeId} stopped`)));
+    role = ROLES.FOLLOWER;
+  };
+
+  /**
+   * Get the current state of the node
+   * @returns {Object} Node status
+   */
+  const getStatus = () => ({
+    nodeId,
+    role,
+    term: currentTerm,
+    leaderId,
+    votedFor,
+    commitIndex,
+    lastApplied,
+    snapshotIndex: snapshot.index,
+    logLength: log.length,
+    peers: [...peers]
+  });
+
+  return {
+    nodeId,
+    start,
+    stop,
+    propose,
+    handleMessage,
+    getStatus,
+    isLeader: () => role === ROLES.LEADER,
+    getLog: () => log.map(entry => ({ ...entry }))
+  };
+};
+
+module.exports = {
+  ROLES,
+  MESSAGE_TYPES,
+  createRaftNode
+};
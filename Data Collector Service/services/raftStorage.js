@@ -0,0 +1,66 @@
+const { RaftState } = require('../models/raftState');
+
+/**
+ * Storage for the state a RAFT node must not lose when it restarts
+ * Every storage exposes the same interface:
+ *   load()      - Promise resolving to the stored state, or null if there is none
+ *   save(state) - Promise resolving once the state is durable
+ * The state is { currentTerm, votedFor, snapshot: { index, term, data }, log }.
+ */
+
+/**
+ * Create a storage that keeps the state in memory
+ * Used by single-process clusters; the state survives restarting a node
+ * object with the same storage, but not the process.
+ * @returns {Object} The storage
+ */
+const createInMemoryStorage = () => {
+  let stored = null;
+
+  return {
+    async load() {
+      return stored ? JSON.parse(stored) : null;
+    },
+
+    async save(state) {
+      stored = JSON.stringify(state);
+    }
+  };
+};
+
+/**
+ * Create a storage that keeps the state of a node in MongoDB
+ * The whole state is written in one document, so a write is never half applied;
+ * compaction keeps the log short enough for that.
+ * @param {Object} options - Storage options
+ * @param {String} options.nodeId - The RAFT node the state belongs to
+ * @returns {Object} The storage
+ */
+const createMongoStorage = ({ nodeId }) => {
+  return {
+    async load() {
+      const stored = await RaftState.findOne({ nodeId }).lean();
+      if (!stored) return null;
+
+      return {
+        currentTerm: stored.currentTerm,
+        votedFor: stored.votedFor,
+        snapshot: stored.snapshot,
+        log: stored.log
+      };
+    },
+
+    async save({ currentTerm, votedFor, snapshot, log }) {
+      await RaftState.updateOne(
+        { nodeId },
+        { $set: { currentTerm, votedFor, snapshot, log } },
+        { upsert: true, writeConcern: { w: 'majority', j: true } }
+      );
+    }
+  };
+};
+
+module.exports = {
+  createInMemoryStorage,
+  createMongoStorage
+};
@@ -0,0 +1,149 @@
+const axios = require('axios');
+
+/**
+ * Transports for RAFT messages between Data Collector instances
+ * Every transport exposes the same interface:
+ *   register(nodeId, handler)  - deliver incoming messages for nodeId to handler
+ *   unregister(nodeId)         - stop delivering messages for nodeId
+ *   send(fromId, toId, message) - Promise resolving to the receiver's response
+ */
+
+/**
+ * Create an in-process transport, used to run a whole cluster inside one process
+ * Messages are deep-copied so nodes never share state, and nodes can be
+ * disconnected to simulate crashes and network partitions.
+ * @param {Object} options - Transport options
+ * @param {Number} options.latency - Delay in milliseconds added to every message
+ * @returns {Object} The transport
+ */
+const createInMemoryTransport = (options = {}) => {
+  const { latency = 0 } = options;
+  const handlers = new Map();
+  const disconnected = new Set();
+
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  return {
+    register(nodeId, handler) {
+      handlers.set(nodeId, handler);
+    },
+
+    unregister(nodeId) {
+      handlers.delete(nodeId);
+    },
+
+    async send(fromId, toId, message) {
+      if (latency > 0) {
+        await delay(latency);
+      }
+
+      const handler = handlers.get(toId);
+      if (!handler || disconnected.has(fromId) || disconnected.has(toId)) {
+        throw new Error(`RAFT node ${toId} is unreachable from ${fromId}`);
+      }
+
+      const response = await handler(JSON.parse(JSON.stringify(message)));
+      return JSON.parse(JSON.stringify(response));
+    },
+
+    /**
+     * Cut a node off from the rest of the cluster
+     * @param {String} nodeId - The node to isolate
+     */
+    disconnect(nodeId) {
+      disconnected.add(nodeId);
+    },
+
+    /**
+     * Reconnect a previously isolated node
+     * @param {String} nodeId - The node to reconnect
+     */
+    reconnect(nodeId) {
+      disconnected.delete(nodeId);
+    }
+  };
+};
+
+/**
+ * Create an HTTP transport for nodes running in separate processes
+ * Messages are POSTed to the peer's /api/raft/message endpoint with the
+ * cluster's shared secret as a bearer token.
+ * @param {Object} options - Transport options
+ * @param {Object} options.peers - Map of peer node ID to base URL
+ * @param {Number} options.timeout - Request timeout in milliseconds
+ * @param {String} options.authToken - Shared secret of the cluster
+ * @returns {Object} The transport
+ */
+const createHttpTransport = (options = {}) => {
+  const { peers = {}, timeout = 1000, authToken } = options;
+  const handlers = new Map();
+
+  return {
+    register(nodeId, handler) {
+      handlers.set(nodeId, handler);
+    },
+
+    unregister(nodeId) {
+      handlers.delete(nodeId);
+    },
+
+    async send(fromId, toId, message) {
+      const baseUrl = peers[toId];
+      if (!baseUrl) {
+        throw new Error(`No URL configured for RAFT peer ${toId}`);
+      }
+
+      const response = await axios.post(`${baseUrl}/api/raft/message`, {
+        from: fromId,
+        to: toId,
+        message
+      }, {
+        timeout,
+        headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+      });
+
+      return response.data;
+    },
+
+    /**
+     * Deliver a message received over HTTP to the local node
+     * @param {String} toId - The local node the message is addressed to
+     * @param {Object} message - The RAFT message
+     * @returns {Promise<Object>} The local node's response
+     */
+    async receive(toId, message) {
+      const handler = handlers.get(toId);
+      if (!handler) {
+        throw new Error(`RAFT node ${toId} is not running on this instance`);
+      }
+      return handler(message);
+    }
+  };
+};
+
+/**
+ * Parse a peer list of the form "node-2=http://host:3010,node-3=http://host:3020"
+ * @param {String} peerList - Comma-separated list of id=url pairs
+ * @returns {Object} Map of peer node ID to base URL
+ */
+const parsePeers = (peerList) => {
+  if (!peerList) return {};
+
+  return peerList.split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .reduce((peers, item) => {
+      const separator = item.indexOf('=');
+      if (separator === -1) {
+        throw new Error(`Invalid RAFT peer "${item}", expected <nodeId>=<url>`);
+      }
+      peers[item.slice(0, separator).trim()] = item.slice(separator + 1).trim().replace(/\/$/, '');
+      return peers;
+    }, {});
+};
+
+module.exports = {
+  createInMemoryTransport,
+  createHttpTransport,
+  parsePeers
+};
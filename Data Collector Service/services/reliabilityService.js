@@ -0,0 +1,140 @@
+const { NodeReliability } = require('../models/nodeReliability');
+const { FLOAT_EPSILON } = require('../utils/consensus');
+const { logger } = require('../utils/logger');
+
+// Weight of the latest round in the rolling score (exponential moving average)
+const SMOOTHING_FACTOR = parseFloat(process.env.RELIABILITY_SMOOTHING_FACTOR) || 0.1;
+// Nodes scoring below this are quarantined from voting...
+const QUARANTINE_THRESHOLD = parseFloat(process.env.RELIABILITY_QUARANTINE_THRESHOLD) || 0.5;
+// ...until their score recovers to this level
+const RELEASE_THRESHOLD = parseFloat(process.env.RELIABILITY_RELEASE_THRESHOLD) || 0.7;
+// Rounds a node must take part in before it can be quarantined
+const MIN_ROUNDS = parseInt(process.env.RELIABILITY_MIN_ROUNDS) || 10;
+
+// Score of a node that has no history yet
+const INITIAL_SCORE = 1;
+// Lowest voting weight, so a weighted vote never divides by zero
+const MIN_WEIGHT = 0.05;
+
+// Consensus methods where readings were actually compared with each other
+const SCORED_METHODS = ['majority', 'average'];
+
+/**
+ * Get the voting weights and quarantined nodes for a sensor type
+ * @param {Array<String>} nodeIds - Nodes taking part in the round
+ * @param {String} sensorType - Sensor type of the readings
+ * @returns {Promise<Object>} Weight per node ID and the IDs of quarantined nodes
+ */
+const getVotingWeights = async (nodeIds, sensorType) => {
+  const records = await NodeReliability.find({ nodeId: { $in: nodeIds }, sensorType });
+
+  const weights = {};
+  const quarantined = [];
+
+  nodeIds.forEach(nodeId => {
+    const record = records.find(r => r.nodeId === nodeId);
+    weights[nodeId] = Math.max(MIN_WEIGHT, record ? record.score : INITIAL_SCORE);
+
+    if (record && record.quarantined) {
+      quarantined.push(nodeId);
+    }
+  });
+
+  return { weights, quarantined };
+};
+
+/**
+ * Update each node's rolling score after a consensus round
+ * Quarantined nodes keep being scored so they can earn their way back.
+ * @param {Object} round - The consensus round
+ * @param {String} round.sensorType - Sensor type of the readings
+ * @param {Array} round.readings - All readings in the round, including quarantined nodes
+ * @param {Number} round.consensusValue - The agreed value
+ * @param {Boolean} round.validConsensus - Whether consensus was reached
+ * @param {String} round.consensusMethod - Method used to reach consensus
+ * @param {Array} round.rejectedReadings - Readings left out of the consensus
+ * @param {Number} round.tolerance - Absolute agreement tolerance for the sensor type
+ * @returns {Promise<Array>} Node IDs whose quarantine state changed
+ */
+const recordRound = async (round) => {
+  const { sensorType, readings, consensusValue, validConsensus, consensusMethod, rejectedReadings = [], tolerance = 0 } = round;
+
+  if (!validConsensus || !SCORED_METHODS.includes(consensusMethod)) {
+    return [];
+  }
+
+  const now = new Date();
+  const changed = [];
+
+  for (const reading of readings) {
+    const rejected = rejectedReadings.find(r => r.nodeId === reading.nodeId);
+    // Quarantined readings did not vote, so judge them by their distance from the result
+    const agreed = !rejected ||
+      (rejected.reason === 'quarantined' && Math.abs(reading.value - consensusValue) <= tolerance + FLOAT_EPSILON);
+
+    const updated = await NodeReliability.findOneAndUpdate(
+      { nodeId: reading.nodeId, sensorType },
+      [
+        { $set: {
+          score: { $add: [
+            { $multiply: [{ $ifNull: ['$score', INITIAL_SCORE] }, 1 - SMOOTHING_FACTOR] },
+            agreed ? SMOOTHING_FACTOR : 0
+          ] },
+          rounds: { $add: [{ $ifNull: ['$rounds', 0] }, 1] },
+          agreements: { $add: [{ $ifNull: ['$agreements', 0] }, agreed ? 1 : 0] },
+          lastRoundAt: now,
+          wasQuarantined: { $ifNull: ['$quarantined', false] }
+        } },
+        // Hysteresis: quarantine below one threshold, release above a higher one
+        { $set: {
+          quarantined: { $cond: [
+            { $and: [{ $gte: ['$rounds', MIN_ROUNDS] }, { $lt: ['$score', QUARANTINE_THRESHOLD] }] },
+            true,
+            { $cond: [{ $gte: ['$score', RELEASE_THRESHOLD] }, false, '$wasQuarantined'] }
+          ] }
+        } },
+        { $set: {
+          quarantinedAt: { $cond: [
+            '$quarantined',
+            { $cond: ['$wasQuarantined', '$quarantinedAt', now] },
+            null
+          ] }
+        } },
+        { $unset: 'wasQuarantined' }
+      ],
+      { upsert: true, new: true }
+    );
+
+    const becameQuarantined = updated.quarantined && updated.quarantinedAt &&
+      updated.quarantinedAt.getTime() === now.getTime();
+
+    if (becameQuarantined) {
+      logger.warn(`Node ${reading.nodeId} quarantined from ${sensorType} consensus`, { score: updated.score });
+      changed.push(reading.nodeId);
+    }
+  }
+
+  return changed;
+};
+
+/**
+ * Get the reliability records of a node
+ * @param {String} nodeId - ID of the node
+ * @param {String} sensorType - Optional sensor type filter
+ * @returns {Promise<Array>} NodeReliability documents
+ */
+const getNodeReliability = async (nodeId, sensorType) => {
+  const query = { nodeId };
+  if (sensorType) query.sensorType = sensorType;
+
+  return NodeReliability.find(query).sort({ sensorType: 1 });
+};
+
+module.exports = {
+  QUARANTINE_THRESHOLD,
+  RELEASE_THRESHOLD,
+  MIN_ROUNDS,
+  getVotingWeights,
+  recordRound,
+  getNodeReliability
+};
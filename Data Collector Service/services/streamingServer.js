@@ -0,0 +1,274 @@
+const WebSocket = require('ws');
+const nodeRegistry = require('./nodeRegistry');
+const ingestionService = require('./ingestionService');
+const { logger } = require('../utils/logger');
+
+// Path of the WebSocket ingestion endpoint
+const STREAM_PATH = process.env.STREAM_PATH || '/api/stream';
+// Shared secret edge nodes authenticate with (leave empty to only require registration)
+const STREAM_AUTH_TOKEN = process.env.STREAM_AUTH_TOKEN || '';
+// Time a connection has to authenticate before it is closed
+const STREAM_AUTH_TIMEOUT_MS = parseInt(process.env.STREAM_AUTH_TIMEOUT_MS) || 10000;
+// Unacknowledged readings per connection before the socket stops being read
+const STREAM_MAX_PENDING = parseInt(process.env.STREAM_MAX_PENDING) || 100;
+
+// WebSocket close codes used by the ingestion protocol
+const CLOSE_CODES = {
+  AUTH_FAILED: 4001,
+  AUTH_TIMEOUT: 4002,
+  PROTOCOL_ERROR: 4003
+};
+
+/**
+ * Authenticate an edge node
+ * The node must be registered; authenticating also counts as a heartbeat.
+ * @param {Object} credentials - nodeId and token sent by the node
+ * @returns {Promise<Boolean>} Whether the node may stream readings
+ */
+const authenticateNode = async ({ nodeId, token }) => {
+  if (STREAM_AUTH_TOKEN && token !== STREAM_AUTH_TOKEN) {
+    return false;
+  }
+
+  const node = await nodeRegistry.recordHeartbeat(nodeId);
+  return Boolean(node);
+};
+
+/**
+ * Store a streamed reading and queue a consensus round for it
+ * The reading is acknowledged once stored; consensus runs in the background.
+ * Duplicates are acknowledged without another consensus round.
+ * @param {Object} reading - Reading sent by the node
+ * @param {String} nodeId - Authenticated node ID
+ * @returns {Promise<Object>} The SensorData document and whether it was a duplicate
+ */
+const ingestReading = async (reading, nodeId) => {
+  const result = await ingestionService.recordReading({ ...reading, nodeId });
+  if (!result.duplicate) {
+    ingestionService.scheduleConsensus(result.reading);
+  }
+  return result;
+};
+
+/**
+ * Create the WebSocket ingestion endpoint
+ *
+ * Protocol (JSON text frames):
+ *   -> { type: 'auth', nodeId, token }
+ *   <- { type: 'auth', success: true, nodeId, maxPending }
+ *   -> { type: 'reading', id, reading: { patientId, sensorType, value, unit, timestamp, metadata } }
+ *   <- { type: 'ack', id, sensorDataId, duplicate } | { type: 'nack', id, message, errors }
+ *
+ * Readings are processed in order. When more than maxPending readings of a
+ * connection are waiting, the server stops reading from its socket until half
+ * of them have been acknowledged, so TCP flow control slows the node down.
+ *
+ * @param {Object} options - Server options
+ * @param {Object} options.server - HTTP server to attach to
+ * @param {String} options.path - Endpoint path
+ * @param {Function} options.authenticate - Async (credentials) => Boolean
+ * @param {Function} options.handleReading - Async (reading, nodeId) => { reading, duplicate }
+ * @param {Number} options.maxPending - Backpressure high-water mark per connection
+ * @param {Number} options.authTimeout - Milliseconds allowed for authentication
+ * @returns {Object} The streaming server API
+ */
+const createStreamingServer = (options) => {
+  const {
+    server,
+    path = STREAM_PATH,
+    authenticate = authenticateNode,
+    handleReading = ingestReading,
+    maxPending = STREAM_MAX_PENDING,
+    authTimeout = STREAM_AUTH_TIMEOUT_MS
+  } = options;
+
+  const wss = new WebSocket.Server({ server, path });
+  const connections = new Set();
+
+  const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const handleConnection = (socket) => {
+    const connection = {
+      socket,
+      nodeId: null,
+      authenticating: false,
+      pending: 0,
+      paused: false,
+      queue: Promise.resolve(),
+      received: 0,
+      acknowledged: 0,
+      rejected: 0
+    };
+    connections.add(connection);
+
+    const authTimer = setTimeout(() => {
+      if (!connection.nodeId) {
+        socket.close(CLOSE_CODES.AUTH_TIMEOUT, 'Authentication timeout');
+      }
+    }, authTimeout);
+
+    const handleAuth = async (message) => {
+      connection.authenticating = true;
+
+      try {
+        const allowed = typeof message.nodeId === 'string' && message.nodeId &&
+          await authenticate({ nodeId: message.nodeId, token: message.token });
+
+        if (!allowed) {
+          logger.warn(`Streaming authentication failed for node ${message.nodeId}`);
+          send(socket, { type: 'auth', success: false, message: 'Authentication failed' });
+          socket.close(CLOSE_CODES.AUTH_FAILED, 'Authentication failed');
+          return;
+        }
+
+        connection.nodeId = message.nodeId;
+        clearTimeout(authTimer);
+        send(socket, { type: 'auth', success: true, nodeId: connection.nodeId, maxPending });
+        logger.info(`Edge node ${connection.nodeId} connected to the ingestion stream`);
+      } catch (error) {
+        logger.error('Error authenticating streaming connection:', error);
+        send(socket, { type: 'auth', success: false, message: 'Authentication failed', error: error.message });
+        socket.close(CLOSE_CODES.AUTH_FAILED, 'Authentication failed');
+      } finally {
+        connection.authenticating = false;
+      }
+    };
+
+    const handleReadingMessage = (message) => {
+      connection.received += 1;
+      connection.pending += 1;
+
+      if (!connection.paused && connection.pending >= maxPending) {
+        connection.paused = true;
+        socket.pause();
+      }
+
+      connection.queue = connection.queue.then(async () => {
+        try {
+          const result = await handleReading(message.reading || {}, connection.nodeId);
+          connection.acknowledged += 1;
+          send(socket, {
+            type: 'ack',
+            id: message.id,
+            sensorDataId: result.reading && result.reading._id,
+            duplicate: Boolean(result.duplicate)
+          });
+        } catch (error) {
+          connection.rejected += 1;
+          const errors = ingestionService.getValidationErrors(error);
+          if (errors.length === 0) {
+            logger.error(`Error ingesting streamed reading from node ${connection.nodeId}:`, error);
+          }
+          send(socket, {
+            type: 'nack',
+            id: message.id,
+            message: errors.length > 0 ? 'Invalid reading' : 'Failed to record sensor data',
+            errors,
+            error: error.message
+          });
+        } finally {
+          connection.pending -= 1;
+
+          if (connection.paused && connection.pending <= Math.floor(maxPending / 2)) {
+            connection.paused = false;
+            socket.resume();
+          }
+        }
+      });
+    };
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        send(socket, { type: 'error', message: 'Messages must be JSON' });
+        return;
+      }
+
+      if (!message || typeof message !== 'object') {
+        send(socket, { type: 'error', message: 'Messages must be JSON objects' });
+        return;
+      }
+
+      if (message.type === 'auth') {
+        if (connection.nodeId || connection.authenticating) {
+          send(socket, { type: 'error', message: 'Already authenticated' });
+          return;
+        }
+        handleAuth(message);
+        return;
+      }
+
+      if (!connection.nodeId) {
+        send(socket, { type: 'error', message: 'Authenticate before sending readings' });
+        socket.close(CLOSE_CODES.PROTOCOL_ERROR, 'Not authenticated');
+        return;
+      }
+
+      if (message.type === 'reading') {
+        handleReadingMessage(message);
+        return;
+      }
+
+      send(socket, { type: 'error', id: message.id, message: `Unknown message type: ${message.type}` });
+    });
+
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      connections.delete(connection);
+
+      if (connection.nodeId) {
+        logger.info(`Edge node ${connection.nodeId} disconnected from the ingestion stream`, {
+          received: connection.received,
+          acknowledged: connection.acknowledged,
+          rejected: connection.rejected
+        });
+      }
+    });
+
+    socket.on('error', (error) => {
+      logger.error(`Streaming connection error${connection.nodeId ? ` for node ${connection.nodeId}` : ''}: ${error.message}`);
+    });
+  };
+
+  wss.on('connection', handleConnection);
+
+  /**
+   * Get the state of the open connections
+   * @returns {Object} Connection statistics
+   */
+  const getStatus = () => ({
+    path,
+    connections: Array.from(connections).map(connection => ({
+      nodeId: connection.nodeId,
+      pending: connection.pending,
+      paused: connection.paused,
+      received: connection.received,
+      acknowledged: connection.acknowledged,
+      rejected: connection.rejected
+    }))
+  });
+
+  /**
+   * Close all connections and stop accepting new ones
+   * @returns {Promise} Promise resolving when the server is closed
+   */
+  const close = () => new Promise((resolve) => {
+    connections.forEach(connection => connection.socket.terminate());
+    wss.close(() => resolve());
+  });
+
+  logger.info(`Streaming ingestion endpoint listening on ${path}`, { maxPending });
+
+  return { getStatus, close };
+};
+
+module.exports = {
+  CLOSE_CODES,
+  createStreamingServer
+};
@@ -0,0 +1,201 @@
+const { ConsensusThreshold } = require('../models/consensusThreshold');
+const { DEFAULT_CONSENSUS_OPTIONS } = require('../utils/consensus');
+const { logger } = require('../utils/logger');
+
+// Upper bound for the timestamp threshold (10 minutes)
+const MAX_TIMESTAMP_THRESHOLD = 10 * 60 * 1000;
+
+// Built-in thresholds used when nothing has been configured yet
+const DEFAULT_THRESHOLDS = {
+  configId: null,
+  scope: 'default',
+  version: 0,
+  timestampThreshold: DEFAULT_CONSENSUS_OPTIONS.timestampThreshold,
+  valueThreshold: DEFAULT_CONSENSUS_OPTIONS.valueThreshold,
+  valueTolerance: DEFAULT_CONSENSUS_OPTIONS.valueTolerance
+};
+
+/**
+ * Build the key identifying a threshold scope
+ * @param {String} patientId - Patient ID or null for all patients
+ * @param {String} sensorType - Sensor type or null for all sensor types
+ * @returns {String} Scope key
+ */
+const buildScopeKey = (patientId, sensorType) => `${patientId || '*'}:${sensorType || '*'}`;
+
+/**
+ * Determine the scope name for a patient/sensor type combination
+ * @param {String} patientId - Patient ID or null
+ * @param {String} sensorType - Sensor type or null
+ * @returns {String} Scope name
+ */
+const getScope = (patientId, sensorType) => {
+  if (patientId) return 'patient';
+  if (sensorType) return 'sensorType';
+  return 'global';
+};
+
+/**
+ * Validate threshold values from a request
+ * @param {Object} thresholds - Thresholds to validate
+ * @returns {Array} Field-level errors, empty if valid
+ */
+const validateThresholds = ({ timestampThreshold, valueThreshold, valueTolerance }) => {
+  const errors = [];
+
+  if (timestampThreshold === undefined && valueThreshold === undefined && valueTolerance === undefined) {
+    errors.push({
+      field: 'timestampThreshold',
+      message: 'At least one of timestampThreshold, valueThreshold or valueTolerance is required'
+    });
+  }
+
+  if (timestampThreshold !== undefined &&
+      (typeof timestampThreshold !== 'number' || !Number.isInteger(timestampThreshold) ||
+       timestampThreshold < 0 || timestampThreshold > MAX_TIMESTAMP_THRESHOLD)) {
+    errors.push({
+      field: 'timestampThreshold',
+      message: `timestampThreshold must be an integer number of milliseconds between 0 and ${MAX_TIMESTAMP_THRESHOLD}`
+    });
+  }
+
+  if (valueThreshold !== undefined &&
+      (typeof valueThreshold !== 'number' || Number.isNaN(valueThreshold) ||
+       valueThreshold <= 0 || valueThreshold > 1)) {
+    errors.push({
+      field: 'valueThreshold',
+      message: 'valueThreshold must be a decimal percentage greater than 0 and at most 1'
+    });
+  }
+
+  // null resets the tolerance to the sensor type default
+  if (valueTolerance !== undefined && valueTolerance !== null &&
+      (typeof valueTolerance !== 'number' || Number.isNaN(valueTolerance) || valueTolerance < 0)) {
+    errors.push({
+      field: 'valueTolerance',
+      message: 'valueTolerance must be a non-negative number or null'
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Convert a stored threshold document to the shape recorded on consensus data
+ * @param {Object} config - ConsensusThreshold document
+ * @returns {Object} Threshold summary
+ */
+const toThresholdSummary = (config) => ({
+  configId: config._id,
+  scope: config.scope,
+  version: config.version,
+  timestampThreshold: config.timestampThreshold,
+  valueThreshold: config.valueThreshold,
+  valueTolerance: config.valueTolerance
+});
+
+/**
+ * Get the latest version of the thresholds configured for exactly this scope
+ * @param {String} patientId - Patient ID or null
+ * @param {String} sensorType - Sensor type or null
+ * @returns {Promise<Object|null>} Latest ConsensusThreshold document
+ */
+const getLatestVersion = async (patientId, sensorType) => {
+  return ConsensusThreshold.findOne({ scopeKey: buildScopeKey(patientId, sensorType) })
+    .sort({ version: -1 });
+};
+
+/**
+ * Resolve the thresholds that apply to a patient and sensor type
+ * The most specific scope wins: patient + sensor type, patient,
+ * sensor type, global, then the built-in defaults.
+ * @param {String} patientId - Patient ID
+ * @param {String} sensorType - Sensor type
+ * @returns {Promise<Object>} Threshold summary including the version used
+ */
+const resolveThresholds = async (patientId, sensorType) => {
+  const scopeKeys = [
+    buildScopeKey(patientId, sensorType),
+    buildScopeKey(patientId, null),
+    buildScopeKey(null, sensorType),
+    buildScopeKey(null, null)
+  ];
+
+  const configs = await ConsensusThreshold.find({ scopeKey: { $in: scopeKeys } })
+    .sort({ version: -1 });
+
+  for (const scopeKey of scopeKeys) {
+    const config = configs.find(c => c.scopeKey === scopeKey);
+    if (config) {
+      return toThresholdSummary(config);
+    }
+  }
+
+  return { ...DEFAULT_THRESHOLDS };
+};
+
+/**
+ * Store a new version of the thresholds for a scope
+ * Values that are not provided are carried over from the previous version.
+ * @param {Object} update - Threshold update
+ * @returns {Promise<Object>} The new ConsensusThreshold document
+ */
+const updateThresholds = async (update) => {
+  const {
+    patientId = null,
+    sensorType = null,
+    timestampThreshold,
+    valueThreshold,
+    valueTolerance,
+    updatedBy,
+    reason
+  } = update;
+
+  const previous = await getLatestVersion(patientId, sensorType);
+  const base = previous || await resolveThresholds(patientId, sensorType);
+
+  const config = new ConsensusThreshold({
+    scope: getScope(patientId, sensorType),
+    scopeKey: buildScopeKey(patientId, sensorType),
+    patientId,
+    sensorType,
+    version: previous ? previous.version + 1 : 1,
+    timestampThreshold: timestampThreshold !== undefined ? timestampThreshold : base.timestampThreshold,
+    valueThreshold: valueThreshold !== undefined ? valueThreshold : base.valueThreshold,
+    valueTolerance: valueTolerance !== undefined ? valueTolerance : base.valueTolerance,
+    updatedBy: updatedBy || null,
+    reason: reason || null
+  });
+
+  await config.save();
+
+  logger.info(`Consensus thresholds updated for scope ${config.scopeKey}`, {
+    version: config.version,
+    timestampThreshold: config.timestampThreshold,
+    valueThreshold: config.valueThreshold,
+    valueTolerance: config.valueTolerance
+  });
+
+  return config;
+};
+
+/**
+ * List all versions of the thresholds for a scope, newest first
+ * @param {String} patientId - Patient ID or null
+ * @param {String} sensorType - Sensor type or null
+ * @returns {Promise<Array>} ConsensusThreshold documents
+ */
+const getVersions = async (patientId, sensorType) => {
+  return ConsensusThreshold.find({ scopeKey: buildScopeKey(patientId, sensorType) })
+    .sort({ version: -1 });
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  buildScopeKey,
+  validateThresholds,
+  resolveThresholds,
+  updateThresholds,
+  getLatestVersion,
+  getVersions
+};
@@ -0,0 +1,209 @@
+const { AVPU_VALUES, WardPolicy, PatientWard, PendingEWS } = require('../models/ward');
+const ewsHelper = require('../utils/ewsHelper');
+const { logger } = require('../utils/logger');
+
+const CONSCIOUSNESS_POLICIES = ['default', 'require', 'lastKnown'];
+
+// Policy for patients without a ward, or on a ward without its own policy
+const DEFAULT_POLICY = {
+  ward: null,
+  source: 'default',
+  consciousnessPolicy: CONSCIOUSNESS_POLICIES.includes(process.env.CONSCIOUSNESS_POLICY)
+    ? process.env.CONSCIOUSNESS_POLICY
+    : 'require',
+  defaultConsciousness: AVPU_VALUES.includes(process.env.CONSCIOUSNESS_DEFAULT_VALUE)
+    ? process.env.CONSCIOUSNESS_DEFAULT_VALUE
+    : 'Alert',
+  lastKnownMaxAgeMs: parseInt(process.env.CONSCIOUSNESS_LAST_KNOWN_MAX_AGE_MS) || 4 * 60 * 60 * 1000
+};
+
+/**
+ * Validate a ward policy from a request
+ * @param {Object} policy - Policy to validate
+ * @returns {Array} Field-level errors, empty if valid
+ */
+const validatePolicy = ({ consciousnessPolicy, defaultConsciousness, lastKnownMaxAgeMs }) => {
+  const errors = [];
+
+  if (!CONSCIOUSNESS_POLICIES.includes(consciousnessPolicy)) {
+    errors.push({
+      field: 'consciousnessPolicy',
+      message: `consciousnessPolicy must be one of: ${CONSCIOUSNESS_POLICIES.join(', ')}`
+    });
+  }
+
+  if (defaultConsciousness !== undefined && !AVPU_VALUES.includes(defaultConsciousness)) {
+    errors.push({
+      field: 'defaultConsciousness',
+      message: `defaultConsciousness must be one of: ${AVPU_VALUES.join(', ')}`
+    });
+  }
+
+  if (lastKnownMaxAgeMs !== undefined &&
+      (typeof lastKnownMaxAgeMs !== 'number' || !Number.isInteger(lastKnownMaxAgeMs) || lastKnownMaxAgeMs < 0)) {
+    errors.push({
+      field: 'lastKnownMaxAgeMs',
+      message: 'lastKnownMaxAgeMs must be a non-negative integer number of milliseconds'
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Create or update the policy of a ward
+ * @param {String} ward - Name of the ward
+ * @param {Object} policy - consciousnessPolicy, defaultConsciousness, lastKnownMaxAgeMs, updatedBy
+ * @returns {Promise<Object>} The stored WardPolicy document
+ */
+const setWardPolicy = async (ward, policy) => {
+  const update = { consciousnessPolicy: policy.consciousnessPolicy, updatedBy: policy.updatedBy || null };
+  if (policy.defaultConsciousness !== undefined) update.defaultConsciousness = policy.defaultConsciousness;
+  if (policy.lastKnownMaxAgeMs !== undefined) update.lastKnownMaxAgeMs = policy.lastKnownMaxAgeMs;
+
+  const stored = await WardPolicy.findOneAndUpdate(
+    { ward },
+    { $set: update },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  logger.info(`Consciousness policy of ward ${ward} set to ${stored.consciousnessPolicy}`, { updatedBy: update.updatedBy });
+
+  return stored;
+};
+
+/**
+ * Assign a patient to a ward
+ * @param {String} patientId - The patient's ID
+ * @param {String} ward - Name of the ward
+ * @returns {Promise<Object>} The PatientWard document
+ */
+const assignPatient = async (patientId, ward) => {
+  await PendingEWS.updateOne({ patientId }, { $set: { ward } });
+
+  return PatientWard.findOneAndUpdate(
+    { patientId },
+    { $set: { ward } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Get the consciousness policy that applies to a patient
+ * @param {String} patientId - The patient's ID
+ * @returns {Promise<Object>} The ward's policy, or the default policy
+ */
+const getPolicyForPatient = async (patientId) => {
+  const assignment = await PatientWard.findOne({ patientId });
+  if (!assignment) {
+    return DEFAULT_POLICY;
+  }
+
+  const policy = await WardPolicy.findOne({ ward: assignment.ward });
+  if (!policy) {
+    return { ...DEFAULT_POLICY, ward: assignment.ward };
+  }
+
+  return {
+    ward: policy.ward,
+    source: 'ward',
+    consciousnessPolicy: policy.consciousnessPolicy,
+    defaultConsciousness: policy.defaultConsciousness,
+    lastKnownMaxAgeMs: policy.lastKnownMaxAgeMs
+  };
+};
+
+/**
+ * Decide which consciousness value to use when no current AVPU value is available
+ * @param {String} patientId - The patient's ID
+ * @param {Object} entry - Status of the patient's last consciousness value (stale or missing)
+ * @returns {Promise<Object>} The value to use and how it was imputed, or blocked: true
+ */
+const resolveConsciousness = async (patientId, entry) => {
+  const policy = await getPolicyForPatient(patientId);
+
+  if (policy.consciousnessPolicy === 'default') {
+    return {
+      policy,
+      blocked: false,
+      value: policy.defaultConsciousness,
+      imputed: { vital: 'consciousness', method: 'default', value: policy.defaultConsciousness }
+    };
+  }
+
+  if (policy.consciousnessPolicy === 'lastKnown' && entry && entry.status === 'stale' &&
+      entry.ageMs <= policy.lastKnownMaxAgeMs) {
+    const value = ewsHelper.mapConsciousnessValue(entry.value);
+
+    if (value) {
+      return {
+        policy,
+        blocked: false,
+        value,
+        imputed: { vital: 'consciousness', method: 'lastKnown', value, ageMs: entry.ageMs }
+      };
+    }
+  }
+
+  return { policy, blocked: true, value: null, imputed: null };
+};
+
+/**
+ * Record that a patient's EWS is blocked waiting for a manual AVPU entry
+ * @param {String} patientId - The patient's ID
+ * @param {Object} policy - The policy that blocked the EWS
+ * @param {Array<String>} availableVitals - Vital signs that are ready
+ * @returns {Promise<Object>} The PendingEWS document
+ */
+const markPending = async (patientId, policy, availableVitals) => {
+  const now = new Date();
+
+  return PendingEWS.findOneAndUpdate(
+    { patientId },
+    {
+      $set: {
+        ward: policy.ward,
+        reason: 'awaitingConsciousness',
+        consciousnessPolicy: policy.consciousnessPolicy,
+        availableVitals,
+        lastCheckedAt: now
+      },
+      $setOnInsert: { since: now }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Remove a patient from the pending list once an EWS was calculated
+ * @param {String} patientId - The patient's ID
+ * @returns {Promise} Promise resolving when the entry is removed
+ */
+const clearPending = async (patientId) => {
+  return PendingEWS.deleteOne({ patientId });
+};
+
+/**
+ * List patients whose EWS is blocked waiting for a manual AVPU entry
+ * @param {String} ward - Optional ward filter
+ * @returns {Promise<Array>} PendingEWS documents, longest waiting first
+ */
+const getPendingPatients = async (ward) => {
+  const query = {};
+  if (ward) query.ward = ward;
+
+  return PendingEWS.find(query).sort({ since: 1 });
+};
+
+module.exports = {
+  CONSCIOUSNESS_POLICIES,
+  DEFAULT_POLICY,
+  validatePolicy,
+  setWardPolicy,
+  assignPatient,
+  getPolicyForPatient,
+  resolveConsciousness,
+  markPending,
+  clearPending,
+  getPendingPatients
+};
@@ -0,0 +1,173 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/raftCluster');
+jest.mock('../services/alertService');
+jest.mock('../services/ewsService');
+jest.mock('../services/wardPolicyService');
+
+const axios = require('axios');
+const express = require('express');
+const { SensorData } = require('../models/sensorData');
+const ingestionService = require('../services/ingestionService');
+const sensorDataRoutes = require('../routes/sensorData');
+
+let server = null;
+let baseUrl;
+// Readings as the collection would hold them
+let stored;
+
+/**
+ * Build a heart rate reading of node-1
+ * @param {String} readingId - The node's ID for the reading
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} The reading
+ */
+const heartRate = (readingId, overrides = {}) => ({
+  patientId: 'patient-1',
+  nodeId: 'node-1',
+  readingId,
+  sensorType: 'heartRate',
+  value: 80,
+  unit: 'bpm',
+  timestamp: '2024-01-01T08:00:00Z',
+  ...overrides
+});
+
+/**
+ * Post readings to an endpoint
+ * @param {String} path - Path below /api/data
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} The response
+ */
+const post = (path, body) => axios.post(`${baseUrl}/api/data${path}`, body, { validateStatus: () => true });
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/data', sensorDataRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  stored = [];
+
+  // The unique index on nodeId and readingId
+  jest.spyOn(SensorData.prototype, 'save').mockImplementation(async function () {
+    if (this.readingId && stored.some(reading => reading.nodeId === this.nodeId && reading.readingId === this.readingId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    stored.push(this);
+    return this;
+  });
+  jest.spyOn(SensorData, 'findOne').mockImplementation(async ({ nodeId, readingId }) =>
+    stored.find(reading => reading.nodeId === nodeId && reading.readingId === readingId) || null);
+
+  jest.spyOn(ingestionService, 'attemptConsensus').mockImplementation(async reading => ({ patientId: reading.patientId }));
+  jest.spyOn(ingestionService, 'checkAndTriggerEWSCalculation').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/data/batch', () => {
+  test('returns a result for every reading in request order', async () => {
+    const response = await post('/batch', {
+      readings: [
+        heartRate('r1'),
+        heartRate('r2', { value: 'fast' }),
+        heartRate('r3', { sensorType: 'temperature', value: 98.6, unit: '°F' }),
+        heartRate('r1')
+      ]
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.data.summary).toEqual({ accepted: 2, duplicate: 1, rejected: 1 });
+    expect(response.data.success).toBe(false);
+
+    const [first, invalid, temperature, repeated] = response.data.results;
+    expect(first).toEqual({ index: 0, readingId: 'r1', status: 'accepted', id: String(stored[0]._id) });
+    expect(invalid).toEqual({
+      index: 1,
+      readingId: 'r2',
+      status: 'rejected',
+      reason: 'Invalid sensor data',
+      errors: [{ field: 'value', message: 'value must be a number' }]
+    });
+    expect(temperature).toMatchObject({ index: 2, readingId: 'r3', status: 'accepted' });
+    expect(repeated).toEqual({ index: 3, readingId: 'r1', status: 'duplicate', id: first.id });
+
+    expect(stored).toHaveLength(2);
+    expect(stored[1]).toMatchObject({ value: 37, unit: '°C' });
+  });
+
+  test('reports a retried batch as duplicates without storing or running consensus again', async () => {
+    const readings = [heartRate('r1'), heartRate('r2', { timestamp: '2024-01-01T08:00:10Z' })];
+    const first = await post('/batch', { readings });
+    jest.clearAllMocks();
+
+    const retry = await post('/batch', { readings });
+
+    expect(retry.status).toBe(200);
+    expect(retry.data).toMatchObject({ success: true, summary: { accepted: 0, duplicate: 2, rejected: 0 } });
+    expect(retry.data.results.map(result => result.id)).toEqual(first.data.results.map(result => result.id));
+    expect(stored).toHaveLength(2);
+    expect(ingestionService.attemptConsensus).not.toHaveBeenCalled();
+  });
+
+  test('runs consensus once per patient and sensor type with the latest reading, then checks the EWS once per patient', async () => {
+    await post('/batch', {
+      readings: [
+        heartRate('r1', { timestamp: '2024-01-01T08:00:10Z' }),
+        heartRate('r2', { timestamp: '2024-01-01T08:00:00Z' }),
+        heartRate('r3', { sensorType: 'spo2', value: 97, unit: '%' }),
+        heartRate('r4', { patientId: 'patient-2' })
+      ]
+    });
+
+    const rounds = ingestionService.attemptConsensus.mock.calls.map(([reading, options]) =>
+      [reading.patientId, reading.sensorType, reading.readingId, options]);
+    expect(rounds).toEqual([
+      ['patient-1', 'heartRate', 'r1', { triggerEWS: false }],
+      ['patient-1', 'spo2', 'r3', { triggerEWS: false }],
+      ['patient-2', 'heartRate', 'r4', { triggerEWS: false }]
+    ]);
+    expect(ingestionService.checkAndTriggerEWSCalculation.mock.calls).toEqual([['patient-1'], ['patient-2']]);
+  });
+
+  test('rejects a request without readings', async () => {
+    const response = await post('/batch', { readings: [] });
+
+    expect(response.status).toBe(400);
+    expect(stored).toEqual([]);
+  });
+});
+
+describe('POST /api/data/sensor', () => {
+  test('stores a reading once and answers a retry with the stored reading', async () => {
+    const created = await post('/sensor', heartRate('r1'));
+    const retried = await post('/sensor', heartRate('r1'));
+
+    expect(created.status).toBe(201);
+    expect(retried.status).toBe(200);
+    expect(retried.data).toMatchObject({ duplicate: true, data: { _id: created.data.data._id } });
+    expect(stored).toHaveLength(1);
+    expect(ingestionService.attemptConsensus).toHaveBeenCalledTimes(1);
+  });
+
+  test('accepts the same reading ID from another node', async () => {
+    await post('/sensor', heartRate('r1'));
+    const other = await post('/sensor', heartRate('r1', { nodeId: 'node-2' }));
+
+    expect(other.status).toBe(201);
+    expect(stored).toHaveLength(2);
+  });
+});
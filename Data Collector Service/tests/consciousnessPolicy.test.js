@@ -0,0 +1,184 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/raftCluster');
+jest.mock('../services/alertService');
+jest.mock('../services/ewsService');
+
+const { ConsensusData } = require('../models/sensorData');
+const { WardPolicy, PatientWard, PendingEWS } = require('../models/ward');
+const ewsService = require('../services/ewsService');
+const ingestionService = require('../services/ingestionService');
+const wardPolicyService = require('../services/wardPolicyService');
+const ewsHelper = require('../utils/ewsHelper');
+
+const NOW = Date.UTC(2024, 0, 1, 8);
+const HOUR = 60 * 60 * 1000;
+
+// Latest consensus per sensor type, and the age of each in milliseconds
+let latest;
+
+/**
+ * Record the latest consensus value of a sensor type
+ * @param {String} sensorType - Sensor type
+ * @param {*} consensusValue - Consensus value
+ * @param {Number} ageMs - How long ago the consensus was reached
+ */
+const recorded = (sensorType, consensusValue, ageMs = 0) => {
+  latest[sensorType] = { sensorType, consensusValue, consensusTimestamp: new Date(NOW - ageMs), nodeId: ['node-1'] };
+};
+
+/**
+ * Put the patient on a ward with a consciousness policy
+ * @param {Object} policy - consciousnessPolicy, defaultConsciousness, lastKnownMaxAgeMs
+ */
+const onWard = (policy) => {
+  PatientWard.findOne.mockResolvedValue({ patientId: 'patient-1', ward: 'Ward 3' });
+  WardPolicy.findOne.mockResolvedValue({ ward: 'Ward 3', defaultConsciousness: 'Alert', lastKnownMaxAgeMs: 4 * HOUR, ...policy });
+};
+
+/**
+ * The vital signs and details of the only EWS calculation requested
+ * @returns {Object} vitalSigns and details
+ */
+const calculation = () => {
+  expect(ewsService.calculateEWS).toHaveBeenCalledTimes(1);
+  const [vitalSigns, , , details] = ewsService.calculateEWS.mock.calls[0];
+  return { vitalSigns, details };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(NOW);
+
+  latest = {};
+  // Every vital sign but consciousness was just measured
+  recorded('respRate', 16);
+  recorded('spo2', 97);
+  recorded('temperature', 37);
+  recorded('bpSystolic', 120);
+  recorded('heartRate', 80);
+
+  jest.spyOn(ConsensusData, 'aggregate').mockImplementation(async () => Object.values(latest));
+  jest.spyOn(PatientWard, 'findOne').mockResolvedValue(null);
+  jest.spyOn(WardPolicy, 'findOne').mockResolvedValue(null);
+  jest.spyOn(PendingEWS, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...filter, ...update.$set }));
+  jest.spyOn(PendingEWS, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  ewsService.calculateEWS.mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('EWS without a current AVPU value', () => {
+  test('waits for a manual entry by default', async () => {
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+
+    expect(ewsService.calculateEWS).not.toHaveBeenCalled();
+    expect(PendingEWS.findOneAndUpdate).toHaveBeenCalledWith(
+      { patientId: 'patient-1' },
+      expect.objectContaining({
+        $set: expect.objectContaining({
+          ward: null,
+          reason: 'awaitingConsciousness',
+          consciousnessPolicy: 'require',
+          availableVitals: ['respiratoryRate', 'oxygenSaturation', 'temperature', 'systolicBP', 'heartRate']
+        })
+      }),
+      expect.anything()
+    );
+  });
+
+  test('uses the default value of the ward and flags it as imputed', async () => {
+    onWard({ consciousnessPolicy: 'default', defaultConsciousness: 'Voice' });
+
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+
+    const { vitalSigns, details } = calculation();
+    expect(vitalSigns.consciousness).toBe('Voice');
+    expect(details).toMatchObject({
+      ward: 'Ward 3',
+      imputedVitals: [{ vital: 'consciousness', method: 'default', value: 'Voice' }]
+    });
+    expect(PendingEWS.deleteOne).toHaveBeenCalledWith({ patientId: 'patient-1' });
+  });
+
+  test('uses the last known value while it is younger than the age limit', async () => {
+    onWard({ consciousnessPolicy: 'lastKnown', lastKnownMaxAgeMs: 4 * HOUR });
+    recorded('consciousness', 2, 2 * HOUR);
+
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+
+    const { vitalSigns, details } = calculation();
+    expect(vitalSigns.consciousness).toBe('Pain');
+    expect(details.imputedVitals).toEqual([{ vital: 'consciousness', method: 'lastKnown', value: 'Pain', ageMs: 2 * HOUR }]);
+    expect(details.vitalSignAges.consciousness).toBe(2 * HOUR);
+  });
+
+  test('waits for a manual entry once the last known value is too old', async () => {
+    onWard({ consciousnessPolicy: 'lastKnown', lastKnownMaxAgeMs: HOUR });
+    recorded('consciousness', 0, 2 * HOUR);
+
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+
+    expect(ewsService.calculateEWS).not.toHaveBeenCalled();
+    expect(PendingEWS.findOneAndUpdate).toHaveBeenCalledWith(
+      { patientId: 'patient-1' },
+      expect.objectContaining({ $set: expect.objectContaining({ ward: 'Ward 3', consciousnessPolicy: 'lastKnown' }) }),
+      expect.anything()
+    );
+  });
+
+  test('does not read an invalid value as Alert', async () => {
+    recorded('consciousness', 7);
+
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+
+    expect(ewsService.calculateEWS).not.toHaveBeenCalled();
+    expect(PendingEWS.findOneAndUpdate).toHaveBeenCalled();
+  });
+
+  test('is not imputed while a measured value is fresh', async () => {
+    onWard({ consciousnessPolicy: 'default', defaultConsciousness: 'Alert' });
+    recorded('consciousness', 3);
+
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+
+    const { vitalSigns, details } = calculation();
+    expect(vitalSigns.consciousness).toBe('Unresponsive');
+    expect(details.imputedVitals).toEqual([]);
+  });
+});
+
+describe('wardPolicyService', () => {
+  test('falls back to the default policy on a ward without its own', async () => {
+    PatientWard.findOne.mockResolvedValue({ patientId: 'patient-1', ward: 'Ward 3' });
+
+    await expect(wardPolicyService.getPolicyForPatient('patient-1'))
+      .resolves.toEqual({ ...wardPolicyService.DEFAULT_POLICY, ward: 'Ward 3' });
+  });
+
+  test.each([
+    [{ consciousnessPolicy: 'always' }, ['consciousnessPolicy']],
+    [{ consciousnessPolicy: 'default', defaultConsciousness: 'A' }, ['defaultConsciousness']],
+    [{ consciousnessPolicy: 'lastKnown', lastKnownMaxAgeMs: -1 }, ['lastKnownMaxAgeMs']],
+    [{ consciousnessPolicy: 'lastKnown', lastKnownMaxAgeMs: HOUR }, []]
+  ])('validates %j', (policy, fields) => {
+    expect(wardPolicyService.validatePolicy(policy).map(error => error.field)).toEqual(fields);
+  });
+});
+
+describe('mapConsciousnessValue', () => {
+  test.each([
+    [0, 'Alert'],
+    ['3', 'Unresponsive'],
+    ['Voice', 'Voice'],
+    [1.5, null],
+    ['2abc', null],
+    [4, null],
+    [undefined, null]
+  ])('maps %p to %p', (value, expected) => {
+    expect(ewsHelper.mapConsciousnessValue(value)).toBe(expected);
+  });
+});
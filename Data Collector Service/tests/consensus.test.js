@@ -0,0 +1,106 @@
+const consensusUtil = require('../utils/consensus');
+
+const OUTLIER_THRESHOLD = consensusUtil.DEFAULT_CONSENSUS_OPTIONS.outlierThreshold;
+
+/**
+ * Build readings of one sensor from their values
+ * @param {Array<Number>} values - One value per node
+ * @returns {Array<Object>} Readings of node-1, node-2, ...
+ */
+const readingsOf = (values) => values.map((value, index) => ({ nodeId: `node-${index + 1}`, value }));
+
+/**
+ * Voting weights by node, 1 for nodes without one
+ * @param {Object} weights - Weight per node ID
+ * @returns {Function} Weight of a reading
+ */
+const weighted = (weights = {}) => (reading) => (reading.nodeId in weights ? weights[reading.nodeId] : 1);
+
+/**
+ * Values of readings, in their order
+ * @param {Array<Object>} readings - The readings
+ * @returns {Array<Number>} Their values
+ */
+const valuesOf = (readings) => readings.map(reading => reading.value);
+
+describe('rejectOutliers', () => {
+  test('keeps every reading when none is far from the rest', () => {
+    const readings = readingsOf([80, 81, 79, 80, 82]);
+
+    const { inliers, outliers } = consensusUtil.rejectOutliers(readings, 2, OUTLIER_THRESHOLD);
+
+    expect(inliers).toEqual(readings);
+    expect(outliers).toEqual([]);
+  });
+
+  test('rejects a distant reading', () => {
+    const { inliers, outliers } = consensusUtil.rejectOutliers(readingsOf([80, 81, 79, 80, 140]), 2, OUTLIER_THRESHOLD);
+
+    expect(valuesOf(inliers)).toEqual([80, 81, 79, 80]);
+    expect(valuesOf(outliers)).toEqual([140]);
+  });
+
+  test('keeps identical readings, whose MAD is 0', () => {
+    const readings = readingsOf([80, 80, 80]);
+
+    expect(consensusUtil.rejectOutliers(readings, 2, OUTLIER_THRESHOLD)).toEqual({ inliers: readings, outliers: [] });
+  });
+
+  test('with MAD 0, rejects any reading outside the tolerance', () => {
+    const { inliers, outliers } = consensusUtil.rejectOutliers(readingsOf([80, 80, 80, 81.5, 83]), 2, OUTLIER_THRESHOLD);
+
+    expect(valuesOf(inliers)).toEqual([80, 80, 80, 81.5]);
+    expect(valuesOf(outliers)).toEqual([83]);
+  });
+
+  test('keeps every reading when the rest would not be a majority', () => {
+    const readings = readingsOf([80, 80, 100, 100]);
+
+    expect(consensusUtil.rejectOutliers(readings, 2, 0.1)).toEqual({ inliers: readings, outliers: [] });
+  });
+});
+
+describe('findLargestCluster', () => {
+  test('finds the readings that agree within the tolerance', () => {
+    const cluster = consensusUtil.findLargestCluster(readingsOf([70, 80, 81, 82, 95]), 2, weighted());
+
+    expect(valuesOf(cluster)).toEqual([80, 81, 82]);
+  });
+
+  test('prefers the tighter of two clusters of equal size', () => {
+    const cluster = consensusUtil.findLargestCluster(readingsOf([70, 72, 80, 80.5]), 2, weighted());
+
+    expect(valuesOf(cluster)).toEqual([80, 80.5]);
+  });
+
+  test('keeps the lower of two clusters of equal size and spread', () => {
+    const cluster = consensusUtil.findLargestCluster(readingsOf([80, 81, 70, 71]), 2, weighted());
+
+    expect(valuesOf(cluster)).toEqual([70, 71]);
+  });
+
+  test('weighs the readings by their votes', () => {
+    const cluster = consensusUtil.findLargestCluster(readingsOf([70, 71, 80]), 2, weighted({ 'node-3': 3 }));
+
+    expect(valuesOf(cluster)).toEqual([80]);
+  });
+});
+
+describe('weightedMedian', () => {
+  test('is the median with equal weights', () => {
+    expect(consensusUtil.weightedMedian(readingsOf([82, 80, 81]), weighted())).toBe(81);
+    expect(consensusUtil.weightedMedian(readingsOf([82, 80, 81, 83]), weighted())).toBe(81.5);
+  });
+
+  test('moves towards the heavier votes', () => {
+    expect(consensusUtil.weightedMedian(readingsOf([70, 80, 90]), weighted({ 'node-1': 3 }))).toBe(70);
+  });
+
+  test('averages the two values that split the weight in half', () => {
+    expect(consensusUtil.weightedMedian(readingsOf([70, 80, 90]), weighted({ 'node-1': 2 }))).toBe(75);
+  });
+
+  test('is the value of a single reading', () => {
+    expect(consensusUtil.weightedMedian(readingsOf([80]), weighted({ 'node-1': 0.3 }))).toBe(80);
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/raftCluster');
+jest.mock('../services/reliabilityService');
+jest.mock('../services/alertService');
+jest.mock('../services/ewsService');
+jest.mock('../services/wardPolicyService');
+
+const { SensorData, ConsensusData } = require('../models/sensorData');
+const { EdgeNode } = require('../models/edgeNode');
+const { ConsensusThreshold } = require('../models/consensusThreshold');
+const raftCluster = require('../services/raftCluster');
+const reliabilityService = require('../services/reliabilityService');
+const ingestionService = require('../services/ingestionService');
+
+const START = Date.UTC(2024, 0, 1, 8);
+
+// Readings and consensus records as the collections would hold them
+let stored;
+let consensusRecords;
+let offlineNodes;
+
+/**
+ * Store a heart rate reading and run a consensus round for it
+ * @param {String} nodeId - Node that sent the reading
+ * @param {Number} offsetMs - Time of the reading after START
+ * @param {Object} overrides - Fields to change
+ * @returns {Promise<Object|null>} The stored consensus, or null
+ */
+const report = (nodeId, offsetMs, overrides = {}) => {
+  const reading = { patientId: 'patient-1', sensorType: 'heartRate', nodeId, value: 80, timestamp: new Date(START + offsetMs), ...overrides };
+  stored.push(reading);
+  return ingestionService.attemptConsensus(reading, { triggerEWS: false });
+};
+
+/**
+ * Check whether a stored document matches a query on patientId, sensorType and a timestamp range
+ * @param {Object} query - The query
+ * @param {Date} timestamp - Timestamp of the document
+ * @param {Object} doc - The document
+ * @returns {Boolean} Whether it matches
+ */
+const matches = (query, timestamp, doc) => {
+  const range = query.timestamp || query['readings.timestamp'] || {};
+  return doc.patientId === query.patientId &&
+    doc.sensorType === query.sensorType &&
+    (!range.$gte || timestamp >= range.$gte) &&
+    (!range.$lte || timestamp <= range.$lte);
+};
+
+beforeEach(() => {
+  stored = [];
+  consensusRecords = [];
+  offlineNodes = [];
+
+  jest.spyOn(SensorData, 'find').mockImplementation(query => ({
+    sort: async () => stored
+      .filter(reading => matches(query, reading.timestamp, reading))
+      .sort((a, b) => a.timestamp - b.timestamp)
+  }));
+  jest.spyOn(SensorData, 'distinct').mockImplementation(async (field, query) => [...new Set(stored
+    .filter(reading => matches(query, reading.timestamp, reading))
+    .map(reading => reading[field]))]);
+  jest.spyOn(ConsensusData, 'find').mockImplementation(query => ({
+    lean: async () => consensusRecords.filter(record =>
+      record.readings.some(reading => matches(query, reading.timestamp, record)))
+  }));
+  // No thresholds are configured, so the defaults apply
+  jest.spyOn(ConsensusThreshold, 'find').mockReturnValue({ sort: async () => [] });
+  jest.spyOn(EdgeNode, 'countDocuments').mockImplementation(async query =>
+    query.nodeId.$in.filter(nodeId => offlineNodes.includes(nodeId)).length);
+
+  raftCluster.commitConsensus.mockImplementation(async (record) => {
+    consensusRecords.push(record);
+    return record;
+  });
+  reliabilityService.getVotingWeights.mockImplementation(async (nodeIds) => ({
+    weights: Object.fromEntries(nodeIds.map(nodeId => [nodeId, 1])),
+    quarantined: []
+  }));
+  reliabilityService.recordRound.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('consensus quorum', () => {
+  test('reaches quorum among the nodes monitoring the patient, not all live nodes', async () => {
+    // Three nodes monitor this patient; other patients' nodes do not count
+    ['node-4', 'node-5', 'node-6', 'node-7'].forEach(nodeId => {
+      stored.push({ patientId: 'patient-2', sensorType: 'heartRate', nodeId, value: 60, timestamp: new Date(START - 60000) });
+    });
+    await report('node-1', -120000);
+    await report('node-2', -120000);
+    await report('node-3', -120000);
+    consensusRecords = [];
+
+    await expect(report('node-1', 0)).resolves.toBeNull();
+    const consensus = await report('node-2', 1000);
+
+    expect(consensus).toMatchObject({ consensusValue: 80, validConsensus: true });
+    expect(consensus.readings.map(reading => reading.nodeId)).toEqual(['node-1', 'node-2']);
+  });
+
+  test('never takes a single reading as consensus', async () => {
+    await expect(report('node-1', 0)).resolves.toBeNull();
+
+    // The other node monitoring the patient went offline
+    await report('node-2', -300000);
+    offlineNodes = ['node-2'];
+    await expect(report('node-1', 10000)).resolves.toBeNull();
+
+    expect(raftCluster.commitConsensus).not.toHaveBeenCalled();
+  });
+
+  test('produces one consensus per window and scores each reading once', async () => {
+    await report('node-1', 0);
+    await report('node-2', 1000);
+    await report('node-3', 2000);
+
+    expect(consensusRecords).toHaveLength(1);
+    expect(reliabilityService.recordRound).toHaveBeenCalledTimes(1);
+    expect(reliabilityService.recordRound.mock.calls[0][0].readings.map(reading => reading.nodeId)).toEqual(['node-1', 'node-2']);
+
+    // The next readings of the nodes start a new round
+    await report('node-3', 20000);
+    await report('node-1', 21000);
+
+    expect(consensusRecords).toHaveLength(2);
+    expect(consensusRecords[1].readings.map(reading => reading.nodeId)).toEqual(['node-3', 'node-1']);
+  });
+});
+
+describe('rejected readings', () => {
+  test('store the signed deviation of a quarantined node', async () => {
+    reliabilityService.getVotingWeights.mockImplementation(async (nodeIds) => ({
+      weights: Object.fromEntries(nodeIds.map(nodeId => [nodeId, nodeId === 'node-3' ? 0.2 : 1])),
+      quarantined: ['node-3']
+    }));
+
+    // Both readings arrived while another round for the patient was running
+    stored.push({ patientId: 'patient-1', sensorType: 'heartRate', nodeId: 'node-3', value: 70, timestamp: new Date(START) });
+    stored.push({ patientId: 'patient-1', sensorType: 'heartRate', nodeId: 'node-1', value: 80, timestamp: new Date(START + 500) });
+    const consensus = await report('node-2', 1000);
+
+    expect(consensus.consensusValue).toBe(80);
+    expect(consensus.rejectedReadings).toEqual([
+      { nodeId: 'node-3', value: 70, deviation: -10, reason: 'quarantined' }
+    ]);
+  });
+});
+
+describe('consensus thresholds', () => {
+  test('are recorded with the version that was used', async () => {
+    ConsensusThreshold.find.mockReturnValue({
+      sort: async () => [{ _id: 'config-1', scopeKey: 'patient-1:heartRate', scope: 'patient', version: 3, timestampThreshold: 5000, valueThreshold: 0.01, valueTolerance: 2 }]
+    });
+
+    await report('node-1', 0, { value: 80 });
+    const consensus = await report('node-2', 1000, { value: 83 });
+
+    expect(consensus.thresholds).toEqual({ configId: 'config-1', scope: 'patient', version: 3, timestampThreshold: 5000, valueThreshold: 0.01, valueTolerance: 2 });
+    // 80 and 83 neither agree within 2 nor within 1% of their average
+    expect(consensus).toMatchObject({ validConsensus: false, consensusMethod: 'none' });
+  });
+});
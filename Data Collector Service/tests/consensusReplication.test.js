@@ -0,0 +1,211 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/reliabilityService');
+jest.mock('../services/alertService');
+jest.mock('../services/ewsService');
+jest.mock('../services/wardPolicyService');
+
+const { SensorData, ConsensusData } = require('../models/sensorData');
+const { EdgeNode } = require('../models/edgeNode');
+const { ConsensusThreshold } = require('../models/consensusThreshold');
+const { createRaftNode } = require('../services/raftNode');
+const { createInMemoryTransport } = require('../services/raftTransport');
+const { createInMemoryStorage } = require('../services/raftStorage');
+const raftCluster = require('../services/raftCluster');
+const reliabilityService = require('../services/reliabilityService');
+const ingestionService = require('../services/ingestionService');
+
+const START = Date.UTC(2024, 0, 1, 8);
+
+// Readings and consensus records in the database the instances share
+let stored;
+let consensusRecords;
+let instances;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true once the condition holds
+ * @param {Number} timeout - Milliseconds to wait at most
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 3000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeout}ms`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+/**
+ * Start two Data Collector instances whose RAFT nodes apply entries with raftCluster.applyEntry
+ * @returns {Promise<Array<Object>>} The RAFT nodes of the instances
+ */
+const startInstances = async () => {
+  const transport = createInMemoryTransport();
+  const ids = ['collector-1', 'collector-2'];
+
+  const nodes = ids.map(nodeId => createRaftNode({
+    nodeId,
+    peers: ids.filter(id => id !== nodeId),
+    transport,
+    storage: createInMemoryStorage(),
+    onApply: raftCluster.applyEntry,
+    electionTimeoutMin: 40,
+    electionTimeoutMax: 80,
+    heartbeatInterval: 10,
+    proposalTimeout: 2000
+  }));
+
+  await Promise.all(nodes.map(node => node.start()));
+  await waitFor(() => nodes.filter(node => node.isLeader()).length === 1);
+  return nodes;
+};
+
+/**
+ * Store a heart rate reading received by an instance
+ * @param {String} nodeId - Edge node that sent the reading
+ * @param {Number} offsetMs - Time of the reading after START
+ * @returns {Object} The reading
+ */
+const receive = (nodeId, offsetMs) => {
+  const reading = { patientId: 'patient-1', sensorType: 'heartRate', nodeId, value: 80, timestamp: new Date(START + offsetMs) };
+  stored.push(reading);
+  return reading;
+};
+
+/**
+ * Run consensus rounds on the instances at the same time
+ * Rounds reach their commit in the order they start, and each commits
+ * through the RAFT node of its own instance.
+ * @param {Array<Array>} rounds - [instance, reading] per round
+ * @returns {Promise<Array>} The result of each round
+ */
+const runConcurrently = (rounds) => {
+  rounds.forEach(([instance]) => {
+    raftCluster.commitConsensus.mockImplementationOnce(record =>
+      instance.propose({ type: raftCluster.COMMAND_TYPES.COMMIT_CONSENSUS, record }));
+  });
+  return Promise.all(rounds.map(([, reading]) => ingestionService.attemptConsensus(reading, { triggerEWS: false })));
+};
+
+/**
+ * Check whether a stored document matches a query on patientId, sensorType and a timestamp range
+ * @param {Object} query - The query
+ * @param {Date} timestamp - Timestamp of the document
+ * @param {Object} doc - The document
+ * @returns {Boolean} Whether it matches
+ */
+const matches = (query, timestamp, doc) => {
+  const range = query.timestamp || query['readings.timestamp'] || {};
+  return doc.patientId === query.patientId &&
+    doc.sensorType === query.sensorType &&
+    (!range.$gte || timestamp >= range.$gte) &&
+    (!range.$lte || timestamp <= range.$lte);
+};
+
+/**
+ * Check whether a consensus record holds a reading matching an $elemMatch condition
+ * @param {Object} record - The consensus record
+ * @param {Object} condition - nodeId and timestamp.$gte
+ * @returns {Boolean} Whether one of its readings matches
+ */
+const holdsReading = (record, { nodeId, timestamp }) => record.readings.some(reading =>
+  reading.nodeId === nodeId && reading.timestamp >= timestamp.$gte);
+
+beforeEach(() => {
+  stored = [];
+  consensusRecords = [];
+
+  jest.spyOn(SensorData, 'find').mockImplementation(query => ({
+    sort: async () => stored
+      .filter(reading => matches(query, reading.timestamp, reading))
+      .sort((a, b) => a.timestamp - b.timestamp)
+  }));
+  jest.spyOn(SensorData, 'distinct').mockImplementation(async (field, query) => [...new Set(stored
+    .filter(reading => matches(query, reading.timestamp, reading))
+    .map(reading => reading[field]))]);
+  jest.spyOn(ConsensusThreshold, 'find').mockReturnValue({ sort: async () => [] });
+  jest.spyOn(EdgeNode, 'countDocuments').mockResolvedValue(0);
+
+  jest.spyOn(ConsensusData, 'find').mockImplementation(query => ({
+    lean: async () => consensusRecords.filter(record =>
+      record.readings.some(reading => matches(query, reading.timestamp, record)))
+  }));
+  jest.spyOn(ConsensusData, 'findOne').mockImplementation(async ({ raftEntryId }) =>
+    consensusRecords.find(record => record.raftEntryId === raftEntryId) || null);
+  jest.spyOn(ConsensusData, 'exists').mockImplementation(async query => {
+    const earlier = consensusRecords.find(record =>
+      record.patientId === query.patientId &&
+      record.sensorType === query.sensorType &&
+      record.raftIndex < query.raftIndex.$lt &&
+      query.$or.some(({ readings }) => holdsReading(record, readings.$elemMatch)));
+    return earlier ? { _id: earlier.raftEntryId } : null;
+  });
+  jest.spyOn(ConsensusData, 'findOneAndUpdate').mockImplementation(async (filter, { $setOnInsert }) => {
+    const existing = consensusRecords.find(record => record.raftEntryId === filter.raftEntryId);
+    if (existing) return existing;
+    // Cast as MongoDB stores it: records forwarded between instances carry timestamps as strings
+    const record = new ConsensusData($setOnInsert).toObject();
+    consensusRecords.push(record);
+    return record;
+  });
+
+  jest.spyOn(raftCluster, 'commitConsensus');
+  reliabilityService.getVotingWeights.mockImplementation(async (nodeIds) => ({
+    weights: Object.fromEntries(nodeIds.map(nodeId => [nodeId, 1])),
+    quarantined: []
+  }));
+  reliabilityService.recordRound.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  instances.forEach(instance => instance.stop());
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('consensus rounds of two instances', () => {
+  beforeEach(async () => {
+    instances = await startInstances();
+  });
+
+  test('store one consensus when both start a round over the same readings', async () => {
+    const [first, second] = instances;
+    receive('node-1', 0);
+
+    // Each instance receives a reading and sees an unused window
+    const results = await runConcurrently([
+      [first, receive('node-2', 1000)],
+      [second, receive('node-3', 1000)]
+    ]);
+
+    expect(raftCluster.commitConsensus).toHaveBeenCalledTimes(2);
+    expect(consensusRecords).toHaveLength(1);
+    expect(results.filter(Boolean)).toEqual(consensusRecords);
+    expect(reliabilityService.recordRound).toHaveBeenCalledTimes(1);
+  });
+
+  test('store rounds over different readings from both', async () => {
+    const [first, second] = instances;
+    receive('node-1', 0);
+    receive('node-2', 500);
+    await runConcurrently([[first, receive('node-3', 1000)]]);
+
+    // The next readings of the nodes start a new window on the other instance
+    receive('node-1', 20000);
+    const [consensus] = await runConcurrently([[second, receive('node-2', 21000)]]);
+
+    expect(consensusRecords).toHaveLength(2);
+    expect(consensus.readings.map(reading => reading.nodeId)).toEqual(['node-1', 'node-2']);
+  });
+
+  test('apply the log the same way when a node applies an entry again', async () => {
+    const [first] = instances;
+    receive('node-1', 0);
+    const [consensus] = await runConcurrently([[first, receive('node-2', 1000)]]);
+
+    // Another instance sharing the database applies the same entry
+    const entry = { id: consensus.raftEntryId, term: consensus.raftTerm, index: consensus.raftIndex, command: { type: raftCluster.COMMAND_TYPES.COMMIT_CONSENSUS, record: consensus } };
+    await expect(raftCluster.applyEntry(entry)).resolves.toBe(consensus);
+    expect(consensusRecords).toHaveLength(1);
+  });
+});
@@ -0,0 +1,157 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/raftCluster');
+jest.mock('../services/alertService');
+jest.mock('../services/ewsService');
+jest.mock('../services/wardPolicyService');
+
+const axios = require('axios');
+const express = require('express');
+const { ConsensusData } = require('../models/sensorData');
+const raftCluster = require('../services/raftCluster');
+const ewsService = require('../services/ewsService');
+const wardPolicyService = require('../services/wardPolicyService');
+const sensorDataRoutes = require('../routes/sensorData');
+
+const NOW = Date.UTC(2024, 0, 1, 8);
+
+let server = null;
+let baseUrl;
+// Consensus records as the collection would hold them
+let committed;
+
+/**
+ * Post an observation
+ * @param {Object} observation - Fields to change in a valid AVPU observation
+ * @returns {Promise<Object>} The response
+ */
+const observe = (observation = {}) => axios.post(`${baseUrl}/api/data/manual`, {
+  patientId: 'patient-1',
+  sensorType: 'consciousness',
+  value: 'Voice',
+  observedBy: 'nurse.jones',
+  role: 'RN',
+  ...observation
+}, { validateStatus: () => true });
+
+/**
+ * Latest consensus of a node-measured sensor type, reached a minute ago
+ * @param {String} sensorType - Sensor type
+ * @param {Number} consensusValue - Consensus value
+ * @returns {Object} What the latest-consensus aggregation returns for it
+ */
+const measured = (sensorType, consensusValue) => ({
+  sensorType,
+  consensusValue,
+  consensusTimestamp: new Date(NOW - 60000),
+  nodeId: ['node-1']
+});
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/data', sensorDataRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(NOW);
+  committed = [];
+
+  raftCluster.commitConsensus.mockImplementation(async record => {
+    const consensus = new ConsensusData(record).toObject();
+    committed.push(consensus);
+    return consensus;
+  });
+  // The latest consensus per sensor type: the nodes' and the clinicians'
+  jest.spyOn(ConsensusData, 'aggregate').mockImplementation(async () => [
+    measured('respRate', 16),
+    measured('spo2', 97),
+    measured('temperature', 37),
+    measured('bpSystolic', 120),
+    measured('heartRate', 80),
+    ...committed.map(consensus => ({ ...consensus, nodeId: consensus.readings.map(reading => reading.nodeId) }))
+  ]);
+  wardPolicyService.getPolicyForPatient.mockResolvedValue({ ward: null });
+  wardPolicyService.resolveConsciousness.mockResolvedValue({ blocked: true, policy: { ward: null, consciousnessPolicy: 'require' } });
+  ewsService.calculateEWS.mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/data/manual', () => {
+  test('records the observer and commits the value without node consensus', async () => {
+    const response = await observe({ notes: 'Responds to voice', timestamp: new Date(NOW - 30000).toISOString() });
+
+    expect(response.status).toBe(201);
+    expect(raftCluster.commitConsensus).toHaveBeenCalledTimes(1);
+    expect(committed[0]).toMatchObject({
+      patientId: 'patient-1',
+      sensorType: 'consciousness',
+      consensusValue: 1,
+      consensusMethod: 'manual',
+      validConsensus: true,
+      readings: [{ nodeId: 'manual', value: 1 }],
+      observation: { observedBy: 'nurse.jones', role: 'RN', notes: 'Responds to voice', originalValue: 'Voice' }
+    });
+    expect(committed[0].consensusTimestamp).toEqual(new Date(NOW - 30000));
+  });
+
+  test('completes the vital signs of an EWS calculation', async () => {
+    await observe();
+
+    expect(ewsService.calculateEWS).toHaveBeenCalledTimes(1);
+    const [vitalSigns, patientId, , details] = ewsService.calculateEWS.mock.calls[0];
+    expect(patientId).toBe('patient-1');
+    expect(vitalSigns).toMatchObject({ consciousness: 'Voice', respiratoryRate: 16, heartRate: 80 });
+    expect(details.imputedVitals).toEqual([]);
+    expect(wardPolicyService.clearPending).toHaveBeenCalledWith('patient-1');
+  });
+
+  test('converts the value to the canonical unit', async () => {
+    await observe({ sensorType: 'temperature', value: 100.4, unit: '°F' });
+
+    expect(committed[0]).toMatchObject({
+      consensusValue: 38,
+      observation: { originalValue: 100.4, originalUnit: '°F' }
+    });
+  });
+
+  test('accepts the oxygen status as true or false', async () => {
+    await observe({ sensorType: 'oxygenTherapy', value: true });
+
+    expect(committed[0].consensusValue).toBe(1);
+  });
+
+  test.each([
+    [{ observedBy: ' ' }, ['observedBy']],
+    [{ value: 'Drowsy' }, ['value']],
+    [{ role: 'Visitor' }, ['role']],
+    [{ role: 'rn' }, ['role']],
+    [{ role: 42 }, ['role']]
+  ])('rejects %j with a 400', async (observation, fields) => {
+    const response = await observe(observation);
+
+    expect(response.status).toBe(400);
+    expect(response.data.errors.map(error => error.field)).toEqual(fields);
+    expect(raftCluster.commitConsensus).not.toHaveBeenCalled();
+  });
+
+  test('accepts an observation without a role', async () => {
+    const response = await observe({ role: undefined });
+
+    expect(response.status).toBe(201);
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const axios = require('axios');
+const express = require('express');
+
+let server = null;
+
+/**
+ * Serve the RAFT routes with a RAFT_AUTH_TOKEN setting
+ * @param {String|undefined} token - RAFT_AUTH_TOKEN
+ * @returns {Promise<String>} Base URL of the server
+ */
+const serveRaftRoutes = async (token) => {
+  let router;
+
+  jest.isolateModules(() => {
+    if (token === undefined) {
+      delete process.env.RAFT_AUTH_TOKEN;
+    } else {
+      process.env.RAFT_AUTH_TOKEN = token;
+    }
+    router = require('../routes/raft');
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/raft', router);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+/**
+ * Post a RequestVote message
+ * @param {String} baseUrl - Base URL of the server
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Number>} HTTP status of the response
+ */
+const postMessage = async (baseUrl, headers = {}) => {
+  const response = await axios.post(`${baseUrl}/api/raft/message`,
+    { from: 'node-2', to: 'node-1', message: { type: 'RequestVote', term: 1 } },
+    { headers, validateStatus: () => true });
+  return response.status;
+};
+
+afterEach(async () => {
+  delete process.env.RAFT_AUTH_TOKEN;
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+});
+
+describe('POST /api/raft/message', () => {
+  test('only accepts messages with the cluster token', async () => {
+    const baseUrl = await serveRaftRoutes('cluster-secret');
+
+    expect(await postMessage(baseUrl)).toBe(401);
+    expect(await postMessage(baseUrl, { Authorization: 'Bearer wrong-secret' })).toBe(401);
+    expect(await postMessage(baseUrl, { Authorization: 'Basic cluster-secret' })).toBe(401);
+    // Authenticated, but this instance has not started its node
+    expect(await postMessage(baseUrl, { Authorization: 'Bearer cluster-secret' })).toBe(503);
+  });
+
+  test('rejects every message without RAFT_AUTH_TOKEN', async () => {
+    const baseUrl = await serveRaftRoutes(undefined);
+
+    expect(await postMessage(baseUrl)).toBe(401);
+    expect(await postMessage(baseUrl, { Authorization: 'Bearer ' })).toBe(401);
+  });
+});
+
+describe('createHttpTransport', () => {
+  test('sends the cluster token with every message', async () => {
+    const { createHttpTransport } = require('../services/raftTransport');
+    const received = [];
+
+    const app = express();
+    app.use(express.json());
+    app.post('/api/raft/message', (req, res) => {
+      received.push(req.get('Authorization'));
+      res.json({ term: 1, voteGranted: true });
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    const transport = createHttpTransport({
+      peers: { 'node-2': `http://127.0.0.1:${server.address().port}` },
+      authToken: 'cluster-secret'
+    });
+
+    await expect(transport.send('node-1', 'node-2', { type: 'RequestVote', term: 1 })).resolves.toEqual({ term: 1, voteGranted: true });
+    expect(received).toEqual(['Bearer cluster-secret']);
+  });
+});
@@ -0,0 +1,282 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const { createRaftNode, MESSAGE_TYPES } = require('../services/raftNode');
+const { createInMemoryTransport } = require('../services/raftTransport');
+const { createInMemoryStorage } = require('../services/raftStorage');
+
+const TIMINGS = {
+  electionTimeoutMin: 40,
+  electionTimeoutMax: 80,
+  heartbeatInterval: 10,
+  proposalTimeout: 2000
+};
+
+let running = [];
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true once the condition holds
+ * @param {Number} timeout - Milliseconds to wait at most
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 3000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeout}ms`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+/**
+ * Create a cluster whose nodes apply commands to an in-memory list
+ * @param {Number} size - Number of nodes
+ * @param {Object} options - Node options, and the transport to use
+ * @returns {Object} The cluster
+ */
+const createCluster = (size, { transport = createInMemoryTransport(), ...options } = {}) => {
+  const ids = Array.from({ length: size }, (_, index) => `node-${index + 1}`);
+  const storages = {};
+  const applied = {};
+  const nodes = {};
+
+  const createNode = (nodeId) => {
+    applied[nodeId] = [];
+    nodes[nodeId] = createRaftNode({
+      nodeId,
+      peers: ids.filter(id => id !== nodeId),
+      transport,
+      storage: storages[nodeId],
+      onApply: async (entry) => {
+        applied[nodeId].push(entry.command.value);
+        return entry.command.value;
+      },
+      takeSnapshot: async () => applied[nodeId].slice(),
+      restoreSnapshot: async (data) => {
+        applied[nodeId] = data.slice();
+      },
+      ...TIMINGS,
+      ...options
+    });
+    running.push(nodes[nodeId]);
+    return nodes[nodeId];
+  };
+
+  ids.forEach(nodeId => {
+    storages[nodeId] = createInMemoryStorage();
+    createNode(nodeId);
+  });
+
+  return {
+    ids,
+    nodes,
+    applied,
+    storages,
+    transport,
+    // Recreate a stopped node from its storage, as after a crash
+    restart: async (nodeId) => {
+      const node = createNode(nodeId);
+      await node.start();
+      return node;
+    },
+    leaders: () => ids.map(id => nodes[id]).filter(node => node.isLeader())
+  };
+};
+
+/**
+ * Wait until the cluster has exactly one leader
+ * @param {Object} cluster - The cluster
+ * @returns {Promise<Object>} The leader
+ */
+const electedLeader = async (cluster) => {
+  await waitFor(() => cluster.leaders().length === 1);
+  return cluster.leaders()[0];
+};
+
+afterEach(() => {
+  running.forEach(node => node.stop());
+  running = [];
+});
+
+describe.each([3, 5])('in-memory cluster of %i nodes', (size) => {
+  test('elects one leader and applies proposals in the same order on every node', async () => {
+    const cluster = createCluster(size);
+    await Promise.all(Object.values(cluster.nodes).map(node => node.start()));
+
+    const leader = await electedLeader(cluster);
+    const follower = cluster.ids.map(id => cluster.nodes[id]).find(node => node !== leader);
+
+    for (let value = 1; value <= 10; value++) {
+      const proposer = value % 2 === 0 ? leader : follower;
+      await expect(proposer.propose({ type: 'set', value })).resolves.toBe(value);
+    }
+
+    const expected = Array.from({ length: 10 }, (_, index) => index + 1);
+    await waitFor(() => cluster.ids.every(id => cluster.applied[id].length === 10));
+    cluster.ids.forEach(id => expect(cluster.applied[id]).toEqual(expected));
+
+    // Every node agrees with the leader's term
+    const { term } = leader.getStatus();
+    cluster.ids.forEach(id => expect(cluster.nodes[id].getStatus().term).toBe(term));
+  });
+
+  test('keeps committed entries when the leader crashes and rejoins', async () => {
+    const cluster = createCluster(size);
+    await Promise.all(Object.values(cluster.nodes).map(node => node.start()));
+
+    const oldLeader = await electedLeader(cluster);
+    await oldLeader.propose({ type: 'set', value: 'before' });
+    const { term: oldTerm } = oldLeader.getStatus();
+    oldLeader.stop();
+
+    const newLeader = await electedLeader(cluster);
+    expect(newLeader.getStatus().term).toBeGreaterThan(oldTerm);
+    await newLeader.propose({ type: 'set', value: 'after' });
+
+    const restarted = await cluster.restart(oldLeader.nodeId);
+    // The term and the log come back from storage
+    expect(restarted.getStatus().term).toBeGreaterThanOrEqual(oldTerm);
+    await waitFor(() => cluster.applied[oldLeader.nodeId].length === 2);
+    expect(cluster.applied[oldLeader.nodeId]).toEqual(['before', 'after']);
+  });
+});
+
+describe('durability', () => {
+  /**
+   * Create a storage whose writes only finish when released
+   * @returns {Object} The storage, its saved states and a release function
+   */
+  const createSlowStorage = () => {
+    const storage = createInMemoryStorage();
+    const saved = [];
+    const waiting = [];
+
+    return {
+      saved,
+      load: storage.load,
+      save: (state) => new Promise(resolve => waiting.push(() => {
+        saved.push(JSON.parse(JSON.stringify(state)));
+        storage.save(state).then(resolve);
+      })),
+      release: () => waiting.splice(0).forEach(write => write())
+    };
+  };
+
+  test('stores a vote before granting it', async () => {
+    const storage = createSlowStorage();
+    const node = createRaftNode({ nodeId: 'node-1', peers: ['node-2', 'node-3'], transport: createInMemoryTransport(), storage, ...TIMINGS, electionTimeoutMin: 10000, electionTimeoutMax: 20000 });
+    running.push(node);
+    await node.start();
+
+    let response = null;
+    const answered = node.handleMessage({ type: MESSAGE_TYPES.REQUEST_VOTE, term: 4, candidateId: 'node-2', lastLogIndex: 0, lastLogTerm: 0 })
+      .then(result => { response = result; });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(response).toBeNull();
+
+    storage.release();
+    await answered;
+    expect(response).toEqual({ term: 4, voteGranted: true });
+    expect(storage.saved[storage.saved.length - 1]).toMatchObject({ currentTerm: 4, votedFor: 'node-2' });
+
+    // A restarted node does not vote for another candidate in the same term
+    node.stop();
+    const restarted = createRaftNode({ nodeId: 'node-1', peers: ['node-2', 'node-3'], transport: createInMemoryTransport(), storage, ...TIMINGS, electionTimeoutMin: 10000, electionTimeoutMax: 20000 });
+    running.push(restarted);
+    await restarted.start();
+    await expect(restarted.handleMessage({ type: MESSAGE_TYPES.REQUEST_VOTE, term: 4, candidateId: 'node-3', lastLogIndex: 5, lastLogTerm: 3 }))
+      .resolves.toEqual({ term: 4, voteGranted: false });
+  });
+
+  test('stores appended entries before acknowledging them', async () => {
+    const storage = createSlowStorage();
+    const node = createRaftNode({ nodeId: 'node-2', peers: ['node-1'], transport: createInMemoryTransport(), storage, ...TIMINGS, electionTimeoutMin: 10000, electionTimeoutMax: 20000 });
+    running.push(node);
+    await node.start();
+
+    let response = null;
+    const entries = [{ index: 1, term: 1, id: 'entry-1', command: { type: 'set', value: 1 } }];
+    const answered = node.handleMessage({ type: MESSAGE_TYPES.APPEND_ENTRIES, term: 1, leaderId: 'node-1', prevLogIndex: 0, prevLogTerm: 0, entries, leaderCommit: 0 })
+      .then(result => { response = result; });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(response).toBeNull();
+
+    storage.release();
+    await answered;
+    expect(response).toEqual({ term: 1, success: true });
+    expect(storage.saved[storage.saved.length - 1].log).toEqual(entries);
+  });
+});
+
+describe('log compaction', () => {
+  test('compacts applied entries and brings a lagging follower up to date with a snapshot', async () => {
+    const cluster = createCluster(3, { snapshotThreshold: 5 });
+    await Promise.all(Object.values(cluster.nodes).map(node => node.start()));
+
+    const leader = await electedLeader(cluster);
+    const lagging = cluster.ids.find(id => id !== leader.nodeId);
+    cluster.transport.disconnect(lagging);
+
+    for (let value = 1; value <= 20; value++) {
+      await leader.propose({ type: 'set', value });
+    }
+
+    const status = leader.getStatus();
+    expect(status.snapshotIndex).toBeGreaterThanOrEqual(15);
+    expect(status.logLength).toBeLessThan(10);
+    const stored = await cluster.storages[leader.nodeId].load();
+    expect(stored.snapshot.index).toBe(status.snapshotIndex);
+
+    cluster.transport.reconnect(lagging);
+    await waitFor(() => cluster.applied[lagging].length === 20);
+    expect(cluster.applied[lagging]).toEqual(cluster.applied[leader.nodeId]);
+    expect(cluster.nodes[lagging].getStatus().snapshotIndex).toBeGreaterThan(0);
+
+    // The follower keeps replicating from the log after the snapshot
+    await leader.propose({ type: 'set', value: 21 });
+    await waitFor(() => cluster.applied[lagging].length === 21);
+  });
+});
+
+describe('replication', () => {
+  test('sends a lagging follower capped batches, one message at a time', async () => {
+    const inner = createInMemoryTransport({ latency: 1 });
+    const outstanding = new Map();
+    let maxOutstanding = 0;
+    let maxEntries = 0;
+
+    // Record the AppendEntries messages in flight per leader and follower
+    const transport = {
+      ...inner,
+      send: async (fromId, toId, message) => {
+        if (message.type !== MESSAGE_TYPES.APPEND_ENTRIES) return inner.send(fromId, toId, message);
+
+        const key = `${fromId}->${toId}`;
+        outstanding.set(key, (outstanding.get(key) || 0) + 1);
+        maxOutstanding = Math.max(maxOutstanding, outstanding.get(key));
+        maxEntries = Math.max(maxEntries, message.entries.length);
+        try {
+          return await inner.send(fromId, toId, message);
+        } finally {
+          outstanding.set(key, outstanding.get(key) - 1);
+        }
+      }
+    };
+
+    const cluster = createCluster(3, { transport, maxEntriesPerMessage: 3 });
+    await Promise.all(Object.values(cluster.nodes).map(node => node.start()));
+
+    const leader = await electedLeader(cluster);
+    const lagging = cluster.ids.find(id => id !== leader.nodeId);
+    inner.disconnect(lagging);
+
+    await Promise.all(Array.from({ length: 25 }, (_, index) => leader.propose({ type: 'set', value: index })));
+
+    inner.reconnect(lagging);
+    await waitFor(() => cluster.applied[lagging].length === 25);
+
+    expect(maxEntries).toBe(3);
+    expect(maxOutstanding).toBe(1);
+  });
+});
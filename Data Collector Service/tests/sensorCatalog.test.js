@@ -0,0 +1,106 @@
+const { normalizeReading } = require('../utils/sensorCatalog');
+
+const READING = {
+  patientId: 'patient-1',
+  nodeId: 'node-1',
+  timestamp: '2024-01-01T08:00:00Z'
+};
+
+/**
+ * Normalize a reading of a sensor type
+ * @param {String} sensorType - Sensor type
+ * @param {*} value - Value as sent
+ * @param {String} unit - Unit as sent, if any
+ * @returns {Object} Errors and the normalized reading
+ */
+const normalize = (sensorType, value, unit) => normalizeReading({ ...READING, sensorType, value, unit });
+
+/**
+ * Fields of the errors a reading is rejected with
+ * @param {Object} result - Result of normalizeReading
+ * @returns {Array<String>} Field names
+ */
+const rejectedFields = (result) => result.errors.map(error => error.field);
+
+describe('unit normalization', () => {
+  test.each([
+    ['temperature', 98.6, '°F', 37],
+    ['temperature', 101.3, 'fahrenheit', 38.5],
+    ['temperature', 310.15, 'K', 37],
+    ['temperature', 37.2, 'degC', 37.2],
+    ['bpSystolic', 16, 'kPa', 120.01],
+    ['bpDiastolic', 80, 'mmHg', 80],
+    ['heartRate', 72, 'beats/min', 72],
+    ['respRate', 16, 'rpm', 16]
+  ])('converts %s of %d %s to %d in the canonical unit', (sensorType, value, unit, expected) => {
+    const { errors, reading } = normalize(sensorType, value, unit);
+
+    expect(errors).toEqual([]);
+    expect(reading.value).toBe(expected);
+  });
+
+  test('records the canonical unit and keeps the value as received', () => {
+    const { reading } = normalize('temperature', 98.6, ' °F ');
+
+    expect(reading).toMatchObject({
+      ...READING,
+      sensorType: 'temperature',
+      value: 37,
+      unit: '°C',
+      metadata: { originalValue: 98.6, originalUnit: ' °F ' }
+    });
+  });
+
+  test('keeps other metadata', () => {
+    const { reading } = normalizeReading({ ...READING, sensorType: 'spo2', value: 97, metadata: { firmware: '1.2' } });
+
+    expect(reading.metadata).toEqual({ firmware: '1.2', originalValue: 97, originalUnit: null });
+  });
+
+  test('takes a reading without a unit to be in the canonical unit', () => {
+    const { reading } = normalize('heartRate', 72);
+
+    expect(reading).toMatchObject({ value: 72, unit: 'bpm' });
+  });
+
+  test('rejects a unit the sensor type does not accept', () => {
+    const result = normalize('heartRate', 72, 'mmHg');
+
+    expect(result.reading).toBeNull();
+    expect(result.errors).toEqual([{ field: 'unit', message: 'unit mmHg is not supported for heartRate, expected bpm' }]);
+  });
+});
+
+describe('plausibility', () => {
+  test('checks the range after conversion', () => {
+    // 120 °F would be in range as °C, but is 48.89 °C
+    expect(rejectedFields(normalize('temperature', 120, '°F'))).toEqual(['value']);
+    expect(rejectedFields(normalize('temperature', 107.6, '°F'))).toEqual([]);
+  });
+
+  test.each([
+    ['heartRate', 19],
+    ['spo2', 101],
+    ['respRate', -1],
+    ['bpSystolic', 301]
+  ])('rejects %s of %d', (sensorType, value) => {
+    expect(rejectedFields(normalize(sensorType, value))).toEqual(['value']);
+  });
+
+  test('only accepts whole AVPU levels', () => {
+    expect(rejectedFields(normalize('consciousness', 1.5))).toEqual(['value']);
+    expect(rejectedFields(normalize('consciousness', 2))).toEqual([]);
+  });
+});
+
+describe('validation', () => {
+  test('rejects a sensor type that is not in the catalog', () => {
+    expect(rejectedFields(normalize('glucose', 5))).toEqual(['sensorType']);
+  });
+
+  test('reports every invalid field at once', () => {
+    const result = normalizeReading({ sensorType: 'heartRate', value: 'fast', timestamp: 'yesterday' });
+
+    expect(rejectedFields(result)).toEqual(['patientId', 'nodeId', 'timestamp', 'value']);
+  });
+});
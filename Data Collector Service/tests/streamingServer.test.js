@@ -0,0 +1,211 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const http = require('http');
+const WebSocket = require('ws');
+const { CLOSE_CODES, createStreamingServer } = require('../services/streamingServer');
+
+let server;
+let streaming;
+let clients;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true once the condition holds
+ * @param {Number} timeout - Milliseconds to wait at most
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 3000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeout}ms`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+/**
+ * Start the streaming endpoint on a free port
+ * @param {Object} options - Streaming server options
+ * @returns {Promise<void>}
+ */
+const startServer = async (options) => {
+  server = http.createServer();
+  streaming = createStreamingServer({ server, path: '/api/stream', authTimeout: 1000, ...options });
+  await new Promise(resolve => server.listen(0, resolve));
+};
+
+/**
+ * Connect an edge node and record what the server sends it
+ * @returns {Promise<Object>} The socket, its received messages and its close code
+ */
+const connect = async () => {
+  const socket = new WebSocket(`ws://localhost:${server.address().port}/api/stream`);
+  const client = { socket, messages: [], closeCode: null };
+  socket.on('message', data => client.messages.push(JSON.parse(data.toString())));
+  socket.on('close', code => {
+    client.closeCode = code;
+  });
+  clients.push(client);
+
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  return client;
+};
+
+/**
+ * Connect and authenticate an edge node
+ * @param {String} nodeId - The node
+ * @returns {Promise<Object>} The client
+ */
+const connectNode = async (nodeId) => {
+  const client = await connect();
+  client.socket.send(JSON.stringify({ type: 'auth', nodeId, token: 'secret' }));
+  await waitFor(() => client.messages.some(message => message.type === 'auth'));
+  return client;
+};
+
+/**
+ * Send a reading
+ * @param {Object} client - The client
+ * @param {String} id - Message ID the server acknowledges
+ * @param {Object} reading - The reading
+ */
+const sendReading = (client, id, reading = {}) => {
+  client.socket.send(JSON.stringify({ type: 'reading', id, reading: { patientId: 'patient-1', sensorType: 'heartRate', value: 80, ...reading } }));
+};
+
+/**
+ * Messages of a type a client received
+ * @param {Object} client - The client
+ * @param {String} type - Message type
+ * @returns {Array<Object>} The messages
+ */
+const received = (client, type) => client.messages.filter(message => message.type === type);
+
+beforeEach(() => {
+  clients = [];
+});
+
+afterEach(async () => {
+  clients.forEach(client => client.socket.terminate());
+  await streaming.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('authentication', () => {
+  const authenticate = async ({ nodeId, token }) => token === 'secret' && nodeId === 'node-1';
+
+  test('accepts a registered node and announces the backpressure limit', async () => {
+    await startServer({ authenticate, maxPending: 5 });
+
+    const client = await connectNode('node-1');
+
+    expect(received(client, 'auth')).toEqual([{ type: 'auth', success: true, nodeId: 'node-1', maxPending: 5 }]);
+  });
+
+  test('closes the connection of a node that fails to authenticate', async () => {
+    await startServer({ authenticate });
+
+    const client = await connectNode('node-2');
+
+    expect(received(client, 'auth')[0]).toMatchObject({ success: false });
+    await waitFor(() => client.closeCode !== null);
+    expect(client.closeCode).toBe(CLOSE_CODES.AUTH_FAILED);
+  });
+
+  test('closes a connection that sends readings before authenticating', async () => {
+    const handleReading = jest.fn();
+    await startServer({ authenticate, handleReading });
+
+    const client = await connect();
+    sendReading(client, 'r1');
+
+    await waitFor(() => client.closeCode !== null);
+    expect(client.closeCode).toBe(CLOSE_CODES.PROTOCOL_ERROR);
+    expect(handleReading).not.toHaveBeenCalled();
+  });
+});
+
+describe('readings', () => {
+  const authenticate = async () => true;
+
+  test('are acknowledged in order with their stored ID', async () => {
+    const handleReading = jest.fn(async (reading, nodeId) => ({
+      reading: { _id: `${nodeId}-${reading.value}` },
+      duplicate: reading.value === 81
+    }));
+    await startServer({ authenticate, handleReading });
+
+    const client = await connectNode('node-1');
+    [80, 81, 82].forEach((value, index) => sendReading(client, `r${index + 1}`, { value }));
+
+    await waitFor(() => received(client, 'ack').length === 3);
+    expect(received(client, 'ack')).toEqual([
+      { type: 'ack', id: 'r1', sensorDataId: 'node-1-80', duplicate: false },
+      { type: 'ack', id: 'r2', sensorDataId: 'node-1-81', duplicate: true },
+      { type: 'ack', id: 'r3', sensorDataId: 'node-1-82', duplicate: false }
+    ]);
+    // The node ID comes from the authentication, not from the reading
+    expect(handleReading).toHaveBeenCalledWith(expect.objectContaining({ value: 80 }), 'node-1');
+  });
+
+  test('that are invalid are rejected with their field errors', async () => {
+    const handleReading = async (reading) => {
+      if (reading.value > 0) return { reading: { _id: 'stored' }, duplicate: false };
+      throw Object.assign(new Error('Invalid reading'), {
+        name: 'ValidationError',
+        errors: [{ field: 'value', message: 'value must be positive' }]
+      });
+    };
+    await startServer({ authenticate, handleReading });
+
+    const client = await connectNode('node-1');
+    sendReading(client, 'r1', { value: -1 });
+    sendReading(client, 'r2', { value: 80 });
+
+    await waitFor(() => client.messages.length === 3);
+    expect(client.messages.slice(1)).toEqual([
+      { type: 'nack', id: 'r1', message: 'Invalid reading', errors: [{ field: 'value', message: 'value must be positive' }], error: 'Invalid reading' },
+      { type: 'ack', id: 'r2', sensorDataId: 'stored', duplicate: false }
+    ]);
+    expect(streaming.getStatus().connections[0]).toMatchObject({ received: 2, acknowledged: 1, rejected: 1 });
+  });
+});
+
+describe('backpressure', () => {
+  test('stops reading a connection with too many unacknowledged readings until half are done', async () => {
+    // Readings wait until the test lets them finish
+    const waiting = [];
+    const handleReading = () => new Promise(resolve => waiting.push(() => resolve({ reading: { _id: 'stored' }, duplicate: false })));
+    await startServer({ authenticate: async () => true, handleReading, maxPending: 4 });
+
+    const client = await connectNode('node-1');
+    for (let index = 1; index <= 8; index++) {
+      sendReading(client, `r${index}`);
+    }
+
+    await waitFor(() => streaming.getStatus().connections[0].paused);
+    expect(streaming.getStatus().connections[0].pending).toBeGreaterThanOrEqual(4);
+    expect(received(client, 'ack')).toEqual([]);
+
+    // The socket is read again once no more than half of maxPending readings wait
+    const status = () => streaming.getStatus().connections[0];
+    while (status().pending > 2) {
+      expect(status().paused).toBe(true);
+      const { pending } = status();
+      await waitFor(() => waiting.length > 0);
+      waiting.shift()();
+      await waitFor(() => status().pending < pending);
+    }
+    expect(status().paused).toBe(false);
+
+    // Readings are handled one after the other, so release each as it arrives
+    await waitFor(() => {
+      while (waiting.length > 0) waiting.shift()();
+      return received(client, 'ack').length === 8;
+    });
+    expect(received(client, 'ack').map(ack => ack.id)).toEqual(['r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7', 'r8']);
+    expect(status()).toMatchObject({ pending: 0, paused: false, acknowledged: 8 });
+  });
+});
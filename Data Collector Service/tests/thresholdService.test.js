@@ -0,0 +1,106 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const { ConsensusThreshold } = require('../models/consensusThreshold');
+const thresholdService = require('../services/thresholdService');
+
+// Threshold versions as the collection would hold them
+let versions;
+
+/**
+ * Find the stored versions matching a query on scopeKey
+ * @param {Object} query - scopeKey, or scopeKey.$in
+ * @returns {Object} Query whose sort resolves with the versions
+ */
+const findVersions = (query) => {
+  const scopeKeys = query.scopeKey.$in || [query.scopeKey];
+  const found = versions.filter(config => scopeKeys.includes(config.scopeKey));
+  return {
+    sort: async ({ version }) => found.sort((a, b) => (a.version - b.version) * version)
+  };
+};
+
+beforeEach(() => {
+  versions = [];
+
+  jest.spyOn(ConsensusThreshold, 'find').mockImplementation(findVersions);
+  jest.spyOn(ConsensusThreshold, 'findOne').mockImplementation(query => ({
+    sort: async (order) => (await findVersions(query).sort(order))[0] || null
+  }));
+  jest.spyOn(ConsensusThreshold.prototype, 'save').mockImplementation(async function () {
+    versions.push(this);
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('resolveThresholds', () => {
+  test('uses the built-in defaults while nothing is configured', async () => {
+    await expect(thresholdService.resolveThresholds('patient-1', 'heartRate'))
+      .resolves.toEqual(thresholdService.DEFAULT_THRESHOLDS);
+  });
+
+  test('uses the most specific scope', async () => {
+    await thresholdService.updateThresholds({ valueThreshold: 0.2 });
+    await thresholdService.updateThresholds({ sensorType: 'heartRate', valueThreshold: 0.15 });
+    await thresholdService.updateThresholds({ patientId: 'patient-1', valueThreshold: 0.1 });
+
+    await expect(thresholdService.resolveThresholds('patient-1', 'heartRate')).resolves.toMatchObject({ scope: 'patient', valueThreshold: 0.1 });
+    await expect(thresholdService.resolveThresholds('patient-2', 'heartRate')).resolves.toMatchObject({ scope: 'sensorType', valueThreshold: 0.15 });
+    await expect(thresholdService.resolveThresholds('patient-2', 'temperature')).resolves.toMatchObject({ scope: 'global', valueThreshold: 0.2 });
+  });
+
+  test('uses the latest version of a scope', async () => {
+    await thresholdService.updateThresholds({ sensorType: 'heartRate', valueThreshold: 0.15 });
+    await thresholdService.updateThresholds({ sensorType: 'heartRate', valueThreshold: 0.05 });
+
+    await expect(thresholdService.resolveThresholds('patient-1', 'heartRate'))
+      .resolves.toMatchObject({ version: 2, valueThreshold: 0.05 });
+  });
+});
+
+describe('updateThresholds', () => {
+  test('numbers the versions of each scope and keeps the earlier ones', async () => {
+    const first = await thresholdService.updateThresholds({ sensorType: 'heartRate', valueThreshold: 0.15, updatedBy: 'dr-house' });
+    const second = await thresholdService.updateThresholds({ sensorType: 'heartRate', timestampThreshold: 10000 });
+    const other = await thresholdService.updateThresholds({ sensorType: 'temperature', valueThreshold: 0.05 });
+
+    expect([first.version, second.version, other.version]).toEqual([1, 2, 1]);
+    const history = await thresholdService.getVersions(null, 'heartRate');
+    expect(history.map(config => config.version)).toEqual([2, 1]);
+  });
+
+  test('carries over the values that are not changed', async () => {
+    await thresholdService.updateThresholds({ sensorType: 'heartRate', valueThreshold: 0.15, valueTolerance: 4 });
+    const config = await thresholdService.updateThresholds({ sensorType: 'heartRate', timestampThreshold: 10000 });
+
+    expect(config).toMatchObject({ timestampThreshold: 10000, valueThreshold: 0.15, valueTolerance: 4 });
+  });
+
+  test('starts a new scope from the thresholds that applied to it', async () => {
+    await thresholdService.updateThresholds({ sensorType: 'heartRate', valueThreshold: 0.15 });
+    const config = await thresholdService.updateThresholds({ patientId: 'patient-1', sensorType: 'heartRate', timestampThreshold: 10000 });
+
+    expect(config).toMatchObject({ scope: 'patient', scopeKey: 'patient-1:heartRate', version: 1, valueThreshold: 0.15 });
+  });
+});
+
+describe('validateThresholds', () => {
+  test('accepts thresholds in range and a reset tolerance', () => {
+    expect(thresholdService.validateThresholds({ timestampThreshold: 10000, valueThreshold: 0.1, valueTolerance: null })).toEqual([]);
+  });
+
+  test.each([
+    [{}, 'timestampThreshold'],
+    [{ timestampThreshold: 1.5 }, 'timestampThreshold'],
+    [{ timestampThreshold: 11 * 60 * 1000 }, 'timestampThreshold'],
+    [{ valueThreshold: 0 }, 'valueThreshold'],
+    [{ valueThreshold: 1.5 }, 'valueThreshold'],
+    [{ valueTolerance: -1 }, 'valueTolerance']
+  ])('rejects %j', (thresholds, field) => {
+    expect(thresholdService.validateThresholds(thresholds).map(error => error.field)).toEqual([field]);
+  });
+});
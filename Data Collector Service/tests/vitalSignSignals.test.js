@@ -0,0 +1,61 @@
+jest.mock('../utils/logger', () => ({ logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/raftCluster');
+jest.mock('../services/alertService');
+jest.mock('../services/ewsService');
+jest.mock('../services/wardPolicyService');
+
+process.env.VITAL_SIGNAL_INTERVAL_MS = '60000';
+process.env.VITAL_SIGNAL_CACHE_SIZE = '2';
+
+const { ConsensusData } = require('../models/sensorData');
+const alertService = require('../services/alertService');
+const wardPolicyService = require('../services/wardPolicyService');
+const ingestionService = require('../services/ingestionService');
+
+/**
+ * Patients that were sent a VITAL_SIGNS_MISSING alert, in order
+ * @returns {Array<String>} Patient IDs
+ */
+const signalledPatients = () => alertService.sendAlert.mock.calls.map(([alert]) => alert.patientId);
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(Date.UTC(2024, 0, 1, 8));
+
+  // Every patient's heart rate is an hour old
+  jest.spyOn(ConsensusData, 'aggregate').mockImplementation(async () => [{
+    sensorType: 'heartRate',
+    consensusValue: 80,
+    consensusTimestamp: new Date(Date.now() - 60 * 60 * 1000),
+    nodeId: ['node-1']
+  }]);
+  wardPolicyService.resolveConsciousness.mockResolvedValue({ blocked: false, value: 'A', imputed: { vital: 'consciousness', method: 'default' } });
+  alertService.sendAlert.mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('stale vital sign signals', () => {
+  test('are repeated once the interval has passed', async () => {
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+    expect(signalledPatients()).toEqual(['patient-1']);
+
+    jest.advanceTimersByTime(60000);
+    await ingestionService.checkAndTriggerEWSCalculation('patient-1');
+    expect(signalledPatients()).toEqual(['patient-1', 'patient-1']);
+  });
+
+  test('are only remembered for the most recent patients', async () => {
+    for (const patientId of ['patient-2', 'patient-3', 'patient-3', 'patient-4', 'patient-3', 'patient-2']) {
+      await ingestionService.checkAndTriggerEWSCalculation(patientId);
+    }
+
+    // patient-2 was forgotten when patient-4 was signalled
+    expect(signalledPatients()).toEqual(['patient-2', 'patient-3', 'patient-4', 'patient-2']);
+  });
+});
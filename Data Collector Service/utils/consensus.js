@@ -1,20 +1,188 @@
 /**
- * RAFT Consensus implementation for sensor data
- * This utility implements a simplified RAFT consensus algorithm
- * to validate and agree on sensor data values from multiple edge nodes
+ * Consensus utilities for sensor data
+ * This utility agrees on a sensor value from the readings of multiple edge nodes.
+ * The resulting record is replicated between Data Collector instances by the
+ * RAFT cluster in services/raftNode.js before it is stored.
  */
 
+// Default options, used when no thresholds have been configured
+const DEFAULT_CONSENSUS_OPTIONS = {
+  timestampThreshold: 5000, // 5 seconds tolerance in timestamp differences
+  valueThreshold: 0.2, // 20% tolerance in value differences
+  valueTolerance: null, // Absolute agreement tolerance, null to use the sensor type default
+  outlierThreshold: 3.5, // Modified z-score above which a reading is an outlier
+  weights: {} // Voting weight per node ID, nodes without a weight count as 1
+};
+
+// Absolute difference within which two readings of a sensor type agree
+const SENSOR_TOLERANCES = {
+  heartRate: 2, // bpm
+  temperature: 0.2, // °C
+  spo2: 1, // %
+  oxygenSaturation: 1,
+  respRate: 1, // breaths per minute
+  respiratoryRate: 1,
+  bpSystolic: 4, // mmHg
+  bloodPressureSystolic: 4,
+  bpDiastolic: 4,
+  bloodPressureDiastolic: 4,
+  consciousness: 0 // AVPU levels must match exactly
+};
+
+// Allowance for floating point error when comparing differences, e.g. 37.2 - 37.0
+const FLOAT_EPSILON = 1e-9;
+
+/**
+ * Calculate the median of a list of numbers
+ * @param {Array<Number>} values - The values
+ * @returns {Number} The median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+};
+
+/**
+ * Calculate the weighted median of a list of readings
+ * With equal weights this is the ordinary median.
+ * @param {Array} readings - Node readings
+ * @param {Function} weightOf - Returns the voting weight of a reading
+ * @returns {Number} The weighted median value
+ */
+const weightedMedian = (readings, weightOf) => {
+  const sorted = [...readings].sort((a, b) => a.value - b.value);
+  const half = sorted.reduce((total, reading) => total + weightOf(reading), 0) / 2;
+
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += weightOf(sorted[i]);
+    if (Math.abs(cumulative - half) <= FLOAT_EPSILON && i + 1 < sorted.length) {
+      return (sorted[i].value + sorted[i + 1].value) / 2;
+    }
+    if (cumulative > half) {
+      return sorted[i].value;
+    }
+  }
+
+  return sorted[sorted.length - 1].value;
+};
+
+/**
+ * Get the agreement tolerance for the configured sensor type
+ * @param {Object} config - Consensus configuration
+ * @returns {Number} Absolute tolerance
+ */
+const getValueTolerance = (config) => {
+  if (typeof config.valueTolerance === 'number') {
+    return config.valueTolerance;
+  }
+  return SENSOR_TOLERANCES[config.sensorType] || 0;
+};
+
+/**
+ * Split readings into inliers and outliers using the median absolute deviation
+ * A reading is only rejected when it is outside the tolerance of the median and
+ * its modified z-score exceeds the outlier threshold. Nothing is rejected unless
+ * the remaining readings still form a majority.
+ * @param {Array} readings - Node readings
+ * @param {Number} tolerance - Absolute agreement tolerance
+ * @param {Number} outlierThreshold - Modified z-score cut-off
+ * @returns {Object} Inlier and outlier readings
+ */
+const rejectOutliers = (readings, tolerance, outlierThreshold) => {
+  const center = median(readings.map(reading => reading.value));
+  const mad = median(readings.map(reading => Math.abs(reading.value - center)));
+
+  const isOutlier = (reading) => {
+    const deviation = Math.abs(reading.value - center);
+    if (deviation <= tolerance + FLOAT_EPSILON) return false;
+    // With MAD 0 most readings are identical, so anything outside tolerance stands out
+    if (mad === 0) return true;
+    return (0.6745 * deviation) / mad > outlierThreshold;
+  };
+
+  const outliers = readings.filter(isOutlier);
+  const inliers = readings.filter(reading => !outliers.includes(reading));
+
+  if (inliers.length <= readings.length / 2) {
+    return { inliers: readings, outliers: [] };
+  }
+
+  return { inliers, outliers };
+};
+
+/**
+ * Find the heaviest group of readings that agree with each other within tolerance
+ * Ties go to the group with the smallest spread.
+ * @param {Array} readings - Node readings
+ * @param {Number} tolerance - Absolute agreement tolerance
+ * @param {Function} weightOf - Returns the voting weight of a reading
+ * @returns {Array} Readings in the heaviest group
+ */
+const findLargestCluster = (readings, tolerance, weightOf) => {
+  const sorted = [...readings].sort((a, b) => a.value - b.value);
+  let best = [];
+  let bestWeight = 0;
+  let bestSpread = Infinity;
+
+  // Sliding window over sorted values: every member is within tolerance of every other
+  let windowStart = 0;
+  sorted.forEach((reading, windowEnd) => {
+    while (reading.value - sorted[windowStart].value > tolerance + FLOAT_EPSILON) {
+      windowStart += 1;
+    }
+
+    const window = sorted.slice(windowStart, windowEnd + 1);
+    const weight = window.reduce((total, member) => total + weightOf(member), 0);
+    const spread = reading.value - sorted[windowStart].value;
+
+    if (weight > bestWeight + FLOAT_EPSILON ||
+        (Math.abs(weight - bestWeight) <= FLOAT_EPSILON && spread < bestSpread)) {
+      best = window;
+      bestWeight = weight;
+      bestSpread = spread;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Describe rejected readings and how far each was from the consensus value
+ * @param {Array} outliers - Readings rejected by the MAD test
+ * @param {Array} disagreeing - Readings outside the agreeing majority
+ * @param {Number} consensusValue - The consensus value
+ * @returns {Array} Rejected reading details
+ */
+const describeRejected = (outliers, disagreeing, consensusValue) => {
+  const describe = (reason) => (reading) => ({
+    nodeId: reading.nodeId,
+    value: reading.value,
+    deviation: reading.value - consensusValue,
+    reason
+  });
+
+  return [
+    ...outliers.map(describe('outlier')),
+    ...disagreeing.map(describe('outsideTolerance'))
+  ];
+};
+
 /**
  * Determine the consensus value from multiple node readings
+ * Readings agree when they are within the tolerance of their sensor type,
+ * e.g. 72 and 72.1 bpm count as the same heart rate. Each node's vote
+ * counts with its weight from options.weights (default 1).
  * @param {Array} readings - Array of node readings with values and timestamps
- * @param {Object} options - Configuration options
- * @returns {Object} Consensus result
+ * @param {Object} options - Configuration options, including the sensorType of the readings
+ * @returns {Object} Consensus result, including the rejected readings
  */
 const determineConsensus = (readings, options = {}) => {
-  // Default options
   const config = {
-    timestampThreshold: 5000, // 5 seconds tolerance in timestamp differences
-    valueThreshold: 0.2, // 20% tolerance in value differences
+    ...DEFAULT_CONSENSUS_OPTIONS,
     ...options
   };
   
@@ -23,7 +191,8 @@ const determineConsensus = (readings, options = {}) => {
       consensusValue: null,
       consensusTimestamp: null,
       validConsensus: false,
-      consensusMethod: null
+      consensusMethod: null,
+      rejectedReadings: []
     };
   }
   
@@ -33,7 +202,8 @@ const determineConsensus = (readings, options = {}) => {
       consensusValue: readings[0].value,
       consensusTimestamp: readings[0].timestamp,
       validConsensus: true,
-      consensusMethod: 'single'
+      consensusMethod: 'single',
+      rejectedReadings: []
     };
   }
   
@@ -53,56 +223,35 @@ const determineConsensus = (readings, options = {}) => {
       consensusValue: latestReading.value,
       consensusTimestamp: latestReading.timestamp,
       validConsensus: true,
-      consensusMethod: 'latest'
+      consensusMethod: 'latest',
+      rejectedReadings: []
     };
   }
   
-  // If timestamps are close, check for value consensus (majority vote)
-  const valueGroups = {};
-  readings.forEach(reading => {
-    if (!valueGroups[reading.value]) {
-      valueGroups[reading.value] = [];
-    }
-    valueGroups[reading.value].push(reading);
-  });
+  // Drop readings that are far from the rest (median/MAD test)
+  const tolerance = getValueTolerance(config);
+  const { inliers, outliers } = rejectOutliers(readings, tolerance, config.outlierThreshold);
   
-  // Find the value with the most occurrences
-  let majorityValue = null;
-  let majorityCount = 0;
-  let majorityTimestamp = null;
-  
-  Object.keys(valueGroups).forEach(value => {
-    if (valueGroups[value].length > majorityCount) {
-      majorityValue = parseFloat(value);
-      majorityCount = valueGroups[value].length;
-      
-      // Add safety checks to prevent the error
-      if (valueGroups[value].length > 0 && valueGroups[value][0] && valueGroups[value][0].timestamp) {
-        // Find the reading with the latest timestamp from this group
-        majorityTimestamp = valueGroups[value].reduce((latest, current) => {
-          // Add null check for current.timestamp
-          if (!current || !current.timestamp) return latest;
-          return new Date(current.timestamp) > new Date(latest) ? current.timestamp : latest;
-        }, valueGroups[value][0].timestamp);
-      } else {
-        // Fallback to current time if no valid timestamps found
-        majorityTimestamp = new Date().toISOString();
-        console.log('Warning: No valid timestamps found in value group, using current time');
-      }
-    }
-  });
+  // If timestamps are close, look for a weighted majority of readings that agree within tolerance
+  const weightOf = (reading) => {
+    const weight = config.weights[reading.nodeId];
+    return typeof weight === 'number' ? weight : 1;
+  };
+  const totalWeight = (group) => group.reduce((total, reading) => total + weightOf(reading), 0);
+  
+  const cluster = findLargestCluster(inliers, tolerance, weightOf);
   
-  // Check if there's a clear majority (more than half)
-  const hasMajority = majorityCount > readings.length / 2;
+  // Check if there's a clear majority (more than half of the total voting weight)
+  const hasMajority = totalWeight(cluster) > totalWeight(readings) / 2;
   
   // If no clear majority, check if values are within threshold of each other
   if (!hasMajority) {
-    // Calculate average value
-    const sum = readings.reduce((total, reading) => total + reading.value, 0);
-    const avgValue = sum / readings.length;
+    // Calculate weighted average value
+    const sum = inliers.reduce((total, reading) => total + reading.value * weightOf(reading), 0);
+    const avgValue = sum / totalWeight(inliers);
     
     // Check if all values are within threshold
-    const allWithinThreshold = readings.every(reading => {
+    const allWithinThreshold = inliers.every(reading => {
       const percentDiff = Math.abs(reading.value - avgValue) / avgValue;
       return percentDiff <= config.valueThreshold;
     });
@@ -113,7 +262,8 @@ const determineConsensus = (readings, options = {}) => {
         consensusValue: avgValue,
         consensusTimestamp: new Date(maxTimestamp),
         validConsensus: true,
-        consensusMethod: 'average'
+        consensusMethod: 'average',
+        rejectedReadings: describeRejected(outliers, [], avgValue)
       };
     } else {
       // No consensus reached - mark as invalid
@@ -121,17 +271,29 @@ const determineConsensus = (readings, options = {}) => {
         consensusValue: avgValue, // Still provide the average but mark it invalid
         consensusTimestamp: new Date(maxTimestamp),
         validConsensus: false,
-        consensusMethod: 'none'
+        consensusMethod: 'none',
+        rejectedReadings: describeRejected(outliers, [], avgValue)
       };
     }
   }
   
+  const majorityValue = weightedMedian(cluster, weightOf);
+  
+  // Use the latest timestamp from the agreeing readings
+  const majorityTimestamp = cluster.reduce((latest, current) => {
+    return new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest;
+  }, cluster[0]).timestamp;
+  
+  // Inliers that did not agree with the majority are rejected as well
+  const outsideCluster = inliers.filter(reading => !cluster.includes(reading));
+  
   // Return majority consensus
   return {
     consensusValue: majorityValue,
     consensusTimestamp: majorityTimestamp,
     validConsensus: true,
-    consensusMethod: 'majority'
+    consensusMethod: 'majority',
+    rejectedReadings: describeRejected(outliers, outsideCluster, majorityValue)
   };
 };
 
@@ -204,6 +366,14 @@ const checkForAlert = (consensusData, thresholds = {}) => {
 };
 
 module.exports = {
+  DEFAULT_CONSENSUS_OPTIONS,
+  FLOAT_EPSILON,
+  SENSOR_TOLERANCES,
+  median,
+  weightedMedian,
+  rejectOutliers,
+  findLargestCluster,
+  getValueTolerance,
   determineConsensus,
   checkForAlert
 };
\ No newline at end of file
@@ -19,7 +19,49 @@ const SENSOR_TO_EWS_MAPPING = {
   'temperature': 'temperature',
   'bpSystolic': 'systolicBP',
   'heartRate': 'heartRate',
-  'consciousness': 'consciousness'
+  'consciousness': 'consciousness',
+  'oxygenTherapy': 'supplementalOxygen'
+};
+
+// How long (in milliseconds) a vital sign stays usable for an EWS calculation.
+// SpO2 changes quickly, temperature slowly.
+const DEFAULT_VITAL_FRESHNESS_MS = {
+  respiratoryRate: 5 * 60 * 1000,
+  oxygenSaturation: 2 * 60 * 1000,
+  temperature: 30 * 60 * 1000,
+  systolicBP: 15 * 60 * 1000,
+  heartRate: 5 * 60 * 1000,
+  consciousness: 60 * 60 * 1000,
+  supplementalOxygen: 60 * 60 * 1000
+};
+
+// Freshness window for vital signs without a specific one
+const FALLBACK_FRESHNESS_MS = 5 * 60 * 1000;
+
+/**
+ * Parse per-vital freshness overrides
+ * @param {String} value - Comma-separated list of vital=milliseconds pairs
+ * @returns {Object} Freshness window per vital sign
+ */
+const parseFreshness = (value) => {
+  const freshness = {};
+  if (!value) return freshness;
+
+  value.split(',').forEach(entry => {
+    const [vital, ms] = entry.split('=').map(part => part.trim());
+    const parsed = parseInt(ms);
+    if (vital && parsed > 0) {
+      freshness[vital] = parsed;
+    }
+  });
+
+  return freshness;
+};
+
+// e.g. VITAL_FRESHNESS_MS=oxygenSaturation=60000,temperature=3600000
+const VITAL_FRESHNESS_MS = {
+  ...DEFAULT_VITAL_FRESHNESS_MS,
+  ...parseFreshness(process.env.VITAL_FRESHNESS_MS)
 };
 
 // Mapping from numerical consciousness values to AVPU scale strings
@@ -30,6 +72,9 @@ const CONSCIOUSNESS_MAP = {
   3: 'Unresponsive'
 };
 
+// AVPU scale strings in the order of their numeric values
+const AVPU_SCALE = Object.keys(CONSCIOUSNESS_MAP).map(key => CONSCIOUSNESS_MAP[key]);
+
 /**
  * Check if all vital signs required for EWS calculation are available
  * @param {Object} vitalSigns - Object containing collected vital signs
@@ -50,15 +95,24 @@ const mapSensorTypeToEWS = (sensorType) => {
   return SENSOR_TO_EWS_MAPPING[sensorType] || sensorType;
 };
 
+/**
+ * Get how long a vital sign stays usable for an EWS calculation
+ * @param {String} vital - EWS vital sign name
+ * @returns {Number} Freshness window in milliseconds
+ */
+const getFreshnessWindow = (vital) => {
+  return VITAL_FRESHNESS_MS[vital] || FALLBACK_FRESHNESS_MS;
+};
 
 /**
  * Convert numeric consciousness value to AVPU scale string
+ * Invalid values are not guessed: callers decide what to do without a value.
  * @param {Number} value - Numeric consciousness value (0-3)
- * @returns {String} - AVPU scale value (Alert, Voice, Pain, Unresponsive)
+ * @returns {String|null} - AVPU scale value (Alert, Voice, Pain, Unresponsive), or null if invalid
  */
 const mapConsciousnessValue = (value) => {
-  // Make sure it's treated as a number
-  const numValue = parseInt(value, 10);
+  // Make sure it's treated as a number, without truncating values like 1.5 or "2abc"
+  const numValue = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
   
   // Check if it's a valid number in our range
   if (Number.isInteger(numValue) && numValue >= 0 && numValue <= 3) {
@@ -71,15 +125,28 @@ const mapConsciousnessValue = (value) => {
     return value;
   }
   
-  // Default to Alert if invalid value
-  console.warn(`Invalid consciousness value: ${value}, defaulting to "Alert"`);
-  return 'Alert';
+  return null;
+};
+
+/**
+ * Convert an AVPU scale string to the numeric value stored for consciousness
+ * @param {String|Number} value - AVPU string (Alert, Voice, Pain, Unresponsive) or numeric value
+ * @returns {Number|null} - Numeric consciousness value (0-3), or null if invalid
+ */
+const consciousnessToNumber = (value) => {
+  const avpu = mapConsciousnessValue(value);
+  return avpu ? AVPU_SCALE.indexOf(avpu) : null;
 };
 
 module.exports = {
   REQUIRED_VITAL_SIGNS,
+  AVPU_SCALE,
   SENSOR_TO_EWS_MAPPING,
+  VITAL_FRESHNESS_MS,
+  parseFreshness,
   hasAllRequiredVitalSigns,
+  getFreshnessWindow,
   mapSensorTypeToEWS,
-  mapConsciousnessValue
+  mapConsciousnessValue,
+  consciousnessToNumber
 };
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Catalog of the sensor types the Data Collector accepts
+ * Readings are converted to the canonical unit of their sensor type before
+ * storage, and rejected when the converted value is not physiologically plausible.
+ */
+
+const identity = value => value;
+const fahrenheitToCelsius = value => (value - 32) * 5 / 9;
+const kelvinToCelsius = value => value - 273.15;
+const kPaToMmHg = value => value * 7.50062;
+
+// Sensor types with their canonical unit, plausible range and accepted units.
+// Unit aliases are matched case-insensitively.
+const SENSOR_CATALOG = {
+  heartRate: {
+    unit: 'bpm',
+    min: 20,
+    max: 300,
+    units: { 'bpm': identity, 'beats/min': identity, '/min': identity }
+  },
+  temperature: {
+    unit: '°C',
+    min: 25,
+    max: 45,
+    units: {
+      '°c': identity, 'c': identity, 'degc': identity, 'celsius': identity,
+      '°f': fahrenheitToCelsius, 'f': fahrenheitToCelsius, 'degf': fahrenheitToCelsius, 'fahrenheit': fahrenheitToCelsius,
+      'k': kelvinToCelsius, 'kelvin': kelvinToCelsius
+    }
+  },
+  spo2: {
+    unit: '%',
+    min: 50,
+    max: 100,
+    units: { '%': identity }
+  },
+  respRate: {
+    unit: 'breaths/min',
+    min: 0,
+    max: 80,
+    units: { 'breaths/min': identity, 'bpm': identity, 'rpm': identity, '/min': identity }
+  },
+  bpSystolic: {
+    unit: 'mmHg',
+    min: 40,
+    max: 300,
+    units: { 'mmhg': identity, 'kpa': kPaToMmHg }
+  },
+  bpDiastolic: {
+    unit: 'mmHg',
+    min: 20,
+    max: 200,
+    units: { 'mmhg': identity, 'kpa': kPaToMmHg }
+  },
+  consciousness: {
+    unit: 'AVPU',
+    min: 0,
+    max: 3,
+    integer: true,
+    units: { 'avpu': identity }
+  },
+  // Whether the patient is on supplemental oxygen: 0 = air, 1 = oxygen
+  oxygenTherapy: {
+    unit: 'on/off',
+    min: 0,
+    max: 1,
+    integer: true,
+    units: { 'on/off': identity }
+  }
+};
+
+// Decimal places kept after a unit conversion
+const CONVERSION_PRECISION = 2;
+
+/**
+ * Get the catalog entry of a sensor type
+ * @param {String} sensorType - Sensor type
+ * @returns {Object|null} Catalog entry, or null if the type is not allowed
+ */
+const getSensorType = (sensorType) => {
+  return Object.prototype.hasOwnProperty.call(SENSOR_CATALOG, sensorType) ? SENSOR_CATALOG[sensorType] : null;
+};
+
+/**
+ * Validate a sensor reading and convert it to the canonical unit
+ * The value and unit as received are kept in metadata.originalValue and
+ * metadata.originalUnit.
+ * @param {Object} data - Sensor reading as sent by an edge node
+ * @returns {Object} Field-level errors, and the normalized reading when there are none
+ */
+const normalizeReading = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { errors: [{ field: 'reading', message: 'Reading must be an object' }], reading: null };
+  }
+
+  const { patientId, sensorType, value, unit, timestamp, nodeId, readingId, metadata } = data;
+
+  if (typeof patientId !== 'string' || patientId.trim() === '') {
+    errors.push({ field: 'patientId', message: 'patientId is required' });
+  }
+
+  if (typeof nodeId !== 'string' || nodeId.trim() === '') {
+    errors.push({ field: 'nodeId', message: 'nodeId is required' });
+  }
+
+  if (readingId !== undefined && (typeof readingId !== 'string' || readingId.trim() === '')) {
+    errors.push({ field: 'readingId', message: 'readingId must be a non-empty string' });
+  }
+
+  if (timestamp === undefined || timestamp === null || isNaN(new Date(timestamp).getTime())) {
+    errors.push({ field: 'timestamp', message: 'timestamp must be a valid date' });
+  }
+
+  if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+    errors.push({ field: 'metadata', message: 'metadata must be an object' });
+  }
+
+  const catalogEntry = getSensorType(sensorType);
+  if (!catalogEntry) {
+    errors.push({
+      field: 'sensorType',
+      message: `sensorType must be one of: ${Object.keys(SENSOR_CATALOG).join(', ')}`
+    });
+  }
+
+  if (typeof value !== 'number' || !isFinite(value)) {
+    errors.push({ field: 'value', message: 'value must be a number' });
+  }
+
+  let convert = identity;
+  if (catalogEntry && unit !== undefined && unit !== null) {
+    convert = typeof unit === 'string' ? catalogEntry.units[unit.trim().toLowerCase()] : undefined;
+
+    if (!convert) {
+      errors.push({
+        field: 'unit',
+        message: `unit ${unit} is not supported for ${sensorType}, expected ${catalogEntry.unit}`
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors, reading: null };
+  }
+
+  let normalizedValue = convert(value);
+  if (convert !== identity) {
+    const factor = Math.pow(10, CONVERSION_PRECISION);
+    normalizedValue = Math.round(normalizedValue * factor) / factor;
+  }
+
+  if (normalizedValue < catalogEntry.min || normalizedValue > catalogEntry.max) {
+    errors.push({
+      field: 'value',
+      message: `${sensorType} must be between ${catalogEntry.min} and ${catalogEntry.max} ${catalogEntry.unit}`
+    });
+  } else if (catalogEntry.integer && !Number.isInteger(normalizedValue)) {
+    errors.push({ field: 'value', message: `${sensorType} must be a whole number` });
+  }
+
+  if (errors.length > 0) {
+    return { errors, reading: null };
+  }
+
+  return {
+    errors,
+    reading: {
+      ...data,
+      value: normalizedValue,
+      unit: catalogEntry.unit,
+      metadata: {
+        ...(metadata || {}),
+        originalValue: value,
+        originalUnit: unit === undefined ? null : unit
+      }
+    }
+  };
+};
+
+module.exports = {
+  SENSOR_CATALOG,
+  getSensorType,
+  normalizeReading
+};
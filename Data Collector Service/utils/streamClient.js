@@ -0,0 +1,144 @@
+const WebSocket = require('ws');
+
+/**
+ * Create a client for the WebSocket ingestion endpoint
+ * Used by edge node simulators and for local testing; it talks to the
+ * Data Collector directly, no broker is involved. At most maxInFlight
+ * readings are sent without an ack, the rest wait in a local queue.
+ * @param {Object} options - Client options
+ * @param {String} options.url - Endpoint URL, e.g. ws://localhost:3000/api/stream
+ * @param {String} options.nodeId - ID of the registered edge node
+ * @param {String} options.token - Shared secret, if the server requires one
+ * @param {Number} options.maxInFlight - Readings sent without waiting for an ack
+ * @returns {Object} The client API
+ */
+const createStreamClient = (options) => {
+  const { url, nodeId, token, maxInFlight = 50 } = options;
+
+  let socket = null;
+  let nextId = 1;
+  const inFlight = new Map();
+  const waiting = [];
+
+  const flush = () => {
+    while (waiting.length > 0 && inFlight.size < maxInFlight) {
+      const entry = waiting.shift();
+      inFlight.set(entry.id, entry);
+      socket.send(JSON.stringify({ type: 'reading', id: entry.id, reading: entry.reading }));
+    }
+  };
+
+  const failAll = (error) => {
+    inFlight.forEach(entry => entry.reject(error));
+    waiting.forEach(entry => entry.reject(error));
+    inFlight.clear();
+    waiting.length = 0;
+  };
+
+  /**
+   * Open the connection and authenticate
+   * @returns {Promise<Object>} The server's auth response
+   */
+  const connect = () => new Promise((resolve, reject) => {
+    socket = new WebSocket(url);
+    let authenticated = false;
+
+    socket.on('open', () => {
+      socket.send(JSON.stringify({ type: 'auth', nodeId, token }));
+    });
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+
+      if (message.type === 'auth') {
+        if (message.success) {
+          authenticated = true;
+          resolve(message);
+        } else {
+          reject(new Error(message.message || 'Authentication failed'));
+        }
+        return;
+      }
+
+      if (message.type === 'ack' || message.type === 'nack') {
+        const entry = inFlight.get(message.id);
+        if (!entry) return;
+
+        inFlight.delete(message.id);
+        if (message.type === 'ack') {
+          entry.resolve(message);
+        } else {
+          const error = new Error(message.message);
+          error.errors = message.errors;
+          entry.reject(error);
+        }
+        flush();
+      }
+    });
+
+    socket.on('close', (code, reason) => {
+      const error = new Error(`Connection closed (${code}${reason.length ? `: ${reason}` : ''})`);
+      if (!authenticated) reject(error);
+      failAll(error);
+    });
+
+    socket.on('error', (error) => {
+      if (!authenticated) reject(error);
+    });
+  });
+
+  /**
+   * Send a reading
+   * @param {Object} reading - patientId, sensorType, value, unit, timestamp, metadata
+   * @returns {Promise<Object>} The ack, rejected with the nack's errors
+   */
+  const send = (reading) => new Promise((resolve, reject) => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      reject(new Error('Not connected'));
+      return;
+    }
+
+    waiting.push({ id: nextId++, reading, resolve, reject });
+    flush();
+  });
+
+  /**
+   * Close the connection
+   */
+  const close = () => {
+    if (socket) socket.close();
+  };
+
+  return { connect, send, close };
+};
+
+module.exports = { createStreamClient };
+
+// Stream sample readings: node utils/streamClient.js <url> <nodeId> <patientId> [count]
+if (require.main === module) {
+  const [url = 'ws://localhost:3000/api/stream', nodeId = 'node-1', patientId = 'P12345', count = '10'] = process.argv.slice(2);
+  const client = createStreamClient({ url, nodeId, token: process.env.STREAM_AUTH_TOKEN });
+
+  client.connect()
+    .then(async () => {
+      const sends = [];
+      for (let i = 0; i < parseInt(count); i++) {
+        sends.push(client.send({
+          patientId,
+          sensorType: 'heartRate',
+          value: 70 + Math.round(Math.random() * 10),
+          unit: 'bpm',
+          timestamp: new Date()
+        }));
+      }
+
+      const results = await Promise.allSettled(sends);
+      const acked = results.filter(result => result.status === 'fulfilled').length;
+      console.log(`${acked}/${results.length} readings acknowledged`);
+      client.close();
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
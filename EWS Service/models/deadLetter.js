@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeadLetter:
+ *       type: object
+ *       properties:
+ *         deadLetterId:
+ *           type: string
+ *           description: Unique identifier of the dead letter
+ *         queueName:
+ *           type: string
+ *           description: Subscriber queue the event failed on
+ *         routingKey:
+ *           type: string
+ *           description: Routing key the event was published with, e.g. ews.consensus
+ *         messageId:
+ *           type: string
+ *           description: AMQP message ID of the event
+ *         content:
+ *           type: string
+ *           description: The message content as received
+ *         payload:
+ *           type: object
+ *           description: The parsed event, or null if the content is not valid JSON
+ *         error:
+ *           type: string
+ *           description: The last error of the subscriber
+ *         retryCount:
+ *           type: number
+ *           description: Redeliveries before the event was dead-lettered
+ *         status:
+ *           type: string
+ *           enum: [dead, replayed, discarded]
+ *         failedAt:
+ *           type: string
+ *           format: date-time
+ *         replayedAt:
+ *           type: string
+ *           format: date-time
+ *         discardedAt:
+ *           type: string
+ *           format: date-time
+ *         handledBy:
+ *           type: string
+ *           description: Who replayed or discarded the event
+ *         reason:
+ *           type: string
+ *           description: Why the event was replayed or discarded
+ */
+
+// Events a subscriber failed on, kept until an operator replays or discards them
+const deadLetterSchema = new mongoose.Schema({
+  deadLetterId: {
+    type: String,
+    required: true,
+    default: uuidv4,
+    unique: true
+  },
+  queueName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  routingKey: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: Object,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  retryCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['dead', 'replayed', 'discarded'],
+    default: 'dead'
+  },
+  failedAt: {
+    type: Date,
+    default: Date.now
+  },
+  replayedAt: {
+    type: Date,
+    default: null
+  },
+  discardedAt: {
+    type: Date,
+    default: null
+  },
+  handledBy: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+deadLetterSchema.index({ status: 1, failedAt: -1 });
+// One dead letter per event and queue, however often the event is dead-lettered
+deadLetterSchema.index(
+  { messageId: 1, queueName: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } }
+);
+
+const DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
+
+module.exports = {
+  DeadLetter
+};
@@ -33,7 +33,7 @@ const { v4: uuidv4 } = require('uuid');
  *           description: The time when the event occurred
  *         vitalSigns:
  *           type: object
- *           description: The vital signs used for EWS calculation
+ *           description: The vital signs used for EWS calculation, including parameters the scoring model declares beyond the listed ones
  *           properties:
  *             respiratoryRate:
  *               type: number
@@ -48,6 +48,13 @@ const { v4: uuidv4 } = require('uuid');
  *             consciousness:
  *               type: string
  *               enum: [Alert, Voice, Pain, Unresponsive]
+ *             supplementalOxygen:
+ *               type: boolean
+ *               description: Whether the patient was on supplemental oxygen
+ *             spo2Scale:
+ *               type: number
+ *               enum: [1, 2]
+ *               description: NEWS2 SpO2 scale the saturation was scored on
  *         scoreComponents:
  *           type: object
  *           description: Individual scores for each vital sign
@@ -58,6 +65,45 @@ const { v4: uuidv4 } = require('uuid');
  *           type: string
  *           enum: [Low, Low-Medium, Medium, High]
  *           description: Clinical risk based on the EWS score
+ *         redFlags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Parameters scoring 3 on their own, which call for an urgent clinical review whatever the total score
+ *         scoringModel:
+ *           type: object
+ *           description: Scoring model the score was calculated with
+ *           properties:
+ *             id:
+ *               type: string
+ *               example: NEWS2
+ *             version:
+ *               type: string
+ *               example: "2.0.1"
+ *         imputedVitals:
+ *           type: array
+ *           description: Vital signs that were filled in by policy instead of measured. A score with imputed vital signs must be read with care.
+ *           items:
+ *             type: object
+ *             properties:
+ *               vital:
+ *                 type: string
+ *               method:
+ *                 type: string
+ *                 enum: [default, lastKnown]
+ *               value:
+ *                 type: string
+ *               ageMs:
+ *                 type: number
+ *         targetConsensusId:
+ *           type: string
+ *           description: Consensus score corrected (EWS_UPDATED) or countersigned (EWS_VALIDATED) by a clinician
+ *         clinicianId:
+ *           type: string
+ *           description: Clinician who corrected or countersigned the score
+ *         reason:
+ *           type: string
+ *           description: Reason for a correction, or the comment of a countersignature
  *         metadata:
  *           type: object
  *           description: Additional metadata
@@ -74,9 +120,12 @@ const { v4: uuidv4 } = require('uuid');
  *           systolicBP: 125
  *           heartRate: 72
  *           consciousness: "Alert"
+ *           supplementalOxygen: false
+ *           spo2Scale: 1
  *         scoreComponents:
  *           respiratoryRate: 0
  *           oxygenSaturation: 0
+ *           supplementalOxygen: 0
  *           temperature: 0
  *           systolicBP: 0
  *           heartRate: 0
@@ -135,8 +184,19 @@ const { v4: uuidv4 } = require('uuid');
  *           description: Whether a valid consensus was reached
  *         consensusMethod:
  *           type: string
- *           enum: [majority, latest]
- *           description: Method used to reach consensus
+ *           enum: [majority, latest, average, single, none, correction]
+ *           description: Method used to reach consensus; correction for a score recalculated from vital signs corrected by a clinician
+ *         supersedes:
+ *           type: string
+ *           description: Consensus replaced by this correction
+ *         redFlags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Parameters scoring 3 on their own in the consensus score
+ *         scoringModel:
+ *           type: object
+ *           description: Scoring model of the node scores (id and version)
  *       example:
  *         consensusId: "c7d8e9f0-a1b2-4c3d-9e0f-1a2b3c4d5e6f"
  *         patientId: "P12345"
@@ -169,7 +229,7 @@ const { v4: uuidv4 } = require('uuid');
  *           }
  *         ]
  *         consensusScore: 3
- *         clinicalRisk: "Low-Medium"
+ *         clinicalRisk: "Low"
  *         consensusTimestamp: "2025-05-17T16:45:10Z"
  *         validConsensus: true
  *         consensusMethod: "majority"
@@ -199,12 +259,29 @@ const { v4: uuidv4 } = require('uuid');
  *           description: Clinical risk based on the EWS score
  *         vitalSigns:
  *           type: object
- *           description: The latest vital signs used for EWS calculation
+ *           description: The latest vital signs used for EWS calculation, including oxygen status and the SpO2 scale in use
  *         scoreComponents:
  *           type: object
  *           description: Individual scores for each vital sign
+ *         redFlags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Parameters of the current score that score 3 on their own
+ *         scoringModel:
+ *           type: object
+ *           description: Scoring model of the current score (id and version)
+ *         imputedVitals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Vital signs of the current score that were filled in by policy instead of measured
+ *         consensusId:
+ *           type: string
+ *           description: Consensus of the current score
  *         scoreHistory:
  *           type: array
+ *           description: The last 100 scores, ordered by consensus timestamp
  *           items:
  *             type: object
  *             properties:
@@ -215,14 +292,30 @@ const { v4: uuidv4 } = require('uuid');
  *                 type: number
  *               clinicalRisk:
  *                 type: string
+ *               scoringModel:
+ *                 type: string
+ *               consensusId:
+ *                 type: string
+ *               corrected:
+ *                 type: boolean
+ *                 description: Whether the score was recalculated from corrected vital signs
+ *               validatedBy:
+ *                 type: string
+ *                 description: Clinician who countersigned the score
+ *               validatedAt:
+ *                 type: string
+ *                 format: date-time
  *         lastUpdated:
  *           type: string
  *           format: date-time
- *           description: The time when the read model was last updated
+ *           description: The time of the current score
+ *         __v:
+ *           type: number
+ *           description: Version of the read model, incremented on every update
  *       example:
  *         patientId: "P12345"
  *         currentScore: 3
- *         clinicalRisk: "Low-Medium"
+ *         clinicalRisk: "Low"
  *         vitalSigns:
  *           respiratoryRate: 18
  *           oxygenSaturation: 96
@@ -230,9 +323,12 @@ const { v4: uuidv4 } = require('uuid');
  *           systolicBP: 125
  *           heartRate: 72
  *           consciousness: "Alert"
+ *           supplementalOxygen: false
+ *           spo2Scale: 1
  *         scoreComponents:
  *           respiratoryRate: 0
  *           oxygenSaturation: 0
+ *           supplementalOxygen: 0
  *           temperature: 0
  *           systolicBP: 0
  *           heartRate: 1
@@ -240,11 +336,56 @@ const { v4: uuidv4 } = require('uuid');
  *         scoreHistory: [
  *           { timestamp: "2025-05-17T12:30:00Z", score: 2, clinicalRisk: "Low" },
  *           { timestamp: "2025-05-17T14:15:00Z", score: 2, clinicalRisk: "Low" },
- *           { timestamp: "2025-05-17T16:45:00Z", score: 3, clinicalRisk: "Low-Medium" }
+ *           { timestamp: "2025-05-17T16:45:00Z", score: 3, clinicalRisk: "Low" }
  *         ]
  *         lastUpdated: "2025-05-17T16:45:10Z"
  */
 
+// Vital signs and score components hold the NEWS2 parameters; parameters a
+// scoring model declares beyond them are kept as they were submitted (strict: false)
+const vitalSignsSchema = new mongoose.Schema({
+  respiratoryRate: Number,
+  oxygenSaturation: Number,
+  temperature: Number,
+  systolicBP: Number,
+  heartRate: Number,
+  consciousness: String,
+  supplementalOxygen: Boolean,
+  spo2Scale: Number
+}, { _id: false, strict: false });
+
+// Vital signs as scored by an event
+const scoredVitalSignsSchema = new mongoose.Schema({
+  respiratoryRate: Number,
+  oxygenSaturation: Number,
+  temperature: Number,
+  systolicBP: Number,
+  heartRate: Number,
+  consciousness: {
+    type: String,
+    enum: ['Alert', 'Voice', 'Pain', 'Unresponsive']
+  },
+  supplementalOxygen: {
+    type: Boolean,
+    default: false
+  },
+  spo2Scale: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  }
+}, { _id: false, strict: false });
+
+const scoreComponentsSchema = new mongoose.Schema({
+  respiratoryRate: Number,
+  oxygenSaturation: Number,
+  supplementalOxygen: Number,
+  temperature: Number,
+  systolicBP: Number,
+  heartRate: Number,
+  consciousness: Number
+}, { _id: false, strict: false });
+
 // Event store schema - following event sourcing pattern
 const ewsScoreEventSchema = new mongoose.Schema({
   eventId: {
@@ -274,24 +415,10 @@ const ewsScoreEventSchema = new mongoose.Schema({
     index: true
   },
   vitalSigns: {
-    respiratoryRate: Number,
-    oxygenSaturation: Number,
-    temperature: Number,
-    systolicBP: Number,
-    heartRate: Number,
-    consciousness: {
-      type: String,
-      enum: ['Alert', 'Voice', 'Pain', 'Unresponsive']
-    }
-  },
-  scoreComponents: {
-    respiratoryRate: Number,
-    oxygenSaturation: Number,
-    temperature: Number,
-    systolicBP: Number,
-    heartRate: Number,
-    consciousness: Number
+    type: scoredVitalSignsSchema,
+    default: () => ({})
   },
+  scoreComponents: scoreComponentsSchema,
   totalScore: {
     type: Number,
     required: true,
@@ -302,6 +429,44 @@ const ewsScoreEventSchema = new mongoose.Schema({
     enum: ['Low', 'Low-Medium', 'Medium', 'High'],
     required: true
   },
+  // Parameters scoring 3 on their own
+  redFlags: {
+    type: [String],
+    default: []
+  },
+  // Scoring model and version the score was calculated with
+  scoringModel: {
+    id: {
+      type: String,
+      index: true
+    },
+    version: String
+  },
+  // Vital signs filled in by policy instead of measured
+  imputedVitals: [{
+    _id: false,
+    vital: String,
+    method: {
+      type: String,
+      enum: ['default', 'lastKnown']
+    },
+    value: String,
+    ageMs: Number
+  }],
+  // Consensus a clinician corrected (EWS_UPDATED) or countersigned (EWS_VALIDATED)
+  targetConsensusId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  clinicianId: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
   metadata: {
     type: Object,
     default: {}
@@ -325,22 +490,14 @@ const ewsConsensusSchema = new mongoose.Schema({
     nodeId: String,
     totalScore: Number,
     timestamp: Date,
-    vitalSigns: {
-      respiratoryRate: Number,
-      oxygenSaturation: Number,
-      temperature: Number,
-      systolicBP: Number,
-      heartRate: Number,
-      consciousness: String
+    vitalSigns: vitalSignsSchema,
+    scoreComponents: scoreComponentsSchema,
+    redFlags: [String],
+    scoringModel: {
+      id: String,
+      version: String
     },
-    scoreComponents: {
-      respiratoryRate: Number,
-      oxygenSaturation: Number,
-      temperature: Number,
-      systolicBP: Number,
-      heartRate: Number,
-      consciousness: Number
-    }
+    imputedVitals: [String]
   }],
   consensusScore: {
     type: Number,
@@ -363,11 +520,30 @@ const ewsConsensusSchema = new mongoose.Schema({
   },
   consensusMethod: {
     type: String,
-    enum: ['majority', 'latest', 'average', 'single', 'none'],
+    enum: ['majority', 'latest', 'average', 'single', 'none', 'correction'],
     required: true
+  },
+  // Consensus replaced by this one when a clinician corrected its vital signs
+  supersedes: {
+    type: String,
+    default: null
+  },
+  redFlags: {
+    type: [String],
+    default: []
+  },
+  scoringModel: {
+    id: String,
+    version: String
   }
 }, { timestamps: true });
 
+// A consensus can only be corrected once, even by concurrent corrections
+ewsConsensusSchema.index(
+  { supersedes: 1 },
+  { unique: true, partialFilterExpression: { supersedes: { $type: 'string' } } }
+);
+
 // Read model schema - for CQRS pattern (optimized for reads)
 const ewsReadModelSchema = new mongoose.Schema({
   patientId: {
@@ -386,26 +562,30 @@ const ewsReadModelSchema = new mongoose.Schema({
     enum: ['Low', 'Low-Medium', 'Medium', 'High'],
     required: true
   },
-  vitalSigns: {
-    respiratoryRate: Number,
-    oxygenSaturation: Number,
-    temperature: Number,
-    systolicBP: Number,
-    heartRate: Number,
-    consciousness: String
+  vitalSigns: vitalSignsSchema,
+  scoreComponents: scoreComponentsSchema,
+  redFlags: {
+    type: [String],
+    default: []
   },
-  scoreComponents: {
-    respiratoryRate: Number,
-    oxygenSaturation: Number,
-    temperature: Number,
-    systolicBP: Number,
-    heartRate: Number,
-    consciousness: Number
+  imputedVitals: {
+    type: [String],
+    default: []
   },
+  scoringModel: {
+    id: String,
+    version: String
+  },
+  consensusId: String,
   scoreHistory: [{
     timestamp: Date,
     score: Number,
-    clinicalRisk: String
+    clinicalRisk: String,
+    scoringModel: String,
+    consensusId: String,
+    corrected: Boolean,
+    validatedBy: String,
+    validatedAt: Date
   }],
   lastUpdated: {
     type: Date,
@@ -413,14 +593,18 @@ const ewsReadModelSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   }
-}, { timestamps: true });
+// Every save checks and increments __v, so concurrent updates of a patient conflict instead of overwriting each other
+}, { timestamps: true, optimisticConcurrency: true });
 
 const EWSScoreEvent = mongoose.model('EWSScoreEvent', ewsScoreEventSchema);
 const EWSConsensus = mongoose.model('EWSConsensus', ewsConsensusSchema);
 const EWSReadModel = mongoose.model('EWSReadModel', ewsReadModelSchema);
+// Staging copy of the read model, filled while it is rebuilt from the event store
+const EWSReadModelRebuild = mongoose.model('EWSReadModelRebuild', ewsReadModelSchema);
 
 module.exports = { 
   EWSScoreEvent,
   EWSConsensus,
-  EWSReadModel
+  EWSReadModel,
+  EWSReadModelRebuild
 };
\ No newline at end of file
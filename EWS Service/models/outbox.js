@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OutboxMessage:
+ *       type: object
+ *       properties:
+ *         messageId:
+ *           type: string
+ *           description: Unique identifier of the message, sent as the AMQP message ID
+ *         routingKey:
+ *           type: string
+ *           description: Routing key on the ews_events exchange, e.g. ews.consensus
+ *         payload:
+ *           type: object
+ *           description: The event to publish
+ *         status:
+ *           type: string
+ *           enum: [pending, published, failed]
+ *           description: failed means the message was poisoned and is no longer retried
+ *         attempts:
+ *           type: number
+ *           description: Publish attempts the broker did not confirm
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Days published messages are kept before they expire
+const OUTBOX_RETENTION_DAYS = parseInt(process.env.OUTBOX_RETENTION_DAYS) || 7;
+
+// Events waiting to be published, written in the same transaction as the data they describe
+const outboxMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    default: uuidv4,
+    unique: true
+  },
+  routingKey: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: Object,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'published', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A relay that claimed the message owns it until then
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null,
+    expires: OUTBOX_RETENTION_DAYS * 24 * 60 * 60
+  }
+}, { timestamps: true });
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1, createdAt: 1 });
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+
+module.exports = {
+  OutboxMessage
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectionCheckpoint:
+ *       type: object
+ *       properties:
+ *         projection:
+ *           type: string
+ *           description: Name of the projection
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed, interrupted]
+ *           description: State of the last rebuild
+ *         dryRun:
+ *           type: boolean
+ *           description: Whether the rebuild only compared the result without replacing the read model
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         total:
+ *           type: number
+ *           description: Consensus events to replay when the run started
+ *         processed:
+ *           type: number
+ *           description: Consensus events replayed so far
+ *         position:
+ *           type: object
+ *           description: Last replayed consensus event (createdAt and id), where a resumed rebuild continues
+ *         divergence:
+ *           type: object
+ *           description: Differences between the rebuilt and the current read model
+ *           properties:
+ *             compared:
+ *               type: number
+ *             divergent:
+ *               type: number
+ *             missing:
+ *               type: number
+ *               description: Patients with events but no current read model
+ *             extra:
+ *               type: number
+ *               description: Current read models without any consensus event
+ *             conflicts:
+ *               type: number
+ *               description: Read models not replaced because they were updated while the rebuild ran
+ *             samples:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   patientId:
+ *                     type: string
+ *                   fields:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *         error:
+ *           type: string
+ */
+
+// Progress and result of rebuilding a projection from the event store
+const projectionCheckpointSchema = new mongoose.Schema({
+  projection: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'interrupted'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: Date,
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  position: {
+    createdAt: Date,
+    consensusId: mongoose.Schema.Types.ObjectId
+  },
+  divergence: {
+    compared: Number,
+    divergent: Number,
+    missing: Number,
+    extra: Number,
+    conflicts: Number,
+    samples: [{
+      _id: false,
+      patientId: String,
+      fields: [String]
+    }]
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+const ProjectionCheckpoint = mongoose.model('ProjectionCheckpoint', projectionCheckpointSchema);
+
+module.exports = {
+  ProjectionCheckpoint
+};
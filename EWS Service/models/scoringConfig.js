@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatientScoringConfig:
+ *       type: object
+ *       required:
+ *         - patientId
+ *         - spo2Scale
+ *       properties:
+ *         patientId:
+ *           type: string
+ *           description: The ID of the patient
+ *         scoringModel:
+ *           type: string
+ *           description: ID of the scoring model used for the patient, overriding the ward's model. See GET /api/query/scoring-models
+ *         spo2Scale:
+ *           type: number
+ *           enum: [1, 2]
+ *           description: NEWS2 SpO2 scale. Scale 2 is for patients with hypercapnic respiratory failure and a prescribed target saturation of 88-92%
+ *         reason:
+ *           type: string
+ *           description: Why the scale was chosen
+ *         updatedBy:
+ *           type: string
+ *           description: Clinician who last changed the configuration
+ *       example:
+ *         patientId: "P12345"
+ *         scoringModel: "NEWS2"
+ *         spo2Scale: 2
+ *         reason: "COPD with confirmed hypercapnic respiratory failure"
+ *         updatedBy: "Dr. Smith"
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WardScoringConfig:
+ *       type: object
+ *       required:
+ *         - ward
+ *         - scoringModel
+ *       properties:
+ *         ward:
+ *           type: string
+ *           description: Name of the ward
+ *         scoringModel:
+ *           type: string
+ *           description: ID of the scoring model used for patients on the ward
+ *         updatedBy:
+ *           type: string
+ *           description: Who last changed the configuration
+ *       example:
+ *         ward: "Respiratory"
+ *         scoringModel: "NEWS2"
+ *         updatedBy: "charge.nurse"
+ */
+
+// How the EWS of a patient is scored
+const patientScoringConfigSchema = new mongoose.Schema({
+  patientId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  scoringModel: {
+    type: String,
+    default: null
+  },
+  spo2Scale: {
+    type: Number,
+    enum: [1, 2],
+    required: true,
+    default: 1
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// How the EWS of patients on a ward is scored
+const wardScoringConfigSchema = new mongoose.Schema({
+  ward: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  scoringModel: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+const PatientScoringConfig = mongoose.model('PatientScoringConfig', patientScoringConfigSchema);
+const WardScoringConfig = mongoose.model('WardScoringConfig', wardScoringConfigSchema);
+
+module.exports = {
+  PatientScoringConfig,
+  WardScoringConfig
+};
@@ -1,8 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const { handleCalculateEWSCommand } = require('../services/commandHandler');
+const { v4: uuidv4 } = require('uuid');
+const { handleCalculateEWSCommand, handleUpdateEWSCommand, handleValidateEWSCommand } = require('../services/commandHandler');
+const scoringConfigService = require('../services/scoringConfigService');
+const projectionRunner = require('../services/projectionRunner');
+const deadLetterService = require('../services/deadLetterService');
+const scoringModels = require('../utils/scoringModels');
 const { logger } = require('../utils/logger');
 
+const VALID_CONSCIOUSNESS = ['Alert', 'Voice', 'Pain', 'Unresponsive'];
+
+/**
+ * Check the values of submitted vital signs
+ * @param {Object} vitalSigns - The vital signs
+ * @param {Array<String>} requiredVitals - Vital signs the scoring model requires
+ * @returns {String|null} Error message, or null if the values are valid
+ */
+const checkVitalSignValues = (vitalSigns, requiredVitals) => {
+  // Numeric vital signs must be real numbers so that they fall in exactly one band
+  const nonNumericVitals = Object.keys(vitalSigns).filter(vital =>
+    vital !== 'spo2Scale' && !scoringModels.isCategorical(vital) &&
+    vitalSigns[vital] !== undefined && (typeof vitalSigns[vital] !== 'number' || !isFinite(vitalSigns[vital])));
+  
+  if (nonNumericVitals.length > 0) {
+    return `Vital signs must be numbers: ${nonNumericVitals.join(', ')}`;
+  }
+  
+  // Categories are looked up by their name, so they cannot be objects
+  const invalidCategories = Object.keys(vitalSigns).filter(vital =>
+    scoringModels.isCategorical(vital) && vitalSigns[vital] !== null && typeof vitalSigns[vital] === 'object');
+  
+  if (invalidCategories.length > 0) {
+    return `Vital signs must be a category name: ${invalidCategories.join(', ')}`;
+  }
+  
+  if ((requiredVitals.includes('consciousness') || vitalSigns.consciousness !== undefined) &&
+      !VALID_CONSCIOUSNESS.includes(vitalSigns.consciousness)) {
+    return `Invalid consciousness value. Must be one of: ${VALID_CONSCIOUSNESS.join(', ')}`;
+  }
+  
+  if (vitalSigns.supplementalOxygen !== undefined && typeof vitalSigns.supplementalOxygen !== 'boolean') {
+    return 'supplementalOxygen must be a boolean';
+  }
+  
+  return null;
+};
+
 /**
  * @swagger
  * /api/command/calculate-ews:
@@ -10,6 +53,12 @@ const { logger } = require('../utils/logger');
  *     summary: Command to calculate an EWS score
  *     tags: [Commands]
  *     description: Submit a command to calculate an Early Warning Score for a patient
+ *     parameters:
+ *       - in: header
+ *         name: X-Correlation-ID
+ *         schema:
+ *           type: string
+ *         description: Carried by the events this command publishes; generated if missing
  *     requestBody:
  *       required: true
  *       content:
@@ -29,6 +78,7 @@ const { logger } = require('../utils/logger');
  *                 description: ID of the edge node submitting the data
  *               vitalSigns:
  *                 type: object
+ *                 description: Vital signs; the ones required depend on the scoring model (all of the listed ones for NEWS2)
  *                 required:
  *                   - respiratoryRate
  *                   - oxygenSaturation
@@ -56,10 +106,37 @@ const { logger } = require('../utils/logger');
  *                     type: string
  *                     enum: [Alert, Voice, Pain, Unresponsive]
  *                     description: AVPU scale consciousness assessment
+ *                   supplementalOxygen:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Whether the patient is on supplemental oxygen (scores 2). SpO2 is scored on the scale configured for the patient.
+ *                 additionalProperties:
+ *                   description: Parameters the scoring model declares beyond the NEWS2 vital signs, a number or, for parameters scored on categories, the category
  *               timestamp:
  *                 type: string
  *                 format: date-time
  *                 description: The time when the vitals were measured
+ *               scoringModel:
+ *                 type: string
+ *                 description: Scoring model to use, e.g. NEWS2 or a local model from SCORING_MODELS_PATH. Defaults to the patient's model, then the ward's model, then the service default. See GET /api/query/scoring-models
+ *               ward:
+ *                 type: string
+ *                 description: Ward of the patient, used to find the ward's scoring model
+ *               imputedVitals:
+ *                 type: array
+ *                 description: Vital signs that were not measured but filled in by policy; the score is flagged as imputed
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     vital:
+ *                       type: string
+ *                     method:
+ *                       type: string
+ *                       enum: [default, lastKnown]
+ *                     value:
+ *                       type: string
+ *                     ageMs:
+ *                       type: number
  *               metadata:
  *                 type: object
  *                 description: Additional metadata about the reading
@@ -79,6 +156,17 @@ const { logger } = require('../utils/logger');
  *                   type: number
  *                 clinicalRisk:
  *                   type: string
+ *                 redFlags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 scoringModel:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     version:
+ *                       type: string
  *       400:
  *         description: Invalid command data
  *       500:
@@ -86,7 +174,7 @@ const { logger } = require('../utils/logger');
  */
 router.post('/calculate-ews', async (req, res) => {
   try {
-    const { patientId, nodeId, vitalSigns, timestamp, metadata } = req.body;
+    const { patientId, nodeId, vitalSigns, timestamp, imputedVitals, scoringModel, ward, metadata } = req.body;
     
     // Validate required fields
     if (!patientId || !nodeId || !vitalSigns) {
@@ -96,9 +184,18 @@ router.post('/calculate-ews', async (req, res) => {
       });
     }
     
-    // Validate vital signs
-    const requiredVitals = ['respiratoryRate', 'oxygenSaturation', 'temperature', 
-                           'systolicBP', 'heartRate', 'consciousness'];
+    const configErrors = scoringConfigService.validateConfig({ scoringModel });
+    if (configErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scoring model',
+        errors: configErrors
+      });
+    }
+    
+    // The vital signs required depend on the scoring model used for the patient
+    const scoring = await scoringConfigService.resolveScoring(patientId, { scoringModel, ward });
+    const requiredVitals = scoring.model.requiredVitals;
     
     const missingVitals = requiredVitals.filter(vital => vitalSigns[vital] === undefined);
     
@@ -109,12 +206,20 @@ router.post('/calculate-ews', async (req, res) => {
       });
     }
     
-    // Validate consciousness value
-    const validConsciousness = ['Alert', 'Voice', 'Pain', 'Unresponsive'];
-    if (!validConsciousness.includes(vitalSigns.consciousness)) {
+    const vitalSignError = checkVitalSignValues(vitalSigns, requiredVitals);
+    
+    if (vitalSignError) {
       return res.status(400).json({
         success: false,
-        message: `Invalid consciousness value. Must be one of: ${validConsciousness.join(', ')}`
+        message: vitalSignError
+      });
+    }
+    
+    if (imputedVitals !== undefined &&
+        (!Array.isArray(imputedVitals) || !imputedVitals.every(imputed => imputed && requiredVitals.includes(imputed.vital)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'imputedVitals must be an array of { vital, method } entries naming required vital signs'
       });
     }
     
@@ -124,7 +229,11 @@ router.post('/calculate-ews', async (req, res) => {
       nodeId,
       vitalSigns,
       timestamp: timestamp ? new Date(timestamp) : new Date(),
-      metadata
+      imputedVitals: imputedVitals || [],
+      scoring,
+      metadata,
+      // Carried by the events of this calculation, so they can be traced to the request
+      correlationId: req.get('X-Correlation-ID') || uuidv4()
     };
     
     // Handle the command
@@ -136,6 +245,8 @@ router.post('/calculate-ews', async (req, res) => {
       eventId: event.eventId,
       totalScore: event.totalScore,
       clinicalRisk: event.clinicalRisk,
+      redFlags: event.redFlags,
+      scoringModel: event.scoringModel,
       message: 'EWS calculation processed successfully'
     });
   } catch (error) {
@@ -148,6 +259,386 @@ router.post('/calculate-ews', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/command/update-ews:
+ *   post:
+ *     summary: Command to correct the vital signs of a past score
+ *     tags: [Commands]
+ *     description: A clinician corrects vital signs of a consensus score, for example a mistyped reading. The score is recalculated with the same scoring model and SpO2 scale, stored as an EWS_UPDATED event and replaces the original score in the read model and the history. Only the latest version of a score can be corrected.
+ *     parameters:
+ *       - in: header
+ *         name: X-Correlation-ID
+ *         schema:
+ *           type: string
+ *         description: Carried by the events this command publishes; generated if missing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - consensusId
+ *               - vitalSigns
+ *               - clinicianId
+ *               - reason
+ *             properties:
+ *               consensusId:
+ *                 type: string
+ *                 description: The consensus score to correct
+ *               vitalSigns:
+ *                 type: object
+ *                 description: The corrected vital signs; the others are kept
+ *               clinicianId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Score corrected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 eventId:
+ *                   type: string
+ *                 consensusId:
+ *                   type: string
+ *                   description: The correction consensus
+ *                 supersedes:
+ *                   type: string
+ *                 totalScore:
+ *                   type: number
+ *                 clinicalRisk:
+ *                   type: string
+ *                 redFlags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid command data
+ *       404:
+ *         description: Consensus not found
+ *       409:
+ *         description: The score was already corrected
+ *       500:
+ *         description: Server error
+ */
+router.post('/update-ews', async (req, res) => {
+  try {
+    const { consensusId, vitalSigns, clinicianId, reason, metadata } = req.body;
+    
+    if (!consensusId || !clinicianId || !reason || !vitalSigns || Object.keys(vitalSigns).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: consensusId, vitalSigns, clinicianId and reason are required'
+      });
+    }
+    
+    const unknownVitals = Object.keys(vitalSigns).filter(vital => !scoringModels.listParameters().includes(vital));
+    
+    if (unknownVitals.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown vital signs: ${unknownVitals.join(', ')}`
+      });
+    }
+    
+    const vitalSignError = checkVitalSignValues(vitalSigns, []);
+    
+    if (vitalSignError) {
+      return res.status(400).json({
+        success: false,
+        message: vitalSignError
+      });
+    }
+    
+    const { event, consensus } = await handleUpdateEWSCommand({
+      consensusId,
+      vitalSigns,
+      clinicianId,
+      reason,
+      metadata,
+      correlationId: req.get('X-Correlation-ID') || uuidv4()
+    });
+    
+    res.status(201).json({
+      success: true,
+      eventId: event.eventId,
+      consensusId: consensus.consensusId,
+      supersedes: consensus.supersedes,
+      totalScore: event.totalScore,
+      clinicalRisk: event.clinicalRisk,
+      redFlags: event.redFlags,
+      message: 'EWS corrected successfully'
+    });
+  } catch (error) {
+    if (['ValidationError', 'NotFoundError', 'ConflictError'].includes(error.name)) {
+      return res.status({ ValidationError: 400, NotFoundError: 404, ConflictError: 409 }[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error processing update-ews command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to correct EWS',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/command/validate-ews:
+ *   post:
+ *     summary: Command to countersign a score
+ *     tags: [Commands]
+ *     description: A clinician countersigns a consensus score. The countersignature is stored as an EWS_VALIDATED event and shown on the score in the read model and the history. Only the latest version of a score can be countersigned; a later correction needs a new countersignature.
+ *     parameters:
+ *       - in: header
+ *         name: X-Correlation-ID
+ *         schema:
+ *           type: string
+ *         description: Carried by the events this command publishes; generated if missing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - consensusId
+ *               - clinicianId
+ *             properties:
+ *               consensusId:
+ *                 type: string
+ *                 description: The consensus score to countersign
+ *               clinicianId:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Score countersigned
+ *       400:
+ *         description: Invalid command data
+ *       404:
+ *         description: Consensus not found
+ *       409:
+ *         description: The score was corrected; countersign the correction instead
+ *       500:
+ *         description: Server error
+ */
+router.post('/validate-ews', async (req, res) => {
+  try {
+    const { consensusId, clinicianId, comment, metadata } = req.body;
+    
+    if (!consensusId || !clinicianId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: consensusId and clinicianId are required'
+      });
+    }
+    
+    const event = await handleValidateEWSCommand({
+      consensusId,
+      clinicianId,
+      comment,
+      metadata,
+      correlationId: req.get('X-Correlation-ID') || uuidv4()
+    });
+    
+    res.status(201).json({
+      success: true,
+      eventId: event.eventId,
+      consensusId: event.targetConsensusId,
+      validatedBy: event.clinicianId,
+      validatedAt: event.timestamp,
+      message: 'EWS countersigned successfully'
+    });
+  } catch (error) {
+    if (['NotFoundError', 'ConflictError'].includes(error.name)) {
+      return res.status(error.name === 'NotFoundError' ? 404 : 409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error processing validate-ews command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to countersign EWS',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/command/set-spo2-scale:
+ *   post:
+ *     summary: Command to set the SpO2 scale of a patient
+ *     tags: [Commands]
+ *     description: Choose the NEWS2 SpO2 scale used for the patient's future scores. Scale 2 should only be used for patients with hypercapnic respiratory failure and a prescribed target saturation of 88-92%.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patientId
+ *               - spo2Scale
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *               spo2Scale:
+ *                 type: number
+ *                 enum: [1, 2]
+ *               reason:
+ *                 type: string
+ *               updatedBy:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: SpO2 scale stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 config:
+ *                   $ref: '#/components/schemas/PatientScoringConfig'
+ *       400:
+ *         description: Invalid command data
+ *       500:
+ *         description: Server error
+ */
+router.post('/set-spo2-scale', async (req, res) => {
+  try {
+    const { patientId, spo2Scale, reason, updatedBy } = req.body;
+    
+    if (!patientId || spo2Scale === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: patientId and spo2Scale are required'
+      });
+    }
+    
+    const errors = scoringConfigService.validateConfig({ spo2Scale });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scoring configuration',
+        errors
+      });
+    }
+    
+    const config = await scoringConfigService.setPatientConfig(patientId, { spo2Scale, reason, updatedBy });
+    
+    res.status(200).json({
+      success: true,
+      message: 'SpO2 scale updated',
+      config
+    });
+  } catch (error) {
+    logger.error('Error processing set-spo2-scale command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set SpO2 scale',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/command/set-scoring-model:
+ *   post:
+ *     summary: Command to choose the scoring model of a patient or a ward
+ *     tags: [Commands]
+ *     description: Give either patientId or ward. A patient's model overrides the model of their ward; a model named in calculate-ews overrides both.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scoringModel
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *               ward:
+ *                 type: string
+ *               scoringModel:
+ *                 type: string
+ *                 description: ID of a registered scoring model
+ *               reason:
+ *                 type: string
+ *               updatedBy:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Scoring model stored
+ *       400:
+ *         description: Invalid command data
+ *       500:
+ *         description: Server error
+ */
+router.post('/set-scoring-model', async (req, res) => {
+  try {
+    const { patientId, ward, scoringModel, reason, updatedBy } = req.body;
+    
+    if (!scoringModel || (!patientId && !ward) || (patientId && ward)) {
+      return res.status(400).json({
+        success: false,
+        message: 'scoringModel and exactly one of patientId or ward are required'
+      });
+    }
+    
+    const errors = scoringConfigService.validateConfig({ scoringModel });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scoring configuration',
+        errors
+      });
+    }
+    
+    const config = patientId
+      ? await scoringConfigService.setPatientConfig(patientId, { scoringModel, reason, updatedBy })
+      : await scoringConfigService.setWardConfig(ward, { scoringModel, updatedBy });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Scoring model updated',
+      config
+    });
+  } catch (error) {
+    logger.error('Error processing set-scoring-model command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set scoring model',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/command/batch-calculate-ews:
@@ -155,6 +646,12 @@ router.post('/calculate-ews', async (req, res) => {
  *     summary: Command to calculate multiple EWS scores
  *     tags: [Commands]
  *     description: Submit a batch command to calculate Early Warning Scores for multiple patients or timepoints
+ *     parameters:
+ *       - in: header
+ *         name: X-Correlation-ID
+ *         schema:
+ *           type: string
+ *         description: Carried by the events this command publishes; generated if missing
  *     requestBody:
  *       required: true
  *       content:
@@ -182,6 +679,10 @@ router.post('/calculate-ews', async (req, res) => {
  *                     timestamp:
  *                       type: string
  *                       format: date-time
+ *                     scoringModel:
+ *                       type: string
+ *                     ward:
+ *                       type: string
  *                     metadata:
  *                       type: object
  *     responses:
@@ -205,11 +706,13 @@ router.post('/batch-calculate-ews', async (req, res) => {
     
     const results = [];
     const errors = [];
+    // The calculations of a batch share one correlation ID
+    const correlationId = req.get('X-Correlation-ID') || uuidv4();
     
     // Process each calculation in the batch
     for (const calc of calculations) {
       try {
-        const { patientId, nodeId, vitalSigns, timestamp, metadata } = calc;
+        const { patientId, nodeId, vitalSigns, timestamp, scoringModel, ward, metadata } = calc;
         
         if (!patientId || !nodeId || !vitalSigns) {
           errors.push({
@@ -224,7 +727,10 @@ router.post('/batch-calculate-ews', async (req, res) => {
           nodeId,
           vitalSigns,
           timestamp: timestamp ? new Date(timestamp) : new Date(),
-          metadata
+          scoringModel,
+          ward,
+          metadata,
+          correlationId
         };
         
         const event = await handleCalculateEWSCommand(command);
@@ -259,4 +765,238 @@ router.post('/batch-calculate-ews', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/command/rebuild-read-model:
+ *   post:
+ *     summary: Command to rebuild the EWS read model from the event store
+ *     tags: [Commands]
+ *     description: Replays the stored consensus events into a staging copy of the read model, compares it with the current read model and, unless it is a dry run, replaces the read models that differ. The rebuild runs in the background; follow it with GET /api/query/projections/read-model.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fromCheckpoint:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Continue from the checkpoint of the previous rebuild instead of replaying every event
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only report how the current read model diverges from the event store
+ *               batchSize:
+ *                 type: integer
+ *                 description: Consensus events replayed per batch
+ *     responses:
+ *       202:
+ *         description: Rebuild started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 checkpoint:
+ *                   $ref: '#/components/schemas/ProjectionCheckpoint'
+ *       400:
+ *         description: Invalid command data, or no checkpoint to resume from
+ *       409:
+ *         description: A rebuild is already running
+ *       500:
+ *         description: Server error
+ */
+router.post('/rebuild-read-model', async (req, res) => {
+  try {
+    const { fromCheckpoint = false, dryRun = false, batchSize } = req.body;
+    const errors = [];
+    
+    if (typeof fromCheckpoint !== 'boolean') {
+      errors.push({ field: 'fromCheckpoint', message: 'fromCheckpoint must be a boolean' });
+    }
+    if (typeof dryRun !== 'boolean') {
+      errors.push({ field: 'dryRun', message: 'dryRun must be a boolean' });
+    }
+    if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1)) {
+      errors.push({ field: 'batchSize', message: 'batchSize must be a positive integer' });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rebuild command',
+        errors
+      });
+    }
+    
+    const checkpoint = await projectionRunner.startRebuild({ fromCheckpoint, dryRun, batchSize });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Read model rebuild started',
+      checkpoint
+    });
+  } catch (error) {
+    if (error.name === 'ConflictError' || error.name === 'ValidationError') {
+      return res.status(error.name === 'ConflictError' ? 409 : 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error processing rebuild-read-model command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start read model rebuild',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/command/dead-letters/{deadLetterId}/replay:
+ *   post:
+ *     summary: Replay a dead-lettered event
+ *     tags: [Commands]
+ *     description: Sends the event back to the subscriber queue it failed on, where it gets the full number of retries again. Fix the cause of the failure first.
+ *     parameters:
+ *       - in: path
+ *         name: deadLetterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dead letter ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               handledBy:
+ *                 type: string
+ *                 description: Who replayed the event
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dead letter replayed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DeadLetter'
+ *       404:
+ *         description: Dead letter not found
+ *       409:
+ *         description: The dead letter was already replayed or discarded
+ *       500:
+ *         description: Server error
+ */
+router.post('/dead-letters/:deadLetterId/replay', async (req, res) => {
+  try {
+    const { handledBy, reason } = req.body;
+    
+    const deadLetter = await deadLetterService.replay(req.params.deadLetterId, { handledBy, reason });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Dead letter replayed',
+      data: deadLetter
+    });
+  } catch (error) {
+    if (['NotFoundError', 'ConflictError'].includes(error.name)) {
+      return res.status(error.name === 'NotFoundError' ? 404 : 409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error processing replay dead letter command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay dead letter',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/command/dead-letters/{deadLetterId}/discard:
+ *   post:
+ *     summary: Discard a dead-lettered event
+ *     tags: [Commands]
+ *     description: Marks the event as discarded. It stays in the dead-letter list for reference.
+ *     parameters:
+ *       - in: path
+ *         name: deadLetterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dead letter ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               handledBy:
+ *                 type: string
+ *                 description: Who discarded the event
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dead letter discarded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DeadLetter'
+ *       404:
+ *         description: Dead letter not found
+ *       409:
+ *         description: The dead letter was already replayed or discarded
+ *       500:
+ *         description: Server error
+ */
+router.post('/dead-letters/:deadLetterId/discard', async (req, res) => {
+  try {
+    const { handledBy, reason } = req.body;
+    
+    const deadLetter = await deadLetterService.discard(req.params.deadLetterId, { handledBy, reason });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Dead letter discarded',
+      data: deadLetter
+    });
+  } catch (error) {
+    if (['NotFoundError', 'ConflictError'].includes(error.name)) {
+      return res.status(error.name === 'NotFoundError' ? 404 : 409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error processing discard dead letter command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard dead letter',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
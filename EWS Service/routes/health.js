@@ -3,6 +3,8 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const os = require('os');
 const { EWSScoreEvent, EWSConsensus } = require('../models/ews');
+const outbox = require('../services/outbox');
+const eventBus = require('../services/eventBus');
 
 /**
  * @swagger
@@ -10,9 +12,10 @@ const { EWSScoreEvent, EWSConsensus } = require('../models/ews');
  *   get:
  *     summary: Check service health
  *     tags: [Health]
+ *     description: The service is degraded while it is not connected to RabbitMQ; events then wait in the outbox and the event bus reconnects with exponential backoff. eventBus shows the connection state.
  *     responses:
  *       200:
- *         description: Service is healthy
+ *         description: Service is healthy or degraded
  *       500:
  *         description: Service is unhealthy
  */
@@ -40,8 +43,12 @@ router.get('/', async (req, res) => {
       });
     }
     
+    // Events waiting for the broker
+    const outboxHealth = await outbox.getHealth();
+    const eventBusState = eventBus.getState();
+    
     res.status(200).json({
-      status: 'healthy',
+      status: eventBusState.status === 'connected' ? 'healthy' : 'degraded',
       uptime: uptime,
       dbConnected: dbConnected,
       memory: {
@@ -49,7 +56,46 @@ router.get('/', async (req, res) => {
         total: totalMemory,
         usage: Math.round((memoryUsage.rss / totalMemory) * 100)
       },
-      lastEventTime: lastEventTime
+      lastEventTime: lastEventTime,
+      outbox: {
+        pending: outboxHealth.pending,
+        stuck: outboxHealth.stuckCount,
+        poisoned: outboxHealth.poisonedCount,
+        brokerConnected: outboxHealth.brokerConnected
+      },
+      eventBus: eventBusState
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'unhealthy',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/health/outbox:
+ *   get:
+ *     summary: Get the state of the event outbox
+ *     tags: [Health]
+ *     description: Events are stored in an outbox and published by a relay once the broker confirms them. Stuck messages have been pending longer than OUTBOX_STUCK_AFTER_MS; poisoned messages failed OUTBOX_MAX_ATTEMPTS times and are no longer retried.
+ *     responses:
+ *       200:
+ *         description: Outbox is healthy
+ *       503:
+ *         description: There are stuck or poisoned messages
+ *       500:
+ *         description: Service error
+ */
+router.get('/outbox', async (req, res) => {
+  try {
+    const health = await outbox.getHealth();
+    const healthy = health.stuckCount === 0 && health.poisonedCount === 0;
+    
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? 'healthy' : 'degraded',
+      ...health
     });
   } catch (error) {
     res.status(500).json({
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { EWSReadModel, EWSConsensus, EWSScoreEvent } = require('../models/ews');
+const scoringConfigService = require('../services/scoringConfigService');
+const scoringModels = require('../utils/scoringModels');
+const trendDetector = require('../utils/trendDetector');
+const projectionRunner = require('../services/projectionRunner');
+const deadLetterService = require('../services/deadLetterService');
 const { logger } = require('../utils/logger');
 
 /**
@@ -57,13 +62,193 @@ router.get('/patient/:patientId/latest', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/query/scoring-models:
+ *   get:
+ *     summary: List the scoring models
+ *     tags: [Queries]
+ *     description: Get the registered early warning score models with their required vital signs, bands and risk thresholds
+ *     responses:
+ *       200:
+ *         description: Registered scoring models
+ */
+router.get('/scoring-models', (req, res) => {
+  res.status(200).json({
+    success: true,
+    defaultModel: scoringModels.DEFAULT_SCORING_MODEL,
+    count: scoringModels.listModels().length,
+    data: scoringModels.listModels()
+  });
+});
+
+/**
+ * @swagger
+ * /api/query/ward/{ward}/scoring-config:
+ *   get:
+ *     summary: Get the scoring model of a ward
+ *     tags: [Queries]
+ *     parameters:
+ *       - in: path
+ *         name: ward
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the ward
+ *     responses:
+ *       200:
+ *         description: The ward's configuration, or the default model if the ward has none
+ *       500:
+ *         description: Server error
+ */
+router.get('/ward/:ward/scoring-config', async (req, res) => {
+  try {
+    const { ward } = req.params;
+    const config = await scoringConfigService.getWardConfig(ward);
+    
+    res.status(200).json({
+      success: true,
+      source: config ? 'ward' : 'default',
+      data: config || { ward, scoringModel: scoringModels.DEFAULT_SCORING_MODEL }
+    });
+  } catch (error) {
+    logger.error('Error fetching ward scoring configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scoring configuration',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/query/patient/{patientId}/scoring-config:
+ *   get:
+ *     summary: Get the scoring configuration of a patient
+ *     tags: [Queries]
+ *     description: Get the scoring model and SpO2 scale used for the patient's scores
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: ward
+ *         schema:
+ *           type: string
+ *         description: Ward of the patient, to resolve the ward's scoring model
+ *     responses:
+ *       200:
+ *         description: The patient's configuration, or the default configuration if the patient has none
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId/scoring-config', async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const config = await scoringConfigService.getPatientConfig(patientId);
+    const scoring = await scoringConfigService.resolveScoring(patientId, { ward: req.query.ward });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...config,
+        resolvedModel: {
+          id: scoring.model.id,
+          version: scoring.model.version,
+          source: scoring.modelSource
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching patient scoring configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scoring configuration',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/query/patient/{patientId}/trend:
+ *   get:
+ *     summary: Get the EWS trend of a patient
+ *     tags: [Queries]
+ *     description: Compare the latest consensus score with the patient's score history. The patient is deteriorating when the score rose by scoreRise points within the window, or when the clinical risk moved up a band since the previous score.
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: windowMinutes
+ *         schema:
+ *           type: integer
+ *           default: 60
+ *         description: Time window for score rises
+ *       - in: query
+ *         name: scoreRise
+ *         schema:
+ *           type: integer
+ *           default: 2
+ *         description: Points the score has to rise within the window
+ *     responses:
+ *       200:
+ *         description: The trend of the patient's EWS
+ *       404:
+ *         description: No data found for the patient
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId/trend', async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const windowMinutes = parseInt(req.query.windowMinutes);
+    const scoreRise = parseInt(req.query.scoreRise);
+    
+    const readModel = await EWSReadModel.findOne({ patientId });
+    
+    if (!readModel || readModel.scoreHistory.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No EWS data found for this patient'
+      });
+    }
+    
+    const trend = trendDetector.analyzeTrend(readModel.scoreHistory, {
+      windowMs: windowMinutes > 0 ? windowMinutes * 60 * 1000 : undefined,
+      scoreRise: scoreRise > 0 ? scoreRise : undefined
+    });
+    
+    res.status(200).json({
+      success: true,
+      patientId,
+      data: trend
+    });
+  } catch (error) {
+    logger.error('Error calculating patient EWS trend:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate patient trend',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/query/patient/{patientId}/history:
  *   get:
  *     summary: Get EWS history for a patient
  *     tags: [Queries]
- *     description: Get the historical EWS scores for a specific patient
+ *     description: Get the historical EWS scores for a specific patient. A corrected score is replaced by its correction, which names the score it supersedes; countersigned scores show who countersigned them.
  *     parameters:
  *       - in: path
  *         name: patientId
@@ -103,8 +288,9 @@ router.get('/patient/:patientId/history', async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const { from, to } = req.query;
     
-    // Build query
-    const query = { patientId };
+    // Build query; scores that were corrected are replaced by their correction
+    const superseded = await EWSConsensus.distinct('supersedes', { patientId, supersedes: { $ne: null } });
+    const query = { patientId, consensusId: { $nin: superseded } };
     
     // Add date range if specified
     if (from || to) {
@@ -125,15 +311,29 @@ router.get('/patient/:patientId/history', async (req, res) => {
       });
     }
     
+    // Latest countersignature of each score
+    const validations = await EWSScoreEvent.find({
+      eventType: 'EWS_VALIDATED',
+      targetConsensusId: { $in: consensusEvents.map(event => event.consensusId) }
+    }).sort({ timestamp: 1 });
+    const validationByConsensus = new Map(validations.map(validation => [validation.targetConsensusId, validation]));
+    
     // Map to simplified history objects
-    const history = consensusEvents.map(event => ({
-      consensusId: event.consensusId,
-      timestamp: event.consensusTimestamp,
-      score: event.consensusScore,
-      clinicalRisk: event.clinicalRisk,
-      validConsensus: event.validConsensus,
-      consensusMethod: event.consensusMethod
-    }));
+    const history = consensusEvents.map(event => {
+      const validation = validationByConsensus.get(event.consensusId);
+      
+      return {
+        consensusId: event.consensusId,
+        timestamp: event.consensusTimestamp,
+        score: event.consensusScore,
+        clinicalRisk: event.clinicalRisk,
+        validConsensus: event.validConsensus,
+        consensusMethod: event.consensusMethod,
+        supersedes: event.supersedes,
+        validatedBy: validation ? validation.clinicianId : null,
+        validatedAt: validation ? validation.timestamp : null
+      };
+    });
     
     res.status(200).json({
       success: true,
@@ -221,6 +421,7 @@ router.get('/consensus/:consensusId', async (req, res) => {
  *         name: eventType
  *         schema:
  *           type: string
+ *           enum: [EWS_CALCULATED, EWS_UPDATED, EWS_VALIDATED]
  *         description: Filter by event type
  *       - in: query
  *         name: limit
@@ -411,4 +612,199 @@ router.get('/high-risk-patients', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/query/projections/read-model:
+ *   get:
+ *     summary: Get the status of the read model rebuild
+ *     tags: [Queries]
+ *     description: Progress of the running rebuild, or the result of the last one, including how the read model diverged from the event store
+ *     responses:
+ *       200:
+ *         description: Checkpoint of the last rebuild
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ProjectionCheckpoint'
+ *       404:
+ *         description: The read model was never rebuilt
+ *       500:
+ *         description: Server error
+ */
+router.get('/projections/read-model', async (req, res) => {
+  try {
+    const checkpoint = await projectionRunner.getStatus();
+    
+    if (!checkpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'The read model was never rebuilt'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: checkpoint
+    });
+  } catch (error) {
+    logger.error('Error fetching read model rebuild status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch read model rebuild status',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/query/dead-letters:
+ *   get:
+ *     summary: List dead-lettered events
+ *     tags: [Queries]
+ *     description: Events a subscriber kept failing on after its retries, newest first, with a count per queue and status
+ *     parameters:
+ *       - in: query
+ *         name: queueName
+ *         schema:
+ *           type: string
+ *         description: Filter by the subscriber queue
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [dead, replayed, discarded]
+ *         description: Filter by status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *         description: Maximum number of dead letters to return
+ *     responses:
+ *       200:
+ *         description: Dead letters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 summary:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       queueName:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeadLetter'
+ *       400:
+ *         description: Invalid status
+ *       500:
+ *         description: Server error
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const { queueName, status, limit: limitStr } = req.query;
+    const limit = parseInt(limitStr) || 50;
+    
+    if (status && !['dead', 'replayed', 'discarded'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be one of dead, replayed, discarded'
+      });
+    }
+    
+    const [deadLetters, summary] = await Promise.all([
+      deadLetterService.list({ queueName, status, limit }),
+      deadLetterService.summarize()
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: deadLetters.length,
+      summary,
+      data: deadLetters
+    });
+  } catch (error) {
+    logger.error('Error fetching dead letters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dead letters',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/query/dead-letters/{deadLetterId}:
+ *   get:
+ *     summary: Get a dead-lettered event
+ *     tags: [Queries]
+ *     parameters:
+ *       - in: path
+ *         name: deadLetterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dead letter ID
+ *     responses:
+ *       200:
+ *         description: The dead letter, with the event content and the last error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DeadLetter'
+ *       404:
+ *         description: Dead letter not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/dead-letters/:deadLetterId', async (req, res) => {
+  try {
+    const deadLetter = await deadLetterService.get(req.params.deadLetterId);
+    
+    res.status(200).json({
+      success: true,
+      data: deadLetter
+    });
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error fetching dead letter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dead letter',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
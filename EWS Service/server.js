@@ -10,6 +10,8 @@ const dotenv = require('dotenv');
 const commandRoutes = require('./routes/commands');
 const queryRoutes = require('./routes/queries');
 const healthRoutes = require('./routes/health');
+const outbox = require('./services/outbox');
+const deadLetterService = require('./services/deadLetterService');
 
 // Load environment variables
 dotenv.config();
@@ -27,7 +29,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ews-calcu
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Publish the events stored in the outbox
+  outbox.startRelay();
+  // Store the events subscribers dead-lettered
+  deadLetterService.startCollector();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Swagger definition
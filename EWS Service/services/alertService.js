@@ -8,11 +8,14 @@ const ALERT_ENGINE_URL = process.env.ALERT_ENGINE_URL || 'http://localhost:3003/
  * Send an EWS alert to the Alert Engine Service
  * 
  * @param {Object} alertData - The alert data to send
+ * @param {String} correlationId - Correlation ID of the request that raised the alert, if any
  * @returns {Promise} - Promise resolving to the alert response
  */
-const sendAlert = async (alertData) => {
+const sendAlert = async (alertData, correlationId = null) => {
   try {
-    const response = await axios.post(ALERT_ENGINE_URL, alertData);
+    const response = await axios.post(ALERT_ENGINE_URL, alertData, {
+      headers: correlationId ? { 'X-Correlation-ID': correlationId } : {}
+    });
     logger.info(`Alert sent successfully: ${JSON.stringify(alertData)}`);
     return response.data;
   } catch (error) {
@@ -26,11 +29,14 @@ const sendAlert = async (alertData) => {
 
 /**
  * Process EWS data and send alert if needed
+ * The EWS details go in ewsData, the field the Alert Engine stores, with the
+ * same fields as the alerts it raises from ews.consensus events.
  * 
  * @param {Object} consensusData - The consensus data from EWS calculations
+ * @param {String} correlationId - Correlation ID of the request that raised the alert, if any
  * @returns {Promise} - Promise resolving when alert is processed
  */
-const processEWSAlert = async (consensusData) => {
+const processEWSAlert = async (consensusData, correlationId = null) => {
   // Determine alert type and severity based on EWS score
   const alertInfo = determineAlertType(consensusData);
   
@@ -40,24 +46,68 @@ const processEWSAlert = async (consensusData) => {
   
   const alertData = {
     patientId: consensusData.patientId,
+    sourceService: 'EWS-Calculator',
     alertType: alertInfo.alertType,
     alertSeverity: alertInfo.alertSeverity,
     message: alertInfo.message,
     timestamp: consensusData.consensusTimestamp,
-    ewsScore: consensusData.consensusScore,
-    clinicalRisk: consensusData.clinicalRisk,
-    consensusData: {
+    // Lets the Alert Engine drop the same alert arriving from the event bus
+    consensusId: consensusData.consensusId,
+    ewsData: {
+      ewsScore: consensusData.consensusScore,
+      clinicalRisk: consensusData.clinicalRisk,
+      redFlags: consensusData.redFlags || [],
+      scoringModel: consensusData.scoringModel,
+      validConsensus: consensusData.validConsensus,
+      consensusMethod: consensusData.consensusMethod,
       nodeScores: consensusData.nodeScores.map(node => ({
         nodeId: node.nodeId,
         totalScore: node.totalScore,
         timestamp: node.timestamp
-      })),
-      validConsensus: consensusData.validConsensus,
-      consensusMethod: consensusData.consensusMethod
+      }))
     }
   };
   
-  return sendAlert(alertData);
+  return sendAlert(alertData, correlationId);
+};
+
+/**
+ * Send an alert for a deteriorating EWS trend
+ * 
+ * @param {Object} consensusData - The consensus data with the latest score
+ * @param {Object} trend - The trend from trendDetector.analyzeTrend
+ * @param {String} correlationId - Correlation ID of the request that raised the alert, if any
+ * @returns {Promise} - Promise resolving when the alert is sent
+ */
+const processTrendAlert = async (consensusData, trend, correlationId = null) => {
+  const reasons = [];
+  
+  if (trend.scoreRise) {
+    reasons.push(`EWS rose from ${trend.baseline.score} to ${trend.currentScore} within ${Math.round(trend.windowMs / 60000)} minutes`);
+  }
+  
+  if (trend.riskRise) {
+    reasons.push(`clinical risk rose from ${trend.previous.clinicalRisk} to ${trend.currentRisk}`);
+  }
+  
+  const alertData = {
+    patientId: consensusData.patientId,
+    sourceService: 'EWS-Calculator',
+    alertType: 'EWS_DETERIORATING',
+    alertSeverity: trend.currentRisk === 'High' ? 'HIGH' : 'MEDIUM',
+    message: `Deteriorating patient: ${reasons.join(', ')} - Review the patient`,
+    timestamp: consensusData.consensusTimestamp,
+    consensusId: consensusData.consensusId,
+    ewsData: {
+      ewsScore: consensusData.consensusScore,
+      clinicalRisk: consensusData.clinicalRisk,
+      redFlags: consensusData.redFlags || [],
+      scoringModel: consensusData.scoringModel,
+      trend
+    }
+  };
+  
+  return sendAlert(alertData, correlationId);
 };
 
 /**
@@ -68,6 +118,7 @@ const processEWSAlert = async (consensusData) => {
  */
 const determineAlertType = (consensusData) => {
   const { consensusScore, validConsensus, clinicalRisk } = consensusData;
+  const redFlags = consensusData.redFlags || [];
   
   // If consensus is not valid, mark as requiring review
   if (!validConsensus) {
@@ -79,8 +130,8 @@ const determineAlertType = (consensusData) => {
     };
   }
   
-  // High risk score (7+)
-  if (consensusScore >= 7) {
+  // High risk score (7+ on NEWS2; thresholds come from the scoring model)
+  if (clinicalRisk === 'High') {
     return {
       requiresAlert: true,
       alertType: 'EWS_CRITICAL',
@@ -89,8 +140,8 @@ const determineAlertType = (consensusData) => {
     };
   }
   
-  // Medium risk score (5-6)
-  if (consensusScore >= 5 && consensusScore <= 6) {
+  // Medium risk score (5-6 on NEWS2)
+  if (clinicalRisk === 'Medium') {
     return {
       requiresAlert: true,
       alertType: 'EWS_URGENT',
@@ -99,9 +150,18 @@ const determineAlertType = (consensusData) => {
     };
   }
   
-  // Low-Medium risk score with significant change
+  // A single parameter scoring 3 needs an urgent review even with a low total
+  if (redFlags.length > 0) {
+    return {
+      requiresAlert: true,
+      alertType: 'EWS_RED_FLAG',
+      alertSeverity: 'MEDIUM',
+      message: `Single parameter scoring 3 (${redFlags.join(', ')}) with EWS score ${consensusScore} - Urgent clinical review required`
+    };
+  }
+  
+  // Low risk total of 3-4 without a red flag; rises against previous scores are reported by processTrendAlert
   if (consensusScore >= 3 && consensusScore <= 4) {
-    // Check for significant change in score (ideally would compare with previous scores)
     return {
       requiresAlert: true,
       alertType: 'EWS_ELEVATED',
@@ -122,5 +182,6 @@ const determineAlertType = (consensusData) => {
 module.exports = {
   sendAlert,
   processEWSAlert,
+  processTrendAlert,
   determineAlertType
 };
\ No newline at end of file
@@ -2,7 +2,19 @@ const { EWSScoreEvent, EWSConsensus, EWSReadModel } = require('../models/ews');
 const ewsCalculator = require('../utils/ewsCalculator');
 const alertService = require('./alertService');
 const { logger } = require('../utils/logger');
-const { publishEvent } = require('./eventBus');
+const outbox = require('./outbox');
+const scoringConfigService = require('./scoringConfigService');
+const scoringModels = require('../utils/scoringModels');
+const trendDetector = require('../utils/trendDetector');
+const readModelProjection = require('./readModelProjection');
+
+// Attempts to update a read model when concurrent updates of the same patient conflict
+const READ_MODEL_MAX_ATTEMPTS = parseInt(process.env.READ_MODEL_MAX_ATTEMPTS) || 5;
+// Longest wait before retrying a conflicting update, times the attempt; the wait is random so that retries spread out
+const READ_MODEL_RETRY_DELAY_MS = parseInt(process.env.READ_MODEL_RETRY_DELAY_MS) || 50;
+
+// Read model updates queued per patient, see projectReadModel
+const readModelUpdates = new Map();
 
 /**
  * Handle the command to calculate an EWS score
@@ -12,8 +24,17 @@ const { publishEvent } = require('./eventBus');
  */
 const handleCalculateEWSCommand = async (command) => {
   try {
+    // Pick the scoring model and SpO2 scale for the patient, unless the route already did
+    const scoring = command.scoring || await scoringConfigService.resolveScoring(command.patientId, {
+      scoringModel: command.scoringModel,
+      ward: command.ward
+    });
+    
     // Calculate the EWS score
-    const { scoreComponents, totalScore, clinicalRisk } = ewsCalculator.calculateEWS(command.vitalSigns);
+    const { scoreComponents, totalScore, clinicalRisk, redFlags, spo2Scale, scoringModel } = ewsCalculator.calculateEWS(
+      command.vitalSigns,
+      { model: scoring.model, spo2Scale: scoring.spo2Scale }
+    );
     
     // Create an event
     const event = new EWSScoreEvent({
@@ -21,17 +42,30 @@ const handleCalculateEWSCommand = async (command) => {
       nodeId: command.nodeId,
       eventType: 'EWS_CALCULATED',
       timestamp: command.timestamp || new Date(),
-      vitalSigns: command.vitalSigns,
+      vitalSigns: {
+        ...command.vitalSigns,
+        supplementalOxygen: command.vitalSigns.supplementalOxygen === true,
+        spo2Scale
+      },
       scoreComponents,
       totalScore,
       clinicalRisk,
-      metadata: command.metadata || {}
+      redFlags,
+      scoringModel,
+      imputedVitals: command.imputedVitals || [],
+      metadata: {
+        ...(command.metadata || {}),
+        scoringModelSource: scoring.modelSource,
+        // Kept with the event, so that the consensus it leads to carries it too
+        ...(command.correlationId ? { correlationId: command.correlationId } : {})
+      }
     });
     
-    await event.save();
-    
-    // Publish the event for subscribers
-    await publishEvent('ews.calculated', event);
+    // Store the event and queue it for subscribers in one transaction
+    await outbox.withTransaction(async (session) => {
+      await event.save({ session });
+      await outbox.enqueue('ews.calculated', event, session, { correlationId: command.correlationId });
+    });
     
     // Attempt to reach consensus with other node scores
     await attemptConsensus(event);
@@ -55,9 +89,11 @@ const attemptConsensus = async (event) => {
     const timeWindow = new Date(event.timestamp);
     timeWindow.setSeconds(timeWindow.getSeconds() - 30); // Look at events in the last 30 seconds
     
+    // Scores of different models are not comparable, so only the same model takes part
     const recentEvents = await EWSScoreEvent.find({
       patientId: event.patientId,
       eventType: 'EWS_CALCULATED',
+      'scoringModel.id': event.scoringModel.id,
       timestamp: { 
         $gte: timeWindow,
         $lte: new Date(event.timestamp.getTime() + 5000) // Allow events up to 5 seconds after
@@ -73,17 +109,21 @@ const attemptConsensus = async (event) => {
         timestamp: evt.timestamp,
         vitalSigns: evt.vitalSigns,
         scoreComponents: evt.scoreComponents,
-        clinicalRisk: evt.clinicalRisk
+        clinicalRisk: evt.clinicalRisk,
+        redFlags: evt.redFlags || [],
+        scoringModel: evt.scoringModel,
+        imputedVitals: (evt.imputedVitals || []).map(imputed => imputed.vital)
       };
     });
     
     // Convert to array of scores (one latest per node)
     const scores = Object.values(nodeScores);
+    const correlationId = event.metadata && event.metadata.correlationId;
     
     // Only attempt consensus if we have scores from multiple nodes
     if (scores.length >= 1) {
       // Determine consensus
-      const consensus = ewsCalculator.determineConsensus(scores);
+      const consensus = ewsCalculator.determineConsensus(scores, { model: event.scoringModel.id });
       
       // Save consensus data
       const consensusData = new EWSConsensus({
@@ -93,28 +133,41 @@ const attemptConsensus = async (event) => {
         clinicalRisk: consensus.clinicalRisk,
         consensusTimestamp: consensus.consensusTimestamp,
         validConsensus: consensus.validConsensus,
-        consensusMethod: consensus.consensusMethod
+        consensusMethod: consensus.consensusMethod,
+        redFlags: consensus.redFlags,
+        scoringModel: event.scoringModel
       });
       
-      await consensusData.save();
+      // Store the consensus and queue it for subscribers in one transaction
+      await outbox.withTransaction(async (session) => {
+        await consensusData.save({ session });
+        await outbox.enqueue('ews.consensus', consensusData, session, { correlationId });
+      });
       
       // Update the read model
-      await updateReadModel(consensusData);
+      const readModel = await updateReadModel(consensusData);
+      
+      // Check if an alert is needed based on the score or a single red-flag parameter
+      if (['Medium', 'High'].includes(consensus.clinicalRisk) || !consensus.validConsensus || consensus.redFlags.length > 0) {
+        await alertService.processEWSAlert(consensusData, correlationId);
+      }
       
-      // Check if an alert is needed based on the score
-      if (consensus.consensusScore >= 5 || !consensus.validConsensus) {
-        await alertService.processEWSAlert(consensusData);
+      // Check whether the score is rising, even while it is still below the alert thresholds
+      if (consensus.validConsensus) {
+        const trend = trendDetector.analyzeTrend(readModel.scoreHistory);
+        if (trend && trend.deteriorating) {
+          await alertService.processTrendAlert(consensusData, trend, correlationId);
+        }
       }
       
       logger.info(`EWS consensus reached for patient ${event.patientId}`, {
         validConsensus: consensus.validConsensus,
         method: consensus.consensusMethod,
+        model: event.scoringModel.id,
         score: consensus.consensusScore,
-        risk: consensus.clinicalRisk
+        risk: consensus.clinicalRisk,
+        redFlags: consensus.redFlags
       });
-      
-      // Publish the consensus event
-      await publishEvent('ews.consensus', consensusData);
     }
   } catch (error) {
     logger.error('Error creating EWS consensus:', error);
@@ -122,81 +175,305 @@ const attemptConsensus = async (event) => {
 };
 
 /**
- * Update the read model with the latest consensus data
+ * Check whether a read model save lost a race with another update
  * 
- * @param {Object} consensusData - The consensus data
- * @returns {Promise<void>}
+ * @param {Error} error - The save error
+ * @returns {Boolean} True for a version conflict or a concurrent insert of the same patient
  */
-const updateReadModel = async (consensusData) => {
-  try {
+const isReadModelConflict = (error) => {
+  return error.name === 'VersionError' || (error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.patientId));
+};
+
+/**
+ * Apply an event to the read model of a patient and save it
+ * The read model is versioned: when another instance of the service saved an
+ * update of the same patient in between, the event is applied again to the
+ * fresh read model after a random wait, so that racing updates take turns.
+ * 
+ * @param {String} patientId - The patient's ID
+ * @param {Function} apply - Projection function, (state, event) => state
+ * @param {Object} event - The event to apply
+ * @returns {Promise<Object|null>} The updated read model, or null if the patient has none
+ */
+const saveProjection = async (patientId, apply, event) => {
+  for (let attempt = 1; ; attempt++) {
     // Find existing read model or create a new one
-    let readModel = await EWSReadModel.findOne({ patientId: consensusData.patientId });
+    let readModel = await EWSReadModel.findOne({ patientId });
+    
+    const state = apply(readModel ? readModelProjection.toState(readModel) : null, event);
+    
+    if (!state) {
+      return readModel;
+    }
     
     if (!readModel) {
-      // Create a new read model if none exists
-      readModel = new EWSReadModel({
-        patientId: consensusData.patientId,
-        currentScore: consensusData.consensusScore,
-        clinicalRisk: consensusData.clinicalRisk,
-        // Get the vital signs from the node with the consensus score
-        vitalSigns: consensusData.nodeScores.find(
-          node => node.totalScore === consensusData.consensusScore
-        )?.vitalSigns || consensusData.nodeScores[0].vitalSigns,
-        // Get the score components from the node with the consensus score
-        scoreComponents: consensusData.nodeScores.find(
-          node => node.totalScore === consensusData.consensusScore
-        )?.scoreComponents || consensusData.nodeScores[0].scoreComponents,
-        scoreHistory: [{
-          timestamp: consensusData.consensusTimestamp,
-          score: consensusData.consensusScore,
-          clinicalRisk: consensusData.clinicalRisk
-        }],
-        lastUpdated: consensusData.consensusTimestamp
-      });
+      readModel = new EWSReadModel(state);
     } else {
-      // Update existing read model
-      readModel.currentScore = consensusData.consensusScore;
-      readModel.clinicalRisk = consensusData.clinicalRisk;
-      readModel.lastUpdated = consensusData.consensusTimestamp;
-      
-      // Update vital signs and score components if we have a valid consensus
-      if (consensusData.validConsensus) {
-        // Get data from the node with the consensus score
-        const nodeWithConsensusScore = consensusData.nodeScores.find(
-          node => node.totalScore === consensusData.consensusScore
-        ) || consensusData.nodeScores[0];
-        
-        readModel.vitalSigns = nodeWithConsensusScore.vitalSigns;
-        readModel.scoreComponents = nodeWithConsensusScore.scoreComponents;
+      readModel.set(state);
+    }
+    
+    try {
+      await readModel.save();
+      return readModel;
+    } catch (error) {
+      if (!isReadModelConflict(error) || attempt >= READ_MODEL_MAX_ATTEMPTS) {
+        throw error;
       }
       
-      // Add to score history, limiting to last 100 entries
-      readModel.scoreHistory.push({
-        timestamp: consensusData.consensusTimestamp,
-        score: consensusData.consensusScore,
-        clinicalRisk: consensusData.clinicalRisk
-      });
-      
-      // Limit history to last 100 entries
-      if (readModel.scoreHistory.length > 100) {
-        readModel.scoreHistory = readModel.scoreHistory.slice(-100);
-      }
+      logger.warn(`Read model of patient ${patientId} changed concurrently, retrying (attempt ${attempt})`);
+      await new Promise(resolve => setTimeout(resolve, Math.random() * READ_MODEL_RETRY_DELAY_MS * attempt));
     }
-    
-    await readModel.save();
+  }
+};
+
+/**
+ * Apply an event to the read model of a patient
+ * Updates of the same patient in this process run one after the other, so
+ * that only updates from other instances can conflict (see saveProjection).
+ * 
+ * @param {String} patientId - The patient's ID
+ * @param {Function} apply - Projection function, (state, event) => state
+ * @param {Object} event - The event to apply
+ * @returns {Promise<Object|null>} The updated read model, or null if the patient has none
+ */
+const projectReadModel = (patientId, apply, event) => {
+  const previous = readModelUpdates.get(patientId) || Promise.resolve();
+  // A failed update does not hold up the next one
+  const update = previous.catch(() => {}).then(() => saveProjection(patientId, apply, event));
+  readModelUpdates.set(patientId, update);
+  
+  const done = () => {
+    if (readModelUpdates.get(patientId) === update) {
+      readModelUpdates.delete(patientId);
+    }
+  };
+  update.then(done, done);
+  
+  return update;
+};
+
+/**
+ * Update the read model with the latest consensus data
+ * 
+ * @param {Object} consensusData - The consensus data
+ * @returns {Promise<Object>} The updated read model
+ */
+const updateReadModel = async (consensusData) => {
+  try {
+    const readModel = await projectReadModel(consensusData.patientId, readModelProjection.applyConsensus, consensusData);
     
     logger.info(`Read model updated for patient ${consensusData.patientId}`, {
       score: consensusData.consensusScore,
       risk: consensusData.clinicalRisk
     });
+    
+    return readModel;
   } catch (error) {
     logger.error('Error updating read model:', error);
     throw error;
   }
 };
 
+/**
+ * Find the consensus a clinician command refers to
+ * Only the latest version of a score can be corrected or countersigned.
+ * 
+ * @param {String} consensusId - ID of the consensus
+ * @returns {Promise<Object>} The consensus
+ */
+const findCurrentConsensus = async (consensusId) => {
+  const consensus = await EWSConsensus.findOne({ consensusId });
+  
+  if (!consensus) {
+    const error = new Error(`Consensus ${consensusId} not found`);
+    error.name = 'NotFoundError';
+    throw error;
+  }
+  
+  const correction = await EWSConsensus.findOne({ supersedes: consensusId });
+  
+  if (correction) {
+    const error = new Error(`Consensus ${consensusId} was corrected by consensus ${correction.consensusId}`);
+    error.name = 'ConflictError';
+    throw error;
+  }
+  
+  return consensus;
+};
+
+/**
+ * Handle the command to correct the vital signs of a past score
+ * The corrected vital signs replace the ones of the consensus score and the
+ * score is recalculated with the same scoring model and SpO2 scale. The
+ * result is stored as an EWS_UPDATED event and as a correction consensus that
+ * supersedes the original one in the read model and the history.
+ * 
+ * @param {Object} command - consensusId, vitalSigns, clinicianId, reason, metadata, correlationId
+ * @returns {Promise<Object>} The EWS_UPDATED event and the correction consensus
+ */
+const handleUpdateEWSCommand = async (command) => {
+  try {
+    const original = await findCurrentConsensus(command.consensusId);
+    const node = readModelProjection.consensusNode(original);
+    
+    const model = original.scoringModel && scoringModels.getModel(original.scoringModel.id);
+    if (!model) {
+      const error = new Error(`Scoring model of consensus ${original.consensusId} is no longer registered`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+    
+    const recordedVitals = node.vitalSigns.toObject ? node.vitalSigns.toObject() : node.vitalSigns;
+    const vitalSigns = { ...recordedVitals, ...command.vitalSigns };
+    
+    const { scoreComponents, totalScore, clinicalRisk, redFlags, spo2Scale, scoringModel } = ewsCalculator.calculateEWS(
+      vitalSigns,
+      { model, spo2Scale: recordedVitals.spo2Scale || 1 }
+    );
+    
+    // Corrected vital signs were measured, so they are no longer imputed
+    const imputedVitals = (node.imputedVitals || []).filter(vital => command.vitalSigns[vital] === undefined);
+    
+    const event = new EWSScoreEvent({
+      patientId: original.patientId,
+      nodeId: node.nodeId,
+      eventType: 'EWS_UPDATED',
+      timestamp: new Date(),
+      vitalSigns: { ...vitalSigns, spo2Scale },
+      scoreComponents,
+      totalScore,
+      clinicalRisk,
+      redFlags,
+      scoringModel,
+      imputedVitals: imputedVitals.map(vital => ({ vital })),
+      targetConsensusId: original.consensusId,
+      clinicianId: command.clinicianId,
+      reason: command.reason,
+      metadata: command.metadata || {}
+    });
+    
+    const correction = new EWSConsensus({
+      patientId: original.patientId,
+      nodeScores: [{
+        nodeId: node.nodeId,
+        totalScore,
+        timestamp: node.timestamp,
+        vitalSigns: event.vitalSigns,
+        scoreComponents,
+        redFlags,
+        scoringModel,
+        imputedVitals
+      }],
+      consensusScore: totalScore,
+      clinicalRisk,
+      // The correction keeps the time of the original score in the history
+      consensusTimestamp: original.consensusTimestamp,
+      validConsensus: true,
+      consensusMethod: 'correction',
+      redFlags,
+      scoringModel,
+      supersedes: original.consensusId
+    });
+    
+    // A correction of the current score is published like a new consensus, in
+    // the same transaction, so the correction is never stored without its event
+    let correctsCurrentScore = false;
+    await outbox.withTransaction(async (session) => {
+      const current = await EWSReadModel.findOne({ patientId: original.patientId }).session(session);
+      correctsCurrentScore = Boolean(current) && current.consensusId === original.consensusId;
+      
+      await event.save({ session });
+      await correction.save({ session });
+      await outbox.enqueue('ews.updated', event, session, { correlationId: command.correlationId });
+      if (correctsCurrentScore) {
+        await outbox.enqueue('ews.consensus', correction, session, { correlationId: command.correlationId });
+      }
+    });
+    
+    await updateReadModel(correction);
+    
+    logger.info(`EWS of patient ${original.patientId} corrected by ${command.clinicianId}`, {
+      consensusId: original.consensusId,
+      correctionId: correction.consensusId,
+      score: original.consensusScore,
+      correctedScore: totalScore,
+      risk: clinicalRisk
+    });
+    
+    // A correction of the current score is alerted like a new consensus
+    if (correctsCurrentScore && (['Medium', 'High'].includes(clinicalRisk) || redFlags.length > 0)) {
+      await alertService.processEWSAlert(correction, command.correlationId);
+    }
+    
+    return { event, consensus: correction };
+  } catch (error) {
+    // Another correction of the same consensus was saved since it was found
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.supersedes) {
+      const conflict = new Error(`Consensus ${command.consensusId} was corrected concurrently`);
+      conflict.name = 'ConflictError';
+      logger.warn(conflict.message);
+      throw conflict;
+    }
+    
+    logger.error('Error handling Update EWS command:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handle the command to countersign a score
+ * The countersignature is stored as an EWS_VALIDATED event with the score it
+ * countersigns and marks the score's entry in the read model history.
+ * 
+ * @param {Object} command - consensusId, clinicianId, comment, metadata, correlationId
+ * @returns {Promise<Object>} The EWS_VALIDATED event
+ */
+const handleValidateEWSCommand = async (command) => {
+  try {
+    const consensus = await findCurrentConsensus(command.consensusId);
+    const node = readModelProjection.consensusNode(consensus);
+    
+    const event = new EWSScoreEvent({
+      patientId: consensus.patientId,
+      nodeId: node.nodeId,
+      eventType: 'EWS_VALIDATED',
+      timestamp: new Date(),
+      vitalSigns: node.vitalSigns,
+      scoreComponents: node.scoreComponents,
+      totalScore: consensus.consensusScore,
+      clinicalRisk: consensus.clinicalRisk,
+      redFlags: consensus.redFlags,
+      scoringModel: consensus.scoringModel,
+      imputedVitals: (node.imputedVitals || []).map(vital => ({ vital })),
+      targetConsensusId: consensus.consensusId,
+      clinicianId: command.clinicianId,
+      reason: command.comment,
+      metadata: command.metadata || {}
+    });
+    
+    await outbox.withTransaction(async (session) => {
+      await event.save({ session });
+      await outbox.enqueue('ews.validated', event, session, { correlationId: command.correlationId });
+    });
+    
+    await projectReadModel(consensus.patientId, readModelProjection.applyValidation, event);
+    
+    logger.info(`EWS of patient ${consensus.patientId} countersigned by ${command.clinicianId}`, {
+      consensusId: consensus.consensusId,
+      score: consensus.consensusScore
+    });
+    
+    return event;
+  } catch (error) {
+    logger.error('Error handling Validate EWS command:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   handleCalculateEWSCommand,
+  handleUpdateEWSCommand,
+  handleValidateEWSCommand,
   attemptConsensus,
   updateReadModel
 };
\ No newline at end of file
@@ -0,0 +1,171 @@
+const { DeadLetter } = require('../models/deadLetter');
+const eventBus = require('./eventBus');
+const { logger } = require('../utils/logger');
+
+// Dead letters listed at most per request
+const MAX_LIST_LIMIT = 500;
+
+/**
+ * Store a dead letter from the dead-letter queue
+ * The dead-letter queue is consumed at least once, and a replayed event can
+ * fail again, so a dead letter is stored once per messageId and queue: an
+ * event that is dead-lettered again is dead again, with its latest error.
+ * @param {Object} deadLetter - Dead letter from eventBus.consumeDeadLetters
+ * @returns {Promise<Object>} The DeadLetter document
+ */
+const store = async (deadLetter) => {
+  let payload = null;
+  try {
+    payload = JSON.parse(deadLetter.content);
+  } catch (error) {
+    // Malformed events are kept as received
+  }
+
+  // Events without a messageId cannot be recognised when they come again
+  if (!deadLetter.messageId) {
+    return DeadLetter.create({ ...deadLetter, payload });
+  }
+
+  return DeadLetter.findOneAndUpdate(
+    { messageId: deadLetter.messageId, queueName: deadLetter.queueName },
+    { $set: { ...deadLetter, payload, status: 'dead' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Start storing dead-lettered events
+ * The event bus starts the consumer once it is connected to the broker and
+ * restores it after every reconnection.
+ * @returns {Promise<void>}
+ */
+const startCollector = async () => {
+  try {
+    await eventBus.consumeDeadLetters(store);
+  } catch (error) {
+    logger.error('Error starting the dead-letter collector:', error);
+  }
+};
+
+/**
+ * List dead letters, newest first
+ * @param {Object} filter - queueName, status and limit
+ * @returns {Promise<Array>} The dead letters
+ */
+const list = async ({ queueName, status, limit = 50 } = {}) => {
+  const query = {};
+  if (queueName) query.queueName = queueName;
+  if (status) query.status = status;
+
+  return DeadLetter.find(query)
+    .sort({ failedAt: -1 })
+    .limit(Math.min(limit, MAX_LIST_LIMIT))
+    .lean();
+};
+
+/**
+ * Count dead letters by queue and status
+ * @returns {Promise<Array>} queueName, status and count per group
+ */
+const summarize = async () => {
+  const groups = await DeadLetter.aggregate([
+    { $group: { _id: { queueName: '$queueName', status: '$status' }, count: { $sum: 1 } } },
+    { $sort: { '_id.queueName': 1, '_id.status': 1 } }
+  ]);
+
+  return groups.map(group => ({ ...group._id, count: group.count }));
+};
+
+/**
+ * Get a dead letter
+ * @param {String} deadLetterId - ID of the dead letter
+ * @returns {Promise<Object>} The dead letter
+ */
+const get = async (deadLetterId) => {
+  const deadLetter = await DeadLetter.findOne({ deadLetterId }).lean();
+
+  if (!deadLetter) {
+    const error = new Error('Dead letter not found');
+    error.name = 'NotFoundError';
+    throw error;
+  }
+
+  return deadLetter;
+};
+
+/**
+ * Mark a dead letter as handled
+ * Only a dead letter that is still dead can be handled, so an event is not
+ * replayed twice by concurrent requests.
+ * @param {String} deadLetterId - ID of the dead letter
+ * @param {Object} update - Fields to set
+ * @returns {Promise<Object>} The updated dead letter
+ */
+const claim = async (deadLetterId, update) => {
+  const deadLetter = await DeadLetter.findOneAndUpdate(
+    { deadLetterId, status: 'dead' },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!deadLetter) {
+    const existing = await get(deadLetterId);
+    const error = new Error(`Dead letter was already ${existing.status}`);
+    error.name = 'ConflictError';
+    throw error;
+  }
+
+  return deadLetter;
+};
+
+/**
+ * Send a dead-lettered event back to the queue it failed on
+ * The subscriber gets it with a new retry count. If the broker does not take
+ * it, the dead letter stays dead.
+ * @param {String} deadLetterId - ID of the dead letter
+ * @param {Object} options - handledBy and reason
+ * @returns {Promise<Object>} The replayed dead letter
+ */
+const replay = async (deadLetterId, { handledBy = null, reason = null } = {}) => {
+  const deadLetter = await claim(deadLetterId, { status: 'replayed', replayedAt: new Date(), handledBy, reason });
+
+  try {
+    await eventBus.sendToQueue(deadLetter.queueName, deadLetter.content, {
+      messageId: deadLetter.messageId,
+      routingKey: deadLetter.routingKey
+    });
+  } catch (error) {
+    await DeadLetter.updateOne(
+      { deadLetterId },
+      { $set: { status: 'dead', replayedAt: null, handledBy: null, reason: null } }
+    );
+    throw error;
+  }
+
+  logger.info(`Replayed dead letter ${deadLetterId} to ${deadLetter.queueName}`, { handledBy });
+  return deadLetter;
+};
+
+/**
+ * Discard a dead-lettered event
+ * @param {String} deadLetterId - ID of the dead letter
+ * @param {Object} options - handledBy and reason
+ * @returns {Promise<Object>} The discarded dead letter
+ */
+const discard = async (deadLetterId, { handledBy = null, reason = null } = {}) => {
+  const deadLetter = await claim(deadLetterId, { status: 'discarded', discardedAt: new Date(), handledBy, reason });
+
+  logger.info(`Discarded dead letter ${deadLetterId} from ${deadLetter.queueName}`, { handledBy });
+  return deadLetter;
+};
+
+module.exports = {
+  MAX_LIST_LIMIT,
+  store,
+  startCollector,
+  list,
+  summarize,
+  get,
+  replay,
+  discard
+};
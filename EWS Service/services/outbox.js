@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const { OutboxMessage } = require('../models/outbox');
+const eventBus = require('./eventBus');
+const eventEnvelope = require('ews-shared/eventEnvelope');
+const { toPayload } = require('ews-shared/eventSchemas');
+const { logger } = require('../utils/logger');
+
+// Write events and their outbox messages in one MongoDB transaction: true, false, or auto to use
+// transactions when the deployment supports them (a replica set or a sharded cluster)
+const OUTBOX_TRANSACTIONS = ['true', 'false'].includes(process.env.OUTBOX_TRANSACTIONS) ? process.env.OUTBOX_TRANSACTIONS : 'auto';
+// How often the relay looks for messages to publish
+const OUTBOX_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+// Messages the relay publishes per poll
+const OUTBOX_BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE) || 100;
+// Unconfirmed publish attempts after which a message is poisoned and no longer retried
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 20;
+// Longest wait between two attempts of a message
+const OUTBOX_MAX_BACKOFF_MS = parseInt(process.env.OUTBOX_MAX_BACKOFF_MS) || 60 * 1000;
+// Age after which a pending message is reported as stuck
+const OUTBOX_STUCK_AFTER_MS = parseInt(process.env.OUTBOX_STUCK_AFTER_MS) || 60 * 1000;
+// How long a relay owns a claimed message
+const LOCK_MS = 30 * 1000;
+// Messages listed per category on the health endpoint
+const HEALTH_SAMPLE_SIZE = 20;
+
+let relayTimer = null;
+// Whether the deployment supports transactions, once detected
+let transactionSupport = null;
+
+/**
+ * Check whether the MongoDB deployment supports transactions
+ * Replica set members report a setName and mongos routers the isdbgrid
+ * message; a standalone server reports neither.
+ *
+ * @returns {Promise<Boolean>} True if transactions can be used
+ */
+const detectTransactions = () => {
+  if (!transactionSupport) {
+    transactionSupport = (async () => {
+      const admin = mongoose.connection.db.admin();
+      // hello replaced isMaster in MongoDB 4.4.2
+      const hello = await admin.command({ hello: 1 }).catch(() => admin.command({ isMaster: 1 }));
+      const supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+
+      if (supported) {
+        logger.info('Writing events and their outbox messages in transactions');
+      } else {
+        logger.warn('MongoDB is a standalone server without transactions: outbox messages are written right after their events. Run a replica set to write them in one transaction.');
+      }
+      return supported;
+    })().catch((error) => {
+      transactionSupport = null;
+      throw error;
+    });
+  }
+
+  return transactionSupport;
+};
+
+/**
+ * Check whether writes run in transactions
+ *
+ * @returns {Promise<Boolean>} True if withTransaction uses a transaction
+ */
+const usesTransactions = async () => {
+  if (OUTBOX_TRANSACTIONS !== 'auto') {
+    return OUTBOX_TRANSACTIONS === 'true';
+  }
+
+  return detectTransactions();
+};
+
+/**
+ * Run database writes in one transaction
+ * Without transactions (a standalone MongoDB, or OUTBOX_TRANSACTIONS=false)
+ * the writes run one after the other without a session.
+ *
+ * @param {Function} work - async (session) => result; pass the session to every write
+ * @returns {Promise<*>} The result of work
+ */
+const withTransaction = async (work) => {
+  if (!(await usesTransactions())) {
+    return work(null);
+  }
+
+  // connection.transaction() resets the documents saved in work when it retries a transient error
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
+/**
+ * Add an event to the outbox
+ * The event is wrapped in a versioned envelope and validated against its
+ * schema, so an invalid event fails the write instead of reaching consumers.
+ * The relay publishes it once the write is committed.
+ *
+ * @param {String} routingKey - Routing key of the event
+ * @param {Object} payload - The event (a Mongoose document or a plain object)
+ * @param {Object} session - Transaction session from withTransaction, if any
+ * @param {Object} options - correlationId of the request that caused the event
+ * @returns {Promise<Object>} The OutboxMessage document
+ */
+const enqueue = async (routingKey, payload, session = null, options = {}) => {
+  const envelope = eventEnvelope.wrap(routingKey, toPayload(payload), {
+    correlationId: options.correlationId || null,
+    producer: eventBus.PRODUCER
+  });
+
+  const [message] = await OutboxMessage.create([{
+    messageId: envelope.id,
+    routingKey,
+    payload: envelope
+  }], { session });
+
+  return message;
+};
+
+/**
+ * Claim the next message that is due for publishing
+ *
+ * @returns {Promise<Object|null>} The claimed message, or null if none is due
+ */
+const claimNext = async () => {
+  const now = new Date();
+
+  return OutboxMessage.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Publish one message and record the outcome
+ * A message the broker does not confirm is retried with exponential backoff
+ * until OUTBOX_MAX_ATTEMPTS, then marked as failed.
+ *
+ * @param {Object} message - The claimed OutboxMessage
+ * @returns {Promise<Boolean>} True if the broker confirmed the message
+ */
+const relayMessage = async (message) => {
+  try {
+    await eventBus.publishConfirmed(message.routingKey, message.payload, {
+      messageId: message.messageId,
+      correlationId: message.payload.correlationId
+    });
+
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      { $set: { status: 'published', publishedAt: new Date(), lockedUntil: null, lastError: null } }
+    );
+
+    return true;
+  } catch (error) {
+    const attempts = message.attempts + 1;
+    const poisoned = attempts >= OUTBOX_MAX_ATTEMPTS;
+    const backoffMs = Math.min(OUTBOX_POLL_INTERVAL_MS * 2 ** attempts, OUTBOX_MAX_BACKOFF_MS);
+
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: poisoned ? 'failed' : 'pending',
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + backoffMs),
+          lockedUntil: null
+        }
+      }
+    );
+
+    if (poisoned) {
+      logger.error(`Outbox message ${message.messageId} (${message.routingKey}) failed ${attempts} times and will not be retried:`, error);
+    } else {
+      logger.warn(`Outbox message ${message.messageId} (${message.routingKey}) not confirmed, retrying in ${backoffMs}ms: ${error.message}`);
+    }
+
+    return false;
+  }
+};
+
+/**
+ * Publish the messages that are due
+ * While the broker is unreachable nothing is attempted, so an outage does not
+ * use up the attempts of the waiting messages; the event bus reconnects by
+ * itself.
+ *
+ * @returns {Promise<Number>} Number of messages published
+ */
+const relayPending = async () => {
+  if (!eventBus.isConnected()) {
+    return 0;
+  }
+
+  let published = 0;
+  for (let count = 0; count < OUTBOX_BATCH_SIZE; count++) {
+    const message = await claimNext();
+    if (!message) break;
+
+    if (await relayMessage(message)) {
+      published++;
+    } else if (!eventBus.isConnected()) {
+      // The connection was lost, wait for the next poll
+      break;
+    }
+  }
+
+  return published;
+};
+
+/**
+ * Start the relay worker
+ *
+ * @returns {void}
+ */
+const startRelay = () => {
+  if (relayTimer) return;
+
+  const poll = async () => {
+    try {
+      await relayPending();
+    } catch (error) {
+      logger.error('Error relaying outbox messages:', error);
+    }
+    if (relayTimer) {
+      relayTimer = setTimeout(poll, OUTBOX_POLL_INTERVAL_MS);
+    }
+  };
+
+  relayTimer = setTimeout(poll, OUTBOX_POLL_INTERVAL_MS);
+  logger.info('Outbox relay started');
+
+  // Detected now, so the log shows at startup whether events are written in transactions
+  usesTransactions().catch(error => logger.error('Error detecting MongoDB transaction support:', error));
+};
+
+/**
+ * Stop the relay worker after its current poll
+ *
+ * @returns {void}
+ */
+const stopRelay = () => {
+  clearTimeout(relayTimer);
+  relayTimer = null;
+};
+
+/**
+ * Get the state of the outbox
+ *
+ * @returns {Promise<Object>} Counts, and the stuck and poisoned messages
+ */
+const getHealth = async () => {
+  const stuckBefore = new Date(Date.now() - OUTBOX_STUCK_AFTER_MS);
+  const fields = 'messageId routingKey status attempts lastError nextAttemptAt createdAt';
+
+  const [pending, published, stuckCount, poisonedCount, stuck, poisoned] = await Promise.all([
+    OutboxMessage.countDocuments({ status: 'pending' }),
+    OutboxMessage.countDocuments({ status: 'published' }),
+    OutboxMessage.countDocuments({ status: 'pending', createdAt: { $lt: stuckBefore } }),
+    OutboxMessage.countDocuments({ status: 'failed' }),
+    OutboxMessage.find({ status: 'pending', createdAt: { $lt: stuckBefore } })
+      .sort({ createdAt: 1 }).limit(HEALTH_SAMPLE_SIZE).select(fields).lean(),
+    OutboxMessage.find({ status: 'failed' })
+      .sort({ createdAt: -1 }).limit(HEALTH_SAMPLE_SIZE).select(fields).lean()
+  ]);
+
+  return {
+    relayRunning: Boolean(relayTimer),
+    brokerConnected: eventBus.isConnected(),
+    pending,
+    published,
+    stuckCount,
+    poisonedCount,
+    oldestStuckAt: stuck.length > 0 ? stuck[0].createdAt : null,
+    stuck,
+    poisoned
+  };
+};
+
+module.exports = {
+  withTransaction,
+  enqueue,
+  startRelay,
+  stopRelay,
+  getHealth
+};
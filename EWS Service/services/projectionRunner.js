@@ -0,0 +1,305 @@
+const { EWSScoreEvent, EWSConsensus, EWSReadModel, EWSReadModelRebuild } = require('../models/ews');
+const { ProjectionCheckpoint } = require('../models/projection');
+const readModelProjection = require('./readModelProjection');
+const { logger } = require('../utils/logger');
+
+// Name of the read model projection in the checkpoint collection
+const PROJECTION_NAME = 'ewsReadModel';
+// Consensus events replayed per batch
+const REBUILD_BATCH_SIZE = parseInt(process.env.REBUILD_BATCH_SIZE) || 500;
+// Divergent patients listed in the rebuild report
+const DIVERGENCE_SAMPLE_SIZE = 20;
+
+// Only one rebuild runs at a time in this process
+let running = false;
+
+/**
+ * Query for the consensus events after a position in the event store
+ * @param {Object} position - createdAt and consensusId of the last replayed event
+ * @returns {Object} MongoDB filter
+ */
+const afterPosition = (position) => {
+  if (!position || !position.createdAt) {
+    return {};
+  }
+
+  return {
+    $or: [
+      { createdAt: { $gt: position.createdAt } },
+      { createdAt: position.createdAt, _id: { $gt: position.consensusId } }
+    ]
+  };
+};
+
+/**
+ * Get the checkpoint of the read model projection
+ * A rebuild that is stored as running but is not running in this process was
+ * cut short by a restart and is reported as interrupted.
+ * @returns {Promise<Object|null>} The checkpoint, or null if the read model was never rebuilt
+ */
+const getStatus = async () => {
+  const checkpoint = await ProjectionCheckpoint.findOne({ projection: PROJECTION_NAME }).lean();
+
+  if (checkpoint && checkpoint.status === 'running' && !running) {
+    checkpoint.status = 'interrupted';
+  }
+
+  return checkpoint;
+};
+
+/**
+ * Replay one batch of events onto the staging read models
+ * @param {Array} events - Events in event store order
+ * @param {Function} apply - Projection function, (state, event) => state
+ * @returns {Promise<void>}
+ */
+const applyBatch = async (events, apply) => {
+  const patientIds = [...new Set(events.map(event => event.patientId))];
+  const staged = await EWSReadModelRebuild.find({ patientId: { $in: patientIds } }).lean();
+
+  const states = new Map(staged.map(readModel => [readModel.patientId, readModelProjection.toState(readModel)]));
+
+  events.forEach(event => {
+    states.set(event.patientId, apply(states.get(event.patientId) || null, event));
+  });
+
+  // A correction or countersignature of a patient without history leaves no state
+  const written = [...states.values()].filter(Boolean);
+  if (written.length === 0) return;
+
+  await EWSReadModelRebuild.bulkWrite(written.map(state => ({
+    replaceOne: {
+      filter: { patientId: state.patientId },
+      replacement: state,
+      upsert: true
+    }
+  })));
+};
+
+/**
+ * Replay every countersignature onto the staging read models
+ * Countersignatures only mark history entries by consensus, so replaying all
+ * of them after the consensus events gives the same result as live updates,
+ * also when a rebuild resumes from a checkpoint.
+ * @param {Number} batchSize - Events replayed per batch
+ * @returns {Promise<void>}
+ */
+const replayValidations = async (batchSize) => {
+  let batch = [];
+  for await (const event of EWSScoreEvent.find({ eventType: 'EWS_VALIDATED' }).sort({ createdAt: 1, _id: 1 }).lean().cursor()) {
+    batch.push(event);
+    if (batch.length >= batchSize) {
+      await applyBatch(batch, readModelProjection.applyValidation);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await applyBatch(batch, readModelProjection.applyValidation);
+  }
+};
+
+/**
+ * Compare the staging read models with the current ones
+ * Unless it is a dry run, current read models that differ or are missing are
+ * replaced by the rebuilt ones. A replacement only succeeds if the current
+ * read model still has the version that was compared; read models updated
+ * live in the meantime are left alone and counted as conflicts. Current read
+ * models without any consensus event are only reported.
+ * @param {Object} options - dryRun and batchSize
+ * @returns {Promise<Object>} Divergence report
+ */
+const compareAndReplace = async ({ dryRun, batchSize }) => {
+  const divergence = { compared: 0, divergent: 0, missing: 0, extra: 0, conflicts: 0, samples: [] };
+
+  const compareChunk = async (chunk) => {
+    const current = await EWSReadModel.find({ patientId: { $in: chunk.map(readModel => readModel.patientId) } }).lean();
+    const currentByPatient = new Map(current.map(readModel => [readModel.patientId, readModel]));
+    const replacements = [];
+
+    chunk.forEach(rebuilt => {
+      const expected = readModelProjection.toState(rebuilt);
+      const actual = currentByPatient.get(rebuilt.patientId);
+      const fields = actual
+        ? readModelProjection.diffStates(expected, readModelProjection.toState(actual))
+        : ['missing'];
+
+      divergence.compared++;
+      if (fields.length === 0) return;
+
+      if (actual) {
+        divergence.divergent++;
+      } else {
+        divergence.missing++;
+      }
+      if (divergence.samples.length < DIVERGENCE_SAMPLE_SIZE) {
+        divergence.samples.push({ patientId: rebuilt.patientId, fields });
+      }
+
+      if (actual) {
+        replacements.push({
+          replaceOne: {
+            filter: { patientId: expected.patientId, __v: actual.__v === undefined ? { $exists: false } : actual.__v },
+            replacement: { ...expected, __v: (actual.__v || 0) + 1 }
+          }
+        });
+      } else {
+        replacements.push({
+          updateOne: {
+            filter: { patientId: expected.patientId },
+            update: { $setOnInsert: { ...expected, __v: 0 } },
+            upsert: true
+          }
+        });
+      }
+    });
+
+    if (!dryRun && replacements.length > 0) {
+      const result = await EWSReadModel.bulkWrite(replacements, { ordered: false });
+      divergence.conflicts += replacements.length - (result.modifiedCount + result.upsertedCount);
+    }
+  };
+
+  let chunk = [];
+  for await (const rebuilt of EWSReadModelRebuild.find().sort({ patientId: 1 }).lean().cursor()) {
+    chunk.push(rebuilt);
+    if (chunk.length >= batchSize) {
+      await compareChunk(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    await compareChunk(chunk);
+  }
+
+  const rebuiltPatients = await EWSReadModelRebuild.distinct('patientId');
+  divergence.extra = await EWSReadModel.countDocuments({ patientId: { $nin: rebuiltPatients } });
+
+  return divergence;
+};
+
+/**
+ * Replay the event store onto the staging read models, then compare and
+ * replace the current read models
+ * @param {Object} checkpoint - The checkpoint document of this run
+ * @param {Object} options - dryRun and batchSize
+ * @returns {Promise<void>}
+ */
+const runRebuild = async (checkpoint, { dryRun, batchSize }) => {
+  try {
+    let position = checkpoint.position;
+
+    for (;;) {
+      const events = await EWSConsensus.find(afterPosition(position))
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(batchSize)
+        .lean();
+
+      if (events.length === 0) break;
+
+      await applyBatch(events, readModelProjection.applyConsensus);
+
+      const last = events[events.length - 1];
+      position = { createdAt: last.createdAt, consensusId: last._id };
+      checkpoint.position = position;
+      checkpoint.processed += events.length;
+      // Events stored while the rebuild runs are replayed too
+      checkpoint.total = Math.max(checkpoint.total, checkpoint.processed);
+      await checkpoint.save();
+    }
+
+    await replayValidations(batchSize);
+
+    checkpoint.divergence = await compareAndReplace({ dryRun, batchSize });
+    checkpoint.status = 'completed';
+    checkpoint.finishedAt = new Date();
+    await checkpoint.save();
+
+    logger.info(`Read model rebuild completed${dryRun ? ' (dry run)' : ''}`, {
+      processed: checkpoint.processed,
+      compared: checkpoint.divergence.compared,
+      divergent: checkpoint.divergence.divergent,
+      missing: checkpoint.divergence.missing,
+      extra: checkpoint.divergence.extra,
+      conflicts: checkpoint.divergence.conflicts
+    });
+  } catch (error) {
+    logger.error('Error rebuilding read model:', error);
+    checkpoint.status = 'failed';
+    checkpoint.error = error.message;
+    checkpoint.finishedAt = new Date();
+    await checkpoint.save().catch(saveError => logger.error('Error saving rebuild checkpoint:', saveError));
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start rebuilding the read model from the event store
+ * A full rebuild replays every consensus event onto an empty staging
+ * collection. A resumed rebuild continues from the checkpoint of the previous
+ * run, so it also catches up a completed rebuild with the events stored since.
+ * The rebuild runs in the background; its progress is kept in the checkpoint.
+ * @param {Object} options - Rebuild options
+ * @param {Boolean} options.fromCheckpoint - Continue from the previous run instead of starting over
+ * @param {Boolean} options.dryRun - Only report divergence, do not replace the current read models
+ * @param {Number} options.batchSize - Consensus events replayed per batch
+ * @returns {Promise<Object>} The checkpoint of the started run
+ */
+const startRebuild = async ({ fromCheckpoint = false, dryRun = false, batchSize = REBUILD_BATCH_SIZE } = {}) => {
+  if (running) {
+    const error = new Error('A read model rebuild is already running');
+    error.name = 'ConflictError';
+    throw error;
+  }
+  running = true;
+
+  try {
+    let checkpoint = await ProjectionCheckpoint.findOne({ projection: PROJECTION_NAME });
+
+    if (fromCheckpoint && (!checkpoint || !checkpoint.position || !checkpoint.position.createdAt)) {
+      const error = new Error('There is no rebuild checkpoint to resume from');
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    if (!fromCheckpoint) {
+      await EWSReadModelRebuild.deleteMany({});
+      if (!checkpoint) {
+        checkpoint = new ProjectionCheckpoint({ projection: PROJECTION_NAME });
+      }
+      checkpoint.position = undefined;
+      checkpoint.processed = 0;
+    }
+
+    const remaining = await EWSConsensus.countDocuments(afterPosition(checkpoint.position));
+
+    checkpoint.set({
+      status: 'running',
+      dryRun,
+      startedAt: new Date(),
+      finishedAt: null,
+      total: checkpoint.processed + remaining,
+      divergence: undefined,
+      error: null
+    });
+    await checkpoint.save();
+
+    logger.info(`Read model rebuild started${fromCheckpoint ? ' from checkpoint' : ''}`, {
+      dryRun,
+      remaining
+    });
+
+    runRebuild(checkpoint, { dryRun, batchSize });
+
+    return checkpoint;
+  } catch (error) {
+    running = false;
+    throw error;
+  }
+};
+
+module.exports = {
+  REBUILD_BATCH_SIZE,
+  getStatus,
+  startRebuild
+};
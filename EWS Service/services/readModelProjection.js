@@ -0,0 +1,238 @@
+/**
+ * Projection of EWSConsensus and EWS_VALIDATED events onto the EWSReadModel
+ * The same functions are used for live updates and for rebuilding the read
+ * model from the event store, so both produce the same state.
+ */
+
+// Number of entries kept in a read model's scoreHistory
+const HISTORY_LIMIT = 100;
+
+/**
+ * Convert a Mongoose subdocument to a plain object
+ * @param {Object} value - Subdocument or plain object
+ * @returns {Object} Plain object
+ */
+const toPlain = (value) => {
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+};
+
+/**
+ * Get the node score a consensus score was taken from
+ * @param {Object} consensusData - The consensus event
+ * @returns {Object} The node score
+ */
+const consensusNode = (consensusData) => {
+  return consensusData.nodeScores.find(
+    node => node.totalScore === consensusData.consensusScore
+  ) || consensusData.nodeScores[0];
+};
+
+/**
+ * Take the current score from a consensus event
+ * @param {Object} state - Read model state
+ * @param {Object} consensusData - The consensus event
+ * @returns {Object} The read model state with the consensus as its current score
+ */
+const withCurrentScore = (state, consensusData) => {
+  const node = consensusNode(consensusData);
+
+  return {
+    ...state,
+    currentScore: consensusData.consensusScore,
+    clinicalRisk: consensusData.clinicalRisk,
+    vitalSigns: toPlain(node.vitalSigns),
+    scoreComponents: toPlain(node.scoreComponents),
+    imputedVitals: node.imputedVitals || [],
+    redFlags: consensusData.redFlags || [],
+    scoringModel: toPlain(consensusData.scoringModel),
+    consensusId: consensusData.consensusId
+  };
+};
+
+/**
+ * Apply a correction to the read model state of its patient
+ * The corrected score replaces the history entry of the consensus it
+ * supersedes, and the current score if that was the latest one. A correction
+ * of a score that is no longer in the history leaves the state unchanged.
+ * @param {Object|null} state - Current read model state
+ * @param {Object} consensusData - The correction consensus event
+ * @returns {Object|null} The new read model state
+ */
+const applyCorrection = (state, consensusData) => {
+  const index = state ? state.scoreHistory.findIndex(entry => entry.consensusId === consensusData.supersedes) : -1;
+
+  if (index === -1) {
+    return state;
+  }
+
+  const scoreHistory = state.scoreHistory.slice();
+  // The corrected score has not been countersigned yet
+  scoreHistory[index] = {
+    timestamp: scoreHistory[index].timestamp,
+    score: consensusData.consensusScore,
+    clinicalRisk: consensusData.clinicalRisk,
+    scoringModel: consensusData.scoringModel && consensusData.scoringModel.id,
+    consensusId: consensusData.consensusId,
+    corrected: true
+  };
+
+  const next = { ...state, scoreHistory };
+
+  return index === scoreHistory.length - 1 ? withCurrentScore(next, consensusData) : next;
+};
+
+/**
+ * Apply a consensus event to the read model state of its patient
+ * The history is ordered by consensus timestamp, so a consensus that arrives
+ * after a later one is inserted in its place and does not become the current
+ * score.
+ * @param {Object|null} state - Current read model state, or null for a new patient
+ * @param {Object} consensusData - The consensus event
+ * @returns {Object|null} The new read model state
+ */
+const applyConsensus = (state, consensusData) => {
+  if (consensusData.supersedes) {
+    return applyCorrection(state, consensusData);
+  }
+
+  const historyEntry = {
+    timestamp: consensusData.consensusTimestamp,
+    score: consensusData.consensusScore,
+    clinicalRisk: consensusData.clinicalRisk,
+    scoringModel: consensusData.scoringModel && consensusData.scoringModel.id,
+    consensusId: consensusData.consensusId
+  };
+
+  const history = state ? state.scoreHistory.slice() : [];
+  const time = new Date(consensusData.consensusTimestamp).getTime();
+  // Entries with the same timestamp keep their arrival order
+  const position = history.findIndex(entry => new Date(entry.timestamp).getTime() > time);
+  const isLatest = position === -1;
+  history.splice(isLatest ? history.length : position, 0, historyEntry);
+
+  // Limit history to the last HISTORY_LIMIT entries
+  const next = { ...state, patientId: consensusData.patientId, scoreHistory: history.slice(-HISTORY_LIMIT) };
+
+  if (!state) {
+    return { ...withCurrentScore(next, consensusData), lastUpdated: consensusData.consensusTimestamp };
+  }
+
+  if (!isLatest) {
+    return next;
+  }
+
+  // Later scores only take the vital signs with a valid consensus
+  const current = withCurrentScore(next, consensusData);
+  if (!consensusData.validConsensus) {
+    current.vitalSigns = state.vitalSigns;
+    current.scoreComponents = state.scoreComponents;
+    current.imputedVitals = state.imputedVitals;
+  }
+  current.lastUpdated = consensusData.consensusTimestamp;
+
+  return current;
+};
+
+/**
+ * Apply a countersignature to the read model state of its patient
+ * A countersignature of a score that is no longer in the history, or that was
+ * corrected since, leaves the state unchanged.
+ * @param {Object|null} state - Current read model state
+ * @param {Object} validationEvent - The EWS_VALIDATED event
+ * @returns {Object|null} The new read model state
+ */
+const applyValidation = (state, validationEvent) => {
+  const index = state ? state.scoreHistory.findIndex(entry => entry.consensusId === validationEvent.targetConsensusId) : -1;
+
+  if (index === -1) {
+    return state;
+  }
+
+  const scoreHistory = state.scoreHistory.slice();
+  scoreHistory[index] = {
+    ...scoreHistory[index],
+    validatedBy: validationEvent.clinicianId,
+    validatedAt: validationEvent.timestamp
+  };
+
+  return { ...state, scoreHistory };
+};
+
+/**
+ * Extract the projected fields of a read model document
+ * @param {Object} readModel - EWSReadModel document or lean object
+ * @returns {Object} Read model state
+ */
+const toState = (readModel) => {
+  const plain = toPlain(readModel);
+
+  return {
+    patientId: plain.patientId,
+    currentScore: plain.currentScore,
+    clinicalRisk: plain.clinicalRisk,
+    vitalSigns: plain.vitalSigns,
+    scoreComponents: plain.scoreComponents,
+    imputedVitals: plain.imputedVitals || [],
+    redFlags: plain.redFlags || [],
+    scoringModel: plain.scoringModel,
+    consensusId: plain.consensusId,
+    scoreHistory: (plain.scoreHistory || []).map(entry => ({
+      timestamp: entry.timestamp,
+      score: entry.score,
+      clinicalRisk: entry.clinicalRisk,
+      scoringModel: entry.scoringModel,
+      consensusId: entry.consensusId,
+      corrected: entry.corrected,
+      validatedBy: entry.validatedBy,
+      validatedAt: entry.validatedAt
+    })),
+    lastUpdated: plain.lastUpdated
+  };
+};
+
+/**
+ * Normalize a projected value for comparison
+ * Dates are compared by time, and missing, undefined and null values are
+ * treated alike, as they are after a round trip through MongoDB.
+ * @param {*} value - Projected value
+ * @returns {*} Comparable value
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    const plain = toPlain(value);
+    return Object.keys(plain).sort().reduce((normalized, key) => {
+      const field = normalize(plain[key]);
+      if (field !== null) normalized[key] = field;
+      return normalized;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Compare two read model states
+ * Every field of the state is compared, down to the vital signs and score
+ * components.
+ * @param {Object} expected - State rebuilt from the event store
+ * @param {Object} actual - State of the current read model
+ * @returns {Array<String>} Names of the fields that differ
+ */
+const diffStates = (expected, actual) => {
+  const fields = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+
+  return fields.filter(field => {
+    return JSON.stringify(normalize(expected[field])) !== JSON.stringify(normalize(actual[field]));
+  });
+};
+
+module.exports = {
+  HISTORY_LIMIT,
+  consensusNode,
+  applyConsensus,
+  applyValidation,
+  toState,
+  diffStates
+};
@@ -0,0 +1,161 @@
+const { PatientScoringConfig, WardScoringConfig } = require('../models/scoringConfig');
+const { SPO2_SCALES } = require('../utils/ewsCalculator');
+const scoringModels = require('../utils/scoringModels');
+const { logger } = require('../utils/logger');
+
+// SpO2 scale for patients without their own configuration
+const DEFAULT_SPO2_SCALE = SPO2_SCALES.includes(parseInt(process.env.DEFAULT_SPO2_SCALE))
+  ? parseInt(process.env.DEFAULT_SPO2_SCALE)
+  : 1;
+
+/**
+ * Validate a scoring configuration from a request
+ * Only the fields that are given are checked.
+ * @param {Object} config - Configuration to validate
+ * @returns {Array} Field-level errors, empty if valid
+ */
+const validateConfig = ({ spo2Scale, scoringModel }) => {
+  const errors = [];
+
+  if (spo2Scale !== undefined && !SPO2_SCALES.includes(spo2Scale)) {
+    errors.push({
+      field: 'spo2Scale',
+      message: `spo2Scale must be one of: ${SPO2_SCALES.join(', ')}`
+    });
+  }
+
+  if (scoringModel !== undefined && !scoringModels.getModel(scoringModel)) {
+    errors.push({
+      field: 'scoringModel',
+      message: `scoringModel must be one of: ${scoringModels.listModels().map(model => model.id).join(', ')}`
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Create or update the scoring configuration of a patient
+ * @param {String} patientId - The patient's ID
+ * @param {Object} config - spo2Scale and/or scoringModel, reason, updatedBy
+ * @returns {Promise<Object>} The stored PatientScoringConfig document
+ */
+const setPatientConfig = async (patientId, config) => {
+  const update = {
+    reason: config.reason || null,
+    updatedBy: config.updatedBy || null
+  };
+  if (config.spo2Scale !== undefined) update.spo2Scale = config.spo2Scale;
+  if (config.scoringModel !== undefined) update.scoringModel = config.scoringModel;
+
+  const stored = await PatientScoringConfig.findOneAndUpdate(
+    { patientId },
+    { $set: update },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  logger.info(`Scoring configuration of patient ${patientId} updated`, {
+    scoringModel: stored.scoringModel,
+    spo2Scale: stored.spo2Scale,
+    updatedBy: stored.updatedBy
+  });
+
+  return stored;
+};
+
+/**
+ * Create or update the scoring model of a ward
+ * @param {String} ward - Name of the ward
+ * @param {Object} config - scoringModel, updatedBy
+ * @returns {Promise<Object>} The stored WardScoringConfig document
+ */
+const setWardConfig = async (ward, config) => {
+  const stored = await WardScoringConfig.findOneAndUpdate(
+    { ward },
+    { $set: { scoringModel: config.scoringModel, updatedBy: config.updatedBy || null } },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  logger.info(`Scoring model of ward ${ward} set to ${stored.scoringModel}`, { updatedBy: stored.updatedBy });
+
+  return stored;
+};
+
+/**
+ * Get the scoring configuration that applies to a patient
+ * @param {String} patientId - The patient's ID
+ * @returns {Promise<Object>} The patient's configuration, or the default configuration
+ */
+const getPatientConfig = async (patientId) => {
+  const config = await PatientScoringConfig.findOne({ patientId });
+
+  if (!config) {
+    return { patientId, source: 'default', scoringModel: null, spo2Scale: DEFAULT_SPO2_SCALE };
+  }
+
+  return {
+    patientId,
+    source: 'patient',
+    scoringModel: config.scoringModel,
+    spo2Scale: config.spo2Scale,
+    reason: config.reason,
+    updatedBy: config.updatedBy,
+    updatedAt: config.updatedAt
+  };
+};
+
+/**
+ * Get the scoring model of a ward
+ * @param {String} ward - Name of the ward
+ * @returns {Promise<Object|null>} The WardScoringConfig document, or null if the ward has none
+ */
+const getWardConfig = async (ward) => {
+  return WardScoringConfig.findOne({ ward });
+};
+
+/**
+ * Decide how to score a patient
+ * The model named in the command wins, then the patient's model, then the
+ * ward's model, then the default model.
+ * @param {String} patientId - The patient's ID
+ * @param {Object} options - scoringModel and ward from the command
+ * @returns {Promise<Object>} The scoring model, where it came from, and the SpO2 scale
+ */
+const resolveScoring = async (patientId, { scoringModel, ward } = {}) => {
+  const config = await getPatientConfig(patientId);
+  const resolved = { model: null, modelSource: null, spo2Scale: config.spo2Scale };
+
+  if (scoringModel) {
+    resolved.model = scoringModels.getModel(scoringModel);
+    resolved.modelSource = 'command';
+    if (!resolved.model) {
+      throw new Error(`Unknown scoring model: ${scoringModel}`);
+    }
+  } else if (config.scoringModel && scoringModels.getModel(config.scoringModel)) {
+    resolved.model = scoringModels.getModel(config.scoringModel);
+    resolved.modelSource = 'patient';
+  } else if (ward) {
+    const wardConfig = await getWardConfig(ward);
+    if (wardConfig && scoringModels.getModel(wardConfig.scoringModel)) {
+      resolved.model = scoringModels.getModel(wardConfig.scoringModel);
+      resolved.modelSource = 'ward';
+    }
+  }
+
+  if (!resolved.model) {
+    resolved.model = scoringModels.getDefaultModel();
+    resolved.modelSource = 'default';
+  }
+
+  return resolved;
+};
+
+module.exports = {
+  DEFAULT_SPO2_SCALE,
+  validateConfig,
+  setPatientConfig,
+  setWardConfig,
+  getPatientConfig,
+  getWardConfig,
+  resolveScoring
+};
@@ -0,0 +1,171 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+// Transactions that commit once their work is done; an enqueue outside of one fails
+jest.mock('../services/outbox', () => ({
+  withTransaction: jest.fn(async (work) => {
+    const session = { committed: false };
+    const result = await work(session);
+    session.committed = true;
+    return result;
+  }),
+  enqueue: jest.fn(async (routingKey, payload, session) => {
+    if (!session || session.committed) {
+      throw new Error(`${routingKey} enqueued outside of a transaction`);
+    }
+  })
+}));
+jest.mock('../services/alertService', () => ({
+  processEWSAlert: jest.fn(async () => {}),
+  processTrendAlert: jest.fn(async () => {})
+}));
+
+const { EWSScoreEvent, EWSConsensus, EWSReadModel } = require('../models/ews');
+const commandHandler = require('../services/commandHandler');
+const outbox = require('../services/outbox');
+const alertService = require('../services/alertService');
+const scoringModels = require('../utils/scoringModels');
+const { mockModel } = require('./helpers/memoryModels');
+
+const VITALS = {
+  respiratoryRate: 16,
+  oxygenSaturation: 98,
+  temperature: 37,
+  systolicBP: 120,
+  heartRate: 70,
+  consciousness: 'Alert'
+};
+
+let events;
+let consensuses;
+let readModels;
+let earlier;
+let latest;
+
+/**
+ * Calculate a score from a single node
+ * @param {Date} timestamp - Time of the measurement
+ * @returns {Promise<Object>} The consensus of the calculation
+ */
+const calculate = async (timestamp) => {
+  await commandHandler.handleCalculateEWSCommand({
+    patientId: 'patient-1',
+    nodeId: 'node-1',
+    timestamp,
+    vitalSigns: VITALS,
+    scoring: { model: scoringModels.getModel('NEWS2'), spo2Scale: 1, modelSource: 'default' }
+  });
+  return EWSConsensus.findOne({}).sort({ createdAt: -1, _id: -1 }).lean();
+};
+
+/**
+ * Get the routing keys enqueued since the mocks were last cleared
+ * @returns {Array<String>} Routing keys, in order
+ */
+const enqueued = () => outbox.enqueue.mock.calls.map(([routingKey]) => routingKey);
+
+beforeEach(async () => {
+  events = mockModel(EWSScoreEvent);
+  consensuses = mockModel(EWSConsensus, { partial: ['supersedes'] });
+  readModels = mockModel(EWSReadModel, { unique: ['patientId'] });
+
+  earlier = await calculate(new Date(Date.UTC(2024, 0, 1, 8)));
+  latest = await calculate(new Date(Date.UTC(2024, 0, 1, 9)));
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('handleUpdateEWSCommand', () => {
+  test('publishes a correction of the current score with its consensus in one transaction', async () => {
+    const { event, consensus } = await commandHandler.handleUpdateEWSCommand({
+      consensusId: latest.consensusId,
+      vitalSigns: { heartRate: 135 },
+      clinicianId: 'dr-house',
+      reason: 'Monitor artefact',
+      correlationId: 'correlation-1'
+    });
+
+    expect(outbox.withTransaction).toHaveBeenCalledTimes(1);
+    expect(enqueued()).toEqual(['ews.updated', 'ews.consensus']);
+    const [[, , updateSession], [, published, consensusSession]] = outbox.enqueue.mock.calls;
+    expect(consensusSession).toBe(updateSession);
+    expect(published.consensusId).toBe(consensus.consensusId);
+
+    expect(event.eventType).toBe('EWS_UPDATED');
+    expect(event.targetConsensusId).toBe(latest.consensusId);
+    expect(events.filter(stored => stored.eventType === 'EWS_UPDATED')).toHaveLength(1);
+
+    const [readModel] = readModels;
+    expect(readModel.consensusId).toBe(consensus.consensusId);
+    expect(readModel.currentScore).toBe(3);
+    expect(readModel.scoreHistory.map(entry => [entry.consensusId, entry.corrected || false]))
+      .toEqual([[earlier.consensusId, false], [consensus.consensusId, true]]);
+
+    // Heart rate 135 is a red flag
+    expect(alertService.processEWSAlert).toHaveBeenCalledWith(expect.objectContaining({ consensusId: consensus.consensusId }), 'correlation-1');
+  });
+
+  test('only records the correction of an earlier score', async () => {
+    const { consensus } = await commandHandler.handleUpdateEWSCommand({
+      consensusId: earlier.consensusId,
+      vitalSigns: { heartRate: 135 },
+      clinicianId: 'dr-house',
+      reason: 'Wrong patient'
+    });
+
+    expect(enqueued()).toEqual(['ews.updated']);
+    expect(alertService.processEWSAlert).not.toHaveBeenCalled();
+
+    const [readModel] = readModels;
+    expect(readModel.consensusId).toBe(latest.consensusId);
+    expect(readModel.currentScore).toBe(0);
+    expect(readModel.scoreHistory[0]).toMatchObject({ consensusId: consensus.consensusId, score: 3, corrected: true });
+  });
+
+  test('rejects a score that was already corrected', async () => {
+    await commandHandler.handleUpdateEWSCommand({ consensusId: latest.consensusId, vitalSigns: { heartRate: 95 }, clinicianId: 'dr-house' });
+
+    await expect(commandHandler.handleUpdateEWSCommand({ consensusId: latest.consensusId, vitalSigns: { heartRate: 100 }, clinicianId: 'dr-house' }))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+    await expect(commandHandler.handleValidateEWSCommand({ consensusId: latest.consensusId, clinicianId: 'dr-grey' }))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+  });
+
+  test('accepts only one of two concurrent corrections of a score', async () => {
+    const results = await Promise.allSettled([
+      commandHandler.handleUpdateEWSCommand({ consensusId: latest.consensusId, vitalSigns: { heartRate: 95 }, clinicianId: 'dr-house' }),
+      commandHandler.handleUpdateEWSCommand({ consensusId: latest.consensusId, vitalSigns: { heartRate: 135 }, clinicianId: 'dr-grey' })
+    ]);
+
+    const [accepted, rejected] = results;
+    expect(accepted.status).toBe('fulfilled');
+    expect(rejected).toMatchObject({ status: 'rejected', reason: { name: 'ConflictError', message: `Consensus ${latest.consensusId} was corrected concurrently` } });
+
+    const corrections = consensuses.filter(consensus => consensus.supersedes === latest.consensusId);
+    expect(corrections.map(consensus => consensus.consensusId)).toEqual([accepted.value.consensus.consensusId]);
+    expect(readModels[0]).toMatchObject({ consensusId: accepted.value.consensus.consensusId, currentScore: 1 });
+  });
+
+  test('rejects an unknown score', async () => {
+    await expect(commandHandler.handleUpdateEWSCommand({ consensusId: 'unknown', vitalSigns: { heartRate: 100 }, clinicianId: 'dr-house' }))
+      .rejects.toMatchObject({ name: 'NotFoundError' });
+  });
+});
+
+describe('handleValidateEWSCommand', () => {
+  test('records the countersignature and marks the history entry', async () => {
+    const event = await commandHandler.handleValidateEWSCommand({
+      consensusId: earlier.consensusId,
+      clinicianId: 'dr-grey',
+      comment: 'Reviewed at the bedside'
+    });
+
+    expect(enqueued()).toEqual(['ews.validated']);
+    expect(event).toMatchObject({ eventType: 'EWS_VALIDATED', targetConsensusId: earlier.consensusId, reason: 'Reviewed at the bedside' });
+
+    const [readModel] = readModels;
+    expect(readModel.scoreHistory[0]).toMatchObject({ consensusId: earlier.consensusId, validatedBy: 'dr-grey' });
+    expect(readModel.scoreHistory[1].validatedBy).toBeUndefined();
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/eventBus', () => ({
+  sendToQueue: jest.fn(async () => {}),
+  consumeDeadLetters: jest.fn(async () => {})
+}));
+
+const { DeadLetter } = require('../models/deadLetter');
+const deadLetterService = require('../services/deadLetterService');
+const eventBus = require('../services/eventBus');
+const { mockModel } = require('./helpers/memoryModels');
+
+let deadLetters;
+
+/**
+ * Create a dead letter as the event bus hands it over
+ * @param {Object} fields - Fields that differ from the default dead letter
+ * @returns {Object} The dead letter
+ */
+const deadLetter = (fields = {}) => ({
+  queueName: 'alert_engine_consensus',
+  routingKey: 'ews.consensus',
+  messageId: 'message-1',
+  content: JSON.stringify({ consensusId: 'consensus-1' }),
+  error: 'MongoDB is down',
+  retryCount: 3,
+  failedAt: new Date(Date.UTC(2024, 0, 1, 8)),
+  ...fields
+});
+
+beforeEach(() => {
+  deadLetters = mockModel(DeadLetter, { unique: ['deadLetterId'], partial: [['messageId', 'queueName']] });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('store', () => {
+  test('stores an event delivered twice from the dead-letter queue once', async () => {
+    const first = await deadLetterService.store(deadLetter());
+    const second = await deadLetterService.store(deadLetter({ failedAt: new Date(Date.UTC(2024, 0, 1, 9)) }));
+
+    expect(deadLetters).toHaveLength(1);
+    expect(second.deadLetterId).toBe(first.deadLetterId);
+    expect(deadLetters[0]).toMatchObject({ status: 'dead', payload: { consensusId: 'consensus-1' }, failedAt: new Date(Date.UTC(2024, 0, 1, 9)) });
+  });
+
+  test('makes a replayed event that failed again dead again, with its latest error', async () => {
+    const { deadLetterId } = await deadLetterService.store(deadLetter());
+    await deadLetterService.replay(deadLetterId, { handledBy: 'ops-1' });
+    expect(eventBus.sendToQueue).toHaveBeenCalledWith('alert_engine_consensus', deadLetter().content, { messageId: 'message-1', routingKey: 'ews.consensus' });
+
+    await deadLetterService.store(deadLetter({ error: 'Alert validation failed', retryCount: 2 }));
+
+    expect(deadLetters).toHaveLength(1);
+    expect(deadLetters[0]).toMatchObject({ deadLetterId, status: 'dead', error: 'Alert validation failed', retryCount: 2 });
+    await expect(deadLetterService.discard(deadLetterId)).resolves.toMatchObject({ status: 'discarded' });
+  });
+
+  test('keeps the dead letters of one event on different queues apart', async () => {
+    await deadLetterService.store(deadLetter());
+    await deadLetterService.store(deadLetter({ queueName: 'ews_queue_ews_consensus' }));
+
+    expect(deadLetters.map(stored => stored.queueName)).toEqual(['alert_engine_consensus', 'ews_queue_ews_consensus']);
+  });
+
+  test('stores every event without a messageId', async () => {
+    await deadLetterService.store(deadLetter({ messageId: null, content: 'not json' }));
+    await deadLetterService.store(deadLetter({ messageId: null, content: 'not json' }));
+
+    expect(deadLetters).toHaveLength(2);
+    expect(deadLetters[0].payload).toBeNull();
+  });
+
+  test('is backed by a unique index on messageId and queueName', () => {
+    expect(DeadLetter.schema.indexes()).toContainEqual([
+      { messageId: 1, queueName: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { messageId: { $type: 'string' } } })
+    ]);
+  });
+});
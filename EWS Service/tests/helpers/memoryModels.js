@@ -0,0 +1,283 @@
+/**
+ * In-memory stand-ins for the Mongoose models, for tests without MongoDB
+ * mockModel replaces the queries and writes a model's callers use with
+ * jest.spyOn, so the real schemas still build and validate the documents.
+ * Filters support equality (also on dotted paths), $or, $gt, $gte, $lt,
+ * $lte, $ne, $in, $nin and $exists.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Make a value comparable: dates by time, ObjectIds by their hex string
+ * @param {*} value - Stored or filter value
+ * @returns {*} Comparable value
+ */
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+
+/**
+ * Copy a stored document, keeping dates and ObjectIds
+ * @param {*} value - Value to copy
+ * @returns {*} The copy
+ */
+const copy = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+};
+
+/**
+ * Read a dotted path of a document
+ * @param {Object} doc - The document
+ * @param {String} path - e.g. scoringModel.id
+ * @returns {*} The value, undefined if the path does not exist
+ */
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const OPERATORS = {
+  $gt: (value, operand) => value !== undefined && comparable(value) > comparable(operand),
+  $gte: (value, operand) => value !== undefined && comparable(value) >= comparable(operand),
+  $lt: (value, operand) => value !== undefined && comparable(value) < comparable(operand),
+  $lte: (value, operand) => value !== undefined && comparable(value) <= comparable(operand),
+  $ne: (value, operand) => comparable(value) !== comparable(operand),
+  $in: (value, operand) => operand.some(item => comparable(item) === comparable(value)),
+  $nin: (value, operand) => !operand.some(item => comparable(item) === comparable(value)),
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand)
+};
+
+/**
+ * Check a value against a filter condition
+ * @param {*} value - Stored value
+ * @param {*} condition - Value to equal, or an object of operators
+ * @returns {Boolean} True if the value matches
+ */
+const matchesCondition = (value, condition) => {
+  if (condition && typeof condition === 'object' && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.keys(condition).every(operator => OPERATORS[operator](value, condition[operator]));
+  }
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+  return comparable(value) === comparable(condition);
+};
+
+/**
+ * Check a document against a filter
+ * @param {Object} doc - Stored document
+ * @param {Object} filter - MongoDB filter
+ * @returns {Boolean} True if the document matches
+ */
+const matches = (doc, filter = {}) => {
+  return Object.keys(filter).every(key => {
+    if (key === '$or') return filter.$or.some(alternative => matches(doc, alternative));
+    if (key === '$and') return filter.$and.every(alternative => matches(doc, alternative));
+    return matchesCondition(getPath(doc, key), filter[key]);
+  });
+};
+
+/**
+ * Take the equality conditions of a filter, which are part of an upserted document
+ * @param {Object} filter - MongoDB filter
+ * @returns {Object} Field values of the filter
+ */
+const filterValues = (filter) => Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+  !key.startsWith('$') && !(value && typeof value === 'object' && !(value instanceof Date))));
+
+/**
+ * Sort documents by a sort specification
+ * @param {Array<Object>} docs - Documents
+ * @param {Object} spec - e.g. { createdAt: 1, _id: 1 }
+ * @returns {Array<Object>} Sorted copy of the array
+ */
+const sortDocs = (docs, spec) => {
+  return docs.slice().sort((a, b) => {
+    for (const [path, direction] of Object.entries(spec)) {
+      const left = comparable(getPath(a, path));
+      const right = comparable(getPath(b, path));
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Replace the persistence of a model with an in-memory collection
+ * @param {Object} Model - Mongoose model
+ * @param {Object} options - unique: paths with a unique index besides _id,
+ * partial: paths with a unique index on values other than null; an array of
+ * paths stands for a compound index
+ * @returns {Array<Object>} The collection, as plain documents
+ */
+const mockModel = (Model, { unique = [], partial = [] } = {}) => {
+  const docs = [];
+  const versioned = Boolean(Model.schema.options.optimisticConcurrency);
+  const timestamps = Boolean(Model.schema.options.timestamps);
+
+  const query = (filter, { one = false } = {}) => {
+    const state = { sort: null, limit: null, lean: false };
+    const results = () => {
+      let found = docs.filter(doc => matches(doc, filter));
+      if (state.sort) found = sortDocs(found, state.sort);
+      if (state.limit) found = found.slice(0, state.limit);
+      const output = found.map(doc => (state.lean ? copy(doc) : Model.hydrate(copy(doc))));
+      return one ? output[0] || null : output;
+    };
+
+    const chain = {
+      sort: (spec) => { state.sort = spec; return chain; },
+      limit: (count) => { state.limit = count; return chain; },
+      lean: () => { state.lean = true; return chain; },
+      session: () => chain,
+      exec: () => Promise.resolve().then(results),
+      then: (resolve, reject) => chain.exec().then(resolve, reject),
+      cursor: () => ({
+        [Symbol.asyncIterator]: async function* () {
+          yield* results();
+        }
+      })
+    };
+    return chain;
+  };
+
+  const duplicateOf = (doc) => [...unique, ...partial].map(index => [].concat(index)).find(paths => {
+    if (partial.some(index => [].concat(index).join() === paths.join()) && paths.some(path => getPath(doc, path) == null)) return false;
+    return docs.some(other => comparable(other._id) !== comparable(doc._id) &&
+      paths.every(path => comparable(getPath(other, path)) === comparable(getPath(doc, path))));
+  });
+
+  const insert = (doc) => {
+    const paths = duplicateOf(doc);
+    if (paths) {
+      throw Object.assign(new Error(`E11000 duplicate key error: ${paths.join(', ')}`), {
+        code: 11000,
+        keyPattern: Object.fromEntries(paths.map(path => [path, 1]))
+      });
+    }
+    docs.push(doc);
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((filter) => query(filter));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(filter, { one: true }));
+  jest.spyOn(Model, 'exists').mockImplementation((filter) => {
+    const chain = query(filter, { one: true }).lean();
+    const exec = chain.exec;
+    chain.exec = () => exec().then(doc => (doc ? { _id: doc._id } : null));
+    return chain;
+  });
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async (filter) => docs.filter(doc => matches(doc, filter)).length);
+  jest.spyOn(Model, 'distinct').mockImplementation(async (path, filter) => {
+    const values = docs.filter(doc => matches(doc, filter)).map(doc => getPath(doc, path));
+    return values.filter((value, index) => values.findIndex(other => comparable(other) === comparable(value)) === index);
+  });
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+    const kept = docs.filter(doc => !matches(doc, filter));
+    const deletedCount = docs.length - kept.length;
+    docs.splice(0, docs.length, ...kept);
+    return { deletedCount };
+  });
+
+  jest.spyOn(Model, 'bulkWrite').mockImplementation(async (operations) => {
+    const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+    operations.forEach(operation => {
+      const [type, { filter, replacement, update, upsert }] = Object.entries(operation)[0];
+      const index = docs.findIndex(doc => matches(doc, filter));
+      const fromFilter = filterValues(filter);
+
+      if (index === -1) {
+        if (!upsert) return;
+        const doc = type === 'replaceOne'
+          ? { ...fromFilter, ...copy(replacement) }
+          : { ...fromFilter, ...copy(update.$setOnInsert || {}), ...copy(update.$set || {}) };
+        insert({ _id: new mongoose.Types.ObjectId(), ...doc });
+        result.upsertedCount++;
+        return;
+      }
+
+      result.matchedCount++;
+      if (type === 'replaceOne') {
+        docs[index] = { _id: docs[index]._id, ...copy(replacement) };
+        result.modifiedCount++;
+      } else if (update.$set) {
+        Object.assign(docs[index], copy(update.$set));
+        result.modifiedCount++;
+      }
+    });
+
+    return result;
+  });
+
+  jest.spyOn(Model, 'create').mockImplementation(async (doc) => {
+    if (Array.isArray(doc)) return Promise.all(doc.map(item => new Model(item).save()));
+    return new Model(doc).save();
+  });
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, { upsert = false, new: returnNew = false } = {}) => {
+    const state = { lean: false };
+    const chain = {
+      lean: () => { state.lean = true; return chain; },
+      session: () => chain,
+      exec: () => Promise.resolve().then(() => {
+        let found = docs.find(doc => matches(doc, filter)) || null;
+        const before = found && copy(found);
+
+        if (!found) {
+          if (!upsert) return null;
+          // Built from the model, so the defaults of the schema are set on insert
+          found = copy(new Model({ ...filterValues(filter), ...update.$setOnInsert, ...update.$set }).toObject());
+          if (timestamps) found.createdAt = found.updatedAt = new Date();
+          insert(found);
+        } else if (update.$set) {
+          Object.assign(found, copy(update.$set), timestamps ? { updatedAt: new Date() } : {});
+        }
+
+        const result = returnNew ? copy(found) : before;
+        return result && !state.lean ? Model.hydrate(result) : result;
+      }),
+      then: (resolve, reject) => chain.exec().then(resolve, reject)
+    };
+    return chain;
+  });
+
+  // Saves with the version check of optimisticConcurrency, as MongoDB would apply it
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function () {
+    await Promise.resolve();
+    const now = new Date();
+    if (timestamps) {
+      if (!this.createdAt) this.createdAt = now;
+      this.updatedAt = now;
+    }
+
+    const index = docs.findIndex(doc => comparable(doc._id) === comparable(this._id));
+
+    if (this.isNew) {
+      if (index !== -1) {
+        throw Object.assign(new Error('E11000 duplicate key error: _id'), { code: 11000, keyPattern: { _id: 1 } });
+      }
+      if (versioned || this.__v === undefined) this.__v = 0;
+      insert(copy(this.toObject()));
+    } else {
+      if (index === -1 || (versioned && docs[index].__v !== this.__v)) {
+        throw new mongoose.Error.VersionError(this, this.__v, this.modifiedPaths());
+      }
+      if (versioned) this.__v += 1;
+      docs[index] = copy(this.toObject());
+    }
+
+    this.isNew = false;
+    return this;
+  });
+
+  return docs;
+};
+
+module.exports = {
+  mockModel
+};
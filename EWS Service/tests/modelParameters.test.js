@@ -0,0 +1,157 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/outbox', () => ({
+  withTransaction: jest.fn(async (work) => work({})),
+  enqueue: jest.fn(async () => {})
+}));
+jest.mock('../services/alertService', () => ({
+  processEWSAlert: jest.fn(async () => {}),
+  processTrendAlert: jest.fn(async () => {})
+}));
+
+const path = require('path');
+const { EWSScoreEvent, EWSConsensus, EWSReadModel } = require('../models/ews');
+const commandHandler = require('../services/commandHandler');
+const scoringModels = require('../utils/scoringModels');
+const ewsCalculator = require('../utils/ewsCalculator');
+const { mockModel } = require('./helpers/memoryModels');
+
+// A local maternity table that scores the diastolic pressure and a pain category
+const LOCAL_MODEL = {
+  id: 'LOCAL-MATERNITY',
+  version: '1',
+  source: 'Ward 7 maternity observation chart, approved 2024',
+  requiredVitals: ['heartRate', 'diastolicBP', 'painScore'],
+  parameters: {
+    heartRate: {
+      bands: [
+        { upTo: 50, score: 2 },
+        { upTo: 100, score: 0 },
+        { score: 2 }
+      ]
+    },
+    diastolicBP: {
+      bands: [
+        { upTo: 89, score: 0 },
+        { upTo: 99, score: 1 },
+        { upTo: 109, score: 2 },
+        { score: 3 }
+      ]
+    },
+    painScore: {
+      values: { none: 0, mild: 0, moderate: 1, severe: 2 }
+    }
+  },
+  riskThresholds: [
+    { minScore: 5, risk: 'High' },
+    { minScore: 3, risk: 'Medium' }
+  ],
+  redFlagScore: 3
+};
+
+const VITALS = { heartRate: 80, diastolicBP: 105, painScore: 'moderate' };
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('parameters declared by a model', () => {
+  test('are accepted beyond the NEWS2 vital signs', () => {
+    expect(scoringModels.validateModel(LOCAL_MODEL)).toEqual([]);
+  });
+
+  test.each(['diastolic.bp', '$where', 'DiastolicBP', 'spo2Scale'])('reject the name %s', (name) => {
+    const model = { ...LOCAL_MODEL, requiredVitals: ['heartRate'], parameters: { ...LOCAL_MODEL.parameters, [name]: { bands: [{ score: 0 }] } } };
+
+    expect(scoringModels.validateModel(model).map(error => error.field)).toEqual([`parameters.${name}`]);
+  });
+
+  test('are scored on their bands and categories', () => {
+    const result = ewsCalculator.calculateEWS(VITALS, { model: LOCAL_MODEL });
+
+    expect(result).toMatchObject({
+      scoreComponents: { heartRate: 0, diastolicBP: 2, painScore: 1 },
+      totalScore: 3,
+      clinicalRisk: 'Medium',
+      redFlags: []
+    });
+    expect(ewsCalculator.calculateEWS({ ...VITALS, diastolicBP: 112 }, { model: LOCAL_MODEL }).redFlags).toEqual(['diastolicBP']);
+  });
+
+  test('are stored with the score, its consensus and the read model', async () => {
+    const model = scoringModels.registerModel(LOCAL_MODEL);
+    const events = mockModel(EWSScoreEvent);
+    const consensuses = mockModel(EWSConsensus);
+    const readModels = mockModel(EWSReadModel, { unique: ['patientId'] });
+
+    await commandHandler.handleCalculateEWSCommand({
+      patientId: 'patient-1',
+      nodeId: 'node-1',
+      timestamp: new Date(Date.UTC(2024, 0, 1, 8)),
+      vitalSigns: VITALS,
+      scoring: { model, spo2Scale: 1, modelSource: 'ward' }
+    });
+
+    const stored = { vitalSigns: VITALS, scoreComponents: { diastolicBP: 2, painScore: 1 } };
+    expect(events[0]).toMatchObject({ ...stored, scoringModel: { id: 'LOCAL-MATERNITY', version: '1' } });
+    expect(consensuses[0].nodeScores[0]).toMatchObject(stored);
+    expect(readModels[0]).toMatchObject({ ...stored, currentScore: 3, clinicalRisk: 'Medium' });
+  });
+
+  test('are known to the vital sign checks of the commands', () => {
+    scoringModels.registerModel(LOCAL_MODEL);
+    expect(scoringModels.listParameters()).toEqual(expect.arrayContaining([...scoringModels.VITAL_SIGNS, 'diastolicBP', 'painScore']));
+    expect(scoringModels.isCategorical('painScore')).toBe(true);
+    expect(scoringModels.isCategorical('diastolicBP')).toBe(false);
+  });
+});
+
+describe('the example in scoringModels.example.json', () => {
+  let exampleModels;
+  let exampleCalculator;
+
+  beforeAll(() => {
+    process.env.SCORING_MODELS_PATH = path.join(__dirname, '..', 'scoringModels.example.json');
+    jest.isolateModules(() => {
+      exampleModels = require('../utils/scoringModels');
+      exampleCalculator = require('../utils/ewsCalculator');
+    });
+    delete process.env.SCORING_MODELS_PATH;
+  });
+
+  test('is loaded from SCORING_MODELS_PATH next to NEWS2', () => {
+    expect(exampleModels.listModels().map(model => model.id)).toEqual(['NEWS2', 'MEWS']);
+    expect(exampleModels.getModel('MEWS').source).toMatch(/^Subbe CP/);
+  });
+
+  test('scores a patient on the Modified Early Warning Score', () => {
+    const result = exampleCalculator.calculateEWS({
+      systolicBP: 95,
+      heartRate: 115,
+      respiratoryRate: 22,
+      temperature: 38.6,
+      consciousness: 'Voice'
+    }, { model: 'MEWS' });
+
+    expect(result).toEqual({
+      scoreComponents: { systolicBP: 1, heartRate: 2, respiratoryRate: 2, temperature: 2, consciousness: 1 },
+      totalScore: 8,
+      clinicalRisk: 'High',
+      redFlags: [],
+      spo2Scale: 1,
+      scoringModel: { id: 'MEWS', version: '2001' }
+    });
+  });
+
+  test('has no red flag, unlike NEWS2', () => {
+    const result = exampleCalculator.calculateEWS({
+      systolicBP: 65,
+      heartRate: 80,
+      respiratoryRate: 12,
+      temperature: 37,
+      consciousness: 'Alert'
+    }, { model: 'MEWS' });
+
+    expect(result).toMatchObject({ totalScore: 3, clinicalRisk: 'Low', redFlags: [] });
+  });
+});
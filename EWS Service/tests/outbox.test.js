@@ -0,0 +1,88 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/eventBus', () => ({ PRODUCER: 'ews-service' }));
+
+/**
+ * Load the outbox with a setting and a MongoDB server
+ * @param {String|undefined} setting - OUTBOX_TRANSACTIONS
+ * @param {Object} hello - Reply of the server to hello
+ * @returns {Object} outbox, and the mocked hello command and connection.transaction
+ */
+const loadOutbox = (setting, hello) => {
+  let loaded;
+
+  jest.isolateModules(() => {
+    if (setting === undefined) {
+      delete process.env.OUTBOX_TRANSACTIONS;
+    } else {
+      process.env.OUTBOX_TRANSACTIONS = setting;
+    }
+
+    const mongoose = require('mongoose');
+    const command = jest.fn(async () => hello);
+    mongoose.connection.db = { admin: () => ({ command }) };
+    const transaction = jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async work => work({ session: true }));
+
+    loaded = { outbox: require('../services/outbox'), command, transaction };
+  });
+
+  return loaded;
+};
+
+afterEach(() => {
+  delete process.env.OUTBOX_TRANSACTIONS;
+  jest.restoreAllMocks();
+});
+
+describe('withTransaction', () => {
+  test('uses a transaction on a replica set', async () => {
+    const { outbox, command, transaction } = loadOutbox(undefined, { setName: 'rs0' });
+
+    await expect(outbox.withTransaction(async session => session)).resolves.toEqual({ session: true });
+    await outbox.withTransaction(async () => {});
+
+    expect(transaction).toHaveBeenCalledTimes(2);
+    // The topology is only asked for once
+    expect(command).toHaveBeenCalledTimes(1);
+    expect(command).toHaveBeenCalledWith({ hello: 1 });
+  });
+
+  test('uses a transaction behind mongos', async () => {
+    const { outbox, transaction } = loadOutbox('auto', { msg: 'isdbgrid' });
+
+    await outbox.withTransaction(async () => {});
+
+    expect(transaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('writes without a session on a standalone server', async () => {
+    const { outbox, transaction } = loadOutbox(undefined, { isWritablePrimary: true });
+
+    await expect(outbox.withTransaction(async session => session)).resolves.toBeNull();
+
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  test('falls back to isMaster on servers without hello', async () => {
+    const { outbox, command, transaction } = loadOutbox(undefined, { setName: 'rs0' });
+    command.mockImplementationOnce(async () => {
+      throw new Error('no such command: hello');
+    });
+
+    await outbox.withTransaction(async () => {});
+
+    expect(command).toHaveBeenLastCalledWith({ isMaster: 1 });
+    expect(transaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('follows an explicit setting without asking the server', async () => {
+    const standalone = loadOutbox('true', { isWritablePrimary: true });
+    await standalone.outbox.withTransaction(async () => {});
+    expect(standalone.transaction).toHaveBeenCalledTimes(1);
+    expect(standalone.command).not.toHaveBeenCalled();
+
+    const replicaSet = loadOutbox('false', { setName: 'rs0' });
+    await expect(replicaSet.outbox.withTransaction(async session => session)).resolves.toBeNull();
+    expect(replicaSet.transaction).not.toHaveBeenCalled();
+    expect(replicaSet.command).not.toHaveBeenCalled();
+  });
+});
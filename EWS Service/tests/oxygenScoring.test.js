@@ -0,0 +1,141 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/outbox', () => ({
+  withTransaction: jest.fn(async (work) => work({})),
+  enqueue: jest.fn(async () => {})
+}));
+jest.mock('../services/alertService', () => ({
+  processEWSAlert: jest.fn(async () => {}),
+  processTrendAlert: jest.fn(async () => {})
+}));
+
+const { EWSScoreEvent, EWSConsensus, EWSReadModel } = require('../models/ews');
+const { PatientScoringConfig } = require('../models/scoringConfig');
+const commandHandler = require('../services/commandHandler');
+const scoringConfigService = require('../services/scoringConfigService');
+const ewsCalculator = require('../utils/ewsCalculator');
+const { mockModel } = require('./helpers/memoryModels');
+
+// A patient scoring 0 on every parameter while breathing air
+const VITALS = {
+  respiratoryRate: 16,
+  oxygenSaturation: 97,
+  temperature: 37,
+  systolicBP: 120,
+  heartRate: 70,
+  consciousness: 'Alert'
+};
+
+/**
+ * Score the SpO2 of a patient
+ * @param {Number} oxygenSaturation - SpO2 in %
+ * @param {Number} spo2Scale - SpO2 scale
+ * @param {Boolean} supplementalOxygen - Whether the patient is on oxygen
+ * @returns {Number} Score of the SpO2 parameter
+ */
+const spo2Score = (oxygenSaturation, spo2Scale, supplementalOxygen = false) => ewsCalculator.calculateEWS(
+  { ...VITALS, oxygenSaturation, supplementalOxygen },
+  { spo2Scale }
+).scoreComponents.oxygenSaturation;
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('air or oxygen', () => {
+  test('scores 2 points for a patient on oxygen', () => {
+    const onOxygen = ewsCalculator.calculateEWS({ ...VITALS, supplementalOxygen: true });
+
+    expect(onOxygen.scoreComponents.supplementalOxygen).toBe(2);
+    expect(onOxygen.totalScore).toBe(2);
+    expect(onOxygen.clinicalRisk).toBe('Low');
+  });
+
+  test('scores a patient without an oxygen status as on air', () => {
+    expect(ewsCalculator.calculateEWS(VITALS).scoreComponents.supplementalOxygen).toBe(0);
+    expect(ewsCalculator.calculateEWS({ ...VITALS, supplementalOxygen: 'yes' }).scoreComponents.supplementalOxygen).toBe(0);
+  });
+});
+
+describe('SpO2 scales', () => {
+  test.each([
+    [91, 3],
+    [92, 2],
+    [94, 1],
+    [96, 0]
+  ])('Scale 1 scores %d%% as %d on air and on oxygen', (spo2, expected) => {
+    expect(spo2Score(spo2, 1)).toBe(expected);
+    expect(spo2Score(spo2, 1, true)).toBe(expected);
+  });
+
+  test.each([
+    [83, 3, 3],
+    [85, 2, 2],
+    [87, 1, 1],
+    [88, 0, 0],
+    [92, 0, 0],
+    [94, 0, 1],
+    [96, 0, 2],
+    [97, 0, 3]
+  ])('Scale 2 scores %d%% as %d on air and %d on oxygen', (spo2, onAir, onOxygen) => {
+    expect(spo2Score(spo2, 2)).toBe(onAir);
+    expect(spo2Score(spo2, 2, true)).toBe(onOxygen);
+  });
+
+  test('uses Scale 1 unless Scale 2 is chosen', () => {
+    expect(ewsCalculator.calculateEWS({ ...VITALS, oxygenSaturation: 88 })).toMatchObject({ spo2Scale: 1, totalScore: 3 });
+    expect(ewsCalculator.calculateEWS({ ...VITALS, oxygenSaturation: 88 }, { spo2Scale: 3 })).toMatchObject({ spo2Scale: 1, totalScore: 3 });
+  });
+});
+
+describe('scale selection', () => {
+  test('uses the scale chosen for the patient', async () => {
+    jest.spyOn(PatientScoringConfig, 'findOne').mockResolvedValue({ patientId: 'patient-1', spo2Scale: 2, scoringModel: null });
+
+    await expect(scoringConfigService.resolveScoring('patient-1')).resolves.toMatchObject({ spo2Scale: 2, modelSource: 'default' });
+  });
+
+  test('uses the default scale for patients without one', async () => {
+    jest.spyOn(PatientScoringConfig, 'findOne').mockResolvedValue(null);
+
+    await expect(scoringConfigService.resolveScoring('patient-1')).resolves.toMatchObject({ spo2Scale: scoringConfigService.DEFAULT_SPO2_SCALE });
+  });
+
+  test('only accepts the NEWS2 scales', () => {
+    expect(scoringConfigService.validateConfig({ spo2Scale: 2 })).toEqual([]);
+    expect(scoringConfigService.validateConfig({ spo2Scale: 3 }).map(error => error.field)).toEqual(['spo2Scale']);
+  });
+});
+
+describe('calculate-ews', () => {
+  let events;
+  let readModels;
+
+  beforeEach(() => {
+    events = mockModel(EWSScoreEvent);
+    mockModel(EWSConsensus);
+    readModels = mockModel(EWSReadModel, { unique: ['patientId'] });
+    jest.spyOn(PatientScoringConfig, 'findOne').mockResolvedValue({ patientId: 'patient-1', spo2Scale: 2, scoringModel: null });
+  });
+
+  test('stores the oxygen status and the scale with the score and in the read model', async () => {
+    await commandHandler.handleCalculateEWSCommand({
+      patientId: 'patient-1',
+      nodeId: 'node-1',
+      timestamp: new Date(Date.UTC(2024, 0, 1, 8)),
+      vitalSigns: { ...VITALS, oxygenSaturation: 90, supplementalOxygen: true }
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      vitalSigns: { oxygenSaturation: 90, supplementalOxygen: true, spo2Scale: 2 },
+      scoreComponents: { oxygenSaturation: 0, supplementalOxygen: 2 },
+      totalScore: 2
+    });
+    expect(readModels[0]).toMatchObject({
+      currentScore: 2,
+      vitalSigns: { supplementalOxygen: true, spo2Scale: 2 },
+      scoreComponents: { supplementalOxygen: 2 }
+    });
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/outbox', () => ({}));
+jest.mock('../services/alertService', () => ({}));
+
+process.env.READ_MODEL_MAX_ATTEMPTS = '10';
+process.env.READ_MODEL_RETRY_DELAY_MS = '5';
+
+const mongoose = require('mongoose');
+const { EWSReadModel } = require('../models/ews');
+const commandHandler = require('../services/commandHandler');
+const readModelProjection = require('../services/readModelProjection');
+const { mockModel } = require('./helpers/memoryModels');
+
+let readModels;
+
+/**
+ * Wait a few milliseconds, like a round trip to MongoDB
+ * @returns {Promise<void>}
+ */
+const roundTrip = () => new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+
+beforeEach(() => {
+  readModels = mockModel(EWSReadModel, { unique: ['patientId'] });
+
+  // Saves take a round trip, so other updates can get in between a read and its save
+  const save = EWSReadModel.prototype.save.getMockImplementation();
+  EWSReadModel.prototype.save.mockImplementation(async function () {
+    await roundTrip();
+    return save.call(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Create a consensus event
+ * @param {Number} index - Position of the consensus in time
+ * @returns {Object} The consensus
+ */
+const consensus = (index) => ({
+  consensusId: `consensus-${index}`,
+  patientId: 'patient-1',
+  nodeScores: [{ nodeId: 'node-1', totalScore: index % 10, vitalSigns: { heartRate: 60 + index }, scoreComponents: {} }],
+  consensusScore: index % 10,
+  clinicalRisk: 'Low',
+  consensusTimestamp: new Date(Date.UTC(2024, 0, 1, 8, 0, index)),
+  validConsensus: true,
+  consensusMethod: 'single',
+  redFlags: [],
+  scoringModel: { id: 'NEWS2', version: '2.0.1' }
+});
+
+/**
+ * Create consensus events in random arrival order
+ * @param {Number} count - Number of events
+ * @returns {Array<Object>} The events
+ */
+const shuffledConsensus = (count) => {
+  return Array.from({ length: count }, (_, index) => consensus(index)).sort(() => Math.random() - 0.5);
+};
+
+/**
+ * Apply a consensus as another instance of the service would, bypassing this process
+ * @param {Object} event - The consensus
+ * @returns {void}
+ */
+const applyElsewhere = (event) => {
+  const index = readModels.findIndex(readModel => readModel.patientId === event.patientId);
+  const stored = readModels[index];
+  const state = readModelProjection.applyConsensus(stored ? readModelProjection.toState(stored) : null, event);
+
+  if (stored) {
+    readModels[index] = { ...stored, ...state, __v: stored.__v + 1 };
+  } else {
+    readModels.push({ _id: new mongoose.Types.ObjectId(), ...state, __v: 0 });
+  }
+};
+
+/**
+ * Check that the read model holds every consensus, in consensus order
+ * @param {Number} count - Number of consensus events applied
+ * @returns {void}
+ */
+const expectAllApplied = (count) => {
+  const [stored] = readModels;
+  expect(readModels).toHaveLength(1);
+  expect(stored.scoreHistory.map(entry => entry.consensusId))
+    .toEqual(Array.from({ length: count }, (_, index) => `consensus-${index}`));
+  expect(stored.consensusId).toBe(`consensus-${count - 1}`);
+  expect(stored.currentScore).toBe((count - 1) % 10);
+  expect(stored.vitalSigns.heartRate).toBe(60 + count - 1);
+  // One insert and one version per further update
+  expect(stored.__v).toBe(count - 1);
+};
+
+describe('updateReadModel', () => {
+  test('keeps every update when one patient is updated in parallel', async () => {
+    const count = 60;
+
+    await Promise.all(shuffledConsensus(count).map(event => commandHandler.updateReadModel(event)));
+
+    expectAllApplied(count);
+  });
+
+  test('retries updates that conflict with another instance', async () => {
+    const count = 40;
+    const events = shuffledConsensus(count);
+    const local = events.slice(0, count / 2);
+    const remote = events.slice(count / 2);
+
+    const otherInstance = (async () => {
+      for (const event of remote) {
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 10));
+        applyElsewhere(event);
+      }
+    })();
+
+    await Promise.all([otherInstance, ...local.map(event => commandHandler.updateReadModel(event))]);
+
+    expectAllApplied(count);
+  });
+
+  test('gives up after READ_MODEL_MAX_ATTEMPTS conflicting saves', async () => {
+    await commandHandler.updateReadModel(consensus(0));
+
+    // Another instance saves an update between every read and save of this one
+    const save = EWSReadModel.prototype.save.getMockImplementation();
+    EWSReadModel.prototype.save.mockClear();
+    EWSReadModel.prototype.save.mockImplementation(async function () {
+      readModels[0] = { ...readModels[0], __v: readModels[0].__v + 1 };
+      return save.call(this);
+    });
+
+    await expect(commandHandler.updateReadModel(consensus(1))).rejects.toThrow(mongoose.Error.VersionError);
+    expect(EWSReadModel.prototype.save).toHaveBeenCalledTimes(10);
+
+    // The failed update does not block the next one
+    EWSReadModel.prototype.save.mockImplementation(save);
+    await expect(commandHandler.updateReadModel(consensus(2))).resolves.toBeDefined();
+    expect(readModels[0].consensusId).toBe('consensus-2');
+  });
+});
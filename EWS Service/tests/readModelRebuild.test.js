@@ -0,0 +1,204 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/outbox', () => ({
+  withTransaction: jest.fn(async work => work({})),
+  enqueue: jest.fn(async () => {})
+}));
+jest.mock('../services/alertService', () => ({
+  processEWSAlert: jest.fn(async () => {}),
+  processTrendAlert: jest.fn(async () => {})
+}));
+
+const { EWSScoreEvent, EWSConsensus, EWSReadModel, EWSReadModelRebuild } = require('../models/ews');
+const { ProjectionCheckpoint } = require('../models/projection');
+const commandHandler = require('../services/commandHandler');
+const projectionRunner = require('../services/projectionRunner');
+const readModelProjection = require('../services/readModelProjection');
+const scoringModels = require('../utils/scoringModels');
+const { logger } = require('../utils/logger');
+const { mockModel } = require('./helpers/memoryModels');
+
+const PATIENTS = ['patient-1', 'patient-2', 'patient-3'];
+const START = Date.UTC(2024, 0, 1, 8, 0, 0);
+
+let readModels;
+let rebuiltModels;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockModel(EWSScoreEvent);
+  mockModel(EWSConsensus);
+  readModels = mockModel(EWSReadModel, { unique: ['patientId'] });
+  rebuiltModels = mockModel(EWSReadModelRebuild, { unique: ['patientId'] });
+  mockModel(ProjectionCheckpoint, { unique: ['projection'] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Pick a random element
+ * @param {Array} items - Elements
+ * @returns {*} One of them
+ */
+const pick = items => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * Submit calculations for every patient, hourly timepoints in random arrival order
+ * Each timepoint is scored by one to three nodes, so some consensus rounds
+ * are valid and some are not, and later rounds replace earlier ones.
+ * @param {Number} hours - Timepoints per patient
+ * @param {Number} firstHour - Hour of the first timepoint
+ * @returns {Promise<void>}
+ */
+const calculateScores = async (hours, firstHour = 0) => {
+  const commands = [];
+
+  PATIENTS.forEach(patientId => {
+    for (let hour = firstHour; hour < firstHour + hours; hour++) {
+      const nodes = 1 + Math.floor(Math.random() * 3);
+      for (let node = 1; node <= nodes; node++) {
+        commands.push({
+          patientId,
+          nodeId: `node-${node}`,
+          timestamp: new Date(START + hour * 60 * 60 * 1000),
+          vitalSigns: {
+            respiratoryRate: 12 + Math.floor(Math.random() * 16),
+            oxygenSaturation: 90 + Math.floor(Math.random() * 10),
+            temperature: 36 + Math.random() * 3,
+            systolicBP: 90 + Math.floor(Math.random() * 60),
+            heartRate: 50 + Math.floor(Math.random() * 80),
+            consciousness: pick(['Alert', 'Alert', 'Alert', 'Voice'])
+          },
+          scoring: { model: scoringModels.getModel('NEWS2'), spo2Scale: 1, modelSource: 'default' }
+        });
+      }
+    }
+  });
+
+  commands.sort(() => Math.random() - 0.5);
+  for (const command of commands) {
+    await commandHandler.handleCalculateEWSCommand(command);
+  }
+};
+
+/**
+ * Correct and countersign some of the current scores, as clinicians would
+ * @param {Number} count - Number of clinician commands
+ * @returns {Promise<void>}
+ */
+const reviewScores = async (count) => {
+  for (let index = 0; index < count; index++) {
+    // Scores that were corrected can no longer be reviewed
+    const stored = await EWSConsensus.find({}).lean();
+    const corrected = new Set(stored.map(consensus => consensus.supersedes).filter(Boolean));
+    const { consensusId } = pick(stored.filter(consensus => !corrected.has(consensus.consensusId)));
+
+    if (Math.random() < 0.5) {
+      await commandHandler.handleUpdateEWSCommand({
+        consensusId,
+        vitalSigns: { heartRate: 40 + Math.floor(Math.random() * 100) },
+        clinicianId: 'dr-house',
+        reason: 'Monitor artefact'
+      });
+    } else {
+      await commandHandler.handleValidateEWSCommand({ consensusId, clinicianId: 'dr-grey' });
+    }
+  }
+};
+
+/**
+ * Run a rebuild and wait until it finishes
+ * @param {Object} options - Rebuild options
+ * @returns {Promise<Object>} The finished checkpoint
+ */
+const rebuild = async (options) => {
+  await projectionRunner.startRebuild({ batchSize: 7, ...options });
+
+  for (;;) {
+    const status = await projectionRunner.getStatus();
+    if (status.status !== 'running') return status;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+/**
+ * Compare the rebuilt read models with the live ones
+ * @returns {Array<Object>} Patients whose read models differ, with the fields
+ */
+const divergentPatients = () => {
+  return PATIENTS.map(patientId => {
+    const rebuilt = rebuiltModels.find(readModel => readModel.patientId === patientId);
+    const live = readModels.find(readModel => readModel.patientId === patientId);
+    return { patientId, fields: readModelProjection.diffStates(readModelProjection.toState(rebuilt), readModelProjection.toState(live)) };
+  }).filter(({ fields }) => fields.length > 0);
+};
+
+describe('read model rebuild', () => {
+  test('rebuilds the same read models as the live projection', async () => {
+    await calculateScores(8);
+    await reviewScores(10);
+    expect(logger.error).not.toHaveBeenCalled();
+
+    const checkpoint = await rebuild({ dryRun: true });
+
+    expect(checkpoint.status).toBe('completed');
+    expect(checkpoint.processed).toBe(await EWSConsensus.countDocuments({}));
+    expect(divergentPatients()).toEqual([]);
+    expect(checkpoint.divergence).toMatchObject({ compared: 3, divergent: 0, missing: 0, extra: 0, conflicts: 0 });
+  });
+
+  test('reports and replaces divergent and missing read models', async () => {
+    await calculateScores(5);
+    await reviewScores(4);
+
+    const damaged = readModels.find(readModel => readModel.patientId === 'patient-1');
+    damaged.scoreHistory.pop();
+    readModels.splice(readModels.findIndex(readModel => readModel.patientId === 'patient-2'), 1);
+
+    const dryRun = await rebuild({ dryRun: true });
+    expect(dryRun.divergence).toMatchObject({ compared: 3, divergent: 1, missing: 1 });
+    expect(dryRun.divergence.samples.map(sample => sample.patientId).sort()).toEqual(['patient-1', 'patient-2']);
+    expect(readModels).toHaveLength(2);
+
+    const repaired = await rebuild();
+    expect(repaired.divergence).toMatchObject({ compared: 3, divergent: 1, missing: 1, conflicts: 0 });
+    expect(divergentPatients()).toEqual([]);
+  });
+
+  test('reports divergence in any projected field', async () => {
+    await calculateScores(3);
+
+    const [first, second, third] = PATIENTS.map(patientId => readModels.find(readModel => readModel.patientId === patientId));
+    first.vitalSigns = { ...first.vitalSigns, heartRate: 300 };
+    first.scoreComponents = { ...first.scoreComponents, heartRate: 3 };
+    second.redFlags = [...second.redFlags, 'heartRate'];
+    second.imputedVitals = ['consciousness'];
+    third.scoringModel = { id: 'MEWS', version: '2001' };
+    third.consensusId = 'another-consensus';
+
+    const dryRun = await rebuild({ dryRun: true });
+    expect(dryRun.divergence).toMatchObject({ compared: 3, divergent: 3 });
+    expect(divergentPatients()).toEqual([
+      { patientId: 'patient-1', fields: ['vitalSigns', 'scoreComponents'] },
+      { patientId: 'patient-2', fields: ['imputedVitals', 'redFlags'] },
+      { patientId: 'patient-3', fields: ['scoringModel', 'consensusId'] }
+    ]);
+
+    await rebuild();
+    expect(divergentPatients()).toEqual([]);
+  });
+
+  test('catches up from the checkpoint with the events stored since', async () => {
+    await calculateScores(4);
+    const first = await rebuild({ dryRun: true });
+
+    await calculateScores(3, 4);
+    await reviewScores(3);
+    const resumed = await rebuild({ fromCheckpoint: true, dryRun: true });
+
+    expect(resumed.processed).toBe(await EWSConsensus.countDocuments({}));
+    expect(resumed.processed).toBeGreaterThan(first.processed);
+    expect(divergentPatients()).toEqual([]);
+  });
+});
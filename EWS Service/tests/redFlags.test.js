@@ -0,0 +1,84 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const ewsCalculator = require('../utils/ewsCalculator');
+const { determineAlertType } = require('../services/alertService');
+const { analyzeTrend } = require('../utils/trendDetector');
+
+// A patient scoring 0 on every parameter
+const VITALS = {
+  respiratoryRate: 16,
+  oxygenSaturation: 97,
+  supplementalOxygen: false,
+  temperature: 37,
+  systolicBP: 120,
+  heartRate: 70,
+  consciousness: 'Alert'
+};
+
+// Total of 3 from a single parameter: responds only to voice
+const RED_FLAG = { ...VITALS, consciousness: 'Voice' };
+// Total of 3 from three parameters scoring 1
+const SPREAD = { ...VITALS, respiratoryRate: 10, temperature: 38.5, heartRate: 95 };
+
+/**
+ * Node score of a calculation, as consensus is determined from
+ * @param {Object} vitalSigns - Vital signs
+ * @param {String} nodeId - Node that calculated the score
+ * @returns {Object} The node score
+ */
+const nodeScore = (vitalSigns, nodeId) => ({
+  nodeId,
+  timestamp: new Date(Date.UTC(2024, 0, 1, 8)),
+  ...ewsCalculator.calculateEWS(vitalSigns)
+});
+
+describe('a single parameter scoring 3', () => {
+  test('raises a low total to Low-Medium risk', () => {
+    const redFlag = ewsCalculator.calculateEWS(RED_FLAG);
+    const spread = ewsCalculator.calculateEWS(SPREAD);
+
+    expect(redFlag).toMatchObject({ totalScore: 3, redFlags: ['consciousness'], clinicalRisk: 'Low-Medium' });
+    expect(spread).toMatchObject({ totalScore: 3, redFlags: [], clinicalRisk: 'Low' });
+  });
+
+  test('does not lower the risk of a high total', () => {
+    const result = ewsCalculator.calculateEWS({ ...RED_FLAG, respiratoryRate: 22, heartRate: 115 });
+
+    expect(result).toMatchObject({ totalScore: 7, clinicalRisk: 'High', redFlags: ['consciousness'] });
+  });
+
+  test('keeps the Low-Medium risk through consensus', () => {
+    const consensus = ewsCalculator.determineConsensus([nodeScore(RED_FLAG, 'node-1'), nodeScore(RED_FLAG, 'node-2')]);
+
+    expect(consensus).toMatchObject({ consensusScore: 3, consensusMethod: 'majority', clinicalRisk: 'Low-Medium', redFlags: ['consciousness'] });
+  });
+
+  test('keeps a red flag from any node when the nodes only agree on the average', () => {
+    const consensus = ewsCalculator.determineConsensus([
+      nodeScore(RED_FLAG, 'node-1'),
+      nodeScore({ ...VITALS, heartRate: 95, temperature: 38.5 }, 'node-2')
+    ]);
+
+    expect(consensus).toMatchObject({ consensusMethod: 'average', clinicalRisk: 'Low-Medium', redFlags: ['consciousness'] });
+  });
+
+  test('raises an urgent review alert instead of an elevated score alert', () => {
+    const alert = consensus => determineAlertType({ validConsensus: true, consensusScore: 3, ...consensus });
+
+    expect(alert({ clinicalRisk: 'Low-Medium', redFlags: ['consciousness'] })).toMatchObject({
+      requiresAlert: true,
+      alertType: 'EWS_RED_FLAG',
+      alertSeverity: 'MEDIUM'
+    });
+    expect(alert({ clinicalRisk: 'Low', redFlags: [] })).toMatchObject({ alertType: 'EWS_ELEVATED', alertSeverity: 'LOW' });
+  });
+
+  test('counts as a move up a risk band', () => {
+    const trend = analyzeTrend([
+      { timestamp: new Date(Date.UTC(2024, 0, 1, 8)), score: 3, clinicalRisk: 'Low', scoringModel: 'NEWS2' },
+      { timestamp: new Date(Date.UTC(2024, 0, 1, 9)), score: 3, clinicalRisk: 'Low-Medium', scoringModel: 'NEWS2' }
+    ]);
+
+    expect(trend).toMatchObject({ scoreRise: false, riskRise: true });
+  });
+});
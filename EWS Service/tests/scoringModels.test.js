@@ -0,0 +1,156 @@
+const fc = require('fast-check');
+const scoringModels = require('../utils/scoringModels');
+const ewsCalculator = require('../utils/ewsCalculator');
+
+// Vital signs as doubles, from well outside the charted ranges down to
+// fractions between two charted limits
+const anyValue = fc.double({ min: -1000, max: 1000, noNaN: true });
+const RANGES = {
+  respiratoryRate: { min: 0, max: 70 },
+  oxygenSaturation: { min: 50, max: 100 },
+  temperature: { min: 25, max: 45 },
+  systolicBP: { min: 40, max: 300 },
+  heartRate: { min: 0, max: 250 }
+};
+
+const VITALS = {
+  respiratoryRate: 16,
+  oxygenSaturation: 98,
+  supplementalOxygen: false,
+  temperature: 37,
+  systolicBP: 120,
+  heartRate: 70,
+  consciousness: 'Alert'
+};
+
+/**
+ * Find the bands a value falls in, by the lower and upper limit of each band
+ * @param {Array} bands - Band table
+ * @param {Number} value - Measured value
+ * @returns {Array} The matching bands
+ */
+const matchingBands = (bands, value) => {
+  return bands.filter((band, index) => {
+    const aboveLower = index === 0 || value > bands[index - 1].upTo;
+    const belowUpper = band.upTo === undefined || value <= band.upTo;
+    return aboveLower && belowUpper;
+  });
+};
+
+/**
+ * List every band table of a model, with the context it is scored in
+ * @param {Object} model - Scoring model
+ * @returns {Array<Object>} vital, label, bands and calculateEWS options
+ */
+const bandTables = (model) => {
+  const tables = [];
+
+  Object.keys(model.parameters).forEach(vital => {
+    const parameter = model.parameters[vital];
+    if (!parameter.bands) return;
+
+    tables.push({ vital, label: `${model.id} ${vital}`, bands: parameter.bands, spo2Scale: 1, onOxygen: false });
+    Object.keys(parameter.scales || {}).forEach(scale => {
+      tables.push({ vital, label: `${model.id} ${vital} scale ${scale} on air`, bands: parameter.scales[scale].air, spo2Scale: Number(scale), onOxygen: false });
+      tables.push({ vital, label: `${model.id} ${vital} scale ${scale} on oxygen`, bands: parameter.scales[scale].oxygen, spo2Scale: Number(scale), onOxygen: true });
+    });
+  });
+
+  return tables;
+};
+
+const tables = scoringModels.listModels().flatMap(model => bandTables(model).map(table => ({ ...table, model })));
+
+describe('band tables', () => {
+  test.each(tables.map(table => [table.label, table]))('%s maps every real value to exactly one band', (label, table) => {
+    const range = RANGES[table.vital] || { min: -1000, max: 1000 };
+    const values = fc.oneof(anyValue, fc.double({ ...range, noNaN: true }));
+
+    fc.assert(fc.property(values, value => {
+      const matches = matchingBands(table.bands, value);
+      expect(matches).toHaveLength(1);
+
+      const { scoreComponents } = ewsCalculator.calculateEWS(
+        { ...VITALS, supplementalOxygen: table.onOxygen, [table.vital]: value },
+        { model: table.model, spo2Scale: table.spo2Scale }
+      );
+      expect(scoreComponents[table.vital]).toBe(matches[0].score);
+    }));
+  });
+
+  test.each(tables.map(table => [table.label, table]))('%s scores the limits and the values just above them', (label, table) => {
+    table.bands.slice(0, -1).forEach((band, index) => {
+      expect(matchingBands(table.bands, band.upTo)).toEqual([band]);
+      expect(matchingBands(table.bands, band.upTo + 0.05)).toEqual([table.bands[index + 1]]);
+    });
+  });
+});
+
+describe('NEWS2 values between two charted ranges', () => {
+  const score = (vital, value) => ewsCalculator.calculateEWS({ ...VITALS, [vital]: value }, { model: 'NEWS2' }).scoreComponents[vital];
+
+  test.each([
+    ['temperature', 35.05, 1],
+    ['temperature', 36.05, 0],
+    ['temperature', 38.05, 1],
+    ['temperature', 39.05, 2],
+    ['respiratoryRate', 8.5, 1],
+    ['respiratoryRate', 11.5, 0],
+    ['respiratoryRate', 20.5, 2],
+    ['respiratoryRate', 24.5, 3],
+    ['heartRate', 40.5, 1],
+    ['heartRate', 50.5, 0],
+    ['heartRate', 90.5, 1],
+    ['heartRate', 110.5, 2],
+    ['heartRate', 130.5, 3],
+    ['systolicBP', 90.5, 2],
+    ['systolicBP', 100.5, 1],
+    ['systolicBP', 110.5, 0],
+    ['systolicBP', 219.5, 3],
+    ['oxygenSaturation', 91.5, 2],
+    ['oxygenSaturation', 93.5, 1],
+    ['oxygenSaturation', 95.5, 0]
+  ])('%s of %d scores %d', (vital, value, expected) => {
+    expect(score(vital, value)).toBe(expected);
+  });
+
+  test('the charted limits keep their published scores', () => {
+    expect(score('temperature', 35.0)).toBe(3);
+    expect(score('temperature', 36.0)).toBe(1);
+    expect(score('respiratoryRate', 24)).toBe(2);
+    expect(score('respiratoryRate', 25)).toBe(3);
+    expect(score('heartRate', 90)).toBe(0);
+    expect(score('systolicBP', 219)).toBe(0);
+    expect(score('systolicBP', 220)).toBe(3);
+  });
+});
+
+describe('validateModel', () => {
+  const model = {
+    id: 'LOCAL',
+    version: '1',
+    source: 'Local chart',
+    requiredVitals: ['heartRate'],
+    riskThresholds: [{ minScore: 1, risk: 'Low-Medium' }]
+  };
+
+  test('rejects band tables with a gap or an overlap', () => {
+    fc.assert(fc.property(
+      fc.array(fc.integer({ min: 0, max: 300 }), { minLength: 2, maxLength: 8 }),
+      limits => {
+        const bands = [...limits.map(upTo => ({ upTo, score: 0 })), { score: 0 }];
+        const ascending = limits.every((limit, index) => index === 0 || limit > limits[index - 1]);
+        const errors = scoringModels.validateModel({ ...model, parameters: { heartRate: { bands } } });
+        expect(errors.length === 0).toBe(ascending);
+      }
+    ));
+  });
+
+  test('rejects a last band with an upper limit', () => {
+    const errors = scoringModels.validateModel({
+      ...model,
+      parameters: { heartRate: { bands: [{ upTo: 50, score: 1 }, { upTo: 200, score: 0 }] } }
+    });
+    expect(errors.map(error => error.field)).toEqual(['parameters.heartRate.bands[1]']);
+  });
+});
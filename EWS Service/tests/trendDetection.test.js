@@ -0,0 +1,213 @@
+jest.mock('../utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+jest.mock('../services/outbox', () => ({
+  withTransaction: jest.fn(async (work) => work({})),
+  enqueue: jest.fn(async () => {})
+}));
+jest.mock('../services/eventBus', () => ({ PRODUCER: 'ews-service' }));
+jest.mock('../services/alertService', () => ({
+  processEWSAlert: jest.fn(async () => {}),
+  processTrendAlert: jest.fn(async () => {})
+}));
+
+const axios = require('axios');
+const express = require('express');
+const { EWSScoreEvent, EWSConsensus, EWSReadModel } = require('../models/ews');
+const commandHandler = require('../services/commandHandler');
+const alertService = require('../services/alertService');
+const scoringModels = require('../utils/scoringModels');
+const { analyzeTrend } = require('../utils/trendDetector');
+const queryRoutes = require('../routes/queries');
+const { mockModel } = require('./helpers/memoryModels');
+
+const START = Date.UTC(2024, 0, 1, 8);
+const MINUTE = 60 * 1000;
+
+// A patient scoring 0 on every parameter
+const VITALS = {
+  respiratoryRate: 16,
+  oxygenSaturation: 97,
+  temperature: 37,
+  systolicBP: 120,
+  heartRate: 70,
+  consciousness: 'Alert'
+};
+
+/**
+ * Build a score history of NEWS2 scores
+ * @param {Array<Array>} entries - [minutes after START, score, clinical risk] per score
+ * @returns {Array<Object>} Score history entries
+ */
+const history = (entries) => entries.map(([minutes, score, clinicalRisk = 'Low']) => ({
+  timestamp: new Date(START + minutes * MINUTE),
+  score,
+  clinicalRisk,
+  scoringModel: 'NEWS2'
+}));
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('analyzeTrend', () => {
+  test('reports a rise of 2 points within an hour', () => {
+    const trend = analyzeTrend(history([[0, 1], [20, 2], [50, 3]]));
+
+    expect(trend).toMatchObject({
+      currentScore: 3,
+      baseline: { score: 1 },
+      scoreChange: 2,
+      scoreRise: true,
+      riskRise: false,
+      deteriorating: true,
+      points: 3
+    });
+  });
+
+  test('ignores a rise spread over more than the window', () => {
+    const trend = analyzeTrend(history([[0, 1], [45, 2], [90, 3]]));
+
+    expect(trend).toMatchObject({ baseline: { score: 2 }, scoreChange: 1, deteriorating: false });
+  });
+
+  test('does not report a plateau after a rise again', () => {
+    const trend = analyzeTrend(history([[0, 1], [20, 3], [40, 3]]));
+
+    expect(trend).toMatchObject({ scoreChange: 2, scoreRise: false, deteriorating: false });
+  });
+
+  test('reports a move up a risk band however small the rise', () => {
+    const trend = analyzeTrend(history([[0, 4, 'Low'], [20, 5, 'Medium']]));
+
+    expect(trend).toMatchObject({ scoreChange: 1, scoreRise: false, riskRise: true, deteriorating: true });
+  });
+
+  test('only compares scores of the same scoring model', () => {
+    const entries = history([[0, 1], [20, 3]]);
+    entries[0].scoringModel = 'MEWS';
+
+    expect(analyzeTrend(entries)).toMatchObject({ baseline: null, previous: null, deteriorating: false });
+  });
+
+  test('takes the window and the rise from the options', () => {
+    const entries = history([[0, 1], [90, 2]]);
+
+    expect(analyzeTrend(entries).deteriorating).toBe(false);
+    expect(analyzeTrend(entries, { windowMs: 120 * MINUTE, scoreRise: 1 })).toMatchObject({ scoreRise: true, windowMs: 120 * MINUTE });
+  });
+
+  test('needs a score history', () => {
+    expect(analyzeTrend([])).toBeNull();
+  });
+});
+
+describe('consensus scores', () => {
+  /**
+   * Calculate a score from a single node
+   * @param {Number} minutes - Minutes after START
+   * @param {Object} vitalSigns - Vital signs that differ from VITALS
+   * @returns {Promise<Object>} The created event
+   */
+  const calculate = (minutes, vitalSigns = {}) => commandHandler.handleCalculateEWSCommand({
+    patientId: 'patient-1',
+    nodeId: 'node-1',
+    timestamp: new Date(START + minutes * MINUTE),
+    vitalSigns: { ...VITALS, ...vitalSigns },
+    scoring: { model: scoringModels.getModel('NEWS2'), spo2Scale: 1, modelSource: 'default' }
+  });
+
+  beforeEach(() => {
+    mockModel(EWSScoreEvent);
+    mockModel(EWSConsensus);
+    mockModel(EWSReadModel, { unique: ['patientId'] });
+  });
+
+  test('raise a deterioration alert while the score is below the alert thresholds', async () => {
+    await calculate(0);
+    await calculate(30, { heartRate: 95, temperature: 38.5 });
+
+    expect(alertService.processEWSAlert).not.toHaveBeenCalled();
+    expect(alertService.processTrendAlert).toHaveBeenCalledTimes(1);
+    const [consensus, trend] = alertService.processTrendAlert.mock.calls[0];
+    expect(consensus).toMatchObject({ patientId: 'patient-1', consensusScore: 2 });
+    expect(trend).toMatchObject({ currentScore: 2, scoreChange: 2, scoreRise: true, riskRise: false });
+  });
+
+  test('raise no deterioration alert while the score is stable', async () => {
+    await calculate(0, { heartRate: 95 });
+    await calculate(30, { heartRate: 95 });
+
+    expect(alertService.processTrendAlert).not.toHaveBeenCalled();
+  });
+});
+
+describe('processTrendAlert', () => {
+  const { processTrendAlert } = jest.requireActual('../services/alertService');
+
+  test('sends a deterioration alert with the reasons and the trend', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { success: true } });
+    const trend = analyzeTrend(history([[0, 3, 'Low'], [30, 5, 'Medium']]));
+
+    await processTrendAlert({
+      patientId: 'patient-1',
+      consensusId: 'consensus-1',
+      consensusScore: 5,
+      clinicalRisk: 'Medium',
+      consensusTimestamp: new Date(START + 30 * MINUTE)
+    }, trend, 'correlation-1');
+
+    const [, alert, config] = axios.post.mock.calls[0];
+    expect(alert).toMatchObject({
+      patientId: 'patient-1',
+      alertType: 'EWS_DETERIORATING',
+      alertSeverity: 'MEDIUM',
+      consensusId: 'consensus-1',
+      message: 'Deteriorating patient: EWS rose from 3 to 5 within 60 minutes, clinical risk rose from Low to Medium - Review the patient',
+      ewsData: { ewsScore: 5, trend }
+    });
+    expect(config.headers).toEqual({ 'X-Correlation-ID': 'correlation-1' });
+  });
+});
+
+describe('GET /api/query/patient/{patientId}/trend', () => {
+  let server = null;
+  let baseUrl;
+
+  /**
+   * Get the trend of a patient
+   * @param {String} query - Query string
+   * @returns {Promise<Object>} The response
+   */
+  const getTrend = (query = '') => axios.get(`${baseUrl}/api/query/patient/patient-1/trend${query}`, { validateStatus: () => true });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/query', queryRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('returns the trend of the score history', async () => {
+    jest.spyOn(EWSReadModel, 'findOne').mockResolvedValue({ patientId: 'patient-1', scoreHistory: history([[0, 1], [90, 2]]) });
+
+    const defaults = await getTrend();
+    const wider = await getTrend('?windowMinutes=120&scoreRise=1');
+
+    expect(defaults.status).toBe(200);
+    expect(defaults.data.data).toMatchObject({ windowMs: 60 * MINUTE, scoreRiseThreshold: 2, deteriorating: false });
+    expect(wider.data.data).toMatchObject({ windowMs: 120 * MINUTE, scoreRiseThreshold: 1, scoreRise: true });
+  });
+
+  test('answers 404 for a patient without scores', async () => {
+    jest.spyOn(EWSReadModel, 'findOne').mockResolvedValue(null);
+
+    expect((await getTrend()).status).toBe(404);
+  });
+});
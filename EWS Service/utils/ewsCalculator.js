@@ -4,115 +4,128 @@
  * and implements RAFT consensus for score agreement between nodes.
  */
 
+const scoringModels = require('./scoringModels');
+
+// NEWS2 SpO2 scales: Scale 1 by default, Scale 2 for patients with
+// hypercapnic respiratory failure and a prescribed target of 88-92%
+const SPO2_SCALES = [1, 2];
+
 /**
- * Calculate EWS score based on vital signs
- * Using the National Early Warning Score (NEWS) 2 standard
- * @param {Object} vitalSigns - Object containing vital sign measurements
- * @returns {Object} Calculated scores and risk assessment
+ * Score a value on a band table
+ * @param {Array} bands - Contiguous { upTo, score } bands, the last one open-ended
+ * @param {Number} value - Measured value
+ * @returns {Number} Score of the band the value falls in, 0 if there is no value
  */
-const calculateEWS = (vitalSigns) => {
-  // Initialize score components
-  const scoreComponents = {
-    respiratoryRate: 0,
-    oxygenSaturation: 0,
-    temperature: 0,
-    systolicBP: 0,
-    heartRate: 0,
-    consciousness: 0
-  };
-  
-  // Respiratory rate (breaths per minute)
-  if (vitalSigns.respiratoryRate <= 8) {
-    scoreComponents.respiratoryRate = 3;
-  } else if (vitalSigns.respiratoryRate >= 9 && vitalSigns.respiratoryRate <= 11) {
-    scoreComponents.respiratoryRate = 1;
-  } else if (vitalSigns.respiratoryRate >= 12 && vitalSigns.respiratoryRate <= 20) {
-    scoreComponents.respiratoryRate = 0;
-  } else if (vitalSigns.respiratoryRate >= 21 && vitalSigns.respiratoryRate <= 24) {
-    scoreComponents.respiratoryRate = 2;
-  } else if (vitalSigns.respiratoryRate >= 25) {
-    scoreComponents.respiratoryRate = 3;
+const scoreBands = (bands, value) => {
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return 0;
   }
   
-  // Oxygen saturation (%)
-  if (vitalSigns.oxygenSaturation <= 91) {
-    scoreComponents.oxygenSaturation = 3;
-  } else if (vitalSigns.oxygenSaturation >= 92 && vitalSigns.oxygenSaturation <= 93) {
-    scoreComponents.oxygenSaturation = 2;
-  } else if (vitalSigns.oxygenSaturation >= 94 && vitalSigns.oxygenSaturation <= 95) {
-    scoreComponents.oxygenSaturation = 1;
-  } else if (vitalSigns.oxygenSaturation >= 96) {
-    scoreComponents.oxygenSaturation = 0;
-  }
-  
-  // Temperature (°C)
-  if (vitalSigns.temperature <= 35.0) {
-    scoreComponents.temperature = 3;
-  } else if (vitalSigns.temperature >= 35.1 && vitalSigns.temperature <= 36.0) {
-    scoreComponents.temperature = 1;
-  } else if (vitalSigns.temperature >= 36.1 && vitalSigns.temperature <= 38.0) {
-    scoreComponents.temperature = 0;
-  } else if (vitalSigns.temperature >= 38.1 && vitalSigns.temperature <= 39.0) {
-    scoreComponents.temperature = 1;
-  } else if (vitalSigns.temperature >= 39.1) {
-    scoreComponents.temperature = 2;
-  }
-  
-  // Systolic blood pressure (mmHg)
-  if (vitalSigns.systolicBP <= 90) {
-    scoreComponents.systolicBP = 3;
-  } else if (vitalSigns.systolicBP >= 91 && vitalSigns.systolicBP <= 100) {
-    scoreComponents.systolicBP = 2;
-  } else if (vitalSigns.systolicBP >= 101 && vitalSigns.systolicBP <= 110) {
-    scoreComponents.systolicBP = 1;
-  } else if (vitalSigns.systolicBP >= 111 && vitalSigns.systolicBP <= 219) {
-    scoreComponents.systolicBP = 0;
-  } else if (vitalSigns.systolicBP >= 220) {
-    scoreComponents.systolicBP = 3;
+  return bands.find(band => band.upTo === undefined || value <= band.upTo).score;
+};
+
+/**
+ * Score one parameter of a scoring model
+ * @param {Object} parameter - Parameter definition of the model
+ * @param {*} value - Measured value
+ * @param {Object} context - spo2Scale and onOxygen, for parameters with scales
+ * @returns {Number} Score for the parameter
+ */
+const scoreParameter = (parameter, value, context) => {
+  if (parameter.values) {
+    const score = parameter.values[String(value)];
+    return typeof score === 'number' ? score : 0;
   }
-  
-  // Heart rate (beats per minute)
-  if (vitalSigns.heartRate <= 40) {
-    scoreComponents.heartRate = 3;
-  } else if (vitalSigns.heartRate >= 41 && vitalSigns.heartRate <= 50) {
-    scoreComponents.heartRate = 1;
-  } else if (vitalSigns.heartRate >= 51 && vitalSigns.heartRate <= 90) {
-    scoreComponents.heartRate = 0;
-  } else if (vitalSigns.heartRate >= 91 && vitalSigns.heartRate <= 110) {
-    scoreComponents.heartRate = 1;
-  } else if (vitalSigns.heartRate >= 111 && vitalSigns.heartRate <= 130) {
-    scoreComponents.heartRate = 2;
-  } else if (vitalSigns.heartRate >= 131) {
-    scoreComponents.heartRate = 3;
+
+  const scale = parameter.scales && parameter.scales[context.spo2Scale];
+  if (scale) {
+    return scoreBands(context.onOxygen ? scale.oxygen : scale.air, value);
   }
+
+  return scoreBands(parameter.bands, value);
+};
+
+/**
+ * Calculate EWS score based on vital signs
+ * Uses the bands of a scoring model from the registry, NEWS2 unless another
+ * model is chosen.
+ * @param {Object} vitalSigns - Object containing vital sign measurements
+ * @param {Object} options - Scoring options
+ * @param {String|Object} options.model - Scoring model or its ID (default model if omitted)
+ * @param {Number} options.spo2Scale - SpO2 scale to use (1 or 2, default 1)
+ * @returns {Object} Calculated scores and risk assessment
+ */
+const calculateEWS = (vitalSigns, options = {}) => {
+  const model = resolveModel(options.model);
+  const spo2Scale = SPO2_SCALES.includes(options.spo2Scale) ? options.spo2Scale : 1;
+  const context = {
+    spo2Scale,
+    onOxygen: vitalSigns.supplementalOxygen === true
+  };
   
-  // Consciousness (AVPU scale)
-  if (vitalSigns.consciousness === 'Alert') {
-    scoreComponents.consciousness = 0;
-  } else if (['Voice', 'Pain', 'Unresponsive'].includes(vitalSigns.consciousness)) {
-    scoreComponents.consciousness = 3;
-  }
+  // Score each parameter of the model
+  const scoreComponents = {};
+  Object.keys(model.parameters).forEach(vital => {
+    const value = vital === 'supplementalOxygen' ? context.onOxygen : vitalSigns[vital];
+    scoreComponents[vital] = scoreParameter(model.parameters[vital], value, context);
+  });
   
   // Calculate total score
   const totalScore = Object.values(scoreComponents).reduce((sum, score) => sum + score, 0);
   
+  // Parameters scoring enough on their own to need an urgent review
+  const redFlags = typeof model.redFlagScore === 'number'
+    ? Object.keys(scoreComponents).filter(component => scoreComponents[component] >= model.redFlagScore)
+    : [];
+  
   // Determine clinical risk
-  let clinicalRisk = 'Low';
-  if (totalScore >= 7) {
-    clinicalRisk = 'High';
-  } else if (totalScore >= 5) {
-    clinicalRisk = 'Medium';
-  } else if (totalScore >= 1) {
-    clinicalRisk = 'Low-Medium';
-  }
+  const clinicalRisk = determineClinicalRisk(totalScore, redFlags, model);
   
   return {
     scoreComponents,
     totalScore,
-    clinicalRisk
+    clinicalRisk,
+    redFlags,
+    spo2Scale,
+    scoringModel: {
+      id: model.id,
+      version: model.version
+    }
   };
 };
 
+/**
+ * Get a scoring model from an ID or definition
+ * @param {String|Object} model - Scoring model or its ID
+ * @returns {Object} The model, or the default model if none is given
+ */
+const resolveModel = (model) => {
+  if (model && typeof model === 'object') {
+    return model;
+  }
+
+  if (model) {
+    const registered = scoringModels.getModel(model);
+    if (!registered) {
+      throw new Error(`Unknown scoring model: ${model}`);
+    }
+    return registered;
+  }
+
+  return scoringModels.getDefaultModel();
+};
+
+/**
+ * Collect the red-flag parameters reported by a group of node scores
+ * @param {Array} nodes - Node scores
+ * @returns {Array<String>} Red-flag parameters reported by any of the nodes
+ */
+const collectRedFlags = (nodes) => {
+  const redFlags = new Set();
+  nodes.forEach(node => (node.redFlags || []).forEach(flag => redFlags.add(flag)));
+  return Array.from(redFlags);
+};
+
 /**
  * Determine consensus on EWS scores from multiple nodes
  * @param {Array} nodeScores - Array of node scores with values and timestamps
@@ -124,8 +137,10 @@ const determineConsensus = (nodeScores, options = {}) => {
   const config = {
     timestampThreshold: 5000, // 5 seconds tolerance in timestamp differences
     scoreThreshold: 1, // Tolerance in score differences
+    model: null, // Scoring model the node scores were calculated with
     ...options
   };
+  const model = resolveModel(config.model);
   
   if (!nodeScores || nodeScores.length === 0) {
     return {
@@ -133,18 +148,22 @@ const determineConsensus = (nodeScores, options = {}) => {
       consensusTimestamp: null,
       validConsensus: false,
       consensusMethod: null,
-      clinicalRisk: null
+      clinicalRisk: null,
+      redFlags: []
     };
   }
   
   // If only one score, that's the consensus
   if (nodeScores.length === 1) {
+    const redFlags = collectRedFlags(nodeScores);
+    
     return {
       consensusScore: nodeScores[0].totalScore,
       consensusTimestamp: nodeScores[0].timestamp,
       validConsensus: true,
       consensusMethod: 'single',
-      clinicalRisk: nodeScores[0].clinicalRisk || determineClinicalRisk(nodeScores[0].totalScore)
+      clinicalRisk: nodeScores[0].clinicalRisk || determineClinicalRisk(nodeScores[0].totalScore, redFlags, model),
+      redFlags
     };
   }
   
@@ -160,12 +179,15 @@ const determineConsensus = (nodeScores, options = {}) => {
       return new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest;
     }, nodeScores[0]);
     
+    const redFlags = collectRedFlags([latestScore]);
+    
     return {
       consensusScore: latestScore.totalScore,
       consensusTimestamp: latestScore.timestamp,
       validConsensus: true,
       consensusMethod: 'latest',
-      clinicalRisk: latestScore.clinicalRisk || determineClinicalRisk(latestScore.totalScore)
+      clinicalRisk: latestScore.clinicalRisk || determineClinicalRisk(latestScore.totalScore, redFlags, model),
+      redFlags
     };
   }
   
@@ -212,6 +234,9 @@ const determineConsensus = (nodeScores, options = {}) => {
     const sum = nodeScores.reduce((total, node) => total + node.totalScore, 0);
     const avgScore = Math.round(sum / nodeScores.length);
     
+    // Without a majority, a red flag from any node is kept
+    const redFlags = collectRedFlags(nodeScores);
+    
     // Check if all scores are within threshold
     const allWithinThreshold = nodeScores.every(node => {
       return Math.abs(node.totalScore - avgScore) <= config.scoreThreshold;
@@ -224,7 +249,8 @@ const determineConsensus = (nodeScores, options = {}) => {
         consensusTimestamp: new Date(maxTimestamp),
         validConsensus: true,
         consensusMethod: 'average',
-        clinicalRisk: determineClinicalRisk(avgScore)
+        clinicalRisk: determineClinicalRisk(avgScore, redFlags, model),
+        redFlags
       };
     } else {
       // No consensus reached - mark as invalid
@@ -233,39 +259,50 @@ const determineConsensus = (nodeScores, options = {}) => {
         consensusTimestamp: new Date(maxTimestamp),
         validConsensus: false,
         consensusMethod: 'none',
-        clinicalRisk: determineClinicalRisk(avgScore)
+        clinicalRisk: determineClinicalRisk(avgScore, redFlags, model),
+        redFlags
       };
     }
   }
   
+  const redFlags = collectRedFlags(scoreGroups[majorityScore]);
+  
   // Return majority consensus
   return {
     consensusScore: majorityScore,
     consensusTimestamp: majorityTimestamp,
     validConsensus: true,
     consensusMethod: 'majority',
-    clinicalRisk: determineClinicalRisk(majorityScore)
+    clinicalRisk: determineClinicalRisk(majorityScore, redFlags, model),
+    redFlags
   };
 };
 
 /**
  * Determine clinical risk based on EWS score
+ * A red-flag parameter makes the risk at least the model's red-flag risk,
+ * whatever the total.
  * @param {Number} score - The EWS score
+ * @param {Array<String>} redFlags - Parameters scoring a red flag on their own
+ * @param {String|Object} model - Scoring model or its ID (default model if omitted)
  * @returns {String} Clinical risk level
  */
-const determineClinicalRisk = (score) => {
-  if (score >= 7) {
-    return 'High';
-  } else if (score >= 5) {
-    return 'Medium';
-  } else if (score >= 1) {
-    return 'Low-Medium';
-  } else {
-    return 'Low';
+const determineClinicalRisk = (score, redFlags = [], model) => {
+  const { riskThresholds, redFlagRisk } = resolveModel(model);
+  
+  const threshold = riskThresholds.find(candidate => score >= candidate.minScore);
+  const risk = threshold ? threshold.risk : 'Low';
+  
+  if (redFlags.length > 0 &&
+      scoringModels.RISK_LEVELS.indexOf(redFlagRisk) > scoringModels.RISK_LEVELS.indexOf(risk)) {
+    return redFlagRisk;
   }
+  
+  return risk;
 };
 
 module.exports = {
+  SPO2_SCALES,
   calculateEWS,
   determineConsensus,
   determineClinicalRisk
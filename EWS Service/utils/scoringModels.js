@@ -0,0 +1,331 @@
+/**
+ * Registry of early warning score models
+ * Each model declares the vital signs it needs, a band table per parameter and
+ * the total scores at which the clinical risk rises. The calculator only reads
+ * these tables, so a ward's local modification is a new entry, not new code.
+ * Every model names the published chart its bands are taken from.
+ *
+ * Only NEWS2 is built in. Paediatric and maternity charts differ between age
+ * groups and hospitals and have no single national table, so wards using one
+ * load the chart their unit approved from SCORING_MODELS_PATH, see
+ * scoringModels.example.json.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Vital signs of NEWS2, typed in the stored EWS events. A model may declare
+// other parameters, which are stored with the event as they were submitted.
+const VITAL_SIGNS = [
+  'respiratoryRate',
+  'oxygenSaturation',
+  'supplementalOxygen',
+  'temperature',
+  'systolicBP',
+  'heartRate',
+  'consciousness'
+];
+
+// Parameter names become field names of the stored vital signs
+const PARAMETER_NAME = /^[a-z][A-Za-z0-9]*$/;
+
+// Stored with the vital signs, but not a parameter a model can score
+const RESERVED_PARAMETERS = ['spo2Scale'];
+
+// Clinical risk levels, lowest first
+const RISK_LEVELS = ['Low', 'Low-Medium', 'Medium', 'High'];
+
+// Bands are contiguous thresholds in ascending order: a value falls in the first
+// band whose upTo it does not exceed, and the last band has no upTo. The upper
+// limits are those of the published charts, so a value between two charted
+// ranges (90.5 between 51-90 and 91-110) falls in the higher band.
+// Parameters scored on a category use values: { category: score } instead.
+
+const NEWS2 = {
+  id: 'NEWS2',
+  version: '2.0.1',
+  name: 'National Early Warning Score 2',
+  source: 'Royal College of Physicians. National Early Warning Score (NEWS) 2: Standardising the assessment of acute-illness severity in the NHS. London: RCP, 2017. Chart 1: The NEWS2 scoring system',
+  requiredVitals: ['respiratoryRate', 'oxygenSaturation', 'temperature', 'systolicBP', 'heartRate', 'consciousness'],
+  parameters: {
+    respiratoryRate: {
+      bands: [
+        { upTo: 8, score: 3 },
+        { upTo: 11, score: 1 },
+        { upTo: 20, score: 0 },
+        { upTo: 24, score: 2 },
+        { score: 3 }
+      ]
+    },
+    oxygenSaturation: {
+      bands: [
+        { upTo: 91, score: 3 },
+        { upTo: 93, score: 2 },
+        { upTo: 95, score: 1 },
+        { score: 0 }
+      ],
+      // SpO2 Scale 2, for hypercapnic respiratory failure with a target of 88-92%:
+      // high saturations only score while the patient is on oxygen
+      scales: {
+        2: {
+          air: [
+            { upTo: 83, score: 3 },
+            { upTo: 85, score: 2 },
+            { upTo: 87, score: 1 },
+            { score: 0 }
+          ],
+          oxygen: [
+            { upTo: 83, score: 3 },
+            { upTo: 85, score: 2 },
+            { upTo: 87, score: 1 },
+            { upTo: 92, score: 0 },
+            { upTo: 94, score: 1 },
+            { upTo: 96, score: 2 },
+            { score: 3 }
+          ]
+        }
+      }
+    },
+    supplementalOxygen: {
+      values: { true: 2, false: 0 }
+    },
+    temperature: {
+      bands: [
+        { upTo: 35.0, score: 3 },
+        { upTo: 36.0, score: 1 },
+        { upTo: 38.0, score: 0 },
+        { upTo: 39.0, score: 1 },
+        { score: 2 }
+      ]
+    },
+    systolicBP: {
+      bands: [
+        { upTo: 90, score: 3 },
+        { upTo: 100, score: 2 },
+        { upTo: 110, score: 1 },
+        { upTo: 219, score: 0 },
+        { score: 3 }
+      ]
+    },
+    heartRate: {
+      bands: [
+        { upTo: 40, score: 3 },
+        { upTo: 50, score: 1 },
+        { upTo: 90, score: 0 },
+        { upTo: 110, score: 1 },
+        { upTo: 130, score: 2 },
+        { score: 3 }
+      ]
+    },
+    consciousness: {
+      values: { Alert: 0, Voice: 3, Pain: 3, Unresponsive: 3 }
+    }
+  },
+  // Chart 2 (thresholds and triggers): a total of 0-4 is Low risk, but a red
+  // score of 3 in a single parameter is Low-medium and needs an urgent ward-based review
+  riskThresholds: [
+    { minScore: 7, risk: 'High' },
+    { minScore: 5, risk: 'Medium' }
+  ],
+  // A single parameter scoring this much raises the risk to redFlagRisk
+  redFlagScore: 3,
+  redFlagRisk: 'Low-Medium'
+};
+
+/**
+ * Validate a band table
+ * Every number must fall in exactly one band: upTo limits strictly ascending,
+ * and only the last band open-ended.
+ * @param {Array} bands - Bands to validate
+ * @param {String} field - Field name used in the errors
+ * @returns {Array} Field-level errors, empty if valid
+ */
+const validateBands = (bands, field) => {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return [{ field, message: `${field} must be a non-empty array of bands` }];
+  }
+
+  const errors = [];
+  bands.forEach((band, index) => {
+    const last = index === bands.length - 1;
+
+    if (!band || typeof band.score !== 'number') {
+      errors.push({ field: `${field}[${index}]`, message: `${field}[${index}] needs a numeric score` });
+    } else if (last && band.upTo !== undefined) {
+      errors.push({ field: `${field}[${index}]`, message: `The last band of ${field} must not have an upTo limit` });
+    } else if (!last && (typeof band.upTo !== 'number' || !isFinite(band.upTo))) {
+      errors.push({ field: `${field}[${index}]`, message: `${field}[${index}] needs a numeric upTo limit` });
+    } else if (!last && index > 0 && bands[index - 1] && !(band.upTo > bands[index - 1].upTo)) {
+      errors.push({ field: `${field}[${index}]`, message: `upTo limits of ${field} must be strictly ascending` });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate a scoring model definition
+ * @param {Object} model - Model definition
+ * @returns {Array} Field-level errors, empty if valid
+ */
+const validateModel = (model) => {
+  if (!model || typeof model !== 'object') {
+    return [{ field: 'model', message: 'A scoring model must be an object' }];
+  }
+
+  const errors = [];
+
+  if (typeof model.id !== 'string' || model.id.trim() === '') {
+    errors.push({ field: 'id', message: 'id is required' });
+  }
+
+  if (typeof model.version !== 'string' || model.version.trim() === '') {
+    errors.push({ field: 'version', message: 'version is required' });
+  }
+
+  if (typeof model.source !== 'string' || model.source.trim() === '') {
+    errors.push({ field: 'source', message: 'source is required, naming the published chart the bands are taken from' });
+  }
+
+  const parameters = model.parameters && typeof model.parameters === 'object' ? model.parameters : null;
+  if (!parameters) {
+    errors.push({ field: 'parameters', message: 'parameters is required' });
+  } else {
+    Object.keys(parameters).forEach(vital => {
+      const parameter = parameters[vital] || {};
+
+      if (!PARAMETER_NAME.test(vital) || RESERVED_PARAMETERS.includes(vital)) {
+        errors.push({ field: `parameters.${vital}`, message: `${vital} is not a valid parameter name, use letters and digits starting with a lowercase letter (not ${RESERVED_PARAMETERS.join(', ')})` });
+      } else if (parameter.values !== undefined) {
+        if (typeof parameter.values !== 'object' || !Object.values(parameter.values).every(score => typeof score === 'number')) {
+          errors.push({ field: `parameters.${vital}.values`, message: 'values must map each category to a numeric score' });
+        }
+      } else {
+        errors.push(...validateBands(parameter.bands, `parameters.${vital}.bands`));
+
+        Object.keys(parameter.scales || {}).forEach(scale => {
+          errors.push(...validateBands((parameter.scales[scale] || {}).air, `parameters.${vital}.scales.${scale}.air`));
+          errors.push(...validateBands((parameter.scales[scale] || {}).oxygen, `parameters.${vital}.scales.${scale}.oxygen`));
+        });
+      }
+    });
+  }
+
+  if (!Array.isArray(model.requiredVitals) ||
+      !model.requiredVitals.every(vital => parameters && Object.prototype.hasOwnProperty.call(parameters, vital))) {
+    errors.push({ field: 'requiredVitals', message: 'requiredVitals must list parameters of the model' });
+  }
+
+  if (!Array.isArray(model.riskThresholds) ||
+      !model.riskThresholds.every(threshold => threshold && typeof threshold.minScore === 'number' &&
+        RISK_LEVELS.includes(threshold.risk))) {
+    errors.push({
+      field: 'riskThresholds',
+      message: `riskThresholds must be an array of { minScore, risk } with risk one of: ${RISK_LEVELS.join(', ')}`
+    });
+  }
+
+  if (model.redFlagScore !== undefined && model.redFlagScore !== null && typeof model.redFlagScore !== 'number') {
+    errors.push({ field: 'redFlagScore', message: 'redFlagScore must be a number' });
+  }
+
+  if (model.redFlagRisk !== undefined && !RISK_LEVELS.includes(model.redFlagRisk)) {
+    errors.push({ field: 'redFlagRisk', message: `redFlagRisk must be one of: ${RISK_LEVELS.join(', ')}` });
+  }
+
+  return errors;
+};
+
+const registry = new Map();
+
+/**
+ * Add a scoring model to the registry, replacing a model with the same ID
+ * @param {Object} model - Model definition
+ * @returns {Object} The registered model
+ */
+const registerModel = (model) => {
+  const errors = validateModel(model);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid scoring model ${model && model.id}: ${errors.map(e => e.message).join('; ')}`);
+    error.name = 'ValidationError';
+    error.errors = errors;
+    throw error;
+  }
+
+  // Highest threshold first, so the first match is the risk
+  const registered = {
+    redFlagScore: null,
+    redFlagRisk: 'Low-Medium',
+    ...model,
+    riskThresholds: [...model.riskThresholds].sort((a, b) => b.minScore - a.minScore)
+  };
+
+  registry.set(registered.id, registered);
+  return registered;
+};
+
+registerModel(NEWS2);
+
+// Local modified tables: a JSON file holding an array of model definitions
+if (process.env.SCORING_MODELS_PATH) {
+  const definitions = JSON.parse(fs.readFileSync(path.resolve(process.env.SCORING_MODELS_PATH), 'utf8'));
+  (Array.isArray(definitions) ? definitions : [definitions]).forEach(registerModel);
+}
+
+// Model used when neither the command, the patient nor the ward chooses one
+const DEFAULT_SCORING_MODEL = registry.has(process.env.DEFAULT_SCORING_MODEL)
+  ? process.env.DEFAULT_SCORING_MODEL
+  : NEWS2.id;
+
+/**
+ * Get a scoring model from the registry
+ * @param {String} id - Model ID
+ * @returns {Object|null} The model, or null if no model has this ID
+ */
+const getModel = (id) => {
+  return registry.get(id) || null;
+};
+
+/**
+ * Get the default scoring model
+ * @returns {Object} The default model
+ */
+const getDefaultModel = () => registry.get(DEFAULT_SCORING_MODEL);
+
+/**
+ * List the registered scoring models
+ * @returns {Array<Object>} Registered models
+ */
+const listModels = () => Array.from(registry.values());
+
+/**
+ * List the parameters any registered model scores, and the NEWS2 vital signs
+ * @returns {Array<String>} Parameter names
+ */
+const listParameters = () => {
+  const parameters = new Set(VITAL_SIGNS);
+  registry.forEach(model => Object.keys(model.parameters).forEach(parameter => parameters.add(parameter)));
+  return Array.from(parameters);
+};
+
+/**
+ * Check whether a parameter is scored on categories rather than bands
+ * @param {String} parameter - Parameter name
+ * @returns {Boolean} True if a registered model scores it with values
+ */
+const isCategorical = (parameter) => {
+  return Array.from(registry.values()).some(model =>
+    model.parameters[parameter] !== undefined && model.parameters[parameter].values !== undefined);
+};
+
+module.exports = {
+  VITAL_SIGNS,
+  RISK_LEVELS,
+  DEFAULT_SCORING_MODEL,
+  validateModel,
+  registerModel,
+  getModel,
+  getDefaultModel,
+  listModels,
+  listParameters,
+  isCategorical
+};
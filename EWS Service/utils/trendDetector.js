@@ -0,0 +1,70 @@
+/**
+ * EWS trend detection
+ * Finds deterioration in a patient's score history: a rise of several points
+ * within a time window, or a move up a clinical risk band.
+ */
+const { RISK_LEVELS } = require('./scoringModels');
+
+// Time window (in milliseconds) in which a score rise counts as a trend
+const TREND_WINDOW_MS = parseInt(process.env.TREND_WINDOW_MS) || 60 * 60 * 1000;
+// Points the score has to rise within the window
+const TREND_SCORE_RISE = parseInt(process.env.TREND_SCORE_RISE) || 2;
+
+/**
+ * Analyze the trend of a patient's EWS
+ * Only entries of the same scoring model as the latest entry are compared.
+ * A rise is reported when the latest score is at least scoreRise points above
+ * the lowest score in the window and above the previous score, so a plateau
+ * after a rise is not reported again.
+ * @param {Array} scoreHistory - Score history entries ({ timestamp, score, clinicalRisk, scoringModel })
+ * @param {Object} options - Trend options
+ * @param {Number} options.windowMs - Time window in milliseconds
+ * @param {Number} options.scoreRise - Points that count as a rise
+ * @returns {Object|null} The trend, or null if there is no history
+ */
+const analyzeTrend = (scoreHistory, options = {}) => {
+  const windowMs = options.windowMs || TREND_WINDOW_MS;
+  const scoreRise = options.scoreRise || TREND_SCORE_RISE;
+
+  if (!scoreHistory || scoreHistory.length === 0) {
+    return null;
+  }
+
+  const sorted = [...scoreHistory].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const current = sorted[sorted.length - 1];
+  const comparable = sorted.filter(entry => (entry.scoringModel || null) === (current.scoringModel || null));
+  const previous = comparable.length > 1 ? comparable[comparable.length - 2] : null;
+
+  const windowStart = new Date(current.timestamp).getTime() - windowMs;
+  const inWindow = comparable.slice(0, -1).filter(entry => new Date(entry.timestamp).getTime() >= windowStart);
+
+  // Lowest score in the window, the earliest one if it occurs more than once
+  const baseline = inWindow.reduce((lowest, entry) => (!lowest || entry.score < lowest.score ? entry : lowest), null);
+  const scoreChange = baseline ? current.score - baseline.score : 0;
+
+  const isScoreRise = Boolean(baseline) && scoreChange >= scoreRise && previous.score < current.score;
+  const isRiskRise = Boolean(previous) &&
+    RISK_LEVELS.indexOf(current.clinicalRisk) > RISK_LEVELS.indexOf(previous.clinicalRisk);
+
+  return {
+    currentScore: current.score,
+    currentRisk: current.clinicalRisk,
+    timestamp: current.timestamp,
+    scoringModel: current.scoringModel || null,
+    windowMs,
+    scoreRiseThreshold: scoreRise,
+    baseline: baseline ? { score: baseline.score, clinicalRisk: baseline.clinicalRisk, timestamp: baseline.timestamp } : null,
+    previous: previous ? { score: previous.score, clinicalRisk: previous.clinicalRisk, timestamp: previous.timestamp } : null,
+    scoreChange,
+    scoreRise: isScoreRise,
+    riskRise: isRiskRise,
+    deteriorating: isScoreRise || isRiskRise,
+    points: inWindow.length + 1
+  };
+};
+
+module.exports = {
+  TREND_WINDOW_MS,
+  TREND_SCORE_RISE,
+  analyzeTrend
+};
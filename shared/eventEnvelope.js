@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ENVELOPE_SCHEMA, PAYLOAD_SCHEMAS, CURRENT_VERSIONS, UPCASTERS } = require('./eventSchemas');
+
+/**
+ * Envelope of the events on the ews_events exchange
+ * { id, type, version, occurredAt, correlationId, producer, payload }. Events
+ * are validated against eventSchemas.js when they are wrapped for publishing
+ * and when they are opened by a consumer, which also upcasts events of older
+ * versions to the current one.
+ */
+
+// Nullable fields are declared as type unions, e.g. ['string', 'null']
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv, ['date-time']);
+
+const validateEnvelopeSchema = ajv.compile(ENVELOPE_SCHEMA);
+
+// Compiled payload validators by event type and version
+const payloadValidators = Object.fromEntries(Object.entries(PAYLOAD_SCHEMAS).map(([type, versions]) => [
+  type,
+  Object.fromEntries(Object.entries(versions).map(([version, schema]) => [version, ajv.compile(schema)]))
+]));
+
+/**
+ * Join a property name to a path
+ * @param {String} path - Path of the parent, empty for the root
+ * @param {String} name - Property name
+ * @returns {String} The dotted path
+ */
+const childPath = (path, name) => (path ? `${path}.${name}` : name);
+
+/**
+ * Turn a JSON Pointer of ajv into a dotted path, e.g. payload.nodeScores[0].nodeId
+ * @param {String} instancePath - JSON Pointer of the value, e.g. /nodeScores/0/nodeId
+ * @param {String} prefix - Path of the validated value
+ * @returns {String} The dotted path
+ */
+const toPath = (instancePath, prefix) => {
+  return instancePath.split('/').slice(1).reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+    return childPath(path, segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }, prefix);
+};
+
+/**
+ * Turn the errors of an ajv validator into validation errors
+ * @param {Array<Object>} ajvErrors - Errors of the last validation
+ * @param {String} prefix - Path of the validated value
+ * @returns {Array<Object>} Validation errors as { field, message }
+ */
+const toErrors = (ajvErrors, prefix = '') => {
+  return ajvErrors.map(({ keyword, instancePath, params, message }) => {
+    const path = toPath(instancePath, prefix);
+
+    if (keyword === 'required') {
+      return { field: childPath(path, params.missingProperty), message: 'is required' };
+    }
+    if (keyword === 'additionalProperties') {
+      return { field: childPath(path, params.additionalProperty), message: 'is not allowed' };
+    }
+    return { field: path || '(root)', message };
+  });
+};
+
+/**
+ * Create the error for an invalid event
+ * @param {String} type - Event type
+ * @param {Array<Object>} errors - Validation errors as { field, message }
+ * @returns {Error} A ValidationError listing the errors
+ */
+const invalidEvent = (type, errors) => {
+  const error = new Error(`Invalid ${type} event: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`);
+  error.name = 'ValidationError';
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * Check whether a message is an envelope rather than a bare payload
+ * @param {Object} message - The parsed message
+ * @returns {Boolean} True for an envelope
+ */
+const isEnvelope = (message) => {
+  return Boolean(message) && typeof message.type === 'string' &&
+    typeof message.version === 'number' && Boolean(message.payload) && typeof message.payload === 'object';
+};
+
+/**
+ * Validate an envelope and its payload
+ * @param {Object} envelope - The envelope
+ * @returns {Array<Object>} Validation errors; empty if the event is valid
+ */
+const validateEnvelope = (envelope) => {
+  if (!validateEnvelopeSchema(envelope)) {
+    return toErrors(validateEnvelopeSchema.errors);
+  }
+
+  const validatePayload = (payloadValidators[envelope.type] || {})[envelope.version];
+  if (!validatePayload) {
+    return [{ field: 'type', message: `has no schema for ${envelope.type} version ${envelope.version}` }];
+  }
+
+  return validatePayload(envelope.payload) ? [] : toErrors(validatePayload.errors, 'payload');
+};
+
+/**
+ * Wrap a payload in an envelope of the current version
+ * @param {String} type - Event type (routing key), e.g. ews.consensus
+ * @param {Object} payload - The event payload, with dates as ISO strings
+ * @param {Object} options - producer, and optionally id, correlationId and occurredAt
+ * @returns {Object} The envelope
+ */
+const wrap = (type, payload, { id = crypto.randomUUID(), correlationId = null, occurredAt = new Date(), producer }) => {
+  if (CURRENT_VERSIONS[type] === undefined) {
+    throw invalidEvent(type, [{ field: 'type', message: 'is not a registered event type' }]);
+  }
+
+  const envelope = {
+    id,
+    type,
+    version: CURRENT_VERSIONS[type],
+    occurredAt: new Date(occurredAt).toISOString(),
+    correlationId,
+    producer,
+    payload
+  };
+
+  const errors = validateEnvelope(envelope);
+  if (errors.length > 0) {
+    throw invalidEvent(type, errors);
+  }
+
+  return envelope;
+};
+
+/**
+ * Read a consumed event
+ * A bare payload, as published before events had an envelope, is read as
+ * version 0. Older versions are upcast to the current one; newer versions,
+ * which this version of the registry does not know, are rejected.
+ * @param {Object} message - The parsed message
+ * @param {String} routingKey - Routing key the message was published with
+ * @returns {Object} The envelope at the current version
+ */
+const open = (message, routingKey) => {
+  let envelope = message;
+
+  if (!isEnvelope(message)) {
+    const time = message && (message.timestamp || message.consensusTimestamp || message.createdAt);
+    envelope = {
+      id: (message && (message.eventId || message.consensusId)) || crypto.randomUUID(),
+      type: routingKey,
+      version: 0,
+      occurredAt: new Date(time && !Number.isNaN(Date.parse(time)) ? time : Date.now()).toISOString(),
+      correlationId: (message && message.metadata && message.metadata.correlationId) || null,
+      producer: 'unknown',
+      payload: message || {}
+    };
+  }
+
+  const type = envelope.type;
+  if (routingKey && type !== routingKey) {
+    throw invalidEvent(routingKey, [{ field: 'type', message: `is ${type}, published as ${routingKey}` }]);
+  }
+  if (CURRENT_VERSIONS[type] === undefined) {
+    throw invalidEvent(type, [{ field: 'type', message: 'is not a registered event type' }]);
+  }
+  if (envelope.version > CURRENT_VERSIONS[type]) {
+    throw invalidEvent(type, [{ field: 'version', message: `${envelope.version} is newer than the supported version ${CURRENT_VERSIONS[type]}` }]);
+  }
+
+  while (envelope.version < CURRENT_VERSIONS[type]) {
+    const upcast = (UPCASTERS[type] || {})[envelope.version];
+    if (!upcast) {
+      throw invalidEvent(type, [{ field: 'version', message: `${envelope.version} cannot be upcast` }]);
+    }
+    envelope = upcast(envelope);
+  }
+
+  const errors = validateEnvelope(envelope);
+  if (errors.length > 0) {
+    throw invalidEvent(type, errors);
+  }
+
+  return envelope;
+};
+
+module.exports = {
+  isEnvelope,
+  validateEnvelope,
+  wrap,
+  open
+};
@@ -0,0 +1,144 @@
+/**
+ * Schema registry of the events on the ews_events exchange
+ * Every event is sent in an envelope (ENVELOPE_SCHEMA) whose payload follows
+ * the schema of its type and version. When a payload changes incompatibly,
+ * add the new version to PAYLOAD_SCHEMAS, bump CURRENT_VERSIONS and add an
+ * upcaster that turns the previous version into the new one, so consumers
+ * can still read events published before the change.
+ *
+ * The schemas are JSON Schema (draft-07) and are compiled with ajv by
+ * eventEnvelope.js. The EWS Service and the Alert Engine both use this module.
+ */
+
+const CLINICAL_RISKS = ['Low', 'Low-Medium', 'Medium', 'High'];
+
+const SCORING_MODEL_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    id: { type: 'string' },
+    version: { type: 'string' }
+  }
+};
+
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type', 'version', 'occurredAt', 'producer', 'payload'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { type: 'string', minLength: 1 },
+    version: { type: 'integer', minimum: 1 },
+    occurredAt: { type: 'string', format: 'date-time' },
+    correlationId: { type: ['string', 'null'] },
+    producer: { type: 'string', minLength: 1 },
+    payload: { type: 'object' }
+  }
+};
+
+/**
+ * Schema of a score event (EWSScoreEvent)
+ * @param {String} eventType - EWS_CALCULATED, EWS_UPDATED or EWS_VALIDATED
+ * @returns {Object} JSON Schema
+ */
+const scoreEventSchema = (eventType) => ({
+  type: 'object',
+  required: ['eventId', 'patientId', 'nodeId', 'eventType', 'timestamp', 'totalScore', 'clinicalRisk'],
+  properties: {
+    eventId: { type: 'string', minLength: 1 },
+    patientId: { type: 'string', minLength: 1 },
+    nodeId: { type: 'string' },
+    eventType: { const: eventType },
+    timestamp: { type: 'string', format: 'date-time' },
+    vitalSigns: { type: 'object' },
+    scoreComponents: { type: 'object' },
+    totalScore: { type: 'number', minimum: 0 },
+    clinicalRisk: { enum: CLINICAL_RISKS },
+    redFlags: { type: 'array', items: { type: 'string' } },
+    scoringModel: SCORING_MODEL_SCHEMA,
+    imputedVitals: { type: 'array', items: { type: 'object' } },
+    targetConsensusId: { type: ['string', 'null'] },
+    clinicianId: { type: ['string', 'null'] },
+    reason: { type: ['string', 'null'] },
+    metadata: { type: 'object' }
+  }
+});
+
+const CONSENSUS_SCHEMA = {
+  type: 'object',
+  required: ['consensusId', 'patientId', 'nodeScores', 'consensusScore', 'clinicalRisk', 'consensusTimestamp', 'validConsensus', 'consensusMethod'],
+  properties: {
+    consensusId: { type: 'string', minLength: 1 },
+    patientId: { type: 'string', minLength: 1 },
+    nodeScores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['nodeId', 'totalScore'],
+        properties: {
+          nodeId: { type: 'string' },
+          totalScore: { type: 'number' },
+          timestamp: { type: ['string', 'null'], format: 'date-time' },
+          vitalSigns: { type: 'object' },
+          scoreComponents: { type: 'object' },
+          redFlags: { type: 'array', items: { type: 'string' } },
+          scoringModel: SCORING_MODEL_SCHEMA,
+          imputedVitals: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    consensusScore: { type: 'number', minimum: 0 },
+    clinicalRisk: { enum: CLINICAL_RISKS },
+    consensusTimestamp: { type: 'string', format: 'date-time' },
+    validConsensus: { type: 'boolean' },
+    consensusMethod: { enum: ['majority', 'latest', 'average', 'single', 'none', 'correction'] },
+    supersedes: { type: ['string', 'null'] },
+    redFlags: { type: 'array', items: { type: 'string' } },
+    scoringModel: SCORING_MODEL_SCHEMA
+  }
+};
+
+// Payload schemas by event type and version
+const PAYLOAD_SCHEMAS = {
+  'ews.calculated': { 1: scoreEventSchema('EWS_CALCULATED') },
+  'ews.updated': { 1: scoreEventSchema('EWS_UPDATED') },
+  'ews.validated': { 1: scoreEventSchema('EWS_VALIDATED') },
+  'ews.consensus': { 1: CONSENSUS_SCHEMA }
+};
+
+// Version producers publish
+const CURRENT_VERSIONS = {
+  'ews.calculated': 1,
+  'ews.updated': 1,
+  'ews.validated': 1,
+  'ews.consensus': 1
+};
+
+/**
+ * Turn a stored document into a plain event payload
+ * Dates become ISO strings, and MongoDB's _id and __v are left out.
+ * @param {Object} document - Mongoose document or plain object
+ * @returns {Object} The payload
+ */
+const toPayload = (document) => {
+  const plain = document && typeof document.toJSON === 'function' ? document.toJSON() : document;
+  return JSON.parse(JSON.stringify(plain, (key, value) => (key === '_id' || key === '__v' ? undefined : value)));
+};
+
+// Version 0 is an event published without an envelope: the whole stored document
+const fromDocument = envelope => ({ ...envelope, version: 1, payload: toPayload(envelope.payload) });
+
+// Upcasters by event type and the version they upgrade from
+const UPCASTERS = {
+  'ews.calculated': { 0: fromDocument },
+  'ews.updated': { 0: fromDocument },
+  'ews.validated': { 0: fromDocument },
+  'ews.consensus': { 0: fromDocument }
+};
+
+module.exports = {
+  ENVELOPE_SCHEMA,
+  PAYLOAD_SCHEMAS,
+  CURRENT_VERSIONS,
+  UPCASTERS,
+  toPayload
+};
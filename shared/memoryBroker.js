@@ -0,0 +1,414 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process message broker with the part of the amqplib API the services use
+ * Exchanges (topic, fanout, direct and the default exchange), durable queues
+ * with message TTL and dead-lettering, bindings with topic wildcards,
+ * consumers with prefetch, and ack/nack with requeue. Messages are kept in
+ * memory only. Services loaded into the same process (e.g. in one test run)
+ * share this module and so exchange messages with each other.
+ */
+
+// Broker state of the process
+const broker = { exchanges: new Map(), queues: new Map(), nextQueueId: 1 };
+
+/**
+ * Check whether a routing key matches a topic binding pattern
+ * '*' matches exactly one word and '#' zero or more words.
+ * @param {String} pattern - Binding pattern, e.g. ews.#
+ * @param {String} routingKey - Routing key, e.g. ews.consensus
+ * @returns {Boolean} True if the routing key matches
+ */
+const matchTopic = (pattern, routingKey) => {
+  const match = (patternWords, keyWords) => {
+    if (patternWords.length === 0) return keyWords.length === 0;
+
+    const [word, ...rest] = patternWords;
+    if (word === '#') {
+      for (let skip = 0; skip <= keyWords.length; skip++) {
+        if (match(rest, keyWords.slice(skip))) return true;
+      }
+      return false;
+    }
+
+    return keyWords.length > 0 && (word === '*' || word === keyWords[0]) && match(rest, keyWords.slice(1));
+  };
+
+  return match(pattern.split('.'), routingKey.split('.'));
+};
+
+/**
+ * Create an AMQP-style channel error
+ * @param {String} message - Error message
+ * @returns {Error} The error
+ */
+const channelError = (message) => {
+  const error = new Error(message);
+  error.name = 'IllegalOperationError';
+  return error;
+};
+
+/**
+ * Find the queues a message is routed to
+ * @param {String} exchangeName - Exchange, '' for the default exchange
+ * @param {String} routingKey - Routing key of the message
+ * @returns {Array<Object>} The queues
+ */
+const route = (exchangeName, routingKey) => {
+  if (exchangeName === '') {
+    const queue = broker.queues.get(routingKey);
+    return queue ? [queue] : [];
+  }
+
+  const exchange = broker.exchanges.get(exchangeName);
+  if (!exchange) {
+    throw channelError(`NOT_FOUND - no exchange '${exchangeName}'`);
+  }
+
+  const names = new Set(exchange.bindings
+    .filter(binding => exchange.type === 'fanout' ||
+      (exchange.type === 'topic' ? matchTopic(binding.pattern, routingKey) : binding.pattern === routingKey))
+    .map(binding => binding.queue));
+
+  return [...names].map(name => broker.queues.get(name)).filter(Boolean);
+};
+
+/**
+ * Deliver the waiting messages of a queue to its consumers
+ * Consumers take turns, and a consumer whose channel has prefetch unacked
+ * messages is skipped.
+ * @param {Object} queue - The queue
+ * @returns {void}
+ */
+const dispatch = (queue) => {
+  while (queue.messages.length > 0) {
+    const count = queue.consumers.length;
+    let consumer = null;
+    for (let offset = 0; offset < count; offset++) {
+      const candidate = queue.consumers[(queue.nextConsumer + offset) % count];
+      if (candidate.noAck || !candidate.channel.prefetchCount ||
+        candidate.channel.unacked.size < candidate.channel.prefetchCount) {
+        consumer = candidate;
+        queue.nextConsumer = (queue.nextConsumer + offset + 1) % count;
+        break;
+      }
+    }
+    if (!consumer) return;
+
+    const message = queue.messages.shift();
+    clearTimeout(message.expiryTimer);
+    consumer.channel.deliver(queue, consumer, message);
+  }
+};
+
+/**
+ * Put a message on a queue
+ * In a queue with a message TTL, a message that is not consumed in time is
+ * dead-lettered (or dropped if the queue has no dead-letter exchange).
+ * @param {Object} queue - The queue
+ * @param {Object} message - content, properties, exchange, routingKey and redelivered
+ * @param {Boolean} front - Requeue in front of the waiting messages
+ * @returns {void}
+ */
+const enqueue = (queue, message, front = false) => {
+  if (front) {
+    queue.messages.unshift(message);
+  } else {
+    queue.messages.push(message);
+  }
+
+  if (queue.messageTtl !== undefined) {
+    clearTimeout(message.expiryTimer);
+    message.expiryTimer = setTimeout(() => {
+      const index = queue.messages.indexOf(message);
+      if (index === -1) return;
+      queue.messages.splice(index, 1);
+      deadLetter(queue, message, 'expired');
+    }, queue.messageTtl);
+    // Waiting messages do not keep the process alive
+    if (message.expiryTimer.unref) message.expiryTimer.unref();
+  }
+
+  setImmediate(() => dispatch(queue));
+};
+
+/**
+ * Route a message and put it on every matching queue
+ * @param {String} exchangeName - Exchange, '' for the default exchange
+ * @param {String} routingKey - Routing key
+ * @param {Buffer} content - Message content
+ * @param {Object} properties - Message properties
+ * @returns {void}
+ */
+const publishMessage = (exchangeName, routingKey, content, properties = {}) => {
+  route(exchangeName, routingKey).forEach(queue => {
+    enqueue(queue, {
+      content: Buffer.from(content),
+      properties: { ...properties, headers: { ...(properties.headers || {}) } },
+      exchange: exchangeName,
+      routingKey,
+      redelivered: false
+    });
+  });
+};
+
+/**
+ * Dead-letter a rejected or expired message
+ * @param {Object} queue - The queue the message was on
+ * @param {Object} message - The message
+ * @param {String} reason - rejected or expired
+ * @returns {void}
+ */
+const deadLetter = (queue, message, reason) => {
+  if (queue.deadLetterExchange === undefined) return;
+
+  const headers = { ...message.properties.headers };
+  headers['x-death'] = [{ queue: queue.name, reason, exchange: message.exchange, 'routing-keys': [message.routingKey] },
+    ...(headers['x-death'] || [])];
+  headers['x-first-death-queue'] = headers['x-first-death-queue'] || queue.name;
+  headers['x-first-death-reason'] = headers['x-first-death-reason'] || reason;
+
+  const { expiration, ...properties } = message.properties;
+  publishMessage(queue.deadLetterExchange, queue.deadLetterRoutingKey || message.routingKey, message.content,
+    { ...properties, headers });
+};
+
+/**
+ * Create a channel
+ * @param {Object} connection - The connection the channel belongs to
+ * @returns {Object} The channel
+ */
+const createChannel = (connection) => {
+  const channel = new EventEmitter();
+  let nextDeliveryTag = 1;
+  let nextConsumerTag = 1;
+  let closed = false;
+
+  channel.prefetchCount = 0;
+  // Delivered messages by delivery tag, until they are acked or nacked
+  channel.unacked = new Map();
+
+  const checkOpen = () => {
+    if (closed) {
+      throw channelError('Channel closed');
+    }
+  };
+
+  const settle = (msg, allUpTo, handle) => {
+    checkOpen();
+    const tags = allUpTo
+      ? [...channel.unacked.keys()].filter(tag => tag <= msg.fields.deliveryTag)
+      : [msg.fields.deliveryTag];
+
+    tags.forEach(tag => {
+      const delivery = channel.unacked.get(tag);
+      if (!delivery) {
+        throw channelError(`PRECONDITION_FAILED - unknown delivery tag ${tag}`);
+      }
+      channel.unacked.delete(tag);
+      handle(delivery);
+      setImmediate(() => dispatch(delivery.queue));
+    });
+  };
+
+  channel.deliver = (queue, consumer, message) => {
+    const deliveryTag = nextDeliveryTag++;
+    const msg = {
+      content: message.content,
+      fields: {
+        consumerTag: consumer.consumerTag,
+        deliveryTag,
+        redelivered: message.redelivered,
+        exchange: message.exchange,
+        routingKey: message.routingKey
+      },
+      properties: message.properties
+    };
+
+    if (!consumer.noAck) {
+      channel.unacked.set(deliveryTag, { queue, message });
+    }
+    setImmediate(() => consumer.onMessage(msg));
+  };
+
+  channel.assertExchange = async (exchange, type, options = {}) => {
+    checkOpen();
+    const exchanges = broker.exchanges;
+    const existing = exchanges.get(exchange);
+    if (existing && existing.type !== type) {
+      throw channelError(`PRECONDITION_FAILED - exchange '${exchange}' is of type ${existing.type}`);
+    }
+    if (!existing) {
+      exchanges.set(exchange, { name: exchange, type, options, bindings: [] });
+    }
+    return { exchange };
+  };
+
+  channel.assertQueue = async (queueName, options = {}) => {
+    checkOpen();
+      const name = queueName || `amq.gen-${broker.nextQueueId++}`;
+    const args = options.arguments || {};
+    let queue = broker.queues.get(name);
+
+    if (!queue) {
+      queue = {
+        name,
+        options,
+        messageTtl: options.messageTtl !== undefined ? options.messageTtl : args['x-message-ttl'],
+        deadLetterExchange: options.deadLetterExchange !== undefined ? options.deadLetterExchange : args['x-dead-letter-exchange'],
+        deadLetterRoutingKey: options.deadLetterRoutingKey || args['x-dead-letter-routing-key'],
+        messages: [],
+        consumers: [],
+        nextConsumer: 0
+      };
+      broker.queues.set(name, queue);
+    }
+
+    return { queue: name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+  };
+
+  channel.checkQueue = async (queueName) => {
+    checkOpen();
+    const queue = broker.queues.get(queueName);
+    if (!queue) {
+      throw channelError(`NOT_FOUND - no queue '${queueName}'`);
+    }
+    return { queue: queueName, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+  };
+
+  channel.bindQueue = async (queueName, exchangeName, pattern) => {
+    checkOpen();
+      const exchange = broker.exchanges.get(exchangeName);
+    if (!exchange || !broker.queues.has(queueName)) {
+      throw channelError(`NOT_FOUND - no exchange '${exchangeName}' or queue '${queueName}'`);
+    }
+    if (!exchange.bindings.some(binding => binding.queue === queueName && binding.pattern === pattern)) {
+      exchange.bindings.push({ queue: queueName, pattern });
+    }
+    return {};
+  };
+
+  channel.publish = (exchange, routingKey, content, properties = {}, callback) => {
+    checkOpen();
+    try {
+      publishMessage(exchange, routingKey, content, properties);
+    } catch (error) {
+      if (callback) {
+        setImmediate(() => callback(error));
+        return true;
+      }
+      throw error;
+    }
+    if (callback) setImmediate(() => callback(null));
+    return true;
+  };
+
+  channel.sendToQueue = (queueName, content, properties = {}, callback) => {
+    return channel.publish('', queueName, content, properties, callback);
+  };
+
+  channel.waitForConfirms = async () => {};
+
+  channel.prefetch = async (count) => {
+    checkOpen();
+    channel.prefetchCount = count;
+  };
+
+  channel.consume = async (queueName, onMessage, options = {}) => {
+    checkOpen();
+    const queue = broker.queues.get(queueName);
+    if (!queue) {
+      throw channelError(`NOT_FOUND - no queue '${queueName}'`);
+    }
+
+    const consumerTag = options.consumerTag || `amq.ctag-memory-${nextConsumerTag++}`;
+    queue.consumers.push({ consumerTag, channel, onMessage, noAck: Boolean(options.noAck) });
+    setImmediate(() => dispatch(queue));
+
+    return { consumerTag };
+  };
+
+  channel.cancel = async (consumerTag) => {
+    broker.queues.forEach(queue => {
+      queue.consumers = queue.consumers.filter(consumer => consumer.channel !== channel || consumer.consumerTag !== consumerTag);
+      queue.nextConsumer = 0;
+    });
+    return { consumerTag };
+  };
+
+  channel.ack = (msg, allUpTo = false) => {
+    settle(msg, allUpTo, () => {});
+  };
+
+  channel.nack = (msg, allUpTo = false, requeue = true) => {
+    settle(msg, allUpTo, ({ queue, message }) => {
+      if (requeue) {
+        enqueue(queue, { ...message, redelivered: true }, true);
+      } else {
+        deadLetter(queue, message, 'rejected');
+      }
+    });
+  };
+
+  channel.reject = (msg, requeue = true) => channel.nack(msg, false, requeue);
+
+  channel.close = async () => {
+    if (closed) return;
+    closed = true;
+
+    // Unacked messages go back to their queues, as when a broker loses a channel
+    broker.queues.forEach(queue => {
+      queue.consumers = queue.consumers.filter(consumer => consumer.channel !== channel);
+      queue.nextConsumer = 0;
+    });
+    channel.unacked.forEach(({ queue, message }) => enqueue(queue, { ...message, redelivered: true }, true));
+    channel.unacked.clear();
+
+    connection.channels.delete(channel);
+    channel.emit('close');
+  };
+
+  return channel;
+};
+
+/**
+ * Open a connection to the in-process broker
+ * Takes the same arguments as amqplib's connect, which are ignored.
+ * @returns {Promise<Object>} The connection
+ */
+const connect = async () => {
+  const connection = new EventEmitter();
+  connection.channels = new Set();
+
+  const open = async () => {
+    const channel = createChannel(connection);
+    connection.channels.add(channel);
+    return channel;
+  };
+
+  connection.createChannel = open;
+  connection.createConfirmChannel = open;
+  connection.close = async () => {
+    await Promise.all([...connection.channels].map(channel => channel.close()));
+    connection.emit('close');
+  };
+
+  return connection;
+};
+
+/**
+ * Remove every exchange, queue and message
+ * Open channels keep working but have to declare their topology again.
+ * @returns {void}
+ */
+const reset = () => {
+  broker.queues.forEach(queue => queue.messages.forEach(message => clearTimeout(message.expiryTimer)));
+  broker.exchanges.clear();
+  broker.queues.clear();
+};
+
+module.exports = {
+  connect,
+  reset,
+  matchTopic
+};
@@ -0,0 +1,129 @@
+process.env.EVENT_BUS_TRANSPORT = 'memory';
+process.env.EVENT_MAX_RETRIES = '2';
+process.env.EVENT_RETRY_DELAY_MS = '10';
+
+const { createEventBus } = require('../eventBus');
+
+const CONSENSUS = {
+  consensusId: 'consensus-1',
+  patientId: 'patient-1',
+  nodeScores: [{ nodeId: 'node-1', totalScore: 7 }],
+  consensusScore: 7,
+  clinicalRisk: 'High',
+  consensusTimestamp: '2024-01-01T08:00:00.000Z',
+  validConsensus: true,
+  consensusMethod: 'single'
+};
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+let publisher;
+let subscriber;
+let deadLetters;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true once the condition holds
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Condition not met within 1 second');
+};
+
+beforeAll(async () => {
+  // A producer with the dead-letter store, and a consumer in another service
+  publisher = createEventBus({ producer: 'ews-service', logger });
+  subscriber = createEventBus({ producer: 'alert-engine-service', logger, prefetch: 1 });
+  deadLetters = [];
+
+  await publisher.initialize();
+  await publisher.consumeDeadLetters(async deadLetter => {
+    deadLetters.push(deadLetter);
+  });
+  await subscriber.initialize();
+});
+
+beforeEach(() => {
+  deadLetters.length = 0;
+});
+
+describe('subscribeToEvent', () => {
+  test('hands a failed event back to the subscriber after a delay', async () => {
+    const handled = [];
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('MongoDB is down'))
+      .mockImplementation(async (payload, envelope) => handled.push(envelope));
+    await subscriber.subscribeToEvent('ews.consensus', handler, { queueName: 'retried_consensus' });
+
+    await publisher.publishEvent('ews.consensus', CONSENSUS, { correlationId: 'correlation-1' });
+    await waitFor(() => handled.length === 1);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handled[0]).toMatchObject({ type: 'ews.consensus', producer: 'ews-service', correlationId: 'correlation-1', payload: CONSENSUS });
+    expect(deadLetters).toEqual([]);
+  });
+
+  test('dead-letters an event that keeps failing, and replays it', async () => {
+    let failing = true;
+    const handler = jest.fn(async () => {
+      if (failing) throw new Error('MongoDB is down');
+    });
+    await subscriber.subscribeToEvent('ews.consensus', handler, { queueName: 'failing_consensus' });
+
+    await publisher.publishEvent('ews.consensus', CONSENSUS);
+    await waitFor(() => deadLetters.length === 1);
+
+    // The first delivery and two retries
+    expect(handler).toHaveBeenCalledTimes(3);
+    const [deadLetter] = deadLetters;
+    expect(deadLetter).toMatchObject({
+      queueName: 'failing_consensus',
+      routingKey: 'ews.consensus',
+      error: 'MongoDB is down',
+      retryCount: 2
+    });
+
+    failing = false;
+    await publisher.sendToQueue(deadLetter.queueName, deadLetter.content, { messageId: deadLetter.messageId, routingKey: deadLetter.routingKey });
+    await waitFor(() => handler.mock.calls.length === 4);
+    expect(handler.mock.calls[3][0]).toEqual(CONSENSUS);
+  });
+
+  test('dead-letters an invalid event without retrying it', async () => {
+    const handler = jest.fn(async () => {});
+    await subscriber.subscribeToEvent('ews.consensus', handler, { queueName: 'invalid_consensus' });
+
+    await publisher.publishConfirmed('ews.consensus', { ...CONSENSUS, clinicalRisk: 'Unknown' }, { messageId: 'message-1' });
+    await waitFor(() => deadLetters.length === 1);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(deadLetters[0]).toMatchObject({
+      queueName: 'invalid_consensus',
+      messageId: 'message-1',
+      retryCount: 0,
+      error: expect.stringContaining('payload.clinicalRisk')
+    });
+  });
+
+  test('names the default queue after every part of the event type', async () => {
+    const subscription = await subscriber.subscribeToEvent('ews.consensus.corrected', jest.fn());
+
+    expect(subscription).toEqual({ eventType: 'ews.consensus.corrected', queueName: 'ews_queue_ews_consensus_corrected' });
+  });
+});
+
+describe('getState', () => {
+  test('reports the connection and the subscriptions', () => {
+    expect(subscriber.getState()).toMatchObject({
+      transport: 'memory',
+      status: 'connected',
+      bufferedMessages: 0,
+      subscriptions: expect.arrayContaining(['retried_consensus', 'failing_consensus', 'invalid_consensus'])
+    });
+    expect(subscriber.isConnected()).toBe(true);
+  });
+});
@@ -0,0 +1,191 @@
+const eventEnvelope = require('../eventEnvelope');
+const { CURRENT_VERSIONS, UPCASTERS, toPayload } = require('../eventSchemas');
+
+const CONSENSUS = {
+  consensusId: 'consensus-1',
+  patientId: 'patient-1',
+  nodeScores: [{ nodeId: 'node-1', totalScore: 5, timestamp: '2024-01-01T08:00:00.000Z', vitalSigns: { heartRate: 95 } }],
+  consensusScore: 5,
+  clinicalRisk: 'Medium',
+  consensusTimestamp: '2024-01-01T08:00:00.000Z',
+  validConsensus: true,
+  consensusMethod: 'single',
+  redFlags: [],
+  scoringModel: { id: 'NEWS2', version: '2.0.1' }
+};
+
+const SCORE_EVENT = {
+  eventId: 'event-1',
+  patientId: 'patient-1',
+  nodeId: 'node-1',
+  eventType: 'EWS_CALCULATED',
+  timestamp: '2024-01-01T08:00:00.000Z',
+  vitalSigns: { heartRate: 95 },
+  totalScore: 5,
+  clinicalRisk: 'Medium',
+  metadata: { correlationId: 'correlation-1' }
+};
+
+/**
+ * Get the fields of the validation errors an action throws
+ * @param {Function} action - Action expected to throw a ValidationError
+ * @returns {Array<String>} Fields of the errors
+ */
+const invalidFields = (action) => {
+  try {
+    action();
+  } catch (error) {
+    expect(error.name).toBe('ValidationError');
+    return error.errors.map(({ field }) => field);
+  }
+  throw new Error('Expected a ValidationError');
+};
+
+describe('wrap', () => {
+  test('wraps a payload in an envelope of the current version', () => {
+    const envelope = eventEnvelope.wrap('ews.consensus', CONSENSUS, {
+      producer: 'ews-service',
+      correlationId: 'correlation-1',
+      occurredAt: new Date(Date.UTC(2024, 0, 1, 8))
+    });
+
+    expect(envelope).toEqual({
+      id: expect.any(String),
+      type: 'ews.consensus',
+      version: CURRENT_VERSIONS['ews.consensus'],
+      occurredAt: '2024-01-01T08:00:00.000Z',
+      correlationId: 'correlation-1',
+      producer: 'ews-service',
+      payload: CONSENSUS
+    });
+    expect(eventEnvelope.validateEnvelope(envelope)).toEqual([]);
+  });
+
+  test('rejects an unregistered event type', () => {
+    expect(invalidFields(() => eventEnvelope.wrap('ews.unknown', {}, { producer: 'ews-service' }))).toEqual(['type']);
+  });
+
+  test('lists every invalid field of the payload', () => {
+    const payload = {
+      ...CONSENSUS,
+      patientId: undefined,
+      clinicalRisk: 'Critical',
+      consensusTimestamp: 'yesterday',
+      nodeScores: [{ nodeId: 'node-1', totalScore: '5' }, { totalScore: 1 }]
+    };
+
+    expect(invalidFields(() => eventEnvelope.wrap('ews.consensus', payload, { producer: 'ews-service' })).sort()).toEqual([
+      'payload.clinicalRisk',
+      'payload.consensusTimestamp',
+      'payload.nodeScores[0].totalScore',
+      'payload.nodeScores[1].nodeId',
+      'payload.patientId'
+    ]);
+  });
+
+  test('checks the event type of a score event', () => {
+    const payload = { ...SCORE_EVENT, eventType: 'EWS_UPDATED' };
+
+    expect(invalidFields(() => eventEnvelope.wrap('ews.calculated', payload, { producer: 'ews-service' }))).toEqual(['payload.eventType']);
+  });
+});
+
+describe('validateEnvelope', () => {
+  const envelope = () => eventEnvelope.wrap('ews.consensus', CONSENSUS, { producer: 'ews-service' });
+
+  test('rejects unknown, missing and malformed envelope fields', () => {
+    const errors = eventEnvelope.validateEnvelope({ ...envelope(), producer: undefined, occurredAt: '01/01/2024', priority: 'high' });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      { field: 'producer', message: 'is required' },
+      { field: 'priority', message: 'is not allowed' },
+      { field: 'occurredAt', message: expect.stringContaining('date-time') }
+    ]));
+    expect(errors).toHaveLength(3);
+  });
+
+  test('rejects a version without a schema', () => {
+    expect(eventEnvelope.validateEnvelope({ ...envelope(), version: 7 })).toEqual([
+      { field: 'type', message: 'has no schema for ews.consensus version 7' }
+    ]);
+  });
+
+  test('only checks the payload of a valid envelope', () => {
+    expect(eventEnvelope.validateEnvelope({ ...envelope(), version: 0, payload: {} })).toEqual([
+      { field: 'version', message: 'must be >= 1' }
+    ]);
+  });
+});
+
+describe('open', () => {
+  test('reads an envelope of the current version as it is', () => {
+    const envelope = eventEnvelope.wrap('ews.consensus', CONSENSUS, { producer: 'ews-service' });
+
+    expect(eventEnvelope.open(JSON.parse(JSON.stringify(envelope)), 'ews.consensus')).toEqual(envelope);
+  });
+
+  test('upcasts a consensus published without an envelope', () => {
+    const stored = { _id: '65a1f0c2e4b0a1b2c3d4e5f6', __v: 0, ...CONSENSUS, createdAt: '2024-01-01T08:00:01.000Z' };
+
+    const envelope = eventEnvelope.open(stored, 'ews.consensus');
+
+    expect(envelope).toEqual({
+      id: 'consensus-1',
+      type: 'ews.consensus',
+      version: 1,
+      occurredAt: '2024-01-01T08:00:00.000Z',
+      correlationId: null,
+      producer: 'unknown',
+      payload: { ...CONSENSUS, createdAt: '2024-01-01T08:00:01.000Z' }
+    });
+  });
+
+  test('upcasts a score event published without an envelope', () => {
+    const envelope = eventEnvelope.open({ _id: 'abc', ...SCORE_EVENT }, 'ews.calculated');
+
+    expect(envelope).toMatchObject({
+      id: 'event-1',
+      type: 'ews.calculated',
+      version: 1,
+      occurredAt: SCORE_EVENT.timestamp,
+      correlationId: 'correlation-1',
+      payload: SCORE_EVENT
+    });
+  });
+
+  test('rejects a bare event that is invalid once upcast', () => {
+    expect(invalidFields(() => eventEnvelope.open({ ...CONSENSUS, consensusScore: -1 }, 'ews.consensus'))).toEqual(['payload.consensusScore']);
+    expect(invalidFields(() => eventEnvelope.open(null, 'ews.consensus'))).toEqual(expect.arrayContaining(['payload.consensusId']));
+  });
+
+  test('rejects an event published under another routing key', () => {
+    const envelope = eventEnvelope.wrap('ews.consensus', CONSENSUS, { producer: 'ews-service' });
+
+    expect(invalidFields(() => eventEnvelope.open(envelope, 'ews.calculated'))).toEqual(['type']);
+  });
+
+  test('rejects a version newer than the registry', () => {
+    const envelope = eventEnvelope.wrap('ews.consensus', CONSENSUS, { producer: 'ews-service' });
+
+    expect(() => eventEnvelope.open({ ...envelope, version: 2 }, 'ews.consensus')).toThrow(/newer than the supported version 1/);
+  });
+
+  test('rejects a version without an upcaster', () => {
+    const upcaster = UPCASTERS['ews.consensus'][0];
+    delete UPCASTERS['ews.consensus'][0];
+
+    try {
+      expect(() => eventEnvelope.open(CONSENSUS, 'ews.consensus')).toThrow(/0 cannot be upcast/);
+    } finally {
+      UPCASTERS['ews.consensus'][0] = upcaster;
+    }
+  });
+});
+
+describe('toPayload', () => {
+  test('turns dates into ISO strings and leaves out _id and __v', () => {
+    const document = { _id: 'abc', __v: 3, consensusTimestamp: new Date(Date.UTC(2024, 0, 1, 8)), nodeScores: [{ _id: 'def', nodeId: 'node-1' }] };
+
+    expect(toPayload(document)).toEqual({ consensusTimestamp: '2024-01-01T08:00:00.000Z', nodeScores: [{ nodeId: 'node-1' }] });
+  });
+});
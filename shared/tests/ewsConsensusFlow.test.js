@@ -0,0 +1,131 @@
+jest.mock('../../Alert Engine Service/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+// No subscriptions are stored, so nothing is sent
+jest.mock('../../Alert Engine Service/services/notificationService', () => ({}));
+
+// The producer and the Alert Engine share the in-process broker
+process.env.EVENT_BUS_TRANSPORT = 'memory';
+process.env.EVENT_RETRY_DELAY_MS = '10';
+
+const { createEventBus } = require('../eventBus');
+const { Alert, AlertSubscription } = require('../../Alert Engine Service/models/alert');
+const alertProcessor = require('../../Alert Engine Service/services/alertProcessor');
+const ewsEventConsumer = require('../../Alert Engine Service/services/ewsEventConsumer');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+// Publishes ews.consensus as the EWS Service does
+const ewsEventBus = createEventBus({ producer: 'ews-service', logger });
+const { processAlert } = alertProcessor;
+
+// Alerts as the alerts collection would hold them
+let alerts;
+// Consensus IDs of the alerts the Alert Engine has finished processing
+let processed;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true once the condition holds
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Condition not met within 1 second');
+};
+
+/**
+ * Create a consensus as the EWS Service publishes it
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} The consensus
+ */
+const consensus = (overrides = {}) => ({
+  consensusId: 'consensus-1',
+  patientId: 'patient-1',
+  nodeScores: [{ nodeId: 'node-1', totalScore: 7, vitalSigns: { heartRate: 135 } }],
+  consensusScore: 7,
+  clinicalRisk: 'High',
+  consensusTimestamp: new Date(Date.UTC(2024, 0, 1, 8)),
+  validConsensus: true,
+  consensusMethod: 'single',
+  redFlags: ['heartRate'],
+  scoringModel: { id: 'NEWS2', version: '2.0.1' },
+  ...overrides
+});
+
+beforeAll(async () => {
+  await ewsEventBus.initialize();
+  await ewsEventConsumer.start();
+  await waitFor(() => ewsEventConsumer.isConnected());
+});
+
+beforeEach(() => {
+  alerts = [];
+  processed = [];
+
+  jest.spyOn(alertProcessor, 'processAlert').mockImplementation(async (alertData) => {
+    try {
+      return await processAlert(alertData);
+    } finally {
+      processed.push(alertData.consensusId);
+    }
+  });
+  jest.spyOn(Alert, 'findOne').mockImplementation(async ({ deduplicationKey }) => {
+    const stored = alerts.find(alert => alert.deduplicationKey === deduplicationKey);
+    return stored ? Alert.hydrate(stored) : null;
+  });
+  // Saves with the unique deduplicationKey index
+  jest.spyOn(Alert.prototype, 'save').mockImplementation(async function () {
+    if (alerts.some(alert => alert.deduplicationKey === this.deduplicationKey)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    alerts.push(this.toObject());
+    return this;
+  });
+  jest.spyOn(AlertSubscription, 'find').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ews.consensus from the EWS Service to the Alert Engine', () => {
+  test('stores one alert for a consensus that needs one', async () => {
+    await ewsEventBus.publishEvent('ews.consensus', consensus(), { correlationId: 'correlation-1' });
+    await waitFor(() => processed.length === 1);
+
+    // A redelivery of the same consensus is processed but not stored again
+    await ewsEventBus.publishEvent('ews.consensus', consensus());
+    await waitFor(() => processed.length === 2);
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      patientId: 'patient-1',
+      consensusId: 'consensus-1',
+      alertType: 'EWS_CRITICAL',
+      alertSeverity: 'HIGH',
+      status: 'NEW',
+      deduplicationKey: 'consensus-1:EWS_CRITICAL',
+      ewsData: { ewsScore: 7, clinicalRisk: 'High', redFlags: ['heartRate'] }
+    });
+  });
+
+  test('stores no alert for a low score', async () => {
+    await ewsEventBus.publishEvent('ews.consensus', consensus({ consensusId: 'consensus-2', consensusScore: 1, clinicalRisk: 'Low', redFlags: [] }));
+    await ewsEventBus.publishEvent('ews.consensus', consensus({ consensusId: 'consensus-3', patientId: 'patient-2', consensusScore: 5, clinicalRisk: 'Medium' }));
+    await waitFor(() => processed.length === 1);
+
+    expect(processed).toEqual(['consensus-3']);
+    expect(alerts.map(alert => alert.consensusId)).toEqual(['consensus-3']);
+  });
+
+  test('stores the alert once MongoDB is back', async () => {
+    Alert.findOne.mockRejectedValueOnce(new Error('MongoDB is down'));
+
+    await ewsEventBus.publishEvent('ews.consensus', consensus({ consensusId: 'consensus-4' }));
+    await waitFor(() => processed.length === 2);
+
+    expect(Alert.findOne).toHaveBeenCalledTimes(2);
+    expect(alerts.map(alert => alert.consensusId)).toEqual(['consensus-4']);
+  });
+});
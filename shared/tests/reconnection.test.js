@@ -0,0 +1,154 @@
+process.env.EVENT_BUS_TRANSPORT = 'memory';
+process.env.EVENT_MAX_RETRIES = '1';
+process.env.EVENT_RETRY_DELAY_MS = '10';
+process.env.EVENT_BUS_RECONNECT_BASE_MS = '10';
+process.env.EVENT_BUS_RECONNECT_MAX_MS = '30';
+process.env.EVENT_BUS_BUFFER_SIZE = '2';
+
+const memoryBroker = require('../memoryBroker');
+const { createEventBus } = require('../eventBus');
+
+const CONSENSUS = {
+  consensusId: 'consensus-1',
+  patientId: 'patient-1',
+  nodeScores: [{ nodeId: 'node-1', totalScore: 7 }],
+  consensusScore: 7,
+  clinicalRisk: 'High',
+  consensusTimestamp: '2024-01-01T08:00:00.000Z',
+  validConsensus: true,
+  consensusMethod: 'single'
+};
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const { connect } = memoryBroker;
+
+let bus;
+// Connections the event bus opened, latest last
+let connections;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true once the condition holds
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Condition not met within 1 second');
+};
+
+/**
+ * Close the current connection of the event bus, as a broker restart would
+ * @returns {Promise<void>}
+ */
+const dropConnection = () => connections[connections.length - 1].close();
+
+beforeEach(async () => {
+  connections = [];
+  jest.spyOn(memoryBroker, 'connect').mockImplementation(async (...args) => {
+    const connection = await connect(...args);
+    connections.push(connection);
+    return connection;
+  });
+
+  bus = createEventBus({ producer: 'ews-service', logger });
+  await bus.initialize();
+});
+
+afterEach(async () => {
+  // No reconnection is left pending between tests
+  await waitFor(() => bus.isConnected());
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('reconnection', () => {
+  test('restores the subscriptions and the dead-letter consumer on the new connection', async () => {
+    const handled = [];
+    const deadLetters = [];
+    await bus.subscribeToEvent('ews.consensus', async payload => handled.push(payload), { queueName: 'restored_consensus' });
+    await bus.consumeDeadLetters(async deadLetter => deadLetters.push(deadLetter));
+
+    await dropConnection();
+    expect(bus.getState()).toMatchObject({ status: 'reconnecting', reconnectAttempts: 1 });
+    await waitFor(() => bus.isConnected());
+
+    await bus.publishConfirmed('ews.consensus', CONSENSUS, { messageId: 'message-1' });
+    await waitFor(() => handled.length === 1);
+    expect(handled[0]).toEqual(CONSENSUS);
+
+    await bus.publishConfirmed('ews.consensus', { ...CONSENSUS, clinicalRisk: 'Unknown' }, { messageId: 'message-2' });
+    await waitFor(() => deadLetters.length === 1);
+    expect(deadLetters[0]).toMatchObject({ queueName: 'restored_consensus', messageId: 'message-2' });
+
+    expect(connections).toHaveLength(2);
+    expect(bus.getState()).toMatchObject({ status: 'connected', reconnectAttempts: 0, lastError: null });
+  });
+
+  test('hands a message that was unacked when the connection was lost to the restored consumer', async () => {
+    let release;
+    const blocked = new Promise(resolve => {
+      release = resolve;
+    });
+    const handler = jest.fn()
+      .mockImplementationOnce(() => blocked)
+      .mockImplementation(async () => {});
+    await bus.subscribeToEvent('ews.consensus', handler, { queueName: 'unacked_consensus' });
+
+    await bus.publishConfirmed('ews.consensus', CONSENSUS, { messageId: 'message-1' });
+    await waitFor(() => handler.mock.calls.length === 1);
+
+    await dropConnection();
+    await waitFor(() => handler.mock.calls.length === 2);
+    release();
+
+    expect(handler.mock.calls[1][0]).toEqual(CONSENSUS);
+  });
+
+  test('backs off exponentially up to the longest delay while the broker is unreachable', async () => {
+    memoryBroker.connect
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await dropConnection();
+    await waitFor(() => bus.isConnected());
+
+    const delays = logger.info.mock.calls
+      .map(([message]) => message.match(/^Reconnecting to RabbitMQ in (\d+)ms/))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+    expect(delays).toEqual([10, 20, 30, 30]);
+    expect(bus.getState()).toMatchObject({ status: 'connected', reconnectAttempts: 0 });
+  });
+});
+
+describe('publishing while disconnected', () => {
+  test('buffers messages and sends them once reconnected', async () => {
+    const handled = [];
+    await bus.subscribeToEvent('ews.consensus', async payload => handled.push(payload), { queueName: 'buffered_consensus' });
+    memoryBroker.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await dropConnection();
+    const published = bus.publishConfirmed('ews.consensus', CONSENSUS, { messageId: 'message-1' });
+    expect(bus.getState()).toMatchObject({ bufferedMessages: 1 });
+    expect(handled).toEqual([]);
+
+    await published;
+    await waitFor(() => handled.length === 1);
+    expect(bus.getState()).toMatchObject({ status: 'connected', bufferedMessages: 0 });
+  });
+
+  test('fails publishes once the buffer is full', async () => {
+    memoryBroker.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await dropConnection();
+    const buffered = [1, 2].map(index => bus.publishConfirmed('ews.consensus', CONSENSUS, { messageId: `message-${index}` }));
+
+    await expect(bus.publishConfirmed('ews.consensus', CONSENSUS, { messageId: 'message-3' }))
+      .rejects.toThrow('Event bus is disconnected and its buffer of 2 messages is full');
+    await expect(Promise.all(buffered)).resolves.toEqual([undefined, undefined]);
+  });
+});